@@ -0,0 +1,204 @@
+/**
+ * Local username/password authentication for the API
+ * Passwords are hashed with scrypt and sessions are HS256 JSON Web Tokens,
+ * so nothing outside this server is needed to sign in. Signing with the
+ * Supabase project's JWT secret (SUPABASE_JWT_SECRET) lets the dashboard
+ * send the same token to Supabase, where row-level security reads the
+ * app_role and display_name claims (see SUPABASE_SETUP.md).
+ */
+
+const crypto = require("crypto");
+const { can } = require("../src/utils/permissions.js");
+
+// How long a sign-in lasts
+const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password for storage as "scrypt$<salt>$<hash>"
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+const hashPassword = (password) =>
+  new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString("hex");
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+      if (error) return reject(error);
+      resolve(`scrypt$${salt}$${key.toString("hex")}`);
+    });
+  });
+
+/**
+ * Check a password against a stored hash
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+const verifyPassword = (password, storedHash) =>
+  new Promise((resolve, reject) => {
+    const [scheme, salt, hash] = String(storedHash || "").split("$");
+    if (scheme !== "scrypt" || !salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => {
+      if (error) return reject(error);
+      const expected = Buffer.from(hash, "hex");
+      resolve(
+        expected.length === key.length && crypto.timingSafeEqual(expected, key)
+      );
+    });
+  });
+
+const validatePassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+};
+
+// Constant-time check of a shared secret sent by another service; an unset
+// secret never matches
+const secretsMatch = (provided, expected) => {
+  const actual = Buffer.from(String(provided || ""));
+  const wanted = Buffer.from(String(expected || ""));
+  return (
+    wanted.length > 0 &&
+    actual.length === wanted.length &&
+    crypto.timingSafeEqual(actual, wanted)
+  );
+};
+
+const encodeSegment = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const decodeSegment = (segment) =>
+  JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+
+/**
+ * Authentication for an Express app
+ * @param {Object} options
+ * @param {Object} options.userStore - User store (see stores/userStore.js)
+ * @param {string} [options.secret] - HS256 signing secret; a random one is
+ *   used when missing, which signs everyone out on restart
+ * @param {boolean} [options.requireSecret] - Refuse to start without a
+ *   secret (production)
+ * @returns {Object} { signIn, signToken, verifyToken, authenticate,
+ *   requirePermission }
+ */
+const createAuth = ({ userStore, secret, requireSecret = false }) => {
+  let signingSecret = secret;
+  if (!signingSecret) {
+    if (requireSecret) {
+      throw new Error(
+        "Set SUPABASE_JWT_SECRET or AUTH_SECRET to sign session tokens"
+      );
+    }
+    console.warn(
+      "⚠️ Neither SUPABASE_JWT_SECRET nor AUTH_SECRET is set; sessions end when the server restarts"
+    );
+    signingSecret = crypto.randomBytes(32).toString("hex");
+  }
+
+  const sign = (data) =>
+    crypto.createHmac("sha256", signingSecret).update(data).digest("base64url");
+
+  // Claims Supabase expects (role, aud) alongside the app's own
+  const signToken = (user) => {
+    const now = Math.floor(Date.now() / 1000);
+    const header = encodeSegment({ alg: "HS256", typ: "JWT" });
+    const payload = encodeSegment({
+      sub: user.id,
+      username: user.username,
+      display_name: user.displayName,
+      app_role: user.role,
+      role: "authenticated",
+      aud: "authenticated",
+      iat: now,
+      exp: now + TOKEN_TTL_SECONDS,
+    });
+    const unsigned = `${header}.${payload}`;
+    return `${unsigned}.${sign(unsigned)}`;
+  };
+
+  // Claims of a valid, unexpired token, or null
+  const verifyToken = (token) => {
+    const [header, payload, signature] = String(token || "").split(".");
+    if (!header || !payload || !signature) return null;
+
+    const expected = Buffer.from(sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    ) {
+      return null;
+    }
+
+    try {
+      if (decodeSegment(header).alg !== "HS256") return null;
+      const claims = decodeSegment(payload);
+      return claims.exp > Date.now() / 1000 ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  /**
+   * Check a username and password
+   * @returns {Promise<Object|null>} { token, user } or null when the
+   *   credentials are wrong or the account is disabled
+   */
+  const signIn = async (username, password) => {
+    const user = await userStore.findByUsername(username);
+    if (!user || user.disabled) return null;
+    if (!(await verifyPassword(password, user.passwordHash))) return null;
+    return { token: signToken(user), user };
+  };
+
+  // Middleware: require a valid bearer token for an active account and set
+  // req.user. The account is re-read so disabling it takes effect at once.
+  const authenticate = async (req, res, next) => {
+    try {
+      const [scheme, token] = (req.get("Authorization") || "").split(" ");
+      const claims = scheme === "Bearer" ? verifyToken(token) : null;
+      const user = claims ? await userStore.getUser(claims.sub) : null;
+
+      if (!user || user.disabled) {
+        return res.status(401).json({
+          success: false,
+          error: "Authentication required",
+          message: "Sign in to continue",
+        });
+      }
+
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Middleware: 403 unless the signed-in user's role grants the permission
+  const requirePermission = (permission) => (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: `Your role does not allow ${permission}`,
+      });
+    }
+    next();
+  };
+
+  return { signIn, signToken, verifyToken, authenticate, requirePermission };
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  createAuth,
+  hashPassword,
+  secretsMatch,
+  validatePassword,
+  verifyPassword,
+};
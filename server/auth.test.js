@@ -0,0 +1,454 @@
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { after, before, describe, test } = require("node:test");
+
+const {
+  createAuth,
+  hashPassword,
+  secretsMatch,
+  validatePassword,
+  verifyPassword,
+} = require("./auth");
+
+const SECRET = "test-secret";
+
+const USERS = {
+  manager: {
+    id: "user_manager",
+    username: "manager",
+    displayName: "Manager",
+    role: "retention_manager",
+  },
+  specialist: {
+    id: "user_specialist",
+    username: "specialist",
+    displayName: "Specialist",
+    role: "retention_specialist",
+  },
+};
+
+// An in-memory user store holding copies of USERS, which tests can change
+const createUserStore = async () => {
+  const passwordHash = await hashPassword("correct horse");
+  const users = new Map(
+    Object.values(USERS).map((user) => [user.id, { ...user, passwordHash }])
+  );
+  return {
+    users,
+    findByUsername: async (username) =>
+      [...users.values()].find((user) => user.username === username) || null,
+    getUser: async (id) => users.get(id) || null,
+  };
+};
+
+const segment = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const hmac = (data, secret = SECRET) =>
+  crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+// Run an Express-style middleware against a bearer token
+const runMiddleware = async (middleware, { token, user } = {}) => {
+  const req = {
+    user,
+    get: (name) =>
+      name === "Authorization" && token ? `Bearer ${token}` : undefined,
+  };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  await middleware(req, res, (error) => {
+    if (error) throw error;
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+};
+
+describe("passwords", () => {
+  test("verify against their scrypt hash", async () => {
+    const hash = await hashPassword("correct horse");
+
+    assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.equal(await verifyPassword("correct horse", hash), true);
+    assert.equal(await verifyPassword("wrong horse", hash), false);
+  });
+
+  test("are salted, so the same password hashes differently", async () => {
+    assert.notEqual(
+      await hashPassword("correct horse"),
+      await hashPassword("correct horse")
+    );
+  });
+
+  test("never match a malformed or missing hash", async () => {
+    for (const storedHash of [null, "", "plain", "bcrypt$salt$hash"]) {
+      assert.equal(await verifyPassword("correct horse", storedHash), false);
+    }
+  });
+
+  test("need at least 8 characters", () => {
+    assert.throws(() => validatePassword("short"), /at least 8 characters/);
+    assert.doesNotThrow(() => validatePassword("long enough"));
+  });
+});
+
+test("shared secrets only match exactly, and never when unset", () => {
+  assert.equal(secretsMatch("webhook", "webhook"), true);
+  assert.equal(secretsMatch("webhoo", "webhook"), false);
+  assert.equal(secretsMatch(undefined, undefined), false);
+  assert.equal(secretsMatch("", ""), false);
+});
+
+describe("tokens", () => {
+  let auth;
+  let userStore;
+
+  before(async () => {
+    userStore = await createUserStore();
+    auth = createAuth({ userStore, secret: SECRET });
+  });
+
+  test("sign in with the right password only", async () => {
+    const session = await auth.signIn("manager", "correct horse");
+
+    assert.equal(session.user.id, USERS.manager.id);
+    assert.equal(await auth.signIn("manager", "wrong horse"), null);
+    assert.equal(await auth.signIn("nobody", "correct horse"), null);
+  });
+
+  test("carry the app and Supabase claims", () => {
+    const claims = auth.verifyToken(auth.signToken(USERS.specialist));
+
+    assert.equal(claims.sub, USERS.specialist.id);
+    assert.equal(claims.app_role, "retention_specialist");
+    assert.equal(claims.display_name, "Specialist");
+    assert.equal(claims.role, "authenticated");
+    assert.equal(claims.exp - claims.iat, 12 * 60 * 60);
+  });
+
+  test("are refused with a tampered signature or payload", () => {
+    const [header, payload, signature] = auth
+      .signToken(USERS.specialist)
+      .split(".");
+    const flipped = `${signature[0] === "A" ? "B" : "A"}${signature.slice(1)}`;
+    const promoted = segment({
+      ...JSON.parse(Buffer.from(payload, "base64url")),
+      app_role: "admin",
+    });
+
+    assert.equal(auth.verifyToken(`${header}.${payload}.${flipped}`), null);
+    assert.equal(auth.verifyToken(`${header}.${promoted}.${signature}`), null);
+    assert.equal(auth.verifyToken(`${header}.${payload}`), null);
+    assert.equal(auth.verifyToken("not a token"), null);
+  });
+
+  test("are refused when signed with another secret", () => {
+    const other = createAuth({ userStore, secret: "other-secret" });
+
+    assert.equal(auth.verifyToken(other.signToken(USERS.manager)), null);
+  });
+
+  test("are refused with an alg other than HS256", () => {
+    const payload = auth.signToken(USERS.manager).split(".")[1];
+
+    for (const alg of ["none", "HS512", "RS256"]) {
+      const unsigned = `${segment({ alg, typ: "JWT" })}.${payload}`;
+      assert.equal(auth.verifyToken(`${unsigned}.${hmac(unsigned)}`), null);
+      assert.equal(auth.verifyToken(`${unsigned}.`), null);
+    }
+  });
+
+  test("expire after 12 hours", (t) => {
+    const signedAt = Date.now();
+    const token = auth.signToken(USERS.manager);
+
+    t.mock.method(Date, "now", () => signedAt + 12 * 60 * 60 * 1000 - 5000);
+    assert.ok(auth.verifyToken(token));
+
+    Date.now.mock.mockImplementation(() => signedAt + 12 * 60 * 60 * 1000);
+    assert.equal(auth.verifyToken(token), null);
+  });
+
+  test("need a secret in production", () => {
+    assert.throws(
+      () => createAuth({ userStore, requireSecret: true }),
+      /Set SUPABASE_JWT_SECRET or AUTH_SECRET/
+    );
+  });
+});
+
+describe("authenticate", () => {
+  let auth;
+  let userStore;
+
+  before(async () => {
+    userStore = await createUserStore();
+    auth = createAuth({ userStore, secret: SECRET });
+  });
+
+  test("sets the stored user for a valid token", async () => {
+    const token = auth.signToken(USERS.manager);
+    userStore.users.get(USERS.manager.id).displayName = "Renamed";
+
+    const { req, nextCalled } = await runMiddleware(auth.authenticate, {
+      token,
+    });
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.user.displayName, "Renamed");
+  });
+
+  test("refuses a missing or invalid token", async () => {
+    for (const token of [undefined, "not.a.token"]) {
+      const { res, nextCalled } = await runMiddleware(auth.authenticate, {
+        token,
+      });
+      assert.equal(nextCalled, false);
+      assert.equal(res.statusCode, 401);
+    }
+  });
+
+  test("refuses a valid token once the account is disabled", async () => {
+    const token = auth.signToken(USERS.specialist);
+    userStore.users.get(USERS.specialist.id).disabled = true;
+
+    const { res, nextCalled } = await runMiddleware(auth.authenticate, {
+      token,
+    });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, "Authentication required");
+    assert.equal(await auth.signIn("specialist", "correct horse"), null);
+  });
+
+  test("refuses a valid token once the account is deleted", async () => {
+    const token = auth.signToken(USERS.manager);
+    userStore.users.delete(USERS.manager.id);
+
+    const { res, nextCalled } = await runMiddleware(auth.authenticate, {
+      token,
+    });
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("requirePermission", () => {
+  const auth = createAuth({ userStore: {}, secret: SECRET });
+
+  test("lets a role with the permission through", async () => {
+    const { nextCalled } = await runMiddleware(
+      auth.requirePermission("actions:assign"),
+      { user: USERS.manager }
+    );
+
+    assert.equal(nextCalled, true);
+  });
+
+  test("answers 403 for a role without it", async () => {
+    const { res, nextCalled } = await runMiddleware(
+      auth.requirePermission("actions:assign"),
+      { user: USERS.specialist }
+    );
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(res.body, {
+      success: false,
+      error: "Forbidden",
+      message: "Your role does not allow actions:assign",
+    });
+  });
+});
+
+// The real server, on file stores in a temporary directory
+describe("route permissions", () => {
+  let directory;
+  let server;
+  let baseUrl;
+
+  const freePort = () =>
+    new Promise((resolve, reject) => {
+      const probe = net.createServer();
+      probe.on("error", reject);
+      probe.listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+
+  const request = async (method, route, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const signIn = async (username, password) =>
+    (await request("POST", "/api/auth/login", { body: { username, password } }))
+      .body.data.token;
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "auth-routes-"));
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    const storePath = (name) => path.join(directory, `${name}.json`);
+    server = spawn(
+      process.execPath,
+      [
+        "--disable-warning=MODULE_TYPELESS_PACKAGE_JSON",
+        path.join(__dirname, "server.js"),
+      ],
+      {
+        cwd: directory,
+        env: {
+          PATH: process.env.PATH,
+          NODE_ENV: "test",
+          PORT: String(port),
+          AUTH_SECRET: SECRET,
+          ADMIN_USERNAME: "admin",
+          ADMIN_PASSWORD: "admin password",
+          JOB_POLL_INTERVAL_MS: "600000",
+          ACTION_STORE_PATH: storePath("actions"),
+          USER_STORE_PATH: storePath("users"),
+          JOB_STORE_PATH: storePath("jobs"),
+          TEMPLATE_STORE_PATH: storePath("templates"),
+          EMAIL_LOG_STORE_PATH: storePath("email-log"),
+          DIGEST_STORE_PATH: storePath("digests"),
+          SMS_STORE_PATH: storePath("sms"),
+          CONTACT_STORE_PATH: storePath("contacts"),
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+      }
+    );
+
+    let output = "";
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => reject(new Error(`Server did not start:\n${output}`)),
+        20000
+      );
+      const onData = (chunk) => {
+        output += chunk;
+        if (output.includes("Server running")) {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+      server.stdout.on("data", onData);
+      server.stderr.on("data", onData);
+      server.on("exit", (code) => {
+        clearTimeout(timer);
+        reject(new Error(`Server exited with ${code}:\n${output}`));
+      });
+    });
+  });
+
+  after(() => {
+    server?.kill();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test("a specialist can work their action but not reassign it", async () => {
+    const admin = await signIn("admin", "admin password");
+    await request("POST", "/api/users", {
+      token: admin,
+      body: {
+        username: "specialist",
+        password: "correct horse",
+        displayName: "Specialist",
+        role: "retention_specialist",
+      },
+    });
+    const created = await request("POST", "/api/actions", {
+      token: admin,
+      body: {
+        type: "nsf_notice",
+        title: "Call the agent",
+        description: "Premium payment returned",
+        priority: "high",
+        dueDate: "2026-11-01",
+        assignedTo: "Specialist",
+      },
+    });
+    const actionId = created.body.data.id;
+    const specialist = await signIn("specialist", "correct horse");
+
+    const reassigned = await request("PUT", `/api/actions/${actionId}`, {
+      token: specialist,
+      body: { assignedTo: "Someone Else" },
+    });
+    const worked = await request("PUT", `/api/actions/${actionId}`, {
+      token: specialist,
+      body: { status: "in_progress" },
+    });
+
+    assert.equal(reassigned.status, 403);
+    assert.equal(
+      reassigned.body.message,
+      "Your role does not allow actions:assign"
+    );
+    assert.equal(worked.status, 200);
+    assert.equal(worked.body.data.assignedTo, "Specialist");
+  });
+
+  test("routes in the permission table answer 403 without it", async () => {
+    const specialist = await signIn("specialist", "correct horse");
+
+    for (const [method, route] of [
+      ["GET", "/api/users"],
+      ["POST", "/api/actions"],
+      ["GET", "/api/email/log"],
+      ["GET", "/api/jobs"],
+    ]) {
+      const { status, body } = await request(method, route, {
+        token: specialist,
+        body: method === "POST" ? {} : undefined,
+      });
+      assert.equal(status, 403, `${method} ${route}`);
+      assert.equal(body.error, "Forbidden");
+    }
+  });
+
+  test("a disabled account's token stops working at once", async () => {
+    const admin = await signIn("admin", "admin password");
+    const specialist = await signIn("specialist", "correct horse");
+    const users = await request("GET", "/api/users", { token: admin });
+    const { id } = users.body.data.find(
+      (user) => user.username === "specialist"
+    );
+
+    await request("PUT", `/api/users/${id}`, {
+      token: admin,
+      body: { disabled: true },
+    });
+
+    const { status } = await request("GET", "/api/auth/me", {
+      token: specialist,
+    });
+    assert.equal(status, 401);
+  });
+});
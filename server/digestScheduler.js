@@ -0,0 +1,74 @@
+/**
+ * Scheduled management digests
+ * Polls the digest store for schedules that are due and hands each one to
+ * sendDigest, which builds the digest and queues the email. A schedule is
+ * claimed (its nextRunAt moved on) before it is sent, so a failed send waits
+ * for the next run instead of retrying every poll; the outcome is recorded
+ * on the schedule.
+ */
+
+/**
+ * @param {Object} options
+ * @param {Object} options.store - Digest store (see stores/digestStore.js)
+ * @param {Function} options.sendDigest - async (schedule, actor) => job
+ * @param {number} [options.intervalMs=60000] - Poll interval
+ * @returns {Object} { start, stop, runDueDigests, sendNow }
+ */
+const createDigestScheduler = ({ store, sendDigest, intervalMs = 60000 }) => {
+  let timer = null;
+  let running = false;
+
+  /**
+   * Send a schedule's digest and note how it went on the schedule; errors
+   * are recorded, not thrown. Sending outside the schedule leaves its next
+   * run where it was.
+   * @returns {Promise<Object>} { job, error }
+   */
+  const sendNow = async (schedule, actor) => {
+    try {
+      const job = await sendDigest(schedule, actor);
+      await store.recordRun(schedule.id, {
+        sentAt: new Date().toISOString(),
+        jobId: job.id,
+      });
+      console.log(`📊 Digest "${schedule.name}" queued as job ${job.id}`);
+      return { job, error: null };
+    } catch (error) {
+      console.error(`❌ Digest "${schedule.name}" failed: ${error.message}`);
+      await store.recordRun(schedule.id, { error: error.message });
+      return { job: null, error };
+    }
+  };
+
+  const runDueDigests = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const due = await store.claimDueSchedules(new Date());
+      for (const schedule of due) {
+        await sendNow(schedule, "scheduler");
+      }
+    } catch (error) {
+      console.error(`❌ Digest scheduler pass failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(runDueDigests, intervalMs);
+    runDueDigests();
+    console.log(`📊 Digest scheduler polling every ${intervalMs}ms`);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, runDueDigests, sendNow };
+};
+
+module.exports = { createDigestScheduler };
@@ -0,0 +1,658 @@
+/**
+ * Email template types
+ * Each type the server can send, with who receives it and the data it
+ * needs. The wording lives in the template store (see
+ * stores/templateStore.js) so managers can edit it; the subject, html and
+ * text here are the version 1 defaults it is seeded with. Content uses the
+ * merge fields in src/utils/mergeFields.js.
+ */
+
+const {
+  buildMergeData,
+  renderTemplate,
+} = require("../src/utils/mergeFields.js");
+
+const getDashboardUrl = () =>
+  process.env.FRONTEND_URL || "http://localhost:3000";
+
+const invalidEmail = (message) => {
+  const error = new Error(message);
+  error.code = "invalid_email";
+  return error;
+};
+
+const TEMPLATES = {
+  agent_training: {
+    name: "Agent Training Required",
+    description: "Asks an agent's manager to schedule NSF training",
+    requiredFields: ["agentName", "nsfCount"],
+    recipient: (data) => data.managerEmail || process.env.DEFAULT_MANAGER_EMAIL,
+    sampleData: {
+      agentName: "Jordan Smith",
+      nsfCount: 6,
+      totalPremium: 18450,
+      dueDate: "2026-01-15T00:00:00.000Z",
+      policies: ["GTL100231", "GTL100318", "GTL100422"],
+    },
+    subject:
+      "🚨 Agent Training Required: {{agentName}} - {{nsfCount}} NSF Policies",
+    html: `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .header { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+    .content { padding: 20px; }
+    .alert { background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
+    .policy-list { background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 10px 0; }
+    .button { background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px 0; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2>🚨 Agent Training Required - High NSF Activity</h2>
+  </div>
+
+  <div class="content">
+    <p>Dear Manager,</p>
+
+    <div class="alert">
+      <strong>Alert:</strong> Agent <strong>{{agentName}}</strong> has generated <strong>{{nsfCount}}</strong> NSF policies in the last 30 days, exceeding our threshold for additional training.
+      {{#if totalPremium}}<p>Total Premium Impact: {{currency totalPremium}}</p>{{/if}}
+    </div>
+
+    <h3>Recommended Actions:</h3>
+    <ul>
+      <li>Schedule one-on-one training session with {{agentName}}</li>
+      <li>Review policy application process and verification procedures</li>
+      <li>Analyze customer qualification criteria being used</li>
+      <li>Implement additional verification steps if necessary</li>
+    </ul>
+
+    <div class="policy-list">
+      <h4>Affected Policies ({{policyCount}} total):</h4>
+      {{#each topPolicies}}<div>• {{policyNumber}}</div>{{/each}}
+      {{#if morePolicyCount}}<div><em>... and {{morePolicyCount}} more policies</em></div>{{/if}}
+    </div>
+
+    <p>Please take action {{#if dueDate}}by {{date dueDate}}{{else}}within 7 days{{/if}} to address this pattern and prevent future NSF issues.</p>
+
+    <a href="{{dashboardUrl}}/actions" class="button">View Action Details</a>
+
+    <p>Best regards,<br>Policy Persistency Tracker System</p>
+  </div>
+</body>
+</html>
+`,
+    text: `AGENT TRAINING REQUIRED - HIGH NSF ACTIVITY
+
+Dear Manager,
+
+Agent {{agentName}} has generated {{nsfCount}} NSF policies in the last 30 days, exceeding our threshold for additional training.
+{{#if totalPremium}}Total Premium Impact: {{currency totalPremium}}{{/if}}
+
+Recommended Actions:
+- Schedule one-on-one training session with {{agentName}}
+- Review policy application process and verification procedures
+- Analyze customer qualification criteria being used
+- Implement additional verification steps if necessary
+
+Affected Policies ({{policyCount}} total):
+{{#each topPolicies}}- {{policyNumber}}
+{{/each}}{{#if morePolicyCount}}... and {{morePolicyCount}} more policies
+{{/if}}
+Please take action {{#if dueDate}}by {{date dueDate}}{{else}}within 7 days{{/if}} to address this pattern.
+
+View details: {{dashboardUrl}}/actions
+
+Best regards,
+Policy Persistency Tracker System
+`,
+  },
+
+  high_value_alert: {
+    name: "High-Value Policy Alert",
+    description: "Flags a single high-premium policy that lapsed",
+    requiredFields: ["policyNumber", "premium"],
+    recipient: () =>
+      process.env.RECOVERY_TEAM_EMAIL || process.env.DEFAULT_MANAGER_EMAIL,
+    sampleData: {
+      policyNumber: "GTL204518",
+      premium: 12600,
+      duration: 94,
+      agent: "Jordan Smith",
+      reason: "Insufficient funds",
+      state: "TX",
+    },
+    subject:
+      "🚨 High-Value Policy Alert - {{policyNumber}} ({{currency premium}})",
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #dc2626; border-bottom: 2px solid #dc2626; padding-bottom: 10px;">
+    🚨 High-Value Policy Lapse Alert
+  </h2>
+
+  <div style="background-color: #fee2e2; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="color: #991b1b; margin-top: 0;">Policy Details</h3>
+    <table style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <td style="padding: 5px 0; font-weight: bold;">Policy Number:</td>
+        <td style="padding: 5px 0;">{{policyNumber}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 5px 0; font-weight: bold;">Annual Premium:</td>
+        <td style="padding: 5px 0; color: #dc2626; font-weight: bold;">{{currency premium}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 5px 0; font-weight: bold;">Duration:</td>
+        <td style="padding: 5px 0;">{{duration}} days</td>
+      </tr>
+      <tr>
+        <td style="padding: 5px 0; font-weight: bold;">Agent:</td>
+        <td style="padding: 5px 0;">{{agent}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 5px 0; font-weight: bold;">NSF Reason:</td>
+        <td style="padding: 5px 0;">{{reason}}</td>
+      </tr>
+      <tr>
+        <td style="padding: 5px 0; font-weight: bold;">Issue State:</td>
+        <td style="padding: 5px 0;">{{state}}</td>
+      </tr>
+    </table>
+  </div>
+
+  <p><strong>IMMEDIATE ACTION REQUIRED:</strong> This high-value policy requires immediate
+  attention for potential recovery or process improvement analysis.</p>
+
+  <div style="background-color: #dbeafe; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h4 style="color: #1e40af; margin-top: 0;">🎯 Next Steps</h4>
+    <ol style="margin: 0;">
+      <li>Review agent performance and training needs</li>
+      <li>Analyze payment method used and failure reason</li>
+      <li>Consider policy recovery outreach</li>
+      <li>Update underwriting guidelines if needed</li>
+    </ol>
+  </div>
+
+  <p>This alert was generated automatically by the Policy Persistency Tracker system.</p>
+
+  <p>Best regards,<br>
+  <strong>Risk Management Team</strong></p>
+</div>
+`,
+    text: `HIGH-VALUE POLICY LAPSE ALERT
+
+Policy Details:
+- Policy Number: {{policyNumber}}
+- Annual Premium: {{currency premium}}
+- Duration: {{duration}} days
+- Agent: {{agent}}
+- NSF Reason: {{reason}}
+- Issue State: {{state}}
+
+IMMEDIATE ACTION REQUIRED: This high-value policy requires immediate attention for potential recovery or process improvement analysis.
+
+Best regards,
+Risk Management Team
+`,
+  },
+
+  high_value_recovery: {
+    name: "High-Value Recovery Alert",
+    description: "Starts a recovery campaign for a state's lapsed policies",
+    requiredFields: ["state", "policyCount", "totalPremium"],
+    recipient: () =>
+      process.env.RECOVERY_TEAM_EMAIL || process.env.DEFAULT_MANAGER_EMAIL,
+    sampleData: {
+      state: "TX",
+      totalPremium: 64200,
+      dueDate: "2026-01-11T00:00:00.000Z",
+      policies: [
+        {
+          policyNumber: "GTL204518",
+          premium: 12600,
+          product: "Whole Life",
+          daysSinceLapse: 12,
+        },
+        {
+          policyNumber: "GTL204977",
+          premium: 9800,
+          product: "Final Expense",
+          daysSinceLapse: 21,
+        },
+      ],
+    },
+    subject:
+      "💰 HIGH-VALUE RECOVERY ALERT: {{state}} - {{currency totalPremium}} at Risk",
+    html: `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .header { background-color: #dc3545; color: white; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
+    .content { padding: 20px; }
+    .highlight { background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
+    .policy-table { width: 100%; border-collapse: collapse; margin: 15px 0; }
+    .policy-table th, .policy-table td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+    .policy-table th { background-color: #f2f2f2; }
+    .button { background-color: #dc3545; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px 0; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h2>💰 High-Value Recovery Alert - Immediate Action Required</h2>
+  </div>
+
+  <div class="content">
+    <p>Dear Recovery Team,</p>
+
+    <div class="highlight">
+      <h3>High-Value Policies Requiring Immediate Attention</h3>
+      <ul>
+        <li><strong>State:</strong> {{state}}</li>
+        <li><strong>Policy Count:</strong> {{policyCount}}</li>
+        <li><strong>Total Premium Value:</strong> {{currency totalPremium}}</li>
+        <li><strong>Estimated Recovery Potential:</strong> {{currency estimatedRecovery}}</li>
+      </ul>
+    </div>
+
+    <h3>Recommended Recovery Actions:</h3>
+    <ul>
+      <li>🔥 Priority outbound calling campaign (within 24 hours)</li>
+      <li>💰 Personalized retention offers based on policy value</li>
+      <li>📋 Flexible payment plan options</li>
+      <li>📧 Direct mail with incentives for high-value policies</li>
+    </ul>
+
+    {{#if topPolicies}}
+    <h3>Top Priority Policies:</h3>
+    <table class="policy-table">
+      <thead>
+        <tr>
+          <th>Policy Number</th>
+          <th>Premium</th>
+          <th>Product</th>
+          <th>Days Since Lapse</th>
+        </tr>
+      </thead>
+      <tbody>
+        {{#each topPolicies}}
+        <tr>
+          <td>{{policyNumber}}</td>
+          <td>{{currency premium}}</td>
+          <td>{{product}}</td>
+          <td>{{daysSinceLapse}}</td>
+        </tr>
+        {{/each}}
+      </tbody>
+    </table>
+    {{#if morePolicyCount}}<p><em>... and {{morePolicyCount}} additional policies</em></p>{{/if}}
+    {{/if}}
+
+    <p><strong>⏰ Time Sensitivity:</strong> These policies require immediate action {{#if dueDate}}by {{date dueDate}}{{else}}within 3 days{{/if}} to maximize recovery potential.</p>
+
+    <a href="{{dashboardUrl}}/actions" class="button">Start Recovery Campaign</a>
+
+    <p>Best regards,<br>Policy Persistency Tracker System</p>
+  </div>
+</body>
+</html>
+`,
+    text: `HIGH-VALUE RECOVERY ALERT - IMMEDIATE ACTION REQUIRED
+
+Dear Recovery Team,
+
+High-Value Policies Requiring Immediate Attention:
+- State: {{state}}
+- Policy Count: {{policyCount}}
+- Total Premium Value: {{currency totalPremium}}
+- Estimated Recovery Potential: {{currency estimatedRecovery}}
+
+Recommended Recovery Actions:
+- Priority outbound calling campaign (within 24 hours)
+- Personalized retention offers based on policy value
+- Flexible payment plan options
+- Direct mail with incentives for high-value policies
+
+Time Sensitivity: These policies require immediate action {{#if dueDate}}by {{date dueDate}}{{else}}within 3 days{{/if}} to maximize recovery potential.
+
+View details: {{dashboardUrl}}/actions
+
+Best regards,
+Policy Persistency Tracker System
+`,
+  },
+
+  product_analysis: {
+    name: "Product Performance Alert",
+    description: "Asks for a review of a product line with many NSF cases",
+    requiredFields: ["product", "count"],
+    recipient: () => process.env.DEFAULT_MANAGER_EMAIL,
+    sampleData: {
+      product: "Final Expense",
+      count: 18,
+      topReason: "Insufficient funds",
+      dueDate: "2026-01-22T00:00:00.000Z",
+    },
+    subject: "📊 Product Performance Alert - {{product}} ({{count}} NSF cases)",
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c2d12; border-bottom: 2px solid #7c2d12; padding-bottom: 10px;">
+    📊 Product Performance Analysis Required
+  </h2>
+
+  <p>Our analysis has identified a concerning trend with the <strong>{{product}}</strong> product line.</p>
+
+  <div style="background-color: #fed7aa; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="color: #9a3412; margin-top: 0;">📈 Performance Metrics</h3>
+    <ul style="margin: 0;">
+      <li><strong>Total NSF Cases:</strong> {{count}}</li>
+      {{#if topReason}}<li><strong>Top NSF Reason:</strong> {{topReason}}</li>{{/if}}
+      <li><strong>Analysis Period:</strong> Last 90 days</li>
+    </ul>
+  </div>
+
+  <p>This product line has exceeded the threshold for NSF cases and requires immediate analysis.</p>
+
+  <div style="background-color: #ecfdf5; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h4 style="color: #065f46; margin-top: 0;">🔍 Recommended Analysis Areas</h4>
+    <ol style="margin: 0;">
+      <li><strong>Underwriting Guidelines:</strong> Review current underwriting criteria</li>
+      <li><strong>Premium Structure:</strong> Analyze pricing vs. risk factors</li>
+      <li><strong>Payment Methods:</strong> Evaluate accepted payment types</li>
+      <li><strong>Agent Training:</strong> Product-specific training needs</li>
+      <li><strong>Customer Demographics:</strong> Target market analysis</li>
+    </ol>
+  </div>
+
+  <p>Please coordinate with the product development team to schedule a comprehensive review
+  {{#if dueDate}}by {{date dueDate}}{{else}}within the next 10 business days{{/if}}.</p>
+
+  <p>Best regards,<br>
+  <strong>Product Analytics Team</strong></p>
+</div>
+`,
+    text: `PRODUCT PERFORMANCE ANALYSIS REQUIRED
+
+Product: {{product}}
+Total NSF Cases: {{count}}
+{{#if topReason}}Top NSF Reason: {{topReason}}{{/if}}
+
+This product line has exceeded the threshold for NSF cases and requires immediate analysis.
+
+Recommended Analysis Areas:
+1. Underwriting Guidelines
+2. Premium Structure
+3. Payment Methods
+4. Agent Training
+5. Customer Demographics
+
+Please coordinate with the product development team for a comprehensive review{{#if dueDate}} by {{date dueDate}}{{/if}}.
+
+Best regards,
+Product Analytics Team
+`,
+  },
+
+  seasonal_alert: {
+    name: "Seasonal Risk Alert",
+    description: "Warns of a seasonal NSF pattern before it peaks",
+    requiredFields: ["season"],
+    recipient: () => process.env.DEFAULT_MANAGER_EMAIL,
+    sampleData: {
+      season: "December",
+      expectedIncrease: 22,
+      historicalPattern: "NSF rates rise after holiday spending",
+    },
+    subject: "📅 Seasonal Risk Alert - {{season}} Pattern Detected",
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c2d12; border-bottom: 2px solid #7c2d12; padding-bottom: 10px;">
+    📅 Seasonal Risk Pattern Alert
+  </h2>
+
+  <p>Our trending analysis has detected a seasonal risk pattern for <strong>{{season}}</strong>.</p>
+
+  <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="color: #92400e; margin-top: 0;">📊 Pattern Details</h3>
+    <ul style="margin: 0;">
+      <li><strong>Risk Period:</strong> {{season}}</li>
+      {{#if expectedIncrease}}<li><strong>Expected Increase:</strong> {{expectedIncrease}}%</li>{{/if}}
+      {{#if historicalPattern}}<li><strong>Historical Pattern:</strong> {{historicalPattern}}</li>{{/if}}
+    </ul>
+  </div>
+
+  <div style="background-color: #dbeafe; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h4 style="color: #1e40af; margin-top: 0;">🛡️ Preventive Measures</h4>
+    <ol style="margin: 0;">
+      <li><strong>Enhanced Screening:</strong> Implement stricter underwriting during this period</li>
+      <li><strong>Payment Reminders:</strong> Increase proactive payment reminder frequency</li>
+      <li><strong>Agent Alerts:</strong> Notify agents about seasonal risk factors</li>
+      <li><strong>Premium Adjustments:</strong> Consider temporary premium modifications</li>
+    </ol>
+  </div>
+
+  <p>This alert is based on historical NSF data patterns and machine learning predictions.</p>
+
+  <p>Best regards,<br>
+  <strong>Predictive Analytics Team</strong></p>
+</div>
+`,
+    text: `SEASONAL RISK PATTERN ALERT
+
+Risk Period: {{season}}
+{{#if expectedIncrease}}Expected Increase: {{expectedIncrease}}%{{/if}}
+{{#if historicalPattern}}Historical Pattern: {{historicalPattern}}{{/if}}
+
+Preventive Measures:
+1. Enhanced Screening
+2. Payment Reminders
+3. Agent Alerts
+4. Premium Adjustments
+
+This alert is based on historical NSF data patterns and ML predictions.
+
+Best regards,
+Predictive Analytics Team
+`,
+  },
+
+  management_digest: {
+    name: "Management Digest",
+    description:
+      "Scheduled daily or weekly summary of lapses, overdue tasks and high-risk agents",
+    requiredFields: ["periodLabel"],
+    recipient: () => process.env.DEFAULT_MANAGER_EMAIL,
+    sampleData: {
+      periodLabel: "Weekly",
+      periodStart: "2026-01-05T08:00:00.000Z",
+      periodEnd: "2026-01-12T08:00:00.000Z",
+      newNsfCount: 14,
+      newCancellationCount: 9,
+      newPremiumAtRisk: 21350,
+      premiumAtRisk: 184200,
+      openLapseCount: 212,
+      overdueTaskCount: 7,
+      overdueTasks: [
+        { assignee: "Alex Rivera", count: 4, premium: 9800 },
+        { assignee: "Priya Patel", count: 3, premium: 4150 },
+      ],
+      highRiskAgents: [
+        {
+          agent: "Jordan Smith",
+          riskScore: "27.0",
+          nsfCount: 8,
+          cancellationCount: 2,
+          retentionScore: "61.5",
+        },
+      ],
+      weekOverWeek: [
+        { metric: "New NSF", thisWeek: 14, lastWeek: 10, change: "+40%" },
+        {
+          metric: "New cancellations",
+          thisWeek: 9,
+          lastWeek: 12,
+          change: "-25%",
+        },
+        {
+          metric: "New premium at risk",
+          thisWeek: 21350,
+          lastWeek: 19800,
+          isPremium: true,
+          change: "+8%",
+        },
+      ],
+    },
+    subject:
+      "📊 {{periodLabel}} Retention Digest: {{newNsfCount}} NSF, {{newCancellationCount}} Cancellations",
+    html: `<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #1e3a8a; border-bottom: 2px solid #1e3a8a; padding-bottom: 10px;">
+    📊 {{periodLabel}} Retention Digest
+  </h2>
+
+  <p>{{date periodStart}} to {{date periodEnd}}</p>
+
+  <div style="background-color: #eff6ff; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="color: #1e40af; margin-top: 0;">New This Period</h3>
+    <ul style="margin: 0;">
+      <li><strong>NSF:</strong> {{number newNsfCount}}</li>
+      <li><strong>Cancellations:</strong> {{number newCancellationCount}}</li>
+      <li><strong>New Premium at Risk:</strong> {{currency newPremiumAtRisk}}</li>
+      <li><strong>Total Premium at Risk:</strong> {{currency premiumAtRisk}} across {{number openLapseCount}} open lapses</li>
+    </ul>
+  </div>
+
+  <h3 style="color: #1e40af;">Week over Week</h3>
+  <table style="width: 100%; border-collapse: collapse;">
+    <tr style="background-color: #f3f4f6;">
+      <th style="text-align: left; padding: 6px;"></th>
+      <th style="text-align: right; padding: 6px;">This Week</th>
+      <th style="text-align: right; padding: 6px;">Last Week</th>
+      <th style="text-align: right; padding: 6px;">Change</th>
+    </tr>
+    {{#each weekOverWeek}}<tr>
+      <td style="padding: 6px;">{{metric}}</td>
+      <td style="text-align: right; padding: 6px;">{{#if isPremium}}{{currency thisWeek}}{{else}}{{number thisWeek}}{{/if}}</td>
+      <td style="text-align: right; padding: 6px;">{{#if isPremium}}{{currency lastWeek}}{{else}}{{number lastWeek}}{{/if}}</td>
+      <td style="text-align: right; padding: 6px;">{{change}}</td>
+    </tr>{{/each}}
+  </table>
+
+  <div style="background-color: #fef2f2; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="color: #991b1b; margin-top: 0;">⏰ Overdue Retention Tasks ({{overdueTaskCount}})</h3>
+    {{#if overdueTasks}}<ul style="margin: 0;">
+      {{#each overdueTasks}}<li><strong>{{assignee}}:</strong> {{count}} overdue ({{currency premium}} premium)</li>{{/each}}
+    </ul>{{else}}<p style="margin: 0;">No overdue tasks. 🎉</p>{{/if}}
+  </div>
+
+  <div style="background-color: #fff7ed; padding: 15px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="color: #9a3412; margin-top: 0;">⚠️ High-Risk Agents</h3>
+    {{#if highRiskAgents}}<ul style="margin: 0;">
+      {{#each highRiskAgents}}<li><strong>{{agent}}</strong>: risk score {{riskScore}} ({{nsfCount}} NSF, {{cancellationCount}} cancellations, {{retentionScore}}% retention)</li>{{/each}}
+    </ul>{{else}}<p style="margin: 0;">No agents above the risk threshold.</p>{{/if}}
+  </div>
+
+  <p><a href="{{dashboardUrl}}" style="background-color: #1e40af; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Open Dashboard</a></p>
+</div>
+`,
+    text: `{{periodLabel}} RETENTION DIGEST
+{{date periodStart}} to {{date periodEnd}}
+
+New This Period:
+- NSF: {{number newNsfCount}}
+- Cancellations: {{number newCancellationCount}}
+- New Premium at Risk: {{currency newPremiumAtRisk}}
+- Total Premium at Risk: {{currency premiumAtRisk}} across {{number openLapseCount}} open lapses
+
+Week over Week (this week / last week):
+{{#each weekOverWeek}}- {{metric}}: {{#if isPremium}}{{currency thisWeek}} / {{currency lastWeek}}{{else}}{{number thisWeek}} / {{number lastWeek}}{{/if}} ({{change}})
+{{/each}}
+Overdue Retention Tasks ({{overdueTaskCount}}):
+{{#each overdueTasks}}- {{assignee}}: {{count}} overdue ({{currency premium}} premium)
+{{/each}}{{#if overdueTasks}}{{else}}None
+{{/if}}
+High-Risk Agents:
+{{#each highRiskAgents}}- {{agent}}: risk score {{riskScore}} ({{nsfCount}} NSF, {{cancellationCount}} cancellations)
+{{/each}}{{#if highRiskAgents}}{{else}}None
+{{/if}}
+Dashboard: {{dashboardUrl}}
+`,
+  },
+};
+
+const isEmailTemplate = (type) =>
+  Object.prototype.hasOwnProperty.call(TEMPLATES, type);
+
+// Template types with what each needs, for GET /api/email/templates
+const listEmailTemplates = () =>
+  Object.entries(TEMPLATES).map(
+    ([type, { name, description, requiredFields, sampleData }]) => ({
+      type,
+      name,
+      description,
+      requiredFields,
+      sampleData,
+    })
+  );
+
+// Version 1 of every template, for seeding the template store
+const getDefaultTemplates = () =>
+  Object.entries(TEMPLATES).map(([type, { subject, html, text }]) => ({
+    type,
+    subject,
+    html,
+    text,
+  }));
+
+/**
+ * Render a stored template into a message ready for sendEmail
+ * @param {string} type - Key of TEMPLATES
+ * @param {Object} data - Action or email data (see buildMergeData)
+ * @param {Object} recipients - to, cc, bcc; to defaults to the template's
+ *   usual recipient (from the data or the environment)
+ * @param {Object} content - { subject, html, text } from the template store
+ * @returns {Object} { to, cc, bcc, subject, html, text }
+ * @throws {Error} code "invalid_email" for an unknown type, missing fields
+ *   or no recipient
+ */
+const renderEmail = (type, data = {}, { to, cc, bcc } = {}, content) => {
+  if (!isEmailTemplate(type)) {
+    throw invalidEmail(`Unknown email template: ${type}`);
+  }
+
+  const template = TEMPLATES[type];
+  const values = buildMergeData(data, { dashboardUrl: getDashboardUrl() });
+  const missing = template.requiredFields.filter(
+    (field) =>
+      values[field] === undefined ||
+      values[field] === null ||
+      values[field] === ""
+  );
+  if (missing.length > 0) {
+    throw invalidEmail(
+      `Missing fields for ${type} email: ${missing.join(", ")}`
+    );
+  }
+
+  const recipient = to || template.recipient(values);
+  if (!recipient) {
+    throw invalidEmail(
+      `No recipient for ${type} email: pass "to" or set DEFAULT_MANAGER_EMAIL`
+    );
+  }
+
+  return {
+    to: recipient,
+    cc,
+    bcc,
+    subject: renderTemplate(content.subject, values).trim(),
+    html: renderTemplate(content.html, values, { escape: true }),
+    text: renderTemplate(content.text, values),
+  };
+};
+
+module.exports = {
+  getDefaultTemplates,
+  invalidEmail,
+  isEmailTemplate,
+  listEmailTemplates,
+  renderEmail,
+};
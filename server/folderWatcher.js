@@ -0,0 +1,239 @@
+/**
+ * Watched-folder auto-ingest for carrier drops
+ * Polls a local directory for CSV files, imports each one through the shared
+ * policy import, then moves it into processed/ or failed/. Files are
+ * checksummed so a re-delivered drop isn't imported twice.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { importFile, loadProfiles } = require("./policyImport");
+
+const PROCESSED_DIR = "processed";
+const FAILED_DIR = "failed";
+
+// Checksums and recent results, kept in the watched folder across restarts
+const STATE_FILE = ".ingest-state.json";
+
+// Results kept for the status endpoint
+const HISTORY_LIMIT = 50;
+
+const checksumFile = (file) =>
+  crypto.createHash("sha256").update(fs.readFileSync(file)).digest("hex");
+
+const readState = (stateFile) => {
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+    return {
+      checksums: state.checksums || {},
+      history: state.history || [],
+      lastIngestAt: state.lastIngestAt || null,
+    };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`⚠️ Ignoring unreadable ingest state: ${error.message}`);
+    }
+    return { checksums: {}, history: [], lastIngestAt: null };
+  }
+};
+
+// Move a file into a subfolder without overwriting an earlier file of the same name
+const moveFile = (file, targetDir) => {
+  fs.mkdirSync(targetDir, { recursive: true });
+  let target = path.join(targetDir, path.basename(file));
+  if (fs.existsSync(target)) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    target = path.join(targetDir, `${stamp}-${path.basename(file)}`);
+  }
+  fs.renameSync(file, target);
+  return target;
+};
+
+/**
+ * Create a watcher for one directory
+ * @param {Object} options
+ * @param {string} options.directory - Folder carriers drop CSV files into
+ * @param {Object} options.database - DatabaseService
+ * @param {number} [options.intervalMs=60000] - Poll interval
+ * @param {string|null} [options.type] - Force nsf or cancellation instead of detecting
+ * @returns {Object} { start, stop, scan, getStatus }
+ */
+const createFolderWatcher = ({
+  directory,
+  database,
+  intervalMs = 60000,
+  type = null,
+}) => {
+  const root = path.resolve(directory);
+  const stateFile = path.join(root, STATE_FILE);
+  const state = readState(stateFile);
+
+  // Size and mtime seen on the previous poll; a file is only picked up once
+  // they stop changing, so half-copied drops are left alone
+  const pending = new Map();
+
+  let timer = null;
+  let scanning = false;
+  let lastScanAt = null;
+  let lastError = null;
+
+  const saveState = () => {
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+  };
+
+  const record = (entry) => {
+    state.history = [entry, ...state.history].slice(0, HISTORY_LIMIT);
+    if (entry.status === "completed") {
+      state.lastIngestAt = entry.ingestedAt;
+      state.checksums[entry.checksum] = {
+        fileName: entry.fileName,
+        uploadId: entry.uploadId,
+        ingestedAt: entry.ingestedAt,
+      };
+    }
+    saveState();
+  };
+
+  const listReadyFiles = () => {
+    const ready = [];
+    const seen = new Set();
+
+    fs.readdirSync(root)
+      .filter((name) => name.toLowerCase().endsWith(".csv"))
+      .sort()
+      .forEach((name) => {
+        const file = path.join(root, name);
+        const stats = fs.statSync(file);
+        if (!stats.isFile()) return;
+
+        seen.add(file);
+        const signature = `${stats.size}:${stats.mtimeMs}`;
+        if (pending.get(file) === signature) {
+          ready.push(file);
+        } else {
+          pending.set(file, signature);
+        }
+      });
+
+    // Forget files that disappeared between polls
+    [...pending.keys()]
+      .filter((file) => !seen.has(file))
+      .forEach((file) => pending.delete(file));
+
+    return ready;
+  };
+
+  const ingest = async (file, profiles) => {
+    const fileName = path.basename(file);
+    const checksum = checksumFile(file);
+    const entry = {
+      fileName,
+      checksum,
+      status: null,
+      dataType: null,
+      summary: null,
+      counts: null,
+      uploadId: null,
+      error: null,
+      ingestedAt: new Date().toISOString(),
+    };
+
+    const previous = state.checksums[checksum];
+    if (previous) {
+      entry.status = "duplicate";
+      entry.uploadId = previous.uploadId;
+      moveFile(file, path.join(root, PROCESSED_DIR));
+      console.log(
+        `⏭️ ${fileName} matches ${previous.fileName} (already imported), skipped`
+      );
+    } else {
+      try {
+        const result = await importFile(file, { type }, database, profiles);
+        Object.assign(entry, {
+          status: "completed",
+          dataType: result.dataType,
+          summary: result.summary,
+          counts: result.counts,
+          uploadId: result.uploadId,
+        });
+        moveFile(file, path.join(root, PROCESSED_DIR));
+        console.log(
+          `✅ Auto-ingested ${fileName}: ${result.summary.accepted} accepted, ${result.summary.rejected} rejected`
+        );
+      } catch (error) {
+        entry.status = "failed";
+        entry.error = error.message;
+        moveFile(file, path.join(root, FAILED_DIR));
+        console.error(
+          `❌ Auto-ingest failed for ${fileName}: ${error.message}`
+        );
+      }
+    }
+
+    pending.delete(file);
+    record(entry);
+    return entry;
+  };
+
+  /**
+   * Poll the folder once, importing files that have finished arriving
+   * @returns {Promise<Array>} Results for the files handled on this pass
+   */
+  const scan = async () => {
+    if (scanning) return [];
+    scanning = true;
+
+    try {
+      const files = listReadyFiles();
+      const results = [];
+      if (files.length > 0) {
+        // Reloaded per pass so newly saved mapping profiles apply
+        const profiles = await loadProfiles(database);
+        for (const file of files) {
+          results.push(await ingest(file, profiles));
+        }
+      }
+      lastError = null;
+      return results;
+    } catch (error) {
+      lastError = error.message;
+      console.error(`❌ Watched folder scan failed: ${error.message}`);
+      return [];
+    } finally {
+      lastScanAt = new Date().toISOString();
+      scanning = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) return;
+    fs.mkdirSync(root, { recursive: true });
+    timer = setInterval(scan, intervalMs);
+    scan();
+    console.log(`👀 Watching ${root} for policy CSVs every ${intervalMs}ms`);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const getStatus = () => {
+    return {
+      enabled: true,
+      directory: root,
+      intervalMs,
+      scanning,
+      lastScanAt,
+      lastError,
+      lastIngestAt: state.lastIngestAt,
+      pendingFiles: pending.size,
+      recent: state.history,
+    };
+  };
+
+  return { start, stop, scan, getStatus };
+};
+
+module.exports = { createFolderWatcher };
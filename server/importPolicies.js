@@ -0,0 +1,161 @@
+/**
+ * Command-line policy importer for scheduled carrier drops
+ * Imports NSF and cancellation CSVs from a file or a directory with the same
+ * ingestion code as the browser upload flow, recording each file in
+ * file_uploads so it shows up (and can be rolled back) in the Uploads view.
+ *
+ * Usage: npm run import:policies -- <file-or-directory> [--type nsf|cancellation] [--dry-run]
+ *
+ * Exit codes: 0 everything imported, 1 a file failed, 2 bad arguments,
+ * 3 imported but some rows were rejected
+ */
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+const {
+  IMPORT_TYPES,
+  hasDatabaseConfig,
+  importFile,
+  loadDatabase,
+  loadProfiles,
+} = require("./policyImport");
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILED: 1,
+  USAGE: 2,
+  REJECTED_ROWS: 3,
+};
+
+const USAGE =
+  "Usage: npm run import:policies -- <file-or-directory> [--type nsf|cancellation] [--dry-run]";
+
+const parseArgs = (argv) => {
+  const options = { target: null, type: null, dryRun: false, help: false };
+  const targets = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--type") {
+      options.type = argv[++i];
+    } else if (arg.startsWith("--type=")) {
+      options.type = arg.slice("--type=".length);
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      targets.push(arg);
+    }
+  }
+
+  if (options.help) return options;
+  if (options.type !== null && !IMPORT_TYPES.includes(options.type)) {
+    throw new Error(`--type must be one of: ${IMPORT_TYPES.join(", ")}`);
+  }
+  if (targets.length !== 1) {
+    throw new Error("Expected exactly one file or directory");
+  }
+
+  options.target = targets[0];
+  return options;
+};
+
+// The file itself, or a directory's CSV files in name order
+const listFiles = (target) => {
+  if (!fs.statSync(target).isDirectory()) return [target];
+
+  return fs
+    .readdirSync(target)
+    .filter((name) => name.toLowerCase().endsWith(".csv"))
+    .sort()
+    .map((name) => path.join(target, name))
+    .filter((file) => fs.statSync(file).isFile());
+};
+
+const describeResult = ({
+  fileName,
+  dataType,
+  mappingProfile,
+  summary,
+  counts,
+}) => {
+  const rows = `${summary.totalRows} rows, ${summary.accepted} accepted, ${summary.rejected} rejected, ${summary.warnings} warnings`;
+  const saved = counts
+    ? `${counts.new} new, ${counts.updated} updated, ${counts.unchanged} unchanged`
+    : "dry run, nothing saved";
+  return `${fileName}: ${dataType} via "${mappingProfile}" (${rows}; ${saved})`;
+};
+
+const main = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  let files;
+  try {
+    files = listFiles(options.target);
+  } catch (error) {
+    console.error(`❌ Cannot read ${options.target}: ${error.message}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  if (files.length === 0) {
+    console.log(`📭 No CSV files found in ${options.target}`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  // Dry runs use saved mapping profiles when the database is configured
+  if (!options.dryRun && !hasDatabaseConfig()) {
+    console.error(
+      "❌ Missing Supabase environment variables. Please set REACT_APP_SUPABASE_URL and REACT_APP_SUPABASE_ANON_KEY in your .env file."
+    );
+    return EXIT_CODES.FAILED;
+  }
+  const database = hasDatabaseConfig() ? loadDatabase() : null;
+  const profiles = await loadProfiles(database);
+
+  const totals = { imported: 0, failed: 0, rejectedRows: 0 };
+  for (const file of files) {
+    try {
+      const result = await importFile(file, options, database, profiles);
+      totals.imported++;
+      totals.rejectedRows += result.summary.rejected;
+      console.log(
+        `${result.summary.rejected > 0 ? "⚠️" : "✅"} ${describeResult(result)}`
+      );
+    } catch (error) {
+      totals.failed++;
+      console.error(`❌ ${path.basename(file)}: ${error.message}`);
+    }
+  }
+
+  console.log(
+    `📊 ${options.dryRun ? "Checked" : "Imported"} ${totals.imported} of ${files.length} files` +
+      ` (${totals.failed} failed, ${totals.rejectedRows} rows rejected)`
+  );
+
+  if (totals.failed > 0) return EXIT_CODES.FAILED;
+  if (totals.rejectedRows > 0) return EXIT_CODES.REJECTED_ROWS;
+  return EXIT_CODES.SUCCESS;
+};
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("❌ Import failed:", error);
+    process.exit(EXIT_CODES.FAILED);
+  });
@@ -0,0 +1,216 @@
+/**
+ * Durable queue for outbound email and n8n triggers
+ * Jobs live in the job store, so they survive a restart. A worker polls for
+ * due jobs and runs each through the handler for its type; a failed attempt
+ * is retried with exponential backoff until maxAttempts, after which the job
+ * is dead (the dead-letter list) until an admin retries it. Finished jobs are
+ * deleted once they are older than their retention period.
+ */
+
+const {
+  CANCELLABLE_STATUSES,
+  RETRYABLE_STATUSES,
+  invalidJobState,
+} = require("./stores/jobRecords");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the worker looks for finished jobs past their retention
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Delay before the next attempt: baseDelayMs doubled per failed attempt,
+ * capped at maxDelayMs
+ */
+const retryDelay = (attempts, baseDelayMs, maxDelayMs) =>
+  Math.min(baseDelayMs * 2 ** Math.max(0, attempts - 1), maxDelayMs);
+
+/**
+ * Create the queue
+ * @param {Object} options
+ * @param {Object} options.store - Job store (see stores/jobStore.js)
+ * @param {Object} options.handlers - async (payload, job) => result per job
+ *   type; a throw counts as a failed attempt
+ * @param {Function} [options.onDead] - async (job) called when a job runs
+ *   out of attempts
+ * @param {number} [options.intervalMs=5000] - Poll interval
+ * @param {number} [options.batchSize=10] - Jobs claimed per poll
+ * @param {number} [options.baseDelayMs=30000] - First retry delay
+ * @param {number} [options.maxDelayMs=3600000] - Longest retry delay
+ * @param {number} [options.staleAfterMs=300000] - When a running job is
+ *   assumed abandoned and put back to pending
+ * @param {number} [options.retentionDays=7] - How long succeeded and
+ *   cancelled jobs are kept
+ * @param {number} [options.deadRetentionDays=30] - How long dead jobs stay
+ *   on the dead-letter list
+ * @returns {Object} { start, stop, enqueue, retry, cancel, runDueJobs }
+ */
+const createJobQueue = ({
+  store,
+  handlers,
+  onDead = async () => {},
+  intervalMs = 5000,
+  batchSize = 10,
+  baseDelayMs = 30000,
+  maxDelayMs = 60 * 60 * 1000,
+  staleAfterMs = 5 * 60 * 1000,
+  retentionDays = 7,
+  deadRetentionDays = 30,
+}) => {
+  let timer = null;
+  let lastPrunedAt = 0;
+  let running = false;
+  // Set when work arrives mid-pass, so the pass runs again instead of
+  // leaving the new job until the next poll
+  let rerun = false;
+
+  const runJob = async (job) => {
+    const handler = handlers[job.type];
+    try {
+      if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+      const result = await handler(job.payload, job);
+      await store.updateJob(job.id, {
+        status: "succeeded",
+        result: result === undefined ? null : result,
+        lastError: null,
+        finishedAt: new Date().toISOString(),
+      });
+      console.log(`📤 Job ${job.type} ${job.id} succeeded`);
+    } catch (error) {
+      if (job.attempts >= job.maxAttempts) {
+        const dead = await store.updateJob(job.id, {
+          status: "dead",
+          lastError: error.message,
+          finishedAt: new Date().toISOString(),
+        });
+        console.error(
+          `💀 Job ${job.type} ${job.id} failed ${job.attempts} times, giving up: ${error.message}`
+        );
+        await onDead(dead);
+        return;
+      }
+
+      const delay = retryDelay(job.attempts, baseDelayMs, maxDelayMs);
+      await store.updateJob(job.id, {
+        status: "pending",
+        lastError: error.message,
+        runAt: new Date(Date.now() + delay).toISOString(),
+      });
+      console.warn(
+        `⚠️ Job ${job.type} ${job.id} attempt ${job.attempts} failed, retrying in ${delay}ms: ${error.message}`
+      );
+    }
+  };
+
+  // Delete finished jobs past their retention, at most once per interval
+  const pruneFinishedJobs = async () => {
+    if (Date.now() - lastPrunedAt < PRUNE_INTERVAL_MS) return;
+    lastPrunedAt = Date.now();
+
+    const retention = [
+      [["succeeded", "cancelled"], retentionDays],
+      [["dead"], deadRetentionDays],
+    ];
+    for (const [statuses, days] of retention) {
+      const pruned = await store.pruneJobs(
+        statuses,
+        new Date(Date.now() - days * DAY_MS).toISOString()
+      );
+      if (pruned > 0) {
+        console.log(
+          `🧹 Pruned ${pruned} ${statuses.join("/")} jobs older than ${days} days`
+        );
+      }
+    }
+  };
+
+  // Claim and run due jobs one at a time until none are left
+  const runDueJobs = async () => {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    running = true;
+
+    try {
+      await pruneFinishedJobs();
+      do {
+        rerun = false;
+        await store.releaseRunningJobs(
+          new Date(Date.now() - staleAfterMs).toISOString()
+        );
+        let jobs = await store.claimDueJobs(batchSize);
+        while (jobs.length > 0) {
+          for (const job of jobs) {
+            await runJob(job);
+          }
+          jobs = await store.claimDueJobs(batchSize);
+        }
+      } while (rerun);
+    } catch (error) {
+      console.error(`❌ Job queue pass failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  /**
+   * Add a job and start on it right away
+   * @param {string} type - Key of handlers
+   * @param {Object} payload - Passed to the handler
+   * @param {Object} [options] - idempotencyKey, maxAttempts, createdBy
+   * @returns {Promise<Object>} { job, created }; created is false when the
+   *   idempotency key matched an earlier job, which is returned instead
+   */
+  const enqueue = async (type, payload, options = {}) => {
+    if (!handlers[type]) throw new Error(`Unknown job type "${type}"`);
+    const queued = await store.createJob({ type, payload, ...options });
+    if (queued.created && timer) setImmediate(runDueJobs);
+    return queued;
+  };
+
+  const transition = async (id, fromStatuses, change, changes) => {
+    const job = await store.getJob(id);
+    if (!job) return null;
+    if (!fromStatuses.includes(job.status)) throw invalidJobState(job, change);
+
+    const updated = await store.updateJob(id, changes, { fromStatuses });
+    // The worker moved it first
+    if (!updated) throw invalidJobState(await store.getJob(id), change);
+    return updated;
+  };
+
+  // Send a dead or cancelled job again with a fresh set of attempts
+  const retry = async (id) => {
+    const job = await transition(id, RETRYABLE_STATUSES, "retry", {
+      status: "pending",
+      attempts: 0,
+      runAt: new Date().toISOString(),
+      finishedAt: null,
+    });
+    if (job && timer) setImmediate(runDueJobs);
+    return job;
+  };
+
+  const cancel = (id) =>
+    transition(id, CANCELLABLE_STATUSES, "cancel", {
+      status: "cancelled",
+      finishedAt: new Date().toISOString(),
+    });
+
+  const start = () => {
+    if (timer) return;
+    timer = setInterval(runDueJobs, intervalMs);
+    runDueJobs();
+    console.log(`📤 Job queue polling every ${intervalMs}ms`);
+  };
+
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return { start, stop, enqueue, retry, cancel, runDueJobs };
+};
+
+module.exports = { createJobQueue };
@@ -0,0 +1,295 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { afterEach, beforeEach, describe, mock, test } = require("node:test");
+
+const { createJobQueue } = require("./jobQueue");
+const { createFileJobStore } = require("./stores/fileJobStore");
+
+const START = Date.parse("2026-10-01T09:00:00.000Z");
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+let directory;
+let store;
+
+// A queue on a fresh file store, sending "email" jobs through `send`
+const createQueue = (send, options = {}) =>
+  createJobQueue({
+    store,
+    handlers: { email: send },
+    baseDelayMs: MINUTE,
+    maxDelayMs: 4 * MINUTE,
+    ...options,
+  });
+
+// A handler failing `failures` times, then returning its result
+const flakyHandler = (failures, result = { sent: true }) =>
+  mock.fn(async () => {
+    if (failures > 0) {
+      failures -= 1;
+      throw new Error("SMTP unavailable");
+    }
+    return result;
+  });
+
+beforeEach(async () => {
+  // The clock both the queue and the store read
+  mock.timers.enable({ apis: ["Date"], now: START });
+  ["log", "warn", "error"].forEach((level) =>
+    mock.method(console, level, () => {})
+  );
+
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "job-queue-"));
+  store = createFileJobStore({ filePath: path.join(directory, "jobs.json") });
+  await store.init();
+});
+
+afterEach(async () => {
+  await store.close();
+  mock.timers.reset();
+  mock.restoreAll();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("running jobs", () => {
+  test("a due job runs once with its payload and is stored as succeeded", async () => {
+    const send = flakyHandler(0, { messageId: "m1" });
+    const queue = createQueue(send);
+
+    const { job, created } = await queue.enqueue("email", { to: "a@b.c" });
+    await queue.runDueJobs();
+    await queue.runDueJobs();
+
+    assert.equal(created, true);
+    assert.equal(send.mock.callCount(), 1);
+    assert.deepEqual(send.mock.calls[0].arguments[0], { to: "a@b.c" });
+    assert.deepEqual(await store.getJob(job.id), {
+      ...job,
+      status: "succeeded",
+      attempts: 1,
+      result: { messageId: "m1" },
+      finishedAt: new Date(START).toISOString(),
+      updatedAt: new Date(START).toISOString(),
+    });
+  });
+
+  test("a job with no handler fails its attempt", async () => {
+    const queue = createQueue(flakyHandler(0));
+    const { job } = await store.createJob({ type: "sms", maxAttempts: 1 });
+
+    await queue.runDueJobs();
+
+    const dead = await store.getJob(job.id);
+    assert.equal(dead.status, "dead");
+    assert.equal(dead.lastError, 'No handler for job type "sms"');
+  });
+
+  test("unknown job types are refused when queued", async () => {
+    const queue = createQueue(flakyHandler(0));
+
+    await assert.rejects(queue.enqueue("sms", {}), /Unknown job type "sms"/);
+  });
+});
+
+describe("retries", () => {
+  test("back off exponentially up to the longest delay", async () => {
+    const send = flakyHandler(4);
+    const queue = createQueue(send);
+    const { job } = await queue.enqueue("email", {});
+
+    const delays = [];
+    for (let attempt = 1; attempt <= 4; attempt += 1) {
+      await queue.runDueJobs();
+      const { runAt, attempts, lastError } = await store.getJob(job.id);
+      assert.equal(attempts, attempt);
+      assert.equal(lastError, "SMTP unavailable");
+      delays.push(Date.parse(runAt) - Date.now());
+
+      // Not due yet: nothing runs
+      await queue.runDueJobs();
+      assert.equal(send.mock.callCount(), attempt);
+
+      mock.timers.tick(Date.parse(runAt) - Date.now());
+    }
+    await queue.runDueJobs();
+
+    assert.deepEqual(delays, [MINUTE, 2 * MINUTE, 4 * MINUTE, 4 * MINUTE]);
+    assert.equal((await store.getJob(job.id)).status, "succeeded");
+  });
+
+  test("a job out of attempts is dead-lettered and reported", async () => {
+    const onDead = mock.fn(async () => {});
+    const queue = createQueue(flakyHandler(5), { onDead });
+    const { job } = await queue.enqueue("email", {}, { maxAttempts: 2 });
+
+    await queue.runDueJobs();
+    mock.timers.tick(MINUTE);
+    await queue.runDueJobs();
+    mock.timers.tick(DAY);
+    await queue.runDueJobs();
+
+    const dead = await store.getJob(job.id);
+    assert.equal(dead.status, "dead");
+    assert.equal(dead.attempts, 2);
+    assert.equal(dead.lastError, "SMTP unavailable");
+    assert.equal(dead.finishedAt, new Date(START + MINUTE).toISOString());
+    assert.equal(onDead.mock.callCount(), 1);
+    assert.deepEqual(onDead.mock.calls[0].arguments[0], dead);
+  });
+
+  test("a job left running by a stopped worker is picked up once stale", async () => {
+    const send = flakyHandler(0);
+    const queue = createQueue(send, { staleAfterMs: 5 * MINUTE });
+    const { job } = await queue.enqueue("email", {});
+    // Another worker claimed it and never finished
+    await store.claimDueJobs(10);
+
+    mock.timers.tick(5 * MINUTE - 1);
+    await queue.runDueJobs();
+    assert.equal(send.mock.callCount(), 0);
+    assert.equal((await store.getJob(job.id)).status, "running");
+
+    mock.timers.tick(2);
+    await queue.runDueJobs();
+    assert.equal(send.mock.callCount(), 1);
+    const finished = await store.getJob(job.id);
+    assert.equal(finished.status, "succeeded");
+    assert.equal(finished.attempts, 2);
+  });
+});
+
+describe("idempotency keys", () => {
+  test("a repeated key returns the first job instead of a new one", async () => {
+    const send = flakyHandler(0);
+    const queue = createQueue(send);
+
+    const options = { idempotencyKey: "key-1" };
+
+    const first = await queue.enqueue("email", { to: "a" }, options);
+    const repeat = await queue.enqueue("email", { to: "b" }, options);
+    await queue.runDueJobs();
+
+    assert.equal(repeat.created, false);
+    assert.equal(repeat.job.id, first.job.id);
+    assert.deepEqual(repeat.job.payload, { to: "a" });
+    assert.equal(send.mock.callCount(), 1);
+    assert.equal((await store.countJobs()).succeeded, 1);
+  });
+});
+
+describe("retry and cancel", () => {
+  const invalidJobState = (message) => ({ code: "invalid_job_state", message });
+
+  test("only a pending job can be cancelled, and it never runs", async () => {
+    const send = flakyHandler(0);
+    const queue = createQueue(send);
+    const { job } = await queue.enqueue("email", {});
+
+    const cancelled = await queue.cancel(job.id);
+    await queue.runDueJobs();
+
+    assert.equal(cancelled.status, "cancelled");
+    assert.equal(send.mock.callCount(), 0);
+    await assert.rejects(
+      queue.cancel(job.id),
+      invalidJobState("Cannot cancel a cancelled job")
+    );
+  });
+
+  test("a dead job is retried with fresh attempts", async () => {
+    const send = flakyHandler(1);
+    const queue = createQueue(send);
+    const { job } = await queue.enqueue("email", {}, { maxAttempts: 1 });
+    await queue.runDueJobs();
+    assert.equal((await store.getJob(job.id)).status, "dead");
+
+    const retried = await queue.retry(job.id);
+    assert.equal(retried.status, "pending");
+    assert.equal(retried.attempts, 0);
+    assert.equal(retried.finishedAt, null);
+    await queue.runDueJobs();
+
+    assert.equal((await store.getJob(job.id)).status, "succeeded");
+    await assert.rejects(
+      queue.retry(job.id),
+      invalidJobState("Cannot retry a succeeded job")
+    );
+  });
+
+  test("a pending job can't be retried and a missing one is null", async () => {
+    const queue = createQueue(flakyHandler(0));
+    const { job } = await queue.enqueue("email", {});
+
+    await assert.rejects(
+      queue.retry(job.id),
+      invalidJobState("Cannot retry a pending job")
+    );
+    assert.equal(await queue.retry("job_missing"), null);
+    assert.equal(await queue.cancel("job_missing"), null);
+  });
+});
+
+describe("retention", () => {
+  // Finished jobs of each kind, finished at START
+  const finishJobs = async (queue) => {
+    const { job: succeeded } = await queue.enqueue("email", { ok: true });
+    const { job: dead } = await queue.enqueue(
+      "email",
+      { ok: false },
+      { maxAttempts: 1 }
+    );
+    const { job: cancelled } = await store.createJob({
+      type: "email",
+      runAt: new Date(START + DAY).toISOString(),
+    });
+    await queue.cancel(cancelled.id);
+    await queue.runDueJobs();
+    return { succeeded, dead, cancelled };
+  };
+
+  const remainingIds = async () =>
+    (await store.listJobs()).map((job) => job.id).sort();
+
+  test("finished jobs are pruned after their retention period", async () => {
+    const queue = createQueue(
+      mock.fn(async (payload) => {
+        if (!payload.ok) throw new Error("SMTP unavailable");
+      }),
+      { retentionDays: 7, deadRetentionDays: 30 }
+    );
+    const jobs = await finishJobs(queue);
+    const { job: pending } = await store.createJob({
+      type: "email",
+      runAt: new Date(START + 60 * DAY).toISOString(),
+    });
+
+    mock.timers.tick(7 * DAY + 1);
+    await queue.runDueJobs();
+    assert.deepEqual(await remainingIds(), [jobs.dead.id, pending.id].sort());
+
+    mock.timers.tick(23 * DAY);
+    await queue.runDueJobs();
+    assert.deepEqual(await remainingIds(), [pending.id]);
+  });
+
+  test("pruning runs at most once an hour", async () => {
+    const queue = createQueue(flakyHandler(0), { retentionDays: 1 });
+    const { job } = await queue.enqueue("email", {});
+    await queue.runDueJobs();
+
+    // Pruned once just before the job is a day old...
+    mock.timers.tick(DAY - 30 * MINUTE);
+    await queue.runDueJobs();
+    // ...so it outlives its retention until the hour is up
+    mock.timers.tick(31 * MINUTE);
+    await queue.runDueJobs();
+    assert.deepEqual(await remainingIds(), [job.id]);
+
+    mock.timers.tick(30 * MINUTE);
+    await queue.runDueJobs();
+    assert.deepEqual(await remainingIds(), []);
+  });
+});
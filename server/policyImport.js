@@ -0,0 +1,126 @@
+/**
+ * Server-side policy import shared by the command-line importer and the
+ * watched-folder auto-ingest. Runs a CSV through the browser's ingestion code
+ * and records it in file_uploads so it shows up (and can be rolled back) in
+ * the Uploads view.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { BUILT_IN_PROFILES } = require("../src/utils/columnMapping.js");
+const {
+  buildUploadDetails,
+  ingestCsvText,
+  summarizeReport,
+} = require("../src/utils/ingestion.js");
+const { toPolicyRecord } = require("../src/utils/policyUpsert.js");
+
+const IMPORT_TYPES = ["nsf", "cancellation"];
+
+// Policies written per upsert call (matches the browser upload flow)
+const BATCH_SIZE = 1000;
+
+const hasDatabaseConfig = () =>
+  Boolean(
+    process.env.REACT_APP_SUPABASE_URL &&
+    process.env.REACT_APP_SUPABASE_ANON_KEY
+  );
+
+// Loaded on demand: the Supabase module throws at import without its env vars
+const loadDatabase = () => require("../src/config/supabase.js").DatabaseService;
+
+// Built-in profiles plus any saved in the database
+const loadProfiles = async (database) => {
+  if (!database) return BUILT_IN_PROFILES;
+
+  try {
+    return [...BUILT_IN_PROFILES, ...(await database.getMappingProfiles())];
+  } catch (error) {
+    console.warn(`⚠️ Using built-in mapping profiles only: ${error.message}`);
+    return BUILT_IN_PROFILES;
+  }
+};
+
+/**
+ * Import one CSV file of NSF or cancellation policies
+ * @param {string} file - Path to the CSV file
+ * @param {Object} options - { type, dryRun } (type forces the data type)
+ * @param {Object|null} database - DatabaseService (unused on dry runs)
+ * @param {Array} profiles - Mapping profiles to detect the file against
+ * @returns {Promise<Object>} { fileName, dataType, mappingProfile, summary, counts, uploadId }
+ */
+const importFile = async (file, options, database, profiles) => {
+  const fileName = path.basename(file);
+  const { dataType, profile, report, records } = ingestCsvText(
+    fs.readFileSync(file, "utf8"),
+    { fileName, dataType: options.type, profiles }
+  );
+
+  if (!IMPORT_TYPES.includes(dataType)) {
+    throw new Error(
+      `Detected ${dataType} data; only NSF and cancellation files can be imported here`
+    );
+  }
+
+  const result = {
+    fileName,
+    dataType,
+    mappingProfile: profile.name,
+    summary: summarizeReport(report),
+    counts: null,
+    uploadId: null,
+  };
+  if (options.dryRun) return result;
+
+  const upload = await database.recordFileUpload({
+    file_name: fileName,
+    file_type: dataType,
+    file_size: fs.statSync(file).size,
+    upload_status: "processing",
+  });
+
+  try {
+    const rows = records.map(toPolicyRecord);
+    const counts = { new: 0, updated: 0, unchanged: 0 };
+
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      const { counts: batchCounts } = await database.upsertPolicies(
+        rows.slice(i, i + BATCH_SIZE),
+        upload.id
+      );
+      counts.new += batchCounts.new;
+      counts.updated += batchCounts.updated;
+      counts.unchanged += batchCounts.unchanged;
+    }
+
+    await database.updateFileUploadStatus(upload.id, "completed", {
+      records_imported: records.length,
+      records_new: counts.new,
+      records_updated: counts.updated,
+      records_unchanged: counts.unchanged,
+      ...buildUploadDetails(report),
+    });
+
+    return { ...result, counts, uploadId: upload.id };
+  } catch (error) {
+    await database
+      .updateFileUploadStatus(upload.id, "failed", {
+        error_details: { message: error.message },
+      })
+      .catch((statusError) =>
+        console.warn(
+          `⚠️ Could not mark upload ${upload.id} failed: ${statusError.message}`
+        )
+      );
+    throw error;
+  }
+};
+
+module.exports = {
+  IMPORT_TYPES,
+  BATCH_SIZE,
+  hasDatabaseConfig,
+  loadDatabase,
+  loadProfiles,
+  importFile,
+};
@@ -4,6 +4,77 @@ const path = require("path");
 const nodemailer = require("nodemailer");
 const axios = require("axios");
 require("dotenv").config();
+const {
+  ingestCsvText,
+  parseCsvText,
+  summarizeReport,
+} = require("../src/utils/ingestion.js");
+const { BUILT_IN_PROFILES } = require("../src/utils/columnMapping.js");
+const { hasDatabaseConfig, loadDatabase } = require("./policyImport");
+const { createFolderWatcher } = require("./folderWatcher");
+const { createActionStore } = require("./stores/actionStore");
+const { parseActionQuery, projectFields } = require("./stores/actionQuery");
+const { createUserStore } = require("./stores/userStore");
+const { createJobStore } = require("./stores/jobStore");
+const { createTemplateStore } = require("./stores/templateStore");
+const { validateTemplateContent } = require("./stores/templateRecords");
+const { JOB_STATUSES } = require("./stores/jobRecords");
+const { createEmailLogStore } = require("./stores/emailLogStore");
+const {
+  EMAIL_STATUSES,
+  collectPolicyNumbers,
+} = require("./stores/emailLogRecords");
+const { createJobQueue } = require("./jobQueue");
+const { createDigestStore } = require("./stores/digestStore");
+const { createDigestScheduler } = require("./digestScheduler");
+const { buildDigest } = require("../src/utils/digest.js");
+const {
+  getDefaultTemplates,
+  invalidEmail,
+  isEmailTemplate,
+  listEmailTemplates,
+  renderEmail,
+} = require("./emailTemplates");
+const { createSmsStore } = require("./stores/smsStore");
+const { createSmsProvider } = require("./sms/smsProvider");
+const {
+  invalidSms,
+  isSmsTemplate,
+  listSmsTemplates,
+  renderSms,
+  validateSmsBody,
+} = require("./smsTemplates");
+const {
+  describeQuietHours,
+  findQuietHours,
+  isOptInReply,
+  isOptOutReply,
+  normalizePhone,
+} = require("../src/utils/sms.js");
+const { createContactStore } = require("./stores/contactStore");
+const {
+  contactFromCsvRow,
+  invalidContact,
+} = require("./stores/contactRecords");
+const { toPublicUser } = require("./stores/userRecords");
+const {
+  createAuth,
+  hashPassword,
+  secretsMatch,
+  validatePassword,
+} = require("./auth");
+const { applyCallback, isFinished } = require("./stores/workflowExecutions");
+const {
+  ACTIVE_EXECUTION_STATUSES,
+  EXECUTION_STATUSES,
+  getWorkflowPath,
+} = require("../src/utils/n8nWorkflows.js");
+const {
+  can,
+  canWorkOnAction,
+  canWorkOnTask,
+  isLimitedToOwnWork,
+} = require("../src/utils/permissions.js");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -16,22 +87,69 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files from React build
 app.use(express.static(path.join(__dirname, "../build")));
 
-// In-memory storage for actions (in production, use a database)
-let actions = [];
-let actionIdCounter = 1;
+// Action persistence (file-backed by default, see server/stores/actionStore.js)
+const actionStore = createActionStore();
+
+// User accounts and sign-in (see server/auth.js)
+const userStore = createUserStore();
+const auth = createAuth({
+  userStore,
+  secret: process.env.SUPABASE_JWT_SECRET || process.env.AUTH_SECRET,
+  requireSecret: process.env.NODE_ENV === "production",
+});
+
+// Supabase only accepts session tokens signed with its own JWT secret; with
+// any other secret the dashboard keeps querying Supabase with the anon key
+const SUPABASE_ACCEPTS_TOKENS = Boolean(process.env.SUPABASE_JWT_SECRET);
+
+// Outbound email and n8n triggers, retried until they go through (the
+// queue itself is created once its handlers are defined below)
+const jobStore = createJobStore();
+
+// Editable, versioned email wording (see server/stores/templateStore.js)
+const templateStore = createTemplateStore();
+
+// Every email handed to SMTP, with its delivery outcome (see
+// server/stores/emailLogStore.js)
+const emailLogStore = createEmailLogStore();
+
+// Daily and weekly management digest schedules (see server/digestScheduler.js)
+const digestStore = createDigestStore();
+
+// Texts to customers about retention tasks, and their replies (see
+// server/sms/smsProvider.js and server/stores/smsStore.js)
+const smsStore = createSmsStore();
+const smsProvider = createSmsProvider();
+
+// Agent, MGA and customer phone numbers and emails (see
+// server/stores/contactStore.js)
+const contactStore = createContactStore();
 
 // Email transporter configuration
 let emailTransporter = null;
 
+// SMTP_HOST points at a specific server (such as a local SMTP stub);
+// otherwise EMAIL_SERVICE names a nodemailer well-known service
+const getTransportOptions = () => {
+  const auth = process.env.EMAIL_USER
+    ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+    : undefined;
+
+  if (process.env.SMTP_HOST) {
+    return {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth,
+    };
+  }
+
+  return { service: process.env.EMAIL_SERVICE || "gmail", auth };
+};
+
 const initializeEmailTransporter = () => {
   try {
-    emailTransporter = nodemailer.createTransporter({
-      service: process.env.EMAIL_SERVICE || "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD,
-      },
-    });
+    emailTransporter = nodemailer.createTransport(getTransportOptions());
     console.log("Email transporter initialized successfully");
   } catch (error) {
     console.error("Failed to initialize email transporter:", error);
@@ -39,7 +157,10 @@ const initializeEmailTransporter = () => {
 };
 
 // Initialize email on startup
-if (process.env.EMAIL_USER && process.env.EMAIL_PASSWORD) {
+if (
+  process.env.SMTP_HOST ||
+  (process.env.EMAIL_USER && process.env.EMAIL_PASSWORD)
+) {
   initializeEmailTransporter();
 }
 
@@ -47,11 +168,70 @@ if (process.env.EMAIL_USER && process.env.EMAIL_PASSWORD) {
 const N8N_WEBHOOK_BASE_URL =
   process.env.N8N_WEBHOOK_BASE_URL || "http://localhost:5678/webhook";
 const N8N_API_KEY = process.env.N8N_API_KEY;
+// n8n sends this in the X-N8N-Callback-Secret header; callbacks are refused
+// until it is set
+const N8N_CALLBACK_SECRET = process.env.N8N_CALLBACK_SECRET;
+// Bounce reports must carry this in the X-Email-Webhook-Secret header; they
+// are refused until it is set
+const EMAIL_WEBHOOK_SECRET = process.env.EMAIL_WEBHOOK_SECRET;
+// Text replies must carry this in the X-Sms-Webhook-Secret header or a
+// secret query parameter; they are refused until it is set
+const SMS_WEBHOOK_SECRET = process.env.SMS_WEBHOOK_SECRET;
+// Public URL n8n uses to reach this server (defaults to the request's host)
+const N8N_CALLBACK_BASE_URL = process.env.N8N_CALLBACK_BASE_URL;
+
+// Watched-folder auto-ingest (off unless INGEST_WATCH_DIR is set)
+let folderWatcher = null;
+
+if (process.env.INGEST_WATCH_DIR) {
+  if (hasDatabaseConfig()) {
+    folderWatcher = createFolderWatcher({
+      directory: process.env.INGEST_WATCH_DIR,
+      database: loadDatabase(),
+      intervalMs: Number(process.env.INGEST_POLL_INTERVAL_MS) || 60000,
+      type: process.env.INGEST_DATA_TYPE || null,
+    });
+  } else {
+    console.warn(
+      "⚠️ INGEST_WATCH_DIR is set but Supabase is not configured; auto-ingest disabled"
+    );
+  }
+}
 
 // Helper Functions
 
-const generateActionId = () => {
-  return `action_${actionIdCounter++}_${Date.now()}`;
+// Who is making a change, for the action audit trail
+const getActor = (req) => req.user.username;
+
+// 403 for an action the signed-in user may not work on
+const sendActionForbidden = (res) =>
+  res.status(403).json({
+    success: false,
+    error: "Forbidden",
+    message: "This action is not assigned to you",
+  });
+
+// Create the first admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are
+// no accounts yet, so a fresh install can be signed in to
+const bootstrapAdmin = async () => {
+  if ((await userStore.listUsers()).length > 0) return;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn(
+      "⚠️ No user accounts yet: set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin"
+    );
+    return;
+  }
+
+  validatePassword(ADMIN_PASSWORD);
+  await userStore.createUser({
+    username: ADMIN_USERNAME,
+    displayName: process.env.ADMIN_DISPLAY_NAME || "Administrator",
+    role: "admin",
+    passwordHash: await hashPassword(ADMIN_PASSWORD),
+  });
+  console.log(`👤 Created admin account "${ADMIN_USERNAME}"`);
 };
 
 const validateAction = (action) => {
@@ -75,6 +255,10 @@ const validateAction = (action) => {
     );
   }
 
+  if (Number.isNaN(Date.parse(action.dueDate))) {
+    throw new Error("Invalid dueDate. Must be a date (YYYY-MM-DD or ISO 8601)");
+  }
+
   const validStatuses = ["pending", "in_progress", "completed", "cancelled"];
   if (action.status && !validStatuses.includes(action.status)) {
     throw new Error(
@@ -103,12 +287,63 @@ const sendEmail = async (emailData) => {
   return result;
 };
 
+// Log an email; a log write that fails is reported but never fails the
+// send, so the queue does not send the email twice
+const logEmail = async (details) => {
+  try {
+    return await emailLogStore.recordEmail(details);
+  } catch (error) {
+    console.error("Failed to log email:", error);
+    return null;
+  }
+};
+
+/**
+ * Send an email and log the outcome
+ * @param {Object} email - Email from buildEmail/renderTemplatedEmail
+ * @param {Object} options - context ({ actionId, taskId, policyNumbers }),
+ *   jobId and sentBy for the log; logFailure also logs an email that could
+ *   not be sent (left off for attempts the queue will retry)
+ */
+const deliverEmail = async (
+  email,
+  { context, jobId, sentBy, logFailure = true }
+) => {
+  try {
+    const result = await sendEmail(email);
+    await logEmail({
+      status: "sent",
+      email,
+      context,
+      jobId,
+      sentBy,
+      messageId: result.messageId,
+      smtpResponse: result.response,
+      accepted: result.accepted,
+      rejected: result.rejected,
+    });
+    return result;
+  } catch (error) {
+    if (logFailure) {
+      await logEmail({
+        status: "failed",
+        email,
+        context,
+        jobId,
+        sentBy,
+        error: error.message,
+      });
+    }
+    throw error;
+  }
+};
+
 const triggerN8NWorkflow = async (workflowType, payload) => {
   if (!N8N_WEBHOOK_BASE_URL) {
     throw new Error("N8N webhook URL not configured");
   }
 
-  const webhookUrl = `${N8N_WEBHOOK_BASE_URL}/${workflowType}`;
+  const webhookUrl = `${N8N_WEBHOOK_BASE_URL}/${getWorkflowPath(workflowType)}`;
 
   const headers = {
     "Content-Type": "application/json",
@@ -118,259 +353,321 @@ const triggerN8NWorkflow = async (workflowType, payload) => {
     headers["Authorization"] = `Bearer ${N8N_API_KEY}`;
   }
 
-  const response = await axios.post(webhookUrl, payload, { headers });
+  const response = await axios.post(webhookUrl, payload, {
+    headers,
+    timeout: 30000,
+  });
   return response.data;
 };
 
-// Email Templates
-
-const generateAgentTrainingEmailTemplate = (data) => {
-  const { agentName, nsfCount, policies, managerEmail } = data;
-
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .header { background-color: #f8f9fa; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
-        .content { padding: 20px; }
-        .alert { background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
-        .policy-list { background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 10px 0; }
-        .button { background-color: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px 0; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h2>🚨 Agent Training Required - High NSF Activity</h2>
-      </div>
-      
-      <div class="content">
-        <p>Dear Manager,</p>
-        
-        <div class="alert">
-          <strong>Alert:</strong> Agent <strong>${agentName}</strong> has generated <strong>${nsfCount}</strong> NSF policies in the last 30 days, exceeding our threshold for additional training.
-        </div>
-        
-        <h3>Recommended Actions:</h3>
-        <ul>
-          <li>Schedule one-on-one training session with ${agentName}</li>
-          <li>Review policy application process and verification procedures</li>
-          <li>Analyze customer qualification criteria being used</li>
-          <li>Implement additional verification steps if necessary</li>
-        </ul>
-        
-        <div class="policy-list">
-          <h4>Affected Policies (${policies?.length || 0} total):</h4>
-          ${
-            policies
-              ? policies
-                  .slice(0, 10)
-                  .map((policy) => `<div>• ${policy}</div>`)
-                  .join("")
-              : ""
-          }
-          ${
-            policies && policies.length > 10
-              ? `<div><em>... and ${
-                  policies.length - 10
-                } more policies</em></div>`
-              : ""
-          }
-        </div>
-        
-        <p>Please take action within 7 days to address this pattern and prevent future NSF issues.</p>
-        
-        <a href="${
-          process.env.FRONTEND_URL || "http://localhost:3000"
-        }/actions" class="button">View Action Details</a>
-        
-        <p>Best regards,<br>Policy Persistency Tracker System</p>
-      </div>
-    </body>
-    </html>
-  `;
-
-  const text = `
-    AGENT TRAINING REQUIRED - HIGH NSF ACTIVITY
-    
-    Dear Manager,
-    
-    Agent ${agentName} has generated ${nsfCount} NSF policies in the last 30 days, exceeding our threshold for additional training.
-    
-    Recommended Actions:
-    - Schedule one-on-one training session with ${agentName}
-    - Review policy application process and verification procedures
-    - Analyze customer qualification criteria being used
-    - Implement additional verification steps if necessary
-    
-    Affected Policies (${policies?.length || 0} total):
-    ${policies ? policies.slice(0, 10).join(", ") : "None specified"}
-    ${
-      policies && policies.length > 10
-        ? `... and ${policies.length - 10} more policies`
-        : ""
-    }
-    
-    Please take action within 7 days to address this pattern.
-    
-    View details: ${process.env.FRONTEND_URL || "http://localhost:3000"}/actions
-    
-    Best regards,
-    Policy Persistency Tracker System
-  `;
+// Base URL n8n should call back on for a request to this server
+const getCallbackBaseUrl = (req) =>
+  N8N_CALLBACK_BASE_URL || `${req.protocol}://${req.get("host")}`;
 
-  return {
-    subject: `🚨 Agent Training Required: ${agentName} - ${nsfCount} NSF Policies`,
-    html,
-    text,
-    to: managerEmail || process.env.DEFAULT_MANAGER_EMAIL,
-  };
+// Client-supplied Idempotency-Key header, scoped to the kind of job so one
+// request can queue both an email and a workflow
+const getIdempotencyKey = (req, kind) => {
+  const key = req.get("Idempotency-Key");
+  return key ? `${kind}:${key}` : undefined;
 };
 
-const generateHighValueAlertTemplate = (data) => {
-  const { state, policyCount, totalPremium, policies } = data;
+// Save the outcome of a finished run on the action it was started from
+const recordWorkflowOutcome = async (execution, actor) => {
+  if (!execution.actionId) return;
+
+  await actionStore.updateAction(
+    execution.actionId,
+    {
+      lastWorkflowRun: {
+        executionId: execution.id,
+        workflowType: execution.workflowType,
+        status: execution.status,
+        finishedAt: execution.finishedAt,
+      },
+    },
+    {
+      actor,
+      events: [
+        {
+          type:
+            execution.status === "succeeded"
+              ? "workflow_succeeded"
+              : "workflow_failed",
+          details: {
+            executionId: execution.id,
+            workflowType: execution.workflowType,
+            ...(execution.error && { error: execution.error }),
+          },
+        },
+      ],
+    }
+  );
+};
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat("en-US", {
-      style: "currency",
-      currency: "USD",
-      minimumFractionDigits: 0,
-    }).format(amount);
-  };
+// Fail the run behind an n8n job that will not be sent
+const failQueuedExecution = async (job, reason) => {
+  if (job.type !== "n8n") return;
 
-  const html = `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <style>
-        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-        .header { background-color: #dc3545; color: white; padding: 20px; border-radius: 5px; margin-bottom: 20px; }
-        .content { padding: 20px; }
-        .highlight { background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 15px 0; }
-        .policy-table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-        .policy-table th, .policy-table td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        .policy-table th { background-color: #f2f2f2; }
-        .button { background-color: #dc3545; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; display: inline-block; margin: 10px 0; }
-      </style>
-    </head>
-    <body>
-      <div class="header">
-        <h2>💰 High-Value Recovery Alert - Immediate Action Required</h2>
-      </div>
-      
-      <div class="content">
-        <p>Dear Recovery Team,</p>
-        
-        <div class="highlight">
-          <h3>High-Value Policies Requiring Immediate Attention</h3>
-          <ul>
-            <li><strong>State:</strong> ${state}</li>
-            <li><strong>Policy Count:</strong> ${policyCount}</li>
-            <li><strong>Total Premium Value:</strong> ${formatCurrency(
-              totalPremium
-            )}</li>
-            <li><strong>Estimated Recovery Potential:</strong> ${formatCurrency(
-              totalPremium * 0.45
-            )}</li>
-          </ul>
-        </div>
-        
-        <h3>Recommended Recovery Actions:</h3>
-        <ul>
-          <li>🔥 Priority outbound calling campaign (within 24 hours)</li>
-          <li>💰 Personalized retention offers based on policy value</li>
-          <li>📋 Flexible payment plan options</li>
-          <li>📧 Direct mail with incentives for high-value policies</li>
-        </ul>
-        
-        ${
-          policies && policies.length > 0
-            ? `
-        <h3>Top Priority Policies:</h3>
-        <table class="policy-table">
-          <thead>
-            <tr>
-              <th>Policy Number</th>
-              <th>Premium</th>
-              <th>Product</th>
-              <th>Days Since Lapse</th>
-            </tr>
-          </thead>
-          <tbody>
-            ${policies
-              .slice(0, 10)
-              .map(
-                (policy) => `
-              <tr>
-                <td>${policy.policyNumber || "N/A"}</td>
-                <td>${formatCurrency(policy.premium || 0)}</td>
-                <td>${policy.product || "N/A"}</td>
-                <td>${policy.daysSinceLapse || "N/A"}</td>
-              </tr>
-            `
-              )
-              .join("")}
-          </tbody>
-        </table>
-        ${
-          policies.length > 10
-            ? `<p><em>... and ${
-                policies.length - 10
-              } additional policies</em></p>`
-            : ""
-        }
-        `
-            : ""
-        }
-        
-        <p><strong>⏰ Time Sensitivity:</strong> These policies require immediate action within 3 days to maximize recovery potential.</p>
-        
-        <a href="${
-          process.env.FRONTEND_URL || "http://localhost:3000"
-        }/actions" class="button">Start Recovery Campaign</a>
-        
-        <p>Best regards,<br>Policy Persistency Tracker System</p>
-      </div>
-    </body>
-    </html>
-  `;
-
-  const text = `
-    HIGH-VALUE RECOVERY ALERT - IMMEDIATE ACTION REQUIRED
-    
-    Dear Recovery Team,
-    
-    High-Value Policies Requiring Immediate Attention:
-    - State: ${state}
-    - Policy Count: ${policyCount}
-    - Total Premium Value: ${formatCurrency(totalPremium)}
-    - Estimated Recovery Potential: ${formatCurrency(totalPremium * 0.45)}
-    
-    Recommended Recovery Actions:
-    - Priority outbound calling campaign (within 24 hours)
-    - Personalized retention offers based on policy value
-    - Flexible payment plan options
-    - Direct mail with incentives for high-value policies
-    
-    Time Sensitivity: These policies require immediate action within 3 days to maximize recovery potential.
-    
-    View details: ${process.env.FRONTEND_URL || "http://localhost:3000"}/actions
-    
-    Best regards,
-    Policy Persistency Tracker System
-  `;
+  const execution = await actionStore.updateExecution(job.payload.executionId, {
+    status: "failed",
+    error: reason,
+    finishedAt: new Date().toISOString(),
+  });
+  if (execution) await recordWorkflowOutcome(execution, "system");
+};
+
+const jobQueue = createJobQueue({
+  store: jobStore,
+  handlers: {
+    // Jobs queued before the email log carry only an actionId
+    email: async ({ email, context, actionId }, job) => {
+      const result = await deliverEmail(email, {
+        context: context || { actionId },
+        jobId: job.id,
+        sentBy: job.createdBy,
+        logFailure: job.attempts >= job.maxAttempts,
+      });
+      return { messageId: result.messageId };
+    },
+
+    // Post the run to n8n; a retried job reopens a run it had failed
+    n8n: async ({ executionId, workflowType, body }) => {
+      const response = await triggerN8NWorkflow(workflowType, body);
+      const n8nExecutionId = response?.executionId || response?.id;
+      const execution = await actionStore.getExecution(executionId);
+
+      if (execution) {
+        await actionStore.updateExecution(executionId, {
+          ...(n8nExecutionId && { n8nExecutionId: String(n8nExecutionId) }),
+          ...(["queued", "failed"].includes(execution.status) && {
+            status: "triggered",
+            error: null,
+            finishedAt: null,
+          }),
+        });
+      }
+      return { n8nExecutionId: n8nExecutionId || null };
+    },
+  },
+  onDead: (job) =>
+    failQueuedExecution(job, `Failed to trigger workflow: ${job.lastError}`),
+  intervalMs: Number(process.env.JOB_POLL_INTERVAL_MS) || undefined,
+  baseDelayMs: Number(process.env.JOB_RETRY_BASE_MS) || undefined,
+  retentionDays: Number(process.env.JOB_RETENTION_DAYS) || undefined,
+  deadRetentionDays: Number(process.env.JOB_DEAD_RETENTION_DAYS) || undefined,
+});
+
+/**
+ * Record a workflow run and queue its trigger; n8n's callbacks update it
+ * @param {string} workflowType - Key of WORKFLOWS (or an action type)
+ * @param {Object} payload - Body for the n8n webhook
+ * @param {Object} options - actionId/taskId the run belongs to, the actor,
+ *   the callbackBaseUrl and an optional idempotencyKey
+ * @returns {Promise<Object>} { execution, job }; a repeated idempotency key
+ *   returns the earlier run
+ */
+const startWorkflowExecution = async (
+  workflowType,
+  payload,
+  { actionId, taskId, actor, callbackBaseUrl, idempotencyKey }
+) => {
+  if (idempotencyKey) {
+    const job = await jobStore.findByIdempotencyKey(idempotencyKey);
+    if (job) {
+      return {
+        execution: await actionStore.getExecution(job.payload.executionId),
+        job,
+      };
+    }
+  }
+
+  const execution = await actionStore.createExecution({
+    workflowType,
+    actionId,
+    taskId,
+    triggeredBy: actor,
+  });
+  const callbackUrl = `${callbackBaseUrl}/api/n8n-callback`;
+
+  let queued;
+  try {
+    queued = await jobQueue.enqueue(
+      "n8n",
+      {
+        executionId: execution.id,
+        workflowType,
+        body: {
+          ...payload,
+          executionId: execution.id,
+          callbacks: {
+            success: `${callbackUrl}/success`,
+            error: `${callbackUrl}/error`,
+            progress: `${callbackUrl}/progress`,
+          },
+        },
+      },
+      { idempotencyKey, createdBy: actor }
+    );
+  } catch (error) {
+    // Nothing will ever run this execution, so don't leave it queued
+    await actionStore.updateExecution(execution.id, {
+      status: "failed",
+      error: `Failed to queue workflow: ${error.message}`,
+      finishedAt: new Date().toISOString(),
+    });
+    throw error;
+  }
+  const { job, created } = queued;
+
+  // A concurrent request with the same key got there first
+  if (!created) {
+    await actionStore.updateExecution(execution.id, {
+      status: "failed",
+      error: `Duplicate of ${job.payload.executionId}`,
+      finishedAt: new Date().toISOString(),
+    });
+    return {
+      execution: await actionStore.getExecution(job.payload.executionId),
+      job,
+    };
+  }
+
+  return { execution, job };
+};
+
+// Largest batch accepted by /api/email/batch
+const MAX_BATCH_EMAILS = 100;
 
+// Render the current version of a template from the template store
+const renderTemplatedEmail = async (type, data, recipients) => {
+  if (!isEmailTemplate(type)) {
+    throw invalidEmail(`Unknown email template: ${type}`);
+  }
+  const content = await templateStore.getCurrent(type);
   return {
-    subject: `💰 HIGH-VALUE RECOVERY ALERT: ${state} - ${formatCurrency(
-      totalPremium
-    )} at Risk`,
-    html,
-    text,
-    to: process.env.RECOVERY_TEAM_EMAIL || process.env.DEFAULT_MANAGER_EMAIL,
+    ...renderEmail(type, data, recipients, content),
+    template: type,
+    templateVersion: content.version,
   };
 };
 
+// What an email is about, for the email log: the linked action or task and
+// the policy numbers in its data
+const getEmailContext = ({ actionId, taskId, policyNumbers, data } = {}) => ({
+  actionId: actionId || null,
+  taskId: taskId || null,
+  policyNumbers: [
+    ...new Set([
+      ...collectPolicyNumbers(data),
+      ...(Array.isArray(policyNumbers) ? policyNumbers.map(String) : []),
+    ]),
+  ],
+});
+
+/**
+ * Build an email from a request: { template, data, to, cc, bcc } renders a
+ * stored template, otherwise { to, subject, html|text } is sent as given
+ * @throws {Error} code "invalid_email" when neither form is complete
+ */
+const buildEmail = async ({
+  template,
+  data,
+  to,
+  cc,
+  bcc,
+  subject,
+  html,
+  text,
+}) => {
+  if (template !== undefined) {
+    return renderTemplatedEmail(template, data, { to, cc, bcc });
+  }
+
+  if (!to || !subject || (!html && !text)) {
+    throw invalidEmail(
+      "Missing required email fields: template, or to, subject, and content (html or text)"
+    );
+  }
+  return { to, cc, bcc, subject, html, text };
+};
+
+// Account digests read retention tasks as: its token gets past the
+// row-level security on retention_tasks (see SUPABASE_SETUP.md) when Supabase
+// accepts our tokens
+const DIGEST_READER = {
+  id: "system:digest",
+  username: "digest",
+  displayName: "Digest",
+  role: "admin",
+};
+
+// Build a schedule's digest from the policy database and queue the email
+const sendDigest = async (schedule, actor) => {
+  if (!hasDatabaseConfig()) {
+    throw new Error("Supabase is not configured; digests need policy data");
+  }
+  const database = loadDatabase();
+  // Each run gets its own client so the reader token never leaks into the
+  // shared one
+  const client = require("../src/config/supabase.js").createSupabaseClient(
+    SUPABASE_ACCEPTS_TOKENS ? auth.signToken(DIGEST_READER) : null
+  );
+
+  const [policies, tasks] = await Promise.all([
+    database.getAllPolicies(client),
+    database.getOpenRetentionTasks(client),
+  ]);
+  const digest = buildDigest({ policies, tasks, period: schedule.frequency });
+  const email = await renderTemplatedEmail("management_digest", digest, {
+    to: schedule.recipients.join(", "),
+  });
+
+  const { job } = await jobQueue.enqueue(
+    "email",
+    { email, context: getEmailContext() },
+    { createdBy: actor }
+  );
+  return job;
+};
+
+const digestScheduler = createDigestScheduler({
+  store: digestStore,
+  sendDigest,
+  intervalMs: Number(process.env.DIGEST_POLL_INTERVAL_MS) || undefined,
+});
+
+// Queue an email with its log context; batch items pass their index so
+// each gets its own idempotency key
+const queueEmail = (emailData, req, { context, index } = {}) => {
+  const key = getIdempotencyKey(req, "email");
+  return jobQueue.enqueue(
+    "email",
+    { email: emailData, context: getEmailContext(context) },
+    {
+      idempotencyKey: key && index !== undefined ? `${key}:${index}` : key,
+      createdBy: getActor(req),
+    }
+  );
+};
+
+const sendEmailError = (res, error, context) => {
+  if (error.code === "invalid_email" || error.code === "invalid_template") {
+    return res.status(400).json({
+      success: false,
+      error:
+        error.code === "invalid_email" ? "Invalid email" : "Invalid template",
+      message: error.message,
+    });
+  }
+
+  console.error(`Error sending ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: "Failed to send email",
+    message: error.message,
+  });
+};
+
 // API Routes
 
 // Health check
@@ -380,214 +677,649 @@ app.get("/api/health", (req, res) => {
     timestamp: new Date().toISOString(),
     emailConfigured: !!emailTransporter,
     n8nConfigured: !!N8N_WEBHOOK_BASE_URL,
+    autoIngestEnabled: !!folderWatcher,
+    smsProvider: smsProvider.name,
   });
 });
 
-// Actions CRUD operations
+// Authentication
 
-// Get all actions
-app.get("/api/actions", (req, res) => {
+// Sign in with a username and password; returns a bearer token
+app.post("/api/auth/login", async (req, res) => {
   try {
-    const { status, priority, type, search } = req.query;
-    let filteredActions = [...actions];
-
-    // Apply filters
-    if (status && status !== "all") {
-      filteredActions = filteredActions.filter(
-        (action) => action.status === status
-      );
-    }
-
-    if (priority && priority !== "all") {
-      filteredActions = filteredActions.filter(
-        (action) => action.priority === priority
-      );
-    }
+    const { username, password } = req.body;
 
-    if (type && type !== "all") {
-      filteredActions = filteredActions.filter(
-        (action) => action.type === type
-      );
+    if (!username || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: username, password",
+      });
     }
 
-    if (search) {
-      const searchLower = search.toLowerCase();
-      filteredActions = filteredActions.filter(
-        (action) =>
-          action.title.toLowerCase().includes(searchLower) ||
-          action.description.toLowerCase().includes(searchLower) ||
-          (action.agentName &&
-            action.agentName.toLowerCase().includes(searchLower))
-      );
+    const session = await auth.signIn(username, password);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid username or password",
+      });
     }
 
     res.json({
       success: true,
-      data: filteredActions,
-      total: filteredActions.length,
+      data: {
+        token: session.token,
+        user: toPublicUser(session.user),
+        supabaseToken: SUPABASE_ACCEPTS_TOKENS,
+      },
     });
   } catch (error) {
-    console.error("Error fetching actions:", error);
+    console.error("Error signing in:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch actions",
+      error: "Failed to sign in",
       message: error.message,
     });
   }
 });
 
-// Create new action
-app.post("/api/actions", (req, res) => {
+// n8n workflow callbacks (authenticated by N8N_CALLBACK_SECRET, not a
+// user token). The body carries the executionId the run was triggered with.
+app.post("/api/n8n-callback/:event", async (req, res) => {
   try {
-    const actionData = req.body;
+    const { event } = req.params;
+    if (!["success", "error", "progress"].includes(event)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown callback: ${event}`,
+      });
+    }
 
-    validateAction(actionData);
+    if (!secretsMatch(req.get("X-N8N-Callback-Secret"), N8N_CALLBACK_SECRET)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid callback secret",
+      });
+    }
 
-    const newAction = {
-      id: generateActionId(),
-      ...actionData,
-      status: actionData.status || "pending",
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
+    const body = req.body || {};
+    if (!body.executionId) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: executionId",
+      });
+    }
+
+    const execution = await actionStore.getExecution(body.executionId);
+    if (!execution) {
+      return res.status(404).json({
+        success: false,
+        error: "Workflow execution not found",
+      });
+    }
+    if (isFinished(execution)) {
+      return res.status(409).json({
+        success: false,
+        error: `Workflow execution already ${execution.status}`,
+      });
+    }
 
-    actions.push(newAction);
+    const updated = await actionStore.updateExecution(
+      execution.id,
+      applyCallback(execution, event, body)
+    );
 
-    res.status(201).json({
-      success: true,
-      data: newAction,
-      message: "Action created successfully",
-    });
+    if (isFinished(updated)) {
+      await recordWorkflowOutcome(updated, "n8n");
+    }
+
+    console.log(
+      `🔁 Workflow ${updated.workflowType} (${updated.id}): ${event}, ${updated.status}`
+    );
+    res.json({ success: true, data: updated });
   } catch (error) {
-    console.error("Error creating action:", error);
-    res.status(400).json({
+    console.error("Error handling n8n callback:", error);
+    res.status(500).json({
       success: false,
-      error: "Failed to create action",
+      error: "Failed to handle n8n callback",
       message: error.message,
     });
   }
 });
 
-// Create multiple actions (batch)
-app.post("/api/actions/batch", (req, res) => {
+// Bounce reports from the mail provider (authenticated by
+// EMAIL_WEBHOOK_SECRET, not a user token): { messageId, recipient, reason }
+app.post("/api/email/bounces", async (req, res) => {
   try {
-    const actionsData = req.body.actions;
-
-    if (!Array.isArray(actionsData)) {
-      throw new Error("Actions must be an array");
+    if (
+      !secretsMatch(req.get("X-Email-Webhook-Secret"), EMAIL_WEBHOOK_SECRET)
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid webhook secret",
+      });
     }
 
-    const newActions = [];
-    const errors = [];
-
-    actionsData.forEach((actionData, index) => {
-      try {
-        validateAction(actionData);
-
-        const newAction = {
-          id: generateActionId(),
-          ...actionData,
-          status: actionData.status || "pending",
-          createdAt: new Date().toISOString(),
-          updatedAt: new Date().toISOString(),
-        };
+    const { messageId, recipient, reason } = req.body || {};
+    if (!messageId) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: messageId",
+      });
+    }
 
-        newActions.push(newAction);
-      } catch (error) {
-        errors.push({ index, error: error.message });
-      }
+    const entry = await emailLogStore.recordBounce(messageId, {
+      recipient,
+      reason,
     });
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "No logged email with that messageId",
+      });
+    }
 
-    // Add valid actions to the collection
-    actions.push(...newActions);
-
-    res.status(201).json({
-      success: true,
-      data: newActions,
-      errors: errors,
-      message: `${newActions.length} actions created successfully${
-        errors.length > 0 ? `, ${errors.length} failed` : ""
-      }`,
-    });
+    console.log(
+      `📭 Email ${entry.id} bounced${recipient ? ` for ${recipient}` : ""}`
+    );
+    res.json({ success: true, data: entry });
   } catch (error) {
-    console.error("Error creating batch actions:", error);
-    res.status(400).json({
+    console.error("Error recording email bounce:", error);
+    res.status(500).json({
       success: false,
-      error: "Failed to create batch actions",
+      error: "Failed to record bounce",
       message: error.message,
     });
   }
 });
 
-// Update action
-app.put("/api/actions/:id", (req, res) => {
+// Text replies from the SMS provider (authenticated by SMS_WEBHOOK_SECRET,
+// not a user token; a query parameter is accepted because providers such as
+// Twilio can't set headers). A reply is filed on the task last texted to
+// that number, and STOP or START replies opt the number out or back in.
+app.post("/api/sms/inbound", async (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body;
-
-    const actionIndex = actions.findIndex((action) => action.id === id);
+    if (
+      !secretsMatch(
+        req.get("X-Sms-Webhook-Secret") || req.query.secret,
+        SMS_WEBHOOK_SECRET
+      )
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid webhook secret",
+      });
+    }
 
-    if (actionIndex === -1) {
-      return res.status(404).json({
+    const inbound = smsProvider.parseInbound(req.body || {});
+    const phone = normalizePhone(inbound.from);
+    if (!phone || typeof inbound.body !== "string") {
+      return res.status(400).json({
         success: false,
-        error: "Action not found",
+        error: "Missing required fields: from, body",
       });
     }
 
-    // Validate update data if it contains type, title, description, priority, or dueDate
-    const fieldsToValidate = [
-      "type",
-      "title",
-      "description",
-      "priority",
-      "dueDate",
-    ];
-    const hasFieldsToValidate = fieldsToValidate.some((field) =>
-      updateData.hasOwnProperty(field)
-    );
+    const [lastSent] = await smsStore.queryMessages({
+      phone,
+      direction: "outbound",
+      limit: 1,
+    });
+    const message = await smsStore.recordMessage({
+      direction: "inbound",
+      status: "received",
+      from: phone,
+      to: inbound.to || smsProvider.from,
+      body: inbound.body,
+      taskId: lastSent?.taskId,
+      policyNumber: lastSent?.policyNumber,
+      provider: smsProvider.name,
+      providerMessageId: inbound.providerMessageId,
+    });
 
-    if (hasFieldsToValidate) {
-      const actionToValidate = { ...actions[actionIndex], ...updateData };
-      validateAction(actionToValidate);
+    if (isOptOutReply(inbound.body) || isOptInReply(inbound.body)) {
+      const optedOut = isOptOutReply(inbound.body);
+      await smsStore.setOptOut(phone, {
+        optedOut,
+        keyword: inbound.body.trim().toUpperCase(),
+      });
+      console.log(
+        optedOut ? `📵 ${phone} opted out of texts` : `📱 ${phone} opted in`
+      );
     }
 
-    // Update the action
-    actions[actionIndex] = {
-      ...actions[actionIndex],
-      ...updateData,
-      updatedAt: new Date().toISOString(),
-    };
-
-    res.json({
-      success: true,
-      data: actions[actionIndex],
-      message: "Action updated successfully",
-    });
+    console.log(
+      `📥 Text from ${phone}${message.taskId ? ` on ${message.taskId}` : ""}`
+    );
+    res.json({ success: true, data: message });
   } catch (error) {
-    console.error("Error updating action:", error);
-    res.status(400).json({
+    console.error("Error receiving text message:", error);
+    res.status(500).json({
       success: false,
-      error: "Failed to update action",
+      error: "Failed to receive text message",
       message: error.message,
     });
   }
 });
 
-// Delete action
-app.delete("/api/actions/:id", (req, res) => {
-  try {
-    const { id } = req.params;
+// Everything below needs a signed-in user
+app.use("/api", auth.authenticate);
+
+// Permission each protected route needs (see src/utils/permissions.js).
+// Routes not listed are open to every signed-in user.
+const ROUTE_PERMISSIONS = [
+  ["get", "/api/users", "users:manage"],
+  ["post", "/api/users", "users:manage"],
+  ["put", "/api/users/:id", "users:manage"],
+  ["get", "/api/actions", "actions:read"],
+  ["get", "/api/actions/:id", "actions:read"],
+  ["get", "/api/actions/:id/history", "actions:read"],
+  ["post", "/api/actions", "actions:create"],
+  ["post", "/api/actions/batch", "actions:create"],
+  ["put", "/api/actions/:id", "actions:update"],
+  ["delete", "/api/actions/:id", "actions:delete"],
+  ["post", "/api/actions/:id/execute", "actions:execute"],
+  ["post", "/api/email/agent-training", "email:send"],
+  ["post", "/api/email/high-value-alert", "email:send"],
+  ["get", "/api/email/templates", "email:send"],
+  ["get", "/api/email/templates/:type/versions", "email:send"],
+  ["put", "/api/email/templates/:type", "templates:manage"],
+  [
+    "post",
+    "/api/email/templates/:type/versions/:version/restore",
+    "templates:manage",
+  ],
+  ["post", "/api/email/templates/:type/test", "templates:manage"],
+  ["post", "/api/email/send", "email:send"],
+  ["post", "/api/email/batch", "email:send"],
+  ["post", "/api/email/test", "email:send"],
+  ["get", "/api/email/log", "email:read"],
+  ["get", "/api/email/log/:id", "email:read"],
+  ["get", "/api/sms/templates", "sms:send"],
+  ["post", "/api/sms/send", "sms:send"],
+  ["get", "/api/sms/messages", "sms:read"],
+  ["get", "/api/sms/opt-outs/:phone", "sms:read"],
+  ["get", "/api/contacts", "contacts:read"],
+  ["get", "/api/contacts/match", "contacts:read"],
+  ["post", "/api/contacts", "contacts:manage"],
+  ["post", "/api/contacts/import", "contacts:manage"],
+  ["put", "/api/contacts/:id", "contacts:manage"],
+  ["delete", "/api/contacts/:id", "contacts:manage"],
+  ["post", "/api/n8n/trigger/:workflowType", "workflows:trigger"],
+  ["post", "/api/n8n/test", "workflows:trigger"],
+  ["get", "/api/workflow-executions", "workflows:read"],
+  ["get", "/api/workflow-executions/:id", "workflows:read"],
+  ["get", "/api/jobs", "jobs:manage"],
+  ["post", "/api/jobs/:id/retry", "jobs:manage"],
+  ["post", "/api/jobs/:id/cancel", "jobs:manage"],
+  ["get", "/api/digests", "digests:manage"],
+  ["post", "/api/digests", "digests:manage"],
+  ["put", "/api/digests/:id", "digests:manage"],
+  ["delete", "/api/digests/:id", "digests:manage"],
+  ["post", "/api/digests/:id/send", "digests:manage"],
+  ["post", "/api/uploads", "uploads:write"],
+];
+
+ROUTE_PERMISSIONS.forEach(([method, route, permission]) => {
+  app[method](route, auth.requirePermission(permission));
+});
 
-    const actionIndex = actions.findIndex((action) => action.id === id);
+// The signed-in user
+app.get("/api/auth/me", (req, res) => {
+  res.json({
+    success: true,
+    data: toPublicUser(req.user),
+  });
+});
 
-    if (actionIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        error: "Action not found",
-      });
-    }
+// User accounts (admin only)
 
-    const deletedAction = actions.splice(actionIndex, 1)[0];
+// Store errors answered with 409: a taken username or display name
+const DUPLICATE_USER_ERRORS = ["duplicate_username", "duplicate_user"];
+
+app.get("/api/users", async (req, res) => {
+  try {
+    const users = await userStore.listUsers();
+
+    res.json({
+      success: true,
+      data: users.map(toPublicUser),
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch users",
+      message: error.message,
+    });
+  }
+});
+
+app.post("/api/users", async (req, res) => {
+  try {
+    const { username, displayName, role, password } = req.body;
+
+    validatePassword(password);
+    const user = await userStore.createUser({
+      username,
+      displayName,
+      role,
+      passwordHash: await hashPassword(password),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toPublicUser(user),
+      message: "User created successfully",
+    });
+  } catch (error) {
+    console.error("Error creating user:", error);
+    res.status(DUPLICATE_USER_ERRORS.includes(error.code) ? 409 : 400).json({
+      success: false,
+      error: "Failed to create user",
+      message: error.message,
+    });
+  }
+});
+
+// Change a user's display name, role or password, or disable the account
+app.put("/api/users/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { displayName, role, password, disabled } = req.body;
+
+    // Admins can't lock themselves out
+    if (id === req.user.id && (disabled || (role && role !== req.user.role))) {
+      return res.status(400).json({
+        success: false,
+        error: "Failed to update user",
+        message: "You can't change your own role or disable your own account",
+      });
+    }
+
+    const changes = {};
+    if (displayName !== undefined)
+      changes.displayName = String(displayName).trim();
+    if (role !== undefined) changes.role = role;
+    if (disabled !== undefined) changes.disabled = Boolean(disabled);
+    if (password !== undefined) {
+      validatePassword(password);
+      changes.passwordHash = await hashPassword(password);
+    }
+
+    const updatedUser = await userStore.updateUser(id, changes);
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: toPublicUser(updatedUser),
+      message: "User updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating user:", error);
+    res.status(DUPLICATE_USER_ERRORS.includes(error.code) ? 409 : 400).json({
+      success: false,
+      error: "Failed to update user",
+      message: error.message,
+    });
+  }
+});
+
+// Actions CRUD operations
+
+// Get actions: filters, sort/order, cursor pagination (limit + cursor) and
+// a fields projection. total counts every match, not just this page.
+// Specialists only ever see the actions assigned to them.
+app.get("/api/actions", async (req, res) => {
+  try {
+    const query = parseActionQuery(req.query);
+    if (isLimitedToOwnWork(req.user)) {
+      query.filters.assignedTo = req.user.displayName;
+    }
+    const { actions, total, nextCursor } =
+      await actionStore.queryActions(query);
+
+    res.json({
+      success: true,
+      data: actions.map((action) => projectFields(action, query.fields)),
+      total,
+      nextCursor,
+      hasMore: nextCursor !== null,
+    });
+  } catch (error) {
+    if (error.code === "invalid_query") {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid query",
+        message: error.message,
+      });
+    }
+
+    console.error("Error fetching actions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch actions",
+      message: error.message,
+    });
+  }
+});
+
+// Get a single action
+app.get("/api/actions/:id", async (req, res) => {
+  try {
+    const action = await actionStore.getAction(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        error: "Action not found",
+      });
+    }
+    if (isLimitedToOwnWork(req.user) && !canWorkOnAction(req.user, action)) {
+      return sendActionForbidden(res);
+    }
+
+    res.json({
+      success: true,
+      data: action,
+    });
+  } catch (error) {
+    console.error("Error fetching action:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch action",
+      message: error.message,
+    });
+  }
+});
+
+// Get an action's audit trail, oldest first (kept after the action is deleted)
+app.get("/api/actions/:id/history", async (req, res) => {
+  try {
+    const history = await actionStore.getActionHistory(req.params.id);
+    const action = await actionStore.getAction(req.params.id);
+
+    if (history.length === 0 && !action) {
+      return res.status(404).json({
+        success: false,
+        error: "Action not found",
+      });
+    }
+    // A deleted action's trail is only shown to those who see every action
+    if (isLimitedToOwnWork(req.user) && !canWorkOnAction(req.user, action)) {
+      return sendActionForbidden(res);
+    }
+
+    res.json({
+      success: true,
+      data: history,
+      total: history.length,
+    });
+  } catch (error) {
+    console.error("Error fetching action history:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch action history",
+      message: error.message,
+    });
+  }
+});
+
+// Create new action
+app.post("/api/actions", async (req, res) => {
+  try {
+    const actionData = req.body;
+
+    validateAction(actionData);
+
+    const [newAction] = await actionStore.createActions([actionData], {
+      actor: getActor(req),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: newAction,
+      message: "Action created successfully",
+    });
+  } catch (error) {
+    console.error("Error creating action:", error);
+    res.status(400).json({
+      success: false,
+      error: "Failed to create action",
+      message: error.message,
+    });
+  }
+});
+
+// Create multiple actions (batch)
+app.post("/api/actions/batch", async (req, res) => {
+  try {
+    const actionsData = req.body.actions;
+
+    if (!Array.isArray(actionsData)) {
+      throw new Error("Actions must be an array");
+    }
+
+    const validActions = [];
+    const errors = [];
+
+    actionsData.forEach((actionData, index) => {
+      try {
+        validateAction(actionData);
+        validActions.push(actionData);
+      } catch (error) {
+        errors.push({ index, error: error.message });
+      }
+    });
+
+    // Add valid actions to the collection
+    const newActions = await actionStore.createActions(validActions, {
+      actor: getActor(req),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: newActions,
+      errors: errors,
+      message: `${newActions.length} actions created successfully${
+        errors.length > 0 ? `, ${errors.length} failed` : ""
+      }`,
+    });
+  } catch (error) {
+    console.error("Error creating batch actions:", error);
+    res.status(400).json({
+      success: false,
+      error: "Failed to create batch actions",
+      message: error.message,
+    });
+  }
+});
+
+// Update action
+app.put("/api/actions/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    const existingAction = await actionStore.getAction(id);
+
+    if (!existingAction) {
+      return res.status(404).json({
+        success: false,
+        error: "Action not found",
+      });
+    }
+    if (!canWorkOnAction(req.user, existingAction)) {
+      return sendActionForbidden(res);
+    }
+    if (
+      updateData.hasOwnProperty("assignedTo") &&
+      updateData.assignedTo !== existingAction.assignedTo &&
+      !can(req.user, "actions:assign")
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: "Forbidden",
+        message: "Your role does not allow actions:assign",
+      });
+    }
+
+    // Validate update data if it contains type, title, description, priority, or dueDate
+    const fieldsToValidate = [
+      "type",
+      "title",
+      "description",
+      "priority",
+      "dueDate",
+    ];
+    const hasFieldsToValidate = fieldsToValidate.some((field) =>
+      updateData.hasOwnProperty(field)
+    );
+
+    if (hasFieldsToValidate) {
+      const actionToValidate = { ...existingAction, ...updateData };
+      validateAction(actionToValidate);
+    }
+
+    // Update the action
+    const updatedAction = await actionStore.updateAction(id, updateData, {
+      actor: getActor(req),
+    });
+
+    res.json({
+      success: true,
+      data: updatedAction,
+      message: "Action updated successfully",
+    });
+  } catch (error) {
+    console.error("Error updating action:", error);
+    res.status(400).json({
+      success: false,
+      error: "Failed to update action",
+      message: error.message,
+    });
+  }
+});
+
+// Delete action
+app.delete("/api/actions/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deletedAction = await actionStore.deleteAction(id, {
+      actor: getActor(req),
+    });
+
+    if (!deletedAction) {
+      return res.status(404).json({
+        success: false,
+        error: "Action not found",
+      });
+    }
 
     res.json({
       success: true,
@@ -598,112 +1330,738 @@ app.delete("/api/actions/:id", (req, res) => {
     console.error("Error deleting action:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to delete action",
+      error: "Failed to delete action",
+      message: error.message,
+    });
+  }
+});
+
+// Email endpoints
+
+// Email template library
+
+const templateNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Template not found",
+    message: "No email template of that type",
+  });
+
+// Every template type with its current version
+app.get("/api/email/templates", async (req, res) => {
+  try {
+    const current = await templateStore.listCurrent();
+    const byType = new Map(current.map((version) => [version.type, version]));
+
+    res.json({
+      success: true,
+      data: listEmailTemplates().map((template) => ({
+        ...template,
+        current: byType.get(template.type) || null,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching email templates:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch email templates",
+      message: error.message,
+    });
+  }
+});
+
+// Every saved version of a template, newest first
+app.get("/api/email/templates/:type/versions", async (req, res) => {
+  if (!isEmailTemplate(req.params.type)) return templateNotFound(res);
+
+  try {
+    res.json({
+      success: true,
+      data: await templateStore.listVersions(req.params.type),
+    });
+  } catch (error) {
+    console.error("Error fetching template versions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch template versions",
+      message: error.message,
+    });
+  }
+});
+
+// Save new wording as the template's next version
+app.put("/api/email/templates/:type", async (req, res) => {
+  if (!isEmailTemplate(req.params.type)) return templateNotFound(res);
+
+  try {
+    const { subject, html, text, note } = req.body;
+    const version = await templateStore.saveVersion(
+      req.params.type,
+      { subject, html, text },
+      { createdBy: getActor(req), note }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: version,
+      message: `Saved version ${version.version}`,
+    });
+  } catch (error) {
+    sendEmailError(res, error, "template");
+  }
+});
+
+// Make an earlier version current again by saving it as the next version
+app.post(
+  "/api/email/templates/:type/versions/:version/restore",
+  async (req, res) => {
+    if (!isEmailTemplate(req.params.type)) return templateNotFound(res);
+
+    try {
+      const number = Number(req.params.version);
+      const previous = await templateStore.getVersion(req.params.type, number);
+      if (!previous) {
+        return res.status(404).json({
+          success: false,
+          error: "Version not found",
+          message: `No version ${req.params.version} of ${req.params.type}`,
+        });
+      }
+
+      const version = await templateStore.saveVersion(
+        req.params.type,
+        previous,
+        { createdBy: getActor(req), note: `Restored version ${number}` }
+      );
+
+      res.status(201).json({
+        success: true,
+        data: version,
+        message: `Restored version ${number} as version ${version.version}`,
+      });
+    } catch (error) {
+      sendEmailError(res, error, "template");
+    }
+  }
+);
+
+// Send a draft (or the current version) to one address straight away,
+// filled from an action or the template's sample data
+app.post("/api/email/templates/:type/test", async (req, res) => {
+  const { type } = req.params;
+  if (!isEmailTemplate(type)) return templateNotFound(res);
+
+  try {
+    const { to, actionId, subject, html, text } = req.body;
+    if (!to) throw invalidEmail("to is required for a test send");
+    if (!emailTransporter) {
+      throw new Error("Email transporter not configured");
+    }
+
+    let content;
+    if (subject !== undefined) {
+      content = { subject, html, text };
+      validateTemplateContent(content);
+    } else {
+      content = await templateStore.getCurrent(type);
+    }
+
+    let data = listEmailTemplates().find(
+      (template) => template.type === type
+    ).sampleData;
+    if (actionId) {
+      data = await actionStore.getAction(actionId);
+      if (!data) {
+        return res.status(404).json({
+          success: false,
+          error: "Action not found",
+          message: `No action with id ${actionId}`,
+        });
+      }
+    }
+
+    const emailData = renderEmail(type, data, { to }, content);
+    const result = await deliverEmail(
+      {
+        ...emailData,
+        subject: `[Test] ${emailData.subject}`,
+        template: type,
+        templateVersion: subject === undefined ? content.version : null,
+      },
+      {
+        context: getEmailContext({ actionId, data: actionId ? data : {} }),
+        sentBy: getActor(req),
+      }
+    );
+
+    res.json({
+      success: true,
+      data: { messageId: result.messageId },
+      message: `Test email sent to ${to}`,
+    });
+  } catch (error) {
+    sendEmailError(res, error, "test template email");
+  }
+});
+
+// Send agent training email
+app.post("/api/email/agent-training", async (req, res) => {
+  try {
+    const emailData = await renderTemplatedEmail("agent_training", req.body);
+    const { job } = await queueEmail(emailData, req, {
+      context: { ...req.body, data: req.body },
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: "Agent training email queued",
+    });
+  } catch (error) {
+    sendEmailError(res, error, "agent training email");
+  }
+});
+
+// Send high-value recovery alert email
+app.post("/api/email/high-value-alert", async (req, res) => {
+  try {
+    const emailData = await renderTemplatedEmail(
+      "high_value_recovery",
+      req.body
+    );
+    const { job } = await queueEmail(emailData, req, {
+      context: { ...req.body, data: req.body },
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: "High-value alert email queued",
+    });
+  } catch (error) {
+    sendEmailError(res, error, "high-value alert email");
+  }
+});
+
+// Send a templated or custom email; actionId, taskId and policyNumbers
+// link it to what it is about in the email log
+app.post("/api/email/send", async (req, res) => {
+  try {
+    const { job } = await queueEmail(await buildEmail(req.body), req, {
+      context: req.body,
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: "Email queued",
+    });
+  } catch (error) {
+    sendEmailError(res, error, "email");
+  }
+});
+
+// Queue several emails. Every item is checked before any is queued, so a
+// bad item rejects the whole batch instead of sending part of it.
+app.post("/api/email/batch", async (req, res) => {
+  try {
+    const { emails } = req.body;
+    if (!Array.isArray(emails) || emails.length === 0) {
+      throw invalidEmail("emails must be a non-empty array");
+    }
+    if (emails.length > MAX_BATCH_EMAILS) {
+      throw invalidEmail(`A batch can hold at most ${MAX_BATCH_EMAILS} emails`);
+    }
+
+    const built = [];
+    for (const [index, email] of emails.entries()) {
+      try {
+        built.push(await buildEmail(email || {}));
+      } catch (error) {
+        error.message = `Email ${index + 1}: ${error.message}`;
+        throw error;
+      }
+    }
+
+    const jobs = [];
+    for (const [index, emailData] of built.entries()) {
+      const { job } = await queueEmail(emailData, req, {
+        context: emails[index],
+        index,
+      });
+      jobs.push(job);
+    }
+
+    res.status(202).json({
+      success: true,
+      data: jobs,
+      message: `${jobs.length} emails queued`,
+    });
+  } catch (error) {
+    sendEmailError(res, error, "email batch");
+  }
+});
+
+// Test email configuration
+app.post("/api/email/test", async (req, res) => {
+  try {
+    if (!emailTransporter) {
+      throw new Error("Email transporter not configured");
+    }
+
+    const testEmail = {
+      to: req.body.to || process.env.EMAIL_USER,
+      subject: "Policy Persistency Tracker - Email Test",
+      html: "<p>This is a test email from the Policy Persistency Tracker system.</p>",
+      text: "This is a test email from the Policy Persistency Tracker system.",
+    };
+
+    const result = await deliverEmail(testEmail, {
+      context: getEmailContext(),
+      sentBy: getActor(req),
+    });
+
+    res.json({
+      success: true,
+      data: { messageId: result.messageId },
+      message: "Test email sent successfully",
+    });
+  } catch (error) {
+    console.error("Error sending test email:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send test email",
+      message: error.message,
+    });
+  }
+});
+
+// Sent emails, newest first: search (recipient, subject or messageId),
+// status (comma-separated), template, actionId, taskId, policyNumber, limit
+app.get("/api/email/log", async (req, res) => {
+  try {
+    const { search, status, template, actionId, taskId, policyNumber, limit } =
+      req.query;
+
+    const statuses = status ? status.split(",").filter(Boolean) : undefined;
+    const unknown = (statuses || []).filter((s) => !EMAIL_STATUSES.includes(s));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status: ${unknown.join(", ")}`,
+      });
+    }
+
+    const parsedLimit = limit === undefined ? undefined : Number(limit);
+    if (
+      parsedLimit !== undefined &&
+      (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 200)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "limit must be an integer from 1 to 200",
+      });
+    }
+
+    const emails = await emailLogStore.queryEmails({
+      search: search ? search.trim() : undefined,
+      statuses,
+      template,
+      actionId,
+      taskId,
+      policyNumber,
+      limit: parsedLimit,
+    });
+
+    res.json({ success: true, data: emails });
+  } catch (error) {
+    console.error("Error fetching email log:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch email log",
+      message: error.message,
+    });
+  }
+});
+
+app.get("/api/email/log/:id", async (req, res) => {
+  try {
+    const entry = await emailLogStore.getEmail(req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Email not found",
+      });
+    }
+    res.json({ success: true, data: entry });
+  } catch (error) {
+    console.error("Error fetching email:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch email",
+      message: error.message,
+    });
+  }
+});
+
+// Text messages
+
+const sendSmsError = (res, error, context) => {
+  if (error.code === "invalid_sms") {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid text message",
+      message: error.message,
+    });
+  }
+
+  console.error(`Error trying to ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${context}`,
+    message: error.message,
+  });
+};
+
+const sendTaskForbidden = (res) =>
+  res.status(403).json({
+    success: false,
+    error: "Forbidden",
+    message: "This task is not assigned to you",
+  });
+
+// A retention task and its policy's issue state, read from Supabase as the
+// requesting user so row-level security applies when Supabase accepts our
+// tokens. Texts rely on these rather than on what the dashboard sends.
+const loadRetentionTask = async (user, taskId) => {
+  if (!hasDatabaseConfig()) {
+    throw new Error(
+      "Supabase is not configured; texts need the retention task"
+    );
+  }
+  const database = loadDatabase();
+  const client = require("../src/config/supabase.js").createSupabaseClient(
+    SUPABASE_ACCEPTS_TOKENS ? auth.signToken(user) : null
+  );
+
+  const row = await database.getRetentionTask(taskId, client);
+  if (!row) return null;
+
+  return {
+    id: row.task_id,
+    type: row.type,
+    policyNumber: row.policy_number,
+    assignedTo: row.assigned_to,
+    issueState: row.policy_number
+      ? await database.getPolicyIssueState(row.policy_number, client)
+      : null,
+  };
+};
+
+// Text templates, one per retention task type
+app.get("/api/sms/templates", (req, res) => {
+  res.json({ success: true, data: listSmsTemplates() });
+});
+
+// Text a customer about a retention task: { to, taskId, data, template,
+// body }. The task's type, policy number and issue state come from the
+// database, and only those who can work the task may text about it. Without
+// a body the template (the task type's by default) is filled from data.
+// Refused with 409 when the number opted out or the issue state is in quiet
+// hours.
+app.post("/api/sms/send", async (req, res) => {
+  try {
+    const { to, taskId, data = {}, template, body } = req.body || {};
+
+    const phone = normalizePhone(to);
+    if (!phone) {
+      throw invalidSms(`Invalid phone number: ${to || "(none)"}`);
+    }
+    if (!taskId) {
+      throw invalidSms("taskId is required");
+    }
+
+    const task = await loadRetentionTask(req.user, taskId);
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: "Task not found",
+      });
+    }
+    if (!canWorkOnTask(req.user, task)) {
+      return sendTaskForbidden(res);
+    }
+    const { policyNumber, issueState } = task;
+    const templateName = template || task.type;
+
+    const text =
+      body === undefined
+        ? renderSms(templateName, { ...data, policyNumber })
+        : body;
+    validateSmsBody(text);
+
+    const optOut = await smsStore.getOptOut(phone);
+    if (optOut?.optedOut) {
+      return res.status(409).json({
+        success: false,
+        error: "Recipient opted out",
+        message: `${phone} replied ${optOut.keyword} and gets no more texts until they reply START`,
+      });
+    }
+
+    const quietHours = findQuietHours(issueState);
+    if (quietHours) {
+      return res.status(409).json({
+        success: false,
+        error: "Quiet hours",
+        message: `It is ${quietHours.localTime} in ${quietHours.timeZone}; no texts are sent from ${describeQuietHours()}`,
+      });
+    }
+
+    const details = {
+      direction: "outbound",
+      to: phone,
+      from: smsProvider.from,
+      body: text,
+      template: isSmsTemplate(templateName) ? templateName : null,
+      taskId,
+      policyNumber,
+      provider: smsProvider.name,
+      sentBy: getActor(req),
+    };
+
+    let result;
+    try {
+      result = await smsProvider.send({ to: phone, body: text });
+    } catch (error) {
+      const failed = await smsStore.recordMessage({
+        ...details,
+        status: "failed",
+        error: error.message,
+      });
+      console.error(`Text to ${phone} failed:`, error.message);
+      return res.status(502).json({
+        success: false,
+        error: "Text message not sent",
+        message: error.message,
+        data: failed,
+      });
+    }
+
+    const message = await smsStore.recordMessage({
+      ...details,
+      status: "sent",
+      providerMessageId: result.providerMessageId,
+    });
+    console.log(`📱 Text sent to ${phone} by ${getActor(req)}`);
+    res.status(201).json({ success: true, data: message });
+  } catch (error) {
+    sendSmsError(res, error, "send text message");
+  }
+});
+
+// Texts sent and received, newest first: taskId, phone, policyNumber, limit.
+// Anyone limited to their own work only sees a task assigned to them.
+app.get("/api/sms/messages", async (req, res) => {
+  try {
+    const { taskId, phone, policyNumber, limit } = req.query;
+
+    if (isLimitedToOwnWork(req.user)) {
+      const task = taskId ? await loadRetentionTask(req.user, taskId) : null;
+      if (!canWorkOnTask(req.user, task)) {
+        return sendTaskForbidden(res);
+      }
+    }
+
+    const normalizedPhone = phone ? normalizePhone(phone) : undefined;
+    if (normalizedPhone === null) {
+      throw invalidSms(`Invalid phone number: ${phone}`);
+    }
+
+    const parsedLimit = limit === undefined ? undefined : Number(limit);
+    if (
+      parsedLimit !== undefined &&
+      (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 200)
+    ) {
+      throw invalidSms("limit must be an integer from 1 to 200");
+    }
+
+    const messages = await smsStore.queryMessages({
+      taskId,
+      phone: normalizedPhone,
+      policyNumber,
+      limit: parsedLimit,
+    });
+    res.json({ success: true, data: messages });
+  } catch (error) {
+    sendSmsError(res, error, "fetch text messages");
+  }
+});
+
+// Whether a number opted out of texts
+app.get("/api/sms/opt-outs/:phone", async (req, res) => {
+  try {
+    const phone = normalizePhone(req.params.phone);
+    if (!phone) {
+      throw invalidSms(`Invalid phone number: ${req.params.phone}`);
+    }
+
+    res.json({
+      success: true,
+      data: (await smsStore.getOptOut(phone)) || {
+        phone,
+        optedOut: false,
+        keyword: null,
+        updatedAt: null,
+      },
+    });
+  } catch (error) {
+    sendSmsError(res, error, "fetch opt-out");
+  }
+});
+
+// Contact directory
+
+const contactNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Contact not found",
+  });
+
+const sendContactError = (res, error, context) => {
+  if (error.code === "invalid_contact") {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid contact",
+      message: error.message,
+    });
+  }
+  if (error.code === "duplicate_contact") {
+    return res.status(409).json({
+      success: false,
+      error: "Duplicate contact",
       message: error.message,
     });
   }
-});
 
-// Email endpoints
+  console.error(`Error trying to ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${context}`,
+    message: error.message,
+  });
+};
 
-// Send agent training email
-app.post("/api/email/agent-training", async (req, res) => {
+// Contacts by name; ?q searches names, MGAs, numbers, emails and policy
+// numbers, ?role is agent, mga or customer
+app.get("/api/contacts", async (req, res) => {
   try {
-    const emailData = generateAgentTrainingEmailTemplate(req.body);
-    const result = await sendEmail(emailData);
+    const { q, role, limit } = req.query;
+    const parsedLimit = limit === undefined ? undefined : Number(limit);
+    if (
+      parsedLimit !== undefined &&
+      (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 500)
+    ) {
+      throw invalidContact("limit must be an integer from 1 to 500");
+    }
 
-    res.json({
-      success: true,
-      data: { messageId: result.messageId },
-      message: "Agent training email sent successfully",
+    const contacts = await contactStore.listContacts({
+      q,
+      role,
+      limit: parsedLimit,
     });
+    res.json({ success: true, data: contacts });
   } catch (error) {
-    console.error("Error sending agent training email:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to send email",
-      message: error.message,
-    });
+    sendContactError(res, error, "fetch contacts");
   }
 });
 
-// Send high-value alert email
-app.post("/api/email/high-value-alert", async (req, res) => {
+// Contacts for a policy: ?policyNumber, ?agentName, ?mga and ?agentLevel03
+// (the policy's agent_level_03), most specific match first
+app.get("/api/contacts/match", async (req, res) => {
   try {
-    const emailData = generateHighValueAlertTemplate(req.body);
-    const result = await sendEmail(emailData);
-
-    res.json({
-      success: true,
-      data: { messageId: result.messageId },
-      message: "High-value alert email sent successfully",
+    const { policyNumber, agentName, mga, agentLevel03 } = req.query;
+    const contacts = await contactStore.findMatches({
+      policyNumber,
+      agentName,
+      mga,
+      agentLevel03,
     });
+    res.json({ success: true, data: contacts });
   } catch (error) {
-    console.error("Error sending high-value alert email:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to send email",
-      message: error.message,
-    });
+    sendContactError(res, error, "match contacts");
   }
 });
 
-// Send custom email
-app.post("/api/email/send", async (req, res) => {
+// { role: agent|mga|customer, name, mga, agentLevel03, policyNumbers,
+// phone, email, notes }; a phone number or email is required
+app.post("/api/contacts", async (req, res) => {
   try {
-    const { to, subject, html, text, cc, bcc } = req.body;
+    const contact = await contactStore.createContact(req.body, {
+      createdBy: getActor(req),
+    });
+    res.status(201).json({ success: true, data: contact });
+  } catch (error) {
+    sendContactError(res, error, "create contact");
+  }
+});
 
-    if (!to || !subject || (!html && !text)) {
-      throw new Error(
-        "Missing required email fields: to, subject, and content (html or text)"
-      );
+// Import contacts from CSV text: { fileName, content }. A row with the same
+// role, name and MGA as an existing contact updates it
+app.post("/api/contacts/import", async (req, res) => {
+  try {
+    const { fileName, content } = req.body;
+    if (typeof content !== "string" || content.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: content (CSV text)",
+      });
     }
 
-    const result = await sendEmail({ to, subject, html, text, cc, bcc });
+    const { data } = parseCsvText(content);
+    const { created, updated, rejected } = await contactStore.importContacts(
+      data.map(contactFromCsvRow),
+      { createdBy: getActor(req) }
+    );
+    console.log(
+      `📇 Contacts imported from ${fileName || "CSV"} by ${getActor(req)}: ${created} new, ${updated} updated, ${rejected.length} rejected`
+    );
 
     res.json({
       success: true,
-      data: { messageId: result.messageId },
-      message: "Email sent successfully",
+      data: {
+        created,
+        updated,
+        // Row 1 is the header
+        rejectedRows: rejected.map(({ index, error }) => ({
+          row: index + 2,
+          error,
+        })),
+      },
     });
   } catch (error) {
-    console.error("Error sending custom email:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to send email",
-      message: error.message,
-    });
+    sendContactError(res, error, "import contacts");
   }
 });
 
-// Test email configuration
-app.post("/api/email/test", async (req, res) => {
+app.put("/api/contacts/:id", async (req, res) => {
   try {
-    if (!emailTransporter) {
-      throw new Error("Email transporter not configured");
-    }
-
-    const testEmail = {
-      to: req.body.to || process.env.EMAIL_USER,
-      subject: "Policy Persistency Tracker - Email Test",
-      html: "<p>This is a test email from the Policy Persistency Tracker system.</p>",
-      text: "This is a test email from the Policy Persistency Tracker system.",
-    };
-
-    const result = await sendEmail(testEmail);
+    const contact = await contactStore.updateContact(req.params.id, req.body);
+    if (!contact) return contactNotFound(res);
+    res.json({ success: true, data: contact });
+  } catch (error) {
+    sendContactError(res, error, "update contact");
+  }
+});
 
-    res.json({
-      success: true,
-      data: { messageId: result.messageId },
-      message: "Test email sent successfully",
-    });
+app.delete("/api/contacts/:id", async (req, res) => {
+  try {
+    if (!(await contactStore.deleteContact(req.params.id))) {
+      return contactNotFound(res);
+    }
+    res.json({ success: true, message: "Contact deleted" });
   } catch (error) {
-    console.error("Error sending test email:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to send test email",
-      message: error.message,
-    });
+    sendContactError(res, error, "delete contact");
   }
 });
 
@@ -715,12 +2073,22 @@ app.post("/api/n8n/trigger/:workflowType", async (req, res) => {
     const { workflowType } = req.params;
     const payload = req.body;
 
-    const result = await triggerN8NWorkflow(workflowType, payload);
+    const { execution, job } = await startWorkflowExecution(
+      workflowType,
+      payload,
+      {
+        actionId: payload.actionId || payload.data?.actionId,
+        taskId: payload.taskId || payload.data?.taskId,
+        actor: getActor(req),
+        callbackBaseUrl: getCallbackBaseUrl(req),
+        idempotencyKey: getIdempotencyKey(req, "n8n"),
+      }
+    );
 
-    res.json({
+    res.status(202).json({
       success: true,
-      data: result,
-      message: `N8N workflow ${workflowType} triggered successfully`,
+      data: { ...execution, jobId: job.id },
+      message: `N8N workflow ${workflowType} queued`,
     });
   } catch (error) {
     console.error("Error triggering N8N workflow:", error);
@@ -758,88 +2126,197 @@ app.post("/api/n8n/test", async (req, res) => {
   }
 });
 
+// Workflow executions, newest first. status takes a comma-separated list or
+// "active" for runs still waiting on n8n.
+app.get("/api/workflow-executions", async (req, res) => {
+  try {
+    const { status, actionId, taskId, workflowType, limit } = req.query;
+
+    let statuses;
+    if (status === "active") {
+      statuses = ACTIVE_EXECUTION_STATUSES;
+    } else if (status) {
+      statuses = String(status).split(",");
+      const unknown = statuses.filter((s) => !EXECUTION_STATUSES.includes(s));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown status: ${unknown.join(", ")}`,
+        });
+      }
+    }
+
+    const parsedLimit = limit === undefined ? undefined : Number(limit);
+    if (
+      parsedLimit !== undefined &&
+      (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 200)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "limit must be an integer from 1 to 200",
+      });
+    }
+
+    const executions = await actionStore.queryExecutions({
+      statuses,
+      actionId,
+      taskId,
+      workflowType,
+      limit: parsedLimit,
+    });
+
+    res.json({
+      success: true,
+      data: executions,
+      total: executions.length,
+    });
+  } catch (error) {
+    console.error("Error fetching workflow executions:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch workflow executions",
+      message: error.message,
+    });
+  }
+});
+
+app.get("/api/workflow-executions/:id", async (req, res) => {
+  try {
+    const execution = await actionStore.getExecution(req.params.id);
+    if (!execution) {
+      return res.status(404).json({
+        success: false,
+        error: "Workflow execution not found",
+      });
+    }
+
+    res.json({ success: true, data: execution });
+  } catch (error) {
+    console.error("Error fetching workflow execution:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch workflow execution",
+      message: error.message,
+    });
+  }
+});
+
 // Action execution endpoint
 app.post("/api/actions/:id/execute", async (req, res) => {
   try {
     const { id } = req.params;
     const { executionType } = req.body; // 'email', 'n8n', or 'both'
 
-    const action = actions.find((a) => a.id === id);
+    const action = await actionStore.getAction(id);
     if (!action) {
       return res.status(404).json({
         success: false,
         error: "Action not found",
       });
     }
+    if (!canWorkOnAction(req.user, action)) {
+      return sendActionForbidden(res);
+    }
+
+    // A repeated Idempotency-Key returns the first execution's results
+    const emailKey = getIdempotencyKey(req, "email");
+    const n8nKey = getIdempotencyKey(req, "n8n");
+    if (
+      emailKey &&
+      ((await jobStore.findByIdempotencyKey(emailKey)) ||
+        (await jobStore.findByIdempotencyKey(n8nKey)))
+    ) {
+      return res.json({
+        success: true,
+        data: { action, results: action.executionResults || [] },
+        message: "Action already executed",
+      });
+    }
 
     const results = [];
 
     // Execute email if requested
     if (executionType === "email" || executionType === "both") {
       try {
-        let emailData;
-
-        switch (action.type) {
-          case "agent_training":
-            emailData = generateAgentTrainingEmailTemplate({
-              agentName: action.agentName,
-              nsfCount: action.nsfCount,
-              policies: action.policies,
-              managerEmail: action.managerEmail,
-            });
-            break;
-          case "high_value_recovery":
-            emailData = generateHighValueAlertTemplate({
-              state: action.state,
-              policyCount: action.policyCount,
-              totalPremium: action.totalPremium,
-              policies: action.policies,
-            });
-            break;
-          default:
-            throw new Error(
-              `No email template available for action type: ${action.type}`
-            );
+        // Action types share their name with the template they send
+        if (!isEmailTemplate(action.type)) {
+          throw new Error(
+            `No email template available for action type: ${action.type}`
+          );
         }
-
-        const emailResult = await sendEmail(emailData);
-        results.push({
-          type: "email",
-          success: true,
-          messageId: emailResult.messageId,
-        });
+        const emailData = await renderTemplatedEmail(action.type, action);
+
+        const { job } = await jobQueue.enqueue(
+          "email",
+          {
+            email: emailData,
+            context: getEmailContext({ actionId: action.id, data: action }),
+          },
+          { idempotencyKey: emailKey, createdBy: getActor(req) }
+        );
+        results.push({ type: "email", success: true, jobId: job.id });
       } catch (error) {
         results.push({ type: "email", success: false, error: error.message });
       }
     }
 
     // Execute N8N workflow if requested
+    let n8nError = null;
     if (executionType === "n8n" || executionType === "both") {
       try {
-        const n8nResult = await triggerN8NWorkflow(action.type, {
-          actionId: action.id,
-          ...action,
+        const { execution, job } = await startWorkflowExecution(
+          action.type,
+          { actionId: action.id, ...action },
+          {
+            actionId: action.id,
+            actor: getActor(req),
+            callbackBaseUrl: getCallbackBaseUrl(req),
+            idempotencyKey: n8nKey,
+          }
+        );
+        results.push({
+          type: "n8n",
+          success: true,
+          executionId: execution.id,
+          jobId: job.id,
         });
-        results.push({ type: "n8n", success: true, data: n8nResult });
       } catch (error) {
+        n8nError = error;
+        console.error(`Workflow trigger for action ${id} failed:`, error);
         results.push({ type: "n8n", success: false, error: error.message });
       }
     }
 
-    // Update action status
-    const actionIndex = actions.findIndex((a) => a.id === id);
-    actions[actionIndex] = {
-      ...action,
-      status: "in_progress",
-      executionResults: results,
-      lastExecuted: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    };
+    // Update action status; results are recorded even when the trigger
+    // failed, so an email already queued is not lost from the history
+    const executedAction = await actionStore.updateAction(
+      id,
+      {
+        ...(results.some((result) => result.success) && {
+          status: "in_progress",
+        }),
+        executionResults: results,
+        lastExecuted: new Date().toISOString(),
+      },
+      {
+        actor: getActor(req),
+        events: [{ type: "executed", details: { executionType, results } }],
+      }
+    );
+
+    if (n8nError) {
+      return res.status(502).json({
+        success: false,
+        error: "Failed to trigger workflow",
+        message: n8nError.message,
+        data: { action: executedAction, results },
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        action: actions[actionIndex],
+        action: executedAction,
         results: results,
       },
       message: "Action executed successfully",
@@ -854,6 +2331,247 @@ app.post("/api/actions/:id/execute", async (req, res) => {
   }
 });
 
+// Outbound jobs
+
+// Queued, retrying and dead email/n8n jobs with counts per status. status
+// takes a comma-separated list; dead jobs are the dead-letter list.
+app.get("/api/jobs", async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+
+    const statuses = status ? String(status).split(",") : undefined;
+    const unknown = (statuses || []).filter((s) => !JOB_STATUSES.includes(s));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status: ${unknown.join(", ")}`,
+      });
+    }
+
+    const parsedLimit = limit === undefined ? undefined : Number(limit);
+    if (
+      parsedLimit !== undefined &&
+      (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > 200)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: "limit must be an integer from 1 to 200",
+      });
+    }
+
+    const [jobs, counts] = await Promise.all([
+      jobStore.listJobs({ statuses, type, limit: parsedLimit }),
+      jobStore.countJobs(),
+    ]);
+
+    res.json({ success: true, data: jobs, counts });
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch jobs",
+      message: error.message,
+    });
+  }
+});
+
+// Retry (POST /api/jobs/:id/retry) or cancel (POST /api/jobs/:id/cancel)
+const changeJob = (change) => async (req, res) => {
+  try {
+    const job = await jobQueue[change](req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Job not found",
+      });
+    }
+
+    if (change === "cancel") {
+      await failQueuedExecution(job, `Cancelled by ${getActor(req)}`);
+    }
+    console.log(`📤 Job ${job.id} ${change} by ${getActor(req)}`);
+    res.json({ success: true, data: job });
+  } catch (error) {
+    if (error.code === "invalid_job_state") {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error(`Error trying to ${change} job:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${change} job`,
+      message: error.message,
+    });
+  }
+};
+
+app.post("/api/jobs/:id/retry", changeJob("retry"));
+app.post("/api/jobs/:id/cancel", changeJob("cancel"));
+
+// Management digests
+
+const digestNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Digest schedule not found",
+  });
+
+const sendDigestError = (res, error, context) => {
+  if (error.code === "invalid_digest") {
+    return res.status(400).json({
+      success: false,
+      error: "Invalid digest schedule",
+      message: error.message,
+    });
+  }
+
+  console.error(`Error trying to ${context}:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${context}`,
+    message: error.message,
+  });
+};
+
+// Digest schedules, oldest first
+app.get("/api/digests", async (req, res) => {
+  try {
+    res.json({ success: true, data: await digestStore.listSchedules() });
+  } catch (error) {
+    sendDigestError(res, error, "fetch digest schedules");
+  }
+});
+
+// { name, frequency: daily|weekly, dayOfWeek (0 = Sunday, weekly only),
+// hour (0-23, server time), recipients, enabled }
+app.post("/api/digests", async (req, res) => {
+  try {
+    const schedule = await digestStore.createSchedule(req.body, {
+      createdBy: getActor(req),
+    });
+    console.log(`📊 Digest "${schedule.name}" created by ${getActor(req)}`);
+    res.status(201).json({ success: true, data: schedule });
+  } catch (error) {
+    sendDigestError(res, error, "create digest schedule");
+  }
+});
+
+app.put("/api/digests/:id", async (req, res) => {
+  try {
+    const schedule = await digestStore.updateSchedule(req.params.id, req.body);
+    if (!schedule) return digestNotFound(res);
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    sendDigestError(res, error, "update digest schedule");
+  }
+});
+
+app.delete("/api/digests/:id", async (req, res) => {
+  try {
+    if (!(await digestStore.deleteSchedule(req.params.id))) {
+      return digestNotFound(res);
+    }
+    res.json({ success: true, message: "Digest schedule deleted" });
+  } catch (error) {
+    sendDigestError(res, error, "delete digest schedule");
+  }
+});
+
+// Send a digest now; its next scheduled run is unchanged
+app.post("/api/digests/:id/send", async (req, res) => {
+  try {
+    const schedule = await digestStore.getSchedule(req.params.id);
+    if (!schedule) return digestNotFound(res);
+
+    const { job, error } = await digestScheduler.sendNow(
+      schedule,
+      getActor(req)
+    );
+    if (error) throw error;
+
+    res.status(202).json({
+      success: true,
+      data: job,
+      message: `Digest queued for ${schedule.recipients.join(", ")}`,
+    });
+  } catch (error) {
+    sendDigestError(res, error, "send digest");
+  }
+});
+
+// Uploads
+
+// Watched-folder ingest status: the last automatic ingest and recent results
+app.get("/api/uploads", (req, res) => {
+  res.json({
+    success: true,
+    data: folderWatcher
+      ? folderWatcher.getStatus()
+      : {
+          enabled: false,
+          directory: null,
+          lastIngestAt: null,
+          recent: [],
+        },
+  });
+});
+
+// Validate and normalize an uploaded CSV with the same ingestion code as the
+// browser upload flow. Nothing is saved; the normalized records and the
+// validation report are returned.
+app.post("/api/uploads", (req, res) => {
+  try {
+    const { fileName, content, dataType, mappingProfile } = req.body;
+
+    if (typeof content !== "string" || content.trim() === "") {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: content (CSV text)",
+      });
+    }
+
+    const { profile, report, records } = ingestCsvText(content, {
+      fileName: fileName || "upload.csv",
+      dataType: dataType || null,
+      profiles: mappingProfile
+        ? [mappingProfile, ...BUILT_IN_PROFILES]
+        : BUILT_IN_PROFILES,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        fileName: fileName || "upload.csv",
+        dataType: profile.dataType,
+        mappingProfile: profile.name,
+        summary: summarizeReport(report),
+        rejectedRows: report.rejectedRows,
+        warnings: report.warnings,
+        records,
+      },
+    });
+  } catch (error) {
+    if (error.code === "unmapped_columns") {
+      return res.status(422).json({
+        success: false,
+        error: "Unrecognized file layout",
+        message: error.message,
+        headers: error.headers,
+        detectedType: error.detectedType,
+      });
+    }
+
+    console.error("Error processing upload:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to process upload",
+      message: error.message,
+    });
+  }
+});
+
 // Configuration endpoints
 app.get("/api/config", (req, res) => {
   res.json({
@@ -867,7 +2585,7 @@ app.get("/api/config", (req, res) => {
 });
 
 // Catch-all handler: send back React's index.html file
-app.get("*", (req, res) => {
+app.get("/{*splat}", (req, res) => {
   res.sendFile(path.join(__dirname, "../build/index.html"));
 });
 
@@ -884,12 +2602,47 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📧 Email configured: ${!!emailTransporter}`);
-  console.log(`🔗 N8N configured: ${!!N8N_WEBHOOK_BASE_URL}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
-});
+// Start server once the stores have run their migrations
+Promise.all([
+  actionStore.init(),
+  userStore.init(),
+  jobStore.init(),
+  emailLogStore.init(),
+  digestStore.init(),
+  smsStore.init(),
+  contactStore.init(),
+  templateStore
+    .init()
+    .then(() => templateStore.seedTemplates(getDefaultTemplates())),
+])
+  .then(bootstrapAdmin)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`📧 Email configured: ${!!emailTransporter}`);
+      console.log(`🔗 N8N configured: ${!!N8N_WEBHOOK_BASE_URL}`);
+      console.log(`🗄️ Action store: ${actionStore.name}`);
+      console.log(`👤 User store: ${userStore.name}`);
+      console.log(`📤 Job store: ${jobStore.name}`);
+      console.log(`✉️ Template store: ${templateStore.name}`);
+      console.log(`📨 Email log store: ${emailLogStore.name}`);
+      console.log(`📊 Digest store: ${digestStore.name}`);
+      console.log(
+        `📱 SMS store: ${smsStore.name}, provider: ${smsProvider.name}`
+      );
+      console.log(`📇 Contact store: ${contactStore.name}`);
+      console.log(`🌍 Environment: ${process.env.NODE_ENV || "development"}`);
+
+      jobQueue.start();
+      digestScheduler.start();
+      if (folderWatcher) {
+        folderWatcher.start();
+      }
+    });
+  })
+  .catch((error) => {
+    console.error("❌ Failed to initialize stores:", error);
+    process.exit(1);
+  });
 
 module.exports = app;
@@ -0,0 +1,32 @@
+/**
+ * Mock SMS provider (the default)
+ * Accepts every text without sending it, logging it to the console
+ * instead. Replies are simulated by posting { from, body } to
+ * POST /api/sms/inbound.
+ */
+
+const crypto = require("crypto");
+
+const DEFAULT_FROM = "+15550100000";
+
+const createMockSmsProvider = ({ from = DEFAULT_FROM } = {}) => ({
+  name: "mock",
+  from,
+
+  async send({ to, body }) {
+    const providerMessageId = `mock_${crypto.randomUUID()}`;
+    console.log(`📱 [mock SMS] to ${to}: ${body}`);
+    return { providerMessageId, status: "sent" };
+  },
+
+  parseInbound(payload = {}) {
+    return {
+      from: payload.from,
+      to: payload.to || from,
+      body: payload.body,
+      providerMessageId: payload.messageId || `mock_${crypto.randomUUID()}`,
+    };
+  },
+});
+
+module.exports = { createMockSmsProvider };
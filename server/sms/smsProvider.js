@@ -0,0 +1,40 @@
+/**
+ * SMS provider selection for retention task texts
+ * SMS_PROVIDER picks the adapter: "mock" (default) keeps texts in memory
+ * and logs them, for local testing; "twilio" sends through Twilio's REST
+ * API. Every provider exposes the same interface:
+ *
+ * send({ to, body }) hands a text to the provider and resolves to
+ * { providerMessageId, status }, or rejects when it was not accepted.
+ * parseInbound(payload) turns the provider's inbound webhook body into
+ * { from, to, body, providerMessageId }.
+ */
+
+const createSmsProvider = (env = process.env) => {
+  const kind = (env.SMS_PROVIDER || "mock").toLowerCase();
+
+  // Providers are required on demand like the store adapters
+  if (kind === "twilio") {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, SMS_FROM_NUMBER } = env;
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !SMS_FROM_NUMBER) {
+      throw new Error(
+        "SMS_PROVIDER=twilio requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and SMS_FROM_NUMBER"
+      );
+    }
+    const { createTwilioSmsProvider } = require("./twilioSmsProvider");
+    return createTwilioSmsProvider({
+      accountSid: TWILIO_ACCOUNT_SID,
+      authToken: TWILIO_AUTH_TOKEN,
+      from: SMS_FROM_NUMBER,
+    });
+  }
+
+  if (kind === "mock") {
+    const { createMockSmsProvider } = require("./mockSmsProvider");
+    return createMockSmsProvider({ from: env.SMS_FROM_NUMBER });
+  }
+
+  throw new Error(`Unknown SMS_PROVIDER "${kind}" (use mock or twilio)`);
+};
+
+module.exports = { createSmsProvider };
@@ -0,0 +1,48 @@
+/**
+ * Twilio SMS provider
+ * Sends through the Messages REST resource. Point the number's incoming
+ * message webhook at POST /api/sms/inbound?secret=<SMS_WEBHOOK_SECRET>;
+ * Twilio posts the reply form-encoded (From, To, Body, MessageSid).
+ */
+
+const axios = require("axios");
+
+const API_BASE_URL = "https://api.twilio.com/2010-04-01";
+
+const createTwilioSmsProvider = ({ accountSid, authToken, from }) => ({
+  name: "twilio",
+  from,
+
+  async send({ to, body }) {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/Accounts/${accountSid}/Messages.json`,
+        new URLSearchParams({ To: to, From: from, Body: body }).toString(),
+        {
+          auth: { username: accountSid, password: authToken },
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          timeout: 15000,
+        }
+      );
+      return {
+        providerMessageId: response.data.sid,
+        status: response.data.status,
+      };
+    } catch (error) {
+      // Twilio explains a refusal (bad number, unsubscribed recipient) in
+      // the response body
+      throw new Error(error.response?.data?.message || error.message);
+    }
+  },
+
+  parseInbound(payload = {}) {
+    return {
+      from: payload.From,
+      to: payload.To,
+      body: payload.Body,
+      providerMessageId: payload.MessageSid,
+    };
+  },
+});
+
+module.exports = { createTwilioSmsProvider };
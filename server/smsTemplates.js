@@ -0,0 +1,104 @@
+/**
+ * Text message templates
+ * One per retention task type, filled from the task with the merge fields
+ * in src/utils/mergeFields.js. Every template ends with the opt-out line
+ * carriers require; replies are handled in POST /api/sms/inbound.
+ */
+
+const {
+  buildMergeData,
+  renderTemplate,
+} = require("../src/utils/mergeFields.js");
+const { MAX_SMS_LENGTH } = require("../src/utils/sms.js");
+
+const invalidSms = (message) => {
+  const error = new Error(message);
+  error.code = "invalid_sms";
+  return error;
+};
+
+const TEMPLATES = {
+  urgent_nsf_follow_up: {
+    name: "NSF Follow-Up",
+    description: "First contact after a returned premium payment",
+    requiredFields: ["policyNumber"],
+    body: "Hi{{#if customerName}} {{customerName}}{{/if}}, your latest premium payment for policy {{policyNumber}} was returned by the bank. Reply to this text or call us so we can keep your coverage in force. Reply STOP to opt out.",
+  },
+  early_cancellation_retention: {
+    name: "Cancellation Check-In",
+    description: "Reaches out about a recently cancelled policy",
+    requiredFields: ["policyNumber"],
+    body: "Hi{{#if customerName}} {{customerName}}{{/if}}, we received a cancellation for policy {{policyNumber}}. If anything about the coverage or cost isn't working for you, reply here and we'll see what we can do. Reply STOP to opt out.",
+  },
+  premium_recovery: {
+    name: "Premium Recovery",
+    description: "Offers a payment arrangement on a long-running NSF case",
+    requiredFields: ["policyNumber"],
+    body: "Hi{{#if customerName}} {{customerName}}{{/if}}, policy {{policyNumber}} still has an unpaid premium{{#if premium}} ({{currency premium}} a year){{/if}}. We can set up a payment arrangement to restore it. Reply to this text to get started. Reply STOP to opt out.",
+  },
+};
+
+const isSmsTemplate = (type) =>
+  Object.prototype.hasOwnProperty.call(TEMPLATES, type);
+
+// Templates with their wording, for GET /api/sms/templates
+const listSmsTemplates = () =>
+  Object.entries(TEMPLATES).map(
+    ([type, { name, description, requiredFields, body }]) => ({
+      type,
+      name,
+      description,
+      requiredFields,
+      body,
+    })
+  );
+
+/**
+ * Fill a task type's template
+ * @param {string} type - Key of TEMPLATES (the task type)
+ * @param {Object} data - Task fields: policyNumber, customerName, premium
+ * @returns {string} The text to send
+ * @throws {Error} code "invalid_sms" for an unknown type or missing fields
+ */
+const renderSms = (type, data = {}) => {
+  if (!isSmsTemplate(type)) {
+    throw invalidSms(`Unknown text template: ${type}`);
+  }
+
+  const template = TEMPLATES[type];
+  const values = buildMergeData(data);
+  const missing = template.requiredFields.filter(
+    (field) =>
+      values[field] === undefined ||
+      values[field] === null ||
+      values[field] === ""
+  );
+  if (missing.length > 0) {
+    throw invalidSms(`Missing fields for ${type} text: ${missing.join(", ")}`);
+  }
+
+  return renderTemplate(template.body, values).trim();
+};
+
+/**
+ * Check a text before it is sent
+ * @throws {Error} code "invalid_sms" when it is empty or too long
+ */
+const validateSmsBody = (body) => {
+  if (typeof body !== "string" || body.trim() === "") {
+    throw invalidSms("Text message is empty");
+  }
+  if (body.length > MAX_SMS_LENGTH) {
+    throw invalidSms(
+      `Text message is ${body.length} characters; the limit is ${MAX_SMS_LENGTH}`
+    );
+  }
+};
+
+module.exports = {
+  invalidSms,
+  isSmsTemplate,
+  listSmsTemplates,
+  renderSms,
+  validateSmsBody,
+};
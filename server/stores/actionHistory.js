@@ -0,0 +1,83 @@
+/**
+ * Action audit trail shared by the action store adapters
+ * Every change to an action appends events (never edited or removed) with
+ * the actor and time, served by GET /api/actions/:id/history.
+ */
+
+const crypto = require("crypto");
+
+const EVENT_TYPES = [
+  "created",
+  "updated",
+  "status_changed",
+  "reassigned",
+  "note_added",
+  "executed",
+  "deleted",
+  "workflow_succeeded",
+  "workflow_failed",
+];
+
+// Fields with their own event type, or bookkeeping that isn't an edit
+const UNTRACKED_FIELDS = [
+  "id",
+  "status",
+  "assignedTo",
+  "notes",
+  "executionResults",
+  "lastExecuted",
+  "lastWorkflowRun",
+  "createdAt",
+  "updatedAt",
+];
+
+const buildEvent = (actionId, type, actor, details = {}) => ({
+  id: `event_${crypto.randomUUID()}`,
+  actionId,
+  type,
+  actor: actor || "system",
+  at: new Date().toISOString(),
+  details,
+});
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Events describing an update: status changes, reassignment, a new note,
+ * and the names of any other fields edited
+ * @param {Object} before - Action before the update
+ * @param {Object} after - Action after the update
+ * @param {string} actor - Who made the change
+ * @returns {Array} Events, empty when nothing changed
+ */
+const describeUpdate = (before, after, actor) => {
+  const events = [];
+  const event = (type, details) =>
+    events.push(buildEvent(after.id, type, actor, details));
+
+  if (before.status !== after.status) {
+    event("status_changed", { from: before.status, to: after.status });
+  }
+  if ((before.assignedTo || null) !== (after.assignedTo || null)) {
+    event("reassigned", {
+      from: before.assignedTo || null,
+      to: after.assignedTo || null,
+    });
+  }
+  if (after.notes && after.notes !== before.notes) {
+    event("note_added", { note: after.notes });
+  }
+
+  const fields = Object.keys({ ...before, ...after }).filter(
+    (field) =>
+      !UNTRACKED_FIELDS.includes(field) &&
+      !isSameValue(before[field], after[field])
+  );
+  if (fields.length > 0) {
+    event("updated", { fields });
+  }
+
+  return events;
+};
+
+module.exports = { EVENT_TYPES, buildEvent, describeUpdate };
@@ -0,0 +1,222 @@
+/**
+ * GET /api/actions query handling shared by the action store adapters:
+ * parameter parsing, sort order, cursors and field projection
+ *
+ * Results are ordered by the sort field, then by id, so every action has a
+ * fixed position and a cursor (the last action's sort value and id) marks
+ * where the next page starts even while actions are being added.
+ */
+
+const SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "dueDate",
+  "priority",
+  "status",
+  "title",
+  "type",
+];
+const DATE_SORT_FIELDS = ["createdAt", "updatedAt", "dueDate"];
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+
+// Largest page a client can ask for
+const MAX_LIMIT = 500;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const invalidQuery = (message) => {
+  const error = new Error(message);
+  error.code = "invalid_query";
+  return error;
+};
+
+// Repeated query parameters arrive as arrays; the first value wins
+const single = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Parse a date-range bound to an ISO timestamp. A date-only upper bound
+ * covers that whole day.
+ */
+const parseDateBound = (name, value, isUpperBound) => {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw invalidQuery(`${name} must be a date (YYYY-MM-DD or ISO 8601)`);
+  }
+  const bound =
+    isUpperBound && DATE_ONLY.test(value) ? time + DAY_MS - 1 : time;
+  return new Date(bound).toISOString();
+};
+
+/**
+ * Sort value used for ordering: dates as milliseconds (missing dates sort
+ * as the epoch), priority as its rank, anything else as a string
+ */
+const getSortValue = (action, sort) => {
+  if (DATE_SORT_FIELDS.includes(sort)) return Date.parse(action[sort]) || 0;
+  if (sort === "priority") return PRIORITY_RANK[action.priority] || 0;
+  return action[sort] == null ? "" : String(action[sort]);
+};
+
+const compareValues = (a, b) => {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+};
+
+// Comparator for a sort field and direction, ties broken by id
+const compareActions = (sort, order) => (a, b) => {
+  const result =
+    compareValues(getSortValue(a, sort), getSortValue(b, sort)) ||
+    compareValues(a.id, b.id);
+  return order === "desc" ? -result : result;
+};
+
+const encodeCursor = (action, sort, order) => {
+  const sortValue = getSortValue(action, sort);
+  const value = DATE_SORT_FIELDS.includes(sort)
+    ? new Date(sortValue).toISOString()
+    : sortValue;
+  return Buffer.from(
+    JSON.stringify({ sort, order, value, id: action.id })
+  ).toString("base64url");
+};
+
+const decodeCursor = (cursor, sort, order) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw invalidQuery("cursor is not valid");
+  }
+  if (!decoded || typeof decoded.id !== "string" || !("value" in decoded)) {
+    throw invalidQuery("cursor is not valid");
+  }
+  if (decoded.sort !== sort || decoded.order !== order) {
+    throw invalidQuery("cursor was issued for a different sort or order");
+  }
+
+  const { value } = decoded;
+  const validValue = DATE_SORT_FIELDS.includes(sort)
+    ? typeof value === "string" && !Number.isNaN(Date.parse(value))
+    : sort === "priority"
+      ? Number.isInteger(value)
+      : typeof value === "string";
+  if (!validValue) throw invalidQuery("cursor is not valid");
+  return { value, id: decoded.id };
+};
+
+// Whether an action comes after the cursor in the requested order
+const isAfterCursor = (action, cursor, sort, order) => {
+  const cursorValue = DATE_SORT_FIELDS.includes(sort)
+    ? Date.parse(cursor.value)
+    : cursor.value;
+  const result =
+    compareValues(getSortValue(action, sort), cursorValue) ||
+    compareValues(action.id, cursor.id);
+  return order === "desc" ? result < 0 : result > 0;
+};
+
+/**
+ * Parse GET /api/actions query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { filters, sort, order, limit, cursor, fields }
+ * @throws {Error} code "invalid_query" for a bad parameter
+ */
+const parseActionQuery = (query = {}) => {
+  const sort = single(query.sort) || "createdAt";
+  if (!SORT_FIELDS.includes(sort)) {
+    throw invalidQuery(`sort must be one of: ${SORT_FIELDS.join(", ")}`);
+  }
+
+  const order = (single(query.order) || "asc").toLowerCase();
+  if (order !== "asc" && order !== "desc") {
+    throw invalidQuery("order must be asc or desc");
+  }
+
+  let limit = null;
+  if (single(query.limit) !== undefined) {
+    limit = Number(single(query.limit));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw invalidQuery(`limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+  }
+
+  const cursor = single(query.cursor)
+    ? decodeCursor(single(query.cursor), sort, order)
+    : null;
+
+  // id is always returned so a projected action can still be addressed
+  const fields = single(query.fields)
+    ? [
+        "id",
+        ...single(query.fields)
+          .split(",")
+          .map((field) => field.trim())
+          .filter((field) => field && field !== "id"),
+      ]
+    : null;
+
+  return {
+    filters: {
+      status: single(query.status),
+      priority: single(query.priority),
+      type: single(query.type),
+      assignedTo: single(query.assignedTo),
+      search: single(query.search),
+      dueFrom: parseDateBound("dueFrom", single(query.dueFrom), false),
+      dueTo: parseDateBound("dueTo", single(query.dueTo), true),
+      createdFrom: parseDateBound(
+        "createdFrom",
+        single(query.createdFrom),
+        false
+      ),
+      createdTo: parseDateBound("createdTo", single(query.createdTo), true),
+    },
+    sort,
+    order,
+    limit,
+    cursor,
+    fields,
+  };
+};
+
+/**
+ * Cut a sorted list (already past the cursor) down to one page
+ * @returns {Object} { actions, total, nextCursor }
+ */
+const paginate = (remaining, total, { sort, order, limit }) => {
+  if (limit === null || remaining.length <= limit) {
+    return { actions: remaining, total, nextCursor: null };
+  }
+  const page = remaining.slice(0, limit);
+  return {
+    actions: page,
+    total,
+    nextCursor: encodeCursor(page[page.length - 1], sort, order),
+  };
+};
+
+// Keep only the requested fields of an action
+const projectFields = (action, fields) =>
+  fields
+    ? Object.fromEntries(
+        fields
+          .filter((field) => field in action)
+          .map((field) => [field, action[field]])
+      )
+    : action;
+
+module.exports = {
+  SORT_FIELDS,
+  DATE_SORT_FIELDS,
+  PRIORITY_RANK,
+  MAX_LIMIT,
+  compareActions,
+  encodeCursor,
+  isAfterCursor,
+  paginate,
+  parseActionQuery,
+  projectFields,
+};
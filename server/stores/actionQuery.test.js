@@ -0,0 +1,170 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  MAX_LIMIT,
+  compareActions,
+  encodeCursor,
+  isAfterCursor,
+  paginate,
+  parseActionQuery,
+} = require("./actionQuery");
+
+const invalidQuery = (message) => ({ code: "invalid_query", message });
+
+// One page of `actions` for a query, the way the file store reads it
+const queryPage = (actions, params) => {
+  const query = parseActionQuery(params);
+  const matching = [...actions].sort(compareActions(query.sort, query.order));
+  const remaining = query.cursor
+    ? matching.filter((action) =>
+        isAfterCursor(action, query.cursor, query.sort, query.order)
+      )
+    : matching;
+  return paginate(remaining, matching.length, query);
+};
+
+// Walk every page, following nextCursor
+const readAllPages = (actions, params) => {
+  const ids = [];
+  let cursor;
+  do {
+    const page = queryPage(actions, { ...params, cursor });
+    ids.push(...page.actions.map((action) => action.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+};
+
+const ACTIONS = [
+  { id: "a", priority: "low", title: "Delta", dueDate: "2026-01-03" },
+  { id: "b", priority: "high", title: "alpha", dueDate: "2026-01-01" },
+  { id: "c", priority: "high", title: "Charlie", dueDate: null },
+  { id: "d", priority: "medium", title: "Bravo", dueDate: "2026-01-01" },
+  { id: "e", priority: "low", title: "Echo", dueDate: "2026-01-02" },
+];
+
+describe("parseActionQuery", () => {
+  test("defaults to createdAt ascending with no limit", () => {
+    const query = parseActionQuery({});
+
+    assert.equal(query.sort, "createdAt");
+    assert.equal(query.order, "asc");
+    assert.equal(query.limit, null);
+    assert.equal(query.cursor, null);
+    assert.equal(query.fields, null);
+  });
+
+  test("rejects unknown sorts, orders and limits", () => {
+    assert.throws(
+      () => parseActionQuery({ sort: "agentName" }),
+      invalidQuery(
+        "sort must be one of: createdAt, updatedAt, dueDate, priority, status, title, type"
+      )
+    );
+    assert.throws(
+      () => parseActionQuery({ order: "sideways" }),
+      invalidQuery("order must be asc or desc")
+    );
+    for (const limit of ["0", "1.5", String(MAX_LIMIT + 1), "ten"]) {
+      assert.throws(() => parseActionQuery({ limit }), {
+        code: "invalid_query",
+      });
+    }
+  });
+
+  test("covers the whole day of a date-only upper bound", () => {
+    const { filters } = parseActionQuery({
+      dueFrom: "2026-01-01",
+      dueTo: "2026-01-02",
+    });
+
+    assert.equal(filters.dueFrom, "2026-01-01T00:00:00.000Z");
+    assert.equal(filters.dueTo, "2026-01-02T23:59:59.999Z");
+  });
+});
+
+describe("cursors", () => {
+  for (const [sort, order] of [
+    ["priority", "desc"],
+    ["title", "asc"],
+    ["dueDate", "asc"],
+    ["dueDate", "desc"],
+  ]) {
+    test(`page through every action once by ${sort} ${order}`, () => {
+      const expected = [...ACTIONS]
+        .sort(compareActions(sort, order))
+        .map((action) => action.id);
+
+      assert.deepEqual(
+        readAllPages(ACTIONS, { sort, order, limit: "2" }),
+        expected
+      );
+    });
+  }
+
+  test("keep their place when an action is added before them", () => {
+    const first = queryPage(ACTIONS, { sort: "title", limit: "2" });
+    const added = [...ACTIONS, { id: "f", priority: "low", title: "Able" }];
+
+    const second = queryPage(added, {
+      sort: "title",
+      limit: "2",
+      cursor: first.nextCursor,
+    });
+
+    assert.deepEqual(
+      second.actions.map((action) => action.id),
+      ["a", "e"]
+    );
+  });
+
+  test("decode to the last action's sort value and id", () => {
+    const cursor = encodeCursor(ACTIONS[0], "dueDate", "asc");
+
+    assert.deepEqual(parseActionQuery({ sort: "dueDate", cursor }).cursor, {
+      value: "2026-01-03T00:00:00.000Z",
+      id: "a",
+    });
+  });
+
+  test("are refused for a different sort or order", () => {
+    const cursor = encodeCursor(ACTIONS[0], "title", "asc");
+
+    for (const params of [
+      { sort: "priority", cursor },
+      { sort: "title", order: "desc", cursor },
+    ]) {
+      assert.throws(
+        () => parseActionQuery(params),
+        invalidQuery("cursor was issued for a different sort or order")
+      );
+    }
+  });
+
+  test("are refused when they don't decode to a cursor", () => {
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value)).toString("base64url");
+
+    for (const [sort, cursor] of [
+      ["title", "not a cursor"],
+      ["title", encode(null)],
+      ["title", encode({ sort: "title", order: "asc", value: "x" })],
+      ["title", encode({ sort: "title", order: "asc", value: 3, id: "a" })],
+      [
+        "priority",
+        encode({ sort: "priority", order: "asc", value: "x", id: "a" }),
+      ],
+      [
+        "dueDate",
+        encode({ sort: "dueDate", order: "asc", value: "soon", id: "a" }),
+      ],
+    ]) {
+      assert.throws(
+        () => parseActionQuery({ sort, cursor }),
+        invalidQuery("cursor is not valid"),
+        cursor
+      );
+    }
+  });
+});
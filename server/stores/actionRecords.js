@@ -0,0 +1,72 @@
+/**
+ * Action record helpers shared by the action store adapters
+ */
+
+const crypto = require("crypto");
+
+// IDs are random rather than counter-based so they stay unique across
+// restarts and between server instances
+const generateActionId = () => `action_${crypto.randomUUID()}`;
+
+// A new action as stored; the server always assigns the ID
+const buildAction = (actionData, now = new Date().toISOString()) => ({
+  ...actionData,
+  id: generateActionId(),
+  status: actionData.status || "pending",
+  createdAt: now,
+  updatedAt: now,
+});
+
+// "all" or an empty value means no filter
+const isActiveFilter = (value) => Boolean(value) && value !== "all";
+
+// Whether a date falls inside an optional ISO range; with a bound set, a
+// missing or unparseable date never matches
+const isWithinRange = (value, from, to) => {
+  if (!from && !to) return true;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return false;
+  return (!from || time >= Date.parse(from)) && (!to || time <= Date.parse(to));
+};
+
+/**
+ * Check an action against GET /api/actions filters: exact status, priority,
+ * type and assignee, dueDate and createdAt ranges, and a case-insensitive search of
+ * title, description and agent
+ */
+const matchesFilters = (
+  action,
+  {
+    status,
+    priority,
+    type,
+    assignedTo,
+    search,
+    dueFrom,
+    dueTo,
+    createdFrom,
+    createdTo,
+  } = {}
+) => {
+  if (isActiveFilter(status) && action.status !== status) return false;
+  if (isActiveFilter(priority) && action.priority !== priority) return false;
+  if (isActiveFilter(type) && action.type !== type) return false;
+  if (assignedTo && action.assignedTo !== assignedTo) return false;
+  if (!isWithinRange(action.dueDate, dueFrom, dueTo)) return false;
+  if (!isWithinRange(action.createdAt, createdFrom, createdTo)) return false;
+
+  if (search) {
+    const searchLower = search.toLowerCase();
+    return [action.title, action.description, action.agentName].some(
+      (value) => value && value.toLowerCase().includes(searchLower)
+    );
+  }
+  return true;
+};
+
+module.exports = {
+  buildAction,
+  generateActionId,
+  isActiveFilter,
+  matchesFilters,
+};
@@ -0,0 +1,42 @@
+/**
+ * Action store selection for /api/actions
+ * ACTION_STORE picks the adapter: "file" (default) keeps actions in a JSON
+ * file at ACTION_STORE_PATH, "postgres" uses DATABASE_URL. Every adapter
+ * exposes the same async methods: init (runs migrations), queryActions,
+ * getAction, createActions, updateAction, deleteAction, getActionHistory
+ * and close. Writes take { actor } and append to the action's audit trail
+ * (see actionHistory.js) along with the change itself.
+ * queryActions takes the output of parseActionQuery (see actionQuery.js) and
+ * returns { actions, total, nextCursor }.
+ * The store also keeps n8n workflow executions (see workflowExecutions.js):
+ * createExecution, getExecution, updateExecution and queryExecutions, which
+ * returns the newest runs first.
+ */
+
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../data/actions.json");
+
+const createActionStore = (env = process.env) => {
+  const kind = (env.ACTION_STORE || "file").toLowerCase();
+
+  // Adapters are required on demand so pg is only loaded when used
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("ACTION_STORE=postgres requires DATABASE_URL");
+    }
+    const { createPostgresActionStore } = require("./postgresActionStore");
+    return createPostgresActionStore({ connectionString: env.DATABASE_URL });
+  }
+
+  if (kind === "file") {
+    const { createFileActionStore } = require("./fileActionStore");
+    return createFileActionStore({
+      filePath: env.ACTION_STORE_PATH || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown ACTION_STORE "${kind}" (use file or postgres)`);
+};
+
+module.exports = { createActionStore };
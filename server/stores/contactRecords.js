@@ -0,0 +1,313 @@
+/**
+ * Contact directory helpers shared by the contact store adapters
+ * A contact is an agent, an MGA or a customer with a phone number and/or
+ * email. Policies only carry names (agent_name, mga_name, agent_level_03),
+ * so contacts are matched to a policy by normalized name, plus any policy
+ * numbers listed on the contact itself.
+ */
+
+const crypto = require("crypto");
+const { normalizePhone } = require("../../src/utils/sms.js");
+
+const CONTACT_ROLES = ["agent", "mga", "customer"];
+
+// Contacts returned by a search when no limit is given
+const DEFAULT_CONTACT_LIMIT = 200;
+
+const EMAIL_ADDRESS = /^[^\s@,]+@[^\s@,]+$/;
+
+// Fields a manager can set
+const CONTACT_FIELDS = [
+  "role",
+  "name",
+  "mga",
+  "agentLevel03",
+  "policyNumbers",
+  "phone",
+  "email",
+  "notes",
+];
+
+// CSV headers accepted for each field, compared lowercased with spaces and
+// punctuation as underscores
+const CONTACT_COLUMN_ALIASES = {
+  role: ["role", "type", "contact_type"],
+  name: ["name", "contact_name", "agent_name", "full_name"],
+  mga: ["mga", "mga_name", "agency"],
+  agentLevel03: ["agent_level_03", "level_03", "upline"],
+  policyNumbers: ["policy_numbers", "policy_number", "policy_nbr", "policies"],
+  phone: ["phone", "phone_number", "mobile", "cell"],
+  email: ["email", "email_address"],
+  notes: ["notes", "note"],
+};
+
+// Placeholder the ingestion code stores for a missing name
+const UNKNOWN_NAME = "unknown";
+
+const invalidContact = (message) => {
+  const error = new Error(message);
+  error.code = "invalid_contact";
+  return error;
+};
+
+const duplicateContact = (contact) => {
+  const error = new Error(
+    `Contact "${contact.name}" (${contact.role}${
+      contact.mga ? `, ${contact.mga}` : ""
+    }) already exists`
+  );
+  error.code = "duplicate_contact";
+  return error;
+};
+
+/**
+ * A name as compared when matching: lowercase, single spaces, no periods,
+ * and "Last, First" turned round to "first last"
+ * @param {string} value
+ * @returns {string} "" for a missing name
+ */
+const normalizeName = (value) => {
+  const name = String(value || "")
+    .replace(/\./g, " ")
+    .trim();
+  const parts = name.split(",").map((part) => part.trim());
+  const ordered =
+    parts.length === 2 && parts[0] && parts[1]
+      ? `${parts[1]} ${parts[0]}`
+      : name;
+  const normalized = ordered.toLowerCase().replace(/\s+/g, " ").trim();
+  return normalized === UNKNOWN_NAME ? "" : normalized;
+};
+
+// Policy numbers as an array, from an array or a comma, semicolon or
+// space separated string
+const toPolicyNumberList = (value) => [
+  ...new Set(
+    (Array.isArray(value) ? value : String(value || "").split(/[,;\s]+/))
+      .map((number) => String(number).trim())
+      .filter(Boolean)
+  ),
+];
+
+// What makes two contacts the same entry in the directory
+const contactKey = (contact) =>
+  [contact.role, normalizeName(contact.name), normalizeName(contact.mga)].join(
+    "|"
+  );
+
+// Fields from a request body or CSV row, normalized; fields left out stay
+// undefined
+const pickContactFields = (input = {}) => {
+  const fields = {};
+  CONTACT_FIELDS.filter((field) => input[field] !== undefined).forEach(
+    (field) => {
+      fields[field] = input[field];
+    }
+  );
+  ["role", "name", "mga", "agentLevel03", "email", "notes"]
+    .filter((field) => fields[field] !== undefined)
+    .forEach((field) => {
+      fields[field] = String(fields[field] ?? "").trim() || null;
+    });
+  if (fields.role) fields.role = fields.role.toLowerCase();
+  if (fields.email) fields.email = fields.email.toLowerCase();
+  if (fields.policyNumbers !== undefined) {
+    fields.policyNumbers = toPolicyNumberList(fields.policyNumbers);
+  }
+  if (fields.phone !== undefined) {
+    const phone = String(fields.phone ?? "").trim();
+    fields.phone = phone ? normalizePhone(phone) || phone : null;
+  }
+  return fields;
+};
+
+/**
+ * Check a contact's fields
+ * @throws {Error} code "invalid_contact" describing the first problem
+ */
+const validateContact = (contact) => {
+  if (!CONTACT_ROLES.includes(contact.role)) {
+    throw invalidContact(`Role must be one of: ${CONTACT_ROLES.join(", ")}`);
+  }
+  if (!normalizeName(contact.name)) throw invalidContact("Name is required");
+  if (!contact.phone && !contact.email) {
+    throw invalidContact("A phone number or email is required");
+  }
+  if (contact.phone && !normalizePhone(contact.phone)) {
+    throw invalidContact(`Invalid phone number: ${contact.phone}`);
+  }
+  if (contact.email && !EMAIL_ADDRESS.test(contact.email)) {
+    throw invalidContact(`Invalid email: ${contact.email}`);
+  }
+};
+
+/**
+ * A new contact as stored
+ * @throws {Error} code "invalid_contact" for invalid fields
+ */
+const buildContact = (input, { createdBy } = {}, now = new Date()) => {
+  const fields = pickContactFields(input);
+  const contact = {
+    id: `contact_${crypto.randomUUID()}`,
+    role: fields.role || "agent",
+    name: fields.name || "",
+    mga: fields.mga || null,
+    agentLevel03: fields.agentLevel03 || null,
+    policyNumbers: fields.policyNumbers || [],
+    phone: fields.phone || null,
+    email: fields.email || null,
+    notes: fields.notes || null,
+    createdBy: createdBy || "system",
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+  validateContact(contact);
+  return contact;
+};
+
+/**
+ * A contact with a manager's changes applied
+ * @throws {Error} code "invalid_contact" for invalid fields
+ */
+const applyContactChanges = (contact, input, now = new Date()) => {
+  const updated = {
+    ...contact,
+    ...pickContactFields(input),
+    updatedAt: now.toISOString(),
+  };
+  validateContact(updated);
+  return updated;
+};
+
+/**
+ * An existing contact updated from an imported row: blank cells leave a
+ * field as it was, and policy numbers are added to the ones already listed
+ * @throws {Error} code "invalid_contact" for invalid fields
+ */
+const mergeImportedContact = (contact, input, now = new Date()) => {
+  const fields = pickContactFields(input);
+  const changes = Object.fromEntries(
+    Object.entries(fields).filter(
+      ([, value]) =>
+        value !== null && !(Array.isArray(value) && value.length === 0)
+    )
+  );
+  if (changes.policyNumbers) {
+    changes.policyNumbers = toPolicyNumberList([
+      ...contact.policyNumbers,
+      ...changes.policyNumbers,
+    ]);
+  }
+  return applyContactChanges(contact, changes, now);
+};
+
+/**
+ * A CSV row (as parsed with headers) as contact fields
+ * @param {Object} row - Header -> cell
+ * @returns {Object} Contact input for buildContact
+ */
+const contactFromCsvRow = (row) => {
+  const cells = {};
+  Object.entries(row).forEach(([header, value]) => {
+    cells[
+      String(header)
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "_")
+    ] = value;
+  });
+
+  const input = {};
+  Object.entries(CONTACT_COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const alias = aliases.find((name) => cells[name] !== undefined);
+    if (alias !== undefined) input[field] = cells[alias];
+  });
+  return input;
+};
+
+// Whether a contact matches GET /api/contacts filters; q looks in the name,
+// MGA, upline, phone, email and policy numbers
+const matchesContactSearch = (contact, { q, role } = {}) => {
+  if (role && contact.role !== role) return false;
+  if (!q) return true;
+
+  const term = String(q).trim().toLowerCase();
+  return [
+    contact.name,
+    contact.mga,
+    contact.agentLevel03,
+    contact.phone,
+    contact.email,
+    ...contact.policyNumbers,
+  ].some((value) => value && value.toLowerCase().includes(term));
+};
+
+// Ways a contact can match a policy, most specific first
+const MATCH_ORDER = ["policy", "agent", "upline", "mga"];
+
+/**
+ * Contacts for a policy, each with how it matched: "policy" (lists the
+ * policy number), "agent" (the writing agent, at the same MGA when both
+ * are known), "upline" (the agent_level_03 agent above them) or "mga"
+ * @param {Array} contacts - Candidate contacts
+ * @param {Object} criteria - policyNumber, agentName, mga, agentLevel03
+ * @returns {Array} Contacts with a match field, most specific first
+ */
+const matchContacts = (
+  contacts,
+  { policyNumber, agentName, mga, agentLevel03 } = {}
+) => {
+  const policy = policyNumber ? String(policyNumber).trim() : "";
+  const agentKey = normalizeName(agentName);
+  const mgaKey = normalizeName(mga);
+  const uplineKey = normalizeName(agentLevel03);
+
+  const findMatch = (contact) => {
+    const nameKey = normalizeName(contact.name);
+    const contactMgaKey = normalizeName(contact.mga);
+
+    if (policy && contact.policyNumbers.includes(policy)) return "policy";
+    if (contact.role === "agent") {
+      if (
+        agentKey &&
+        nameKey === agentKey &&
+        !(mgaKey && contactMgaKey && contactMgaKey !== mgaKey)
+      ) {
+        return "agent";
+      }
+      if (uplineKey && nameKey === uplineKey) return "upline";
+    }
+    if (
+      contact.role === "mga" &&
+      mgaKey &&
+      (nameKey === mgaKey || contactMgaKey === mgaKey)
+    ) {
+      return "mga";
+    }
+    return null;
+  };
+
+  return contacts
+    .map((contact) => ({ ...contact, match: findMatch(contact) }))
+    .filter((contact) => contact.match)
+    .sort(
+      (a, b) =>
+        MATCH_ORDER.indexOf(a.match) - MATCH_ORDER.indexOf(b.match) ||
+        a.name.localeCompare(b.name)
+    );
+};
+
+module.exports = {
+  CONTACT_ROLES,
+  DEFAULT_CONTACT_LIMIT,
+  applyContactChanges,
+  buildContact,
+  contactFromCsvRow,
+  contactKey,
+  duplicateContact,
+  invalidContact,
+  matchContacts,
+  matchesContactSearch,
+  mergeImportedContact,
+  normalizeName,
+};
@@ -0,0 +1,46 @@
+/**
+ * Contact directory store selection for agent, MGA and customer contacts
+ * CONTACT_STORE picks the adapter: "file" (default) keeps contacts in a
+ * JSON file at CONTACT_STORE_PATH, "postgres" uses DATABASE_URL. Every
+ * adapter exposes the same async methods: init (runs migrations),
+ * listContacts, getContact, findMatches, createContact, updateContact,
+ * deleteContact, importContacts and close.
+ *
+ * createContact(input, { createdBy }) and updateContact(id, input) throw
+ * code "invalid_contact" for invalid fields and "duplicate_contact" when
+ * another contact has the same role, name and MGA; updateContact returns
+ * null for an unknown id.
+ * findMatches({ policyNumber, agentName, mga, agentLevel03 }) returns the
+ * contacts for a policy, each with how it matched (see contactRecords.js).
+ * importContacts(inputs, { createdBy }) adds each input, or merges it into
+ * the contact with the same role, name and MGA, and returns
+ * { created, updated, rejected: [{ index, error }] }.
+ */
+
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../data/contacts.json");
+
+const createContactStore = (env = process.env) => {
+  const kind = (env.CONTACT_STORE || "file").toLowerCase();
+
+  // Adapters are required on demand so pg is only loaded when used
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("CONTACT_STORE=postgres requires DATABASE_URL");
+    }
+    const { createPostgresContactStore } = require("./postgresContactStore");
+    return createPostgresContactStore({ connectionString: env.DATABASE_URL });
+  }
+
+  if (kind === "file") {
+    const { createFileContactStore } = require("./fileContactStore");
+    return createFileContactStore({
+      filePath: env.CONTACT_STORE_PATH || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown CONTACT_STORE "${kind}" (use file or postgres)`);
+};
+
+module.exports = { createContactStore };
@@ -0,0 +1,173 @@
+/**
+ * Digest schedule helpers shared by the digest store adapters
+ * A schedule sends the management digest daily, or weekly on one day, at a
+ * whole hour of the server's local time. nextRunAt is when it is next due;
+ * the scheduler claims due schedules and moves nextRunAt on before sending.
+ */
+
+const crypto = require("crypto");
+
+const DIGEST_FREQUENCIES = ["daily", "weekly"];
+
+const EMAIL_ADDRESS = /^[^\s@,]+@[^\s@,]+$/;
+
+// Fields a manager can set
+const SCHEDULE_FIELDS = [
+  "name",
+  "frequency",
+  "dayOfWeek",
+  "hour",
+  "recipients",
+  "enabled",
+];
+
+const invalidDigest = (message) => {
+  const error = new Error(message);
+  error.code = "invalid_digest";
+  return error;
+};
+
+// Recipients as an array, from an array or a comma-separated string
+const toRecipientList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((address) => String(address).trim())
+    .filter(Boolean);
+
+/**
+ * When a schedule is next due after a moment, in server local time
+ * @param {Object} schedule - frequency, dayOfWeek (0 = Sunday), hour
+ * @param {Date} [after]
+ * @returns {string} ISO timestamp
+ */
+const getNextRunAt = ({ frequency, dayOfWeek, hour }, after = new Date()) => {
+  const next = new Date(after.getTime());
+  next.setHours(hour, 0, 0, 0);
+  if (frequency === "weekly") {
+    next.setDate(next.getDate() + ((dayOfWeek - next.getDay() + 7) % 7));
+  }
+  if (next <= after) {
+    next.setDate(next.getDate() + (frequency === "weekly" ? 7 : 1));
+  }
+  return next.toISOString();
+};
+
+/**
+ * Check a schedule's settings
+ * @throws {Error} code "invalid_digest" describing the first problem
+ */
+const validateDigestSchedule = (schedule) => {
+  if (!schedule.name) throw invalidDigest("Name is required");
+  if (!DIGEST_FREQUENCIES.includes(schedule.frequency)) {
+    throw invalidDigest(
+      `Frequency must be one of: ${DIGEST_FREQUENCIES.join(", ")}`
+    );
+  }
+  if (
+    schedule.frequency === "weekly" &&
+    !(
+      Number.isInteger(schedule.dayOfWeek) &&
+      schedule.dayOfWeek >= 0 &&
+      schedule.dayOfWeek <= 6
+    )
+  ) {
+    throw invalidDigest("A weekly digest needs a dayOfWeek from 0 to 6");
+  }
+  if (
+    !Number.isInteger(schedule.hour) ||
+    schedule.hour < 0 ||
+    schedule.hour > 23
+  ) {
+    throw invalidDigest("hour must be an integer from 0 to 23");
+  }
+  if (schedule.recipients.length === 0) {
+    throw invalidDigest("At least one recipient is required");
+  }
+  const invalid = schedule.recipients.filter(
+    (address) => !EMAIL_ADDRESS.test(address)
+  );
+  if (invalid.length > 0) {
+    throw invalidDigest(`Invalid recipient: ${invalid.join(", ")}`);
+  }
+};
+
+// Settings from a request body, normalized; fields left out stay undefined
+const pickScheduleFields = (input = {}) => {
+  const fields = {};
+  SCHEDULE_FIELDS.filter((field) => input[field] !== undefined).forEach(
+    (field) => {
+      fields[field] = input[field];
+    }
+  );
+  if (fields.name !== undefined) fields.name = String(fields.name).trim();
+  if (fields.recipients !== undefined) {
+    fields.recipients = toRecipientList(fields.recipients);
+  }
+  ["dayOfWeek", "hour"].forEach((field) => {
+    if (fields[field] === "") fields[field] = null;
+    if (fields[field] !== undefined && fields[field] !== null) {
+      fields[field] = Number(fields[field]);
+    }
+  });
+  if (fields.enabled !== undefined) fields.enabled = Boolean(fields.enabled);
+  return fields;
+};
+
+/**
+ * A new schedule as stored, first due at its next run time
+ * @throws {Error} code "invalid_digest" for invalid settings
+ */
+const buildDigestSchedule = (input, { createdBy } = {}, now = new Date()) => {
+  const fields = pickScheduleFields(input);
+  const schedule = {
+    id: `digest_${crypto.randomUUID()}`,
+    name: fields.name || "",
+    frequency: fields.frequency,
+    dayOfWeek: fields.frequency === "weekly" ? fields.dayOfWeek : null,
+    hour: fields.hour,
+    recipients: fields.recipients || [],
+    enabled: fields.enabled !== undefined ? fields.enabled : true,
+    nextRunAt: null,
+    lastSentAt: null,
+    lastJobId: null,
+    lastError: null,
+    createdBy: createdBy || "system",
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+  };
+  validateDigestSchedule(schedule);
+  schedule.nextRunAt = getNextRunAt(schedule, now);
+  return schedule;
+};
+
+/**
+ * A schedule with a manager's changes applied; a change to its timing moves
+ * nextRunAt to the next matching time
+ * @throws {Error} code "invalid_digest" for invalid settings
+ */
+const applyScheduleChanges = (schedule, input, now = new Date()) => {
+  const updated = {
+    ...schedule,
+    ...pickScheduleFields(input),
+    updatedAt: now.toISOString(),
+  };
+  if (updated.frequency !== "weekly") updated.dayOfWeek = null;
+  validateDigestSchedule(updated);
+
+  if (
+    updated.frequency !== schedule.frequency ||
+    updated.dayOfWeek !== schedule.dayOfWeek ||
+    updated.hour !== schedule.hour ||
+    (updated.enabled && !schedule.enabled)
+  ) {
+    updated.nextRunAt = getNextRunAt(updated, now);
+  }
+  return updated;
+};
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  applyScheduleChanges,
+  buildDigestSchedule,
+  getNextRunAt,
+  invalidDigest,
+};
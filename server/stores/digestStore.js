@@ -0,0 +1,44 @@
+/**
+ * Digest schedule store selection for the management digests (see
+ * server/digestScheduler.js)
+ * DIGEST_STORE picks the adapter: "file" (default) keeps schedules in a JSON
+ * file at DIGEST_STORE_PATH, "postgres" uses DATABASE_URL. Every adapter
+ * exposes the same async methods: init (runs migrations), listSchedules,
+ * getSchedule, createSchedule, updateSchedule, deleteSchedule,
+ * claimDueSchedules, recordRun and close.
+ *
+ * createSchedule(input, { createdBy }) and updateSchedule(id, input) throw
+ * code "invalid_digest" for invalid settings; updateSchedule returns null
+ * for an unknown id.
+ * claimDueSchedules(now) returns the enabled schedules due by then, after
+ * moving each one's nextRunAt on, so no other server sends them too.
+ * recordRun(id, { sentAt, jobId, error }) notes the outcome of a send.
+ */
+
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../data/digests.json");
+
+const createDigestStore = (env = process.env) => {
+  const kind = (env.DIGEST_STORE || "file").toLowerCase();
+
+  // Adapters are required on demand so pg is only loaded when used
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("DIGEST_STORE=postgres requires DATABASE_URL");
+    }
+    const { createPostgresDigestStore } = require("./postgresDigestStore");
+    return createPostgresDigestStore({ connectionString: env.DATABASE_URL });
+  }
+
+  if (kind === "file") {
+    const { createFileDigestStore } = require("./fileDigestStore");
+    return createFileDigestStore({
+      filePath: env.DIGEST_STORE_PATH || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown DIGEST_STORE "${kind}" (use file or postgres)`);
+};
+
+module.exports = { createDigestStore };
@@ -0,0 +1,114 @@
+/**
+ * Sent email log helpers shared by the email log store adapters
+ * One entry per message handed to SMTP: "sent" with the server's response,
+ * "failed" when delivery was given up on, and "bounced" once a bounce
+ * report arrives for its messageId (see POST /api/email/bounces).
+ */
+
+const crypto = require("crypto");
+
+const EMAIL_STATUSES = ["sent", "failed", "bounced"];
+
+// Entries returned by a query when no limit is given
+const DEFAULT_EMAIL_LOG_LIMIT = 50;
+
+// nodemailer takes a string ("a@x, b@y") or an array; the log keeps arrays
+const toAddressList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((address) => String(address).trim())
+    .filter(Boolean);
+
+/**
+ * Policy numbers an email is about, from its data: a policyNumber field and
+ * a policies list of numbers or { policyNumber } objects
+ */
+const collectPolicyNumbers = (data = {}) => {
+  const numbers = [
+    data.policyNumber,
+    ...(Array.isArray(data.policies) ? data.policies : []).map((policy) =>
+      policy && typeof policy === "object" ? policy.policyNumber : policy
+    ),
+  ]
+    .filter((number) => number !== undefined && number !== null)
+    .map((number) => String(number).trim())
+    .filter(Boolean);
+  return [...new Set(numbers)];
+};
+
+// A new log entry as stored
+const buildEmailLogEntry = (
+  {
+    status,
+    email,
+    context = {},
+    jobId,
+    sentBy,
+    messageId,
+    smtpResponse,
+    accepted,
+    rejected,
+    error,
+  },
+  now = new Date().toISOString()
+) => ({
+  id: `email_${crypto.randomUUID()}`,
+  status,
+  to: toAddressList(email.to),
+  cc: toAddressList(email.cc),
+  bcc: toAddressList(email.bcc),
+  subject: email.subject || "",
+  template: email.template || null,
+  templateVersion: email.templateVersion || null,
+  actionId: context.actionId || null,
+  taskId: context.taskId || null,
+  policyNumbers: context.policyNumbers || [],
+  jobId: jobId || null,
+  messageId: messageId || null,
+  smtpResponse: smtpResponse || null,
+  accepted: toAddressList(accepted),
+  rejected: toAddressList(rejected),
+  error: error || null,
+  bounces: [],
+  sentBy: sentBy || "system",
+  createdAt: now,
+  updatedAt: now,
+});
+
+/**
+ * Whether an entry matches GET /api/email/log filters. search looks for a
+ * case-insensitive match in the recipients, subject and messageId.
+ */
+const matchesEmailLogFilters = (
+  entry,
+  { statuses, template, actionId, taskId, policyNumber, search } = {}
+) => {
+  if (statuses && !statuses.includes(entry.status)) return false;
+  if (template && entry.template !== template) return false;
+  if (actionId && entry.actionId !== actionId) return false;
+  if (taskId && entry.taskId !== taskId) return false;
+  if (policyNumber && !entry.policyNumbers.includes(policyNumber)) {
+    return false;
+  }
+  if (search) {
+    const needle = search.toLowerCase();
+    const haystack = [
+      ...entry.to,
+      ...entry.cc,
+      ...entry.bcc,
+      entry.subject,
+      entry.messageId || "",
+    ];
+    if (!haystack.some((value) => value.toLowerCase().includes(needle))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+module.exports = {
+  DEFAULT_EMAIL_LOG_LIMIT,
+  EMAIL_STATUSES,
+  buildEmailLogEntry,
+  collectPolicyNumbers,
+  matchesEmailLogFilters,
+};
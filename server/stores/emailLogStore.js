@@ -0,0 +1,42 @@
+/**
+ * Sent email log store selection for the email log
+ * EMAIL_LOG_STORE picks the adapter: "file" (default) keeps the log in a
+ * JSON file at EMAIL_LOG_STORE_PATH, "postgres" uses DATABASE_URL. Every
+ * adapter exposes the same async methods: init (runs migrations),
+ * recordEmail, getEmail, recordBounce, queryEmails and close.
+ *
+ * recordEmail(details) builds and stores an entry (see emailLogRecords.js).
+ * recordBounce(messageId, { recipient, reason }) marks the entry with that
+ * messageId bounced and returns it, or null when no entry has it.
+ * queryEmails(filters) returns matching entries newest first.
+ */
+
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../data/emailLog.json");
+
+const createEmailLogStore = (env = process.env) => {
+  const kind = (env.EMAIL_LOG_STORE || "file").toLowerCase();
+
+  // Adapters are required on demand so pg is only loaded when used
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("EMAIL_LOG_STORE=postgres requires DATABASE_URL");
+    }
+    const { createPostgresEmailLogStore } = require("./postgresEmailLogStore");
+    return createPostgresEmailLogStore({
+      connectionString: env.DATABASE_URL,
+    });
+  }
+
+  if (kind === "file") {
+    const { createFileEmailLogStore } = require("./fileEmailLogStore");
+    return createFileEmailLogStore({
+      filePath: env.EMAIL_LOG_STORE_PATH || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown EMAIL_LOG_STORE "${kind}" (use file or postgres)`);
+};
+
+module.exports = { createEmailLogStore };
@@ -0,0 +1,188 @@
+/**
+ * File-backed action store (the default)
+ * Keeps every action in one JSON file, rewritten atomically on each change.
+ * Suits a single server process; use the Postgres store to share actions
+ * between instances.
+ */
+
+const { createJsonFile } = require("./jsonFile");
+const { buildAction, matchesFilters } = require("./actionRecords");
+const { compareActions, isAfterCursor, paginate } = require("./actionQuery");
+const { buildEvent, describeUpdate } = require("./actionHistory");
+const {
+  DEFAULT_EXECUTION_LIMIT,
+  buildExecution,
+  matchesExecutionFilters,
+} = require("./workflowExecutions");
+
+// Each migration upgrades the file contents from the previous version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_actions",
+    up: (contents) => ({ ...contents, actions: contents.actions || [] }),
+  },
+  {
+    version: 2,
+    name: "create_action_events",
+    up: (contents) => ({
+      ...contents,
+      actionEvents: contents.actionEvents || [],
+    }),
+  },
+  {
+    version: 3,
+    name: "create_workflow_executions",
+    up: (contents) => ({
+      ...contents,
+      workflowExecutions: contents.workflowExecutions || [],
+    }),
+  },
+];
+
+const createFileActionStore = ({ filePath }) => {
+  const jsonFile = createJsonFile({ filePath, label: "action store" });
+  let contents = null;
+
+  const persist = () => jsonFile.persist(contents);
+
+  const findIndex = (id) =>
+    contents.actions.findIndex((action) => action.id === id);
+
+  return {
+    name: "file",
+
+    async init() {
+      contents = jsonFile.load();
+
+      const pending = MIGRATIONS.filter(
+        (migration) => migration.version > (contents.schemaVersion || 0)
+      );
+      if (pending.length === 0) return;
+
+      pending.forEach((migration) => {
+        contents = migration.up(contents);
+        contents.schemaVersion = migration.version;
+        console.log(`🗄️ Applied action store migration ${migration.name}`);
+      });
+      await persist();
+    },
+
+    async queryActions(query) {
+      const { filters, sort, order, cursor } = query;
+      const matching = contents.actions
+        .filter((action) => matchesFilters(action, filters))
+        .sort(compareActions(sort, order));
+      const remaining = cursor
+        ? matching.filter((action) =>
+            isAfterCursor(action, cursor, sort, order)
+          )
+        : matching;
+      return paginate(remaining, matching.length, query);
+    },
+
+    async getAction(id) {
+      const index = findIndex(id);
+      return index === -1 ? null : contents.actions[index];
+    },
+
+    async createActions(actionsData, { actor } = {}) {
+      const now = new Date().toISOString();
+      const created = actionsData.map((actionData) =>
+        buildAction(actionData, now)
+      );
+
+      contents.actions.push(...created);
+      contents.actionEvents.push(
+        ...created.map((action) =>
+          buildEvent(action.id, "created", actor, { status: action.status })
+        )
+      );
+      await persist();
+      return created;
+    },
+
+    async updateAction(id, changes, { actor, events = [] } = {}) {
+      const index = findIndex(id);
+      if (index === -1) return null;
+
+      const before = contents.actions[index];
+      const after = {
+        ...before,
+        ...changes,
+        id,
+        updatedAt: new Date().toISOString(),
+      };
+      contents.actions[index] = after;
+      contents.actionEvents.push(
+        ...events.map(({ type, details }) =>
+          buildEvent(id, type, actor, details)
+        ),
+        ...describeUpdate(before, after, actor)
+      );
+      await persist();
+      return after;
+    },
+
+    async deleteAction(id, { actor } = {}) {
+      const index = findIndex(id);
+      if (index === -1) return null;
+
+      const [deleted] = contents.actions.splice(index, 1);
+      contents.actionEvents.push(buildEvent(id, "deleted", actor));
+      await persist();
+      return deleted;
+    },
+
+    async getActionHistory(id) {
+      return contents.actionEvents.filter((event) => event.actionId === id);
+    },
+
+    async createExecution(executionData) {
+      const execution = buildExecution(executionData);
+      contents.workflowExecutions.push(execution);
+      await persist();
+      return execution;
+    },
+
+    async getExecution(id) {
+      return (
+        contents.workflowExecutions.find((execution) => execution.id === id) ||
+        null
+      );
+    },
+
+    async updateExecution(id, changes) {
+      const index = contents.workflowExecutions.findIndex(
+        (execution) => execution.id === id
+      );
+      if (index === -1) return null;
+
+      const updated = {
+        ...contents.workflowExecutions[index],
+        ...changes,
+        id,
+        updatedAt: new Date().toISOString(),
+      };
+      contents.workflowExecutions[index] = updated;
+      await persist();
+      return updated;
+    },
+
+    async queryExecutions({ limit, ...filters } = {}) {
+      return contents.workflowExecutions
+        .filter((execution) => matchesExecutionFilters(execution, filters))
+        .sort(
+          (a, b) =>
+            b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id)
+        )
+        .slice(0, limit || DEFAULT_EXECUTION_LIMIT);
+    },
+
+    async close() {
+      await jsonFile.flush();
+    },
+  };
+};
+
+module.exports = { createFileActionStore };
@@ -0,0 +1,171 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { afterEach, beforeEach, describe, mock, test } = require("node:test");
+
+const { createFileActionStore } = require("./fileActionStore");
+const { parseActionQuery } = require("./actionQuery");
+
+let directory;
+let filePath;
+
+const openStore = async () => {
+  const store = createFileActionStore({ filePath });
+  await store.init();
+  return store;
+};
+
+const readFile = () => JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+const actionData = (overrides = {}) => ({
+  type: "nsf_notice",
+  title: "Call the agent",
+  description: "Premium payment returned",
+  priority: "medium",
+  dueDate: "2026-11-01",
+  ...overrides,
+});
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "action-store-"));
+  filePath = path.join(directory, "actions.json");
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("migrations", () => {
+  test("create every collection in a new file", async () => {
+    const store = await openStore();
+    await store.close();
+
+    assert.deepEqual(readFile(), {
+      schemaVersion: 3,
+      actions: [],
+      actionEvents: [],
+      workflowExecutions: [],
+    });
+  });
+
+  test("upgrade an older file and keep its actions", async () => {
+    const action = { id: "action_1", ...actionData(), status: "pending" };
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify({ schemaVersion: 1, actions: [action] })
+    );
+
+    const store = await openStore();
+
+    assert.deepEqual(await store.getAction("action_1"), action);
+    assert.deepEqual(await store.getActionHistory("action_1"), []);
+    await store.close();
+    assert.equal(readFile().schemaVersion, 3);
+  });
+
+  test("leave an up-to-date file alone", async () => {
+    await (await openStore()).close();
+    const written = fs.statSync(filePath).mtimeMs;
+
+    await (await openStore()).close();
+
+    assert.equal(fs.statSync(filePath).mtimeMs, written);
+  });
+});
+
+describe("actions", () => {
+  test("are created, updated and deleted with their history", async () => {
+    const store = await openStore();
+
+    const [created] = await store.createActions([actionData()], {
+      actor: "manager",
+    });
+    assert.equal(created.status, "pending");
+    assert.match(created.id, /^action_/);
+
+    const updated = await store.updateAction(
+      created.id,
+      { status: "in_progress", assignedTo: "Jo", priority: "high" },
+      { actor: "manager" }
+    );
+    assert.equal(updated.status, "in_progress");
+    assert.equal(updated.createdAt, created.createdAt);
+
+    assert.deepEqual(await store.deleteAction(created.id), updated);
+    assert.equal(await store.getAction(created.id), null);
+    assert.equal(await store.updateAction(created.id, {}), null);
+
+    const history = await store.getActionHistory(created.id);
+    assert.deepEqual(
+      history.map((event) => event.type),
+      ["created", "status_changed", "reassigned", "updated", "deleted"]
+    );
+    assert.deepEqual(history[3].details, { fields: ["priority"] });
+    await store.close();
+  });
+
+  test("survive reopening the store", async () => {
+    const store = await openStore();
+    const [created] = await store.createActions([actionData()]);
+    await store.close();
+
+    const reopened = await openStore();
+
+    assert.deepEqual(await reopened.getAction(created.id), created);
+    await reopened.close();
+  });
+
+  test("are queried by filter and sorted", async () => {
+    const store = await openStore();
+    await store.createActions([
+      actionData({ title: "Low", priority: "low" }),
+      actionData({ title: "High", priority: "high", assignedTo: "Jo" }),
+      actionData({ title: "Medium", priority: "medium", assignedTo: "Jo" }),
+    ]);
+
+    const { actions, total, nextCursor } = await store.queryActions(
+      parseActionQuery({ assignedTo: "Jo", sort: "priority", order: "desc" })
+    );
+
+    assert.equal(total, 2);
+    assert.equal(nextCursor, null);
+    assert.deepEqual(
+      actions.map((action) => action.title),
+      ["High", "Medium"]
+    );
+    await store.close();
+  });
+});
+
+describe("workflow executions", () => {
+  test("are recorded, updated and found by action", async () => {
+    const store = await openStore();
+
+    const first = await store.createExecution({
+      workflowType: "nsf_notice",
+      actionId: "action_1",
+      triggeredBy: "manager",
+    });
+    await store.createExecution({
+      workflowType: "nsf_notice",
+      actionId: "action_2",
+      triggeredBy: "manager",
+    });
+    const updated = await store.updateExecution(first.id, {
+      status: "succeeded",
+    });
+
+    assert.equal(first.status, "queued");
+    assert.equal(updated.status, "succeeded");
+    assert.deepEqual(await store.getExecution(first.id), updated);
+    assert.deepEqual(await store.queryExecutions({ actionId: "action_1" }), [
+      updated,
+    ]);
+    assert.equal((await store.queryExecutions()).length, 2);
+    assert.equal(await store.updateExecution("missing", {}), null);
+    await store.close();
+  });
+});
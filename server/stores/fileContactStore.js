@@ -0,0 +1,142 @@
+/**
+ * File-backed contact directory (the default)
+ * Keeps every contact in one JSON file, rewritten atomically on each change.
+ */
+
+const { createJsonFile } = require("./jsonFile");
+const {
+  DEFAULT_CONTACT_LIMIT,
+  applyContactChanges,
+  buildContact,
+  contactKey,
+  duplicateContact,
+  matchContacts,
+  matchesContactSearch,
+  mergeImportedContact,
+} = require("./contactRecords");
+
+// Each migration upgrades the file contents from the previous version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_contacts",
+    up: (contents) => ({ ...contents, contacts: contents.contacts || [] }),
+  },
+];
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+const createFileContactStore = ({ filePath }) => {
+  const jsonFile = createJsonFile({ filePath, label: "contact store" });
+  let contents = null;
+
+  const persist = () => jsonFile.persist(contents);
+
+  const findIndex = (id) =>
+    contents.contacts.findIndex((contact) => contact.id === id);
+
+  // The other contact with the same role, name and MGA, if any
+  const findDuplicate = (contact) =>
+    contents.contacts.find(
+      (other) =>
+        other.id !== contact.id && contactKey(other) === contactKey(contact)
+    );
+
+  return {
+    name: "file",
+
+    async init() {
+      contents = jsonFile.load();
+
+      const pending = MIGRATIONS.filter(
+        (migration) => migration.version > (contents.schemaVersion || 0)
+      );
+      if (pending.length === 0) return;
+
+      pending.forEach((migration) => {
+        contents = migration.up(contents);
+        contents.schemaVersion = migration.version;
+        console.log(`🗄️ Applied contact store migration ${migration.name}`);
+      });
+      await persist();
+    },
+
+    async listContacts({ q, role, limit } = {}) {
+      return contents.contacts
+        .filter((contact) => matchesContactSearch(contact, { q, role }))
+        .sort(byName)
+        .slice(0, limit || DEFAULT_CONTACT_LIMIT);
+    },
+
+    async getContact(id) {
+      return contents.contacts[findIndex(id)] || null;
+    },
+
+    async findMatches(criteria) {
+      return matchContacts(contents.contacts, criteria);
+    },
+
+    async createContact(input, options) {
+      const contact = buildContact(input, options);
+      if (findDuplicate(contact)) throw duplicateContact(contact);
+
+      contents.contacts.push(contact);
+      await persist();
+      return contact;
+    },
+
+    async updateContact(id, input) {
+      const index = findIndex(id);
+      if (index === -1) return null;
+
+      const updated = applyContactChanges(contents.contacts[index], input);
+      if (findDuplicate(updated)) throw duplicateContact(updated);
+
+      contents.contacts[index] = updated;
+      await persist();
+      return updated;
+    },
+
+    async deleteContact(id) {
+      const index = findIndex(id);
+      if (index === -1) return false;
+
+      contents.contacts.splice(index, 1);
+      await persist();
+      return true;
+    },
+
+    async importContacts(inputs, options) {
+      const result = { created: 0, updated: 0, rejected: [] };
+
+      inputs.forEach((input, index) => {
+        try {
+          const contact = buildContact(input, options);
+          const existing = findDuplicate(contact);
+          if (existing) {
+            contents.contacts[findIndex(existing.id)] = mergeImportedContact(
+              existing,
+              input
+            );
+            result.updated++;
+          } else {
+            contents.contacts.push(contact);
+            result.created++;
+          }
+        } catch (error) {
+          if (error.code !== "invalid_contact") throw error;
+          result.rejected.push({ index, error: error.message });
+        }
+      });
+
+      if (result.created + result.updated > 0) await persist();
+      return result;
+    },
+
+    async close() {
+      await jsonFile.flush();
+    },
+  };
+};
+
+module.exports = { createFileContactStore };
@@ -0,0 +1,128 @@
+/**
+ * File-backed digest schedules (the default)
+ * Keeps every schedule in one JSON file, rewritten atomically on each change.
+ */
+
+const { createJsonFile } = require("./jsonFile");
+const {
+  applyScheduleChanges,
+  buildDigestSchedule,
+  getNextRunAt,
+} = require("./digestRecords");
+
+// Each migration upgrades the file contents from the previous version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_digest_schedules",
+    up: (contents) => ({ ...contents, schedules: contents.schedules || [] }),
+  },
+];
+
+const createFileDigestStore = ({ filePath }) => {
+  const jsonFile = createJsonFile({ filePath, label: "digest store" });
+  let contents = null;
+
+  const persist = () => jsonFile.persist(contents);
+
+  const findIndex = (id) =>
+    contents.schedules.findIndex((schedule) => schedule.id === id);
+
+  return {
+    name: "file",
+
+    async init() {
+      contents = jsonFile.load();
+
+      const pending = MIGRATIONS.filter(
+        (migration) => migration.version > (contents.schemaVersion || 0)
+      );
+      if (pending.length === 0) return;
+
+      pending.forEach((migration) => {
+        contents = migration.up(contents);
+        contents.schemaVersion = migration.version;
+        console.log(`🗄️ Applied digest store migration ${migration.name}`);
+      });
+      await persist();
+    },
+
+    async listSchedules() {
+      return [...contents.schedules].sort((a, b) =>
+        a.createdAt.localeCompare(b.createdAt)
+      );
+    },
+
+    async getSchedule(id) {
+      return contents.schedules[findIndex(id)] || null;
+    },
+
+    async createSchedule(input, options) {
+      const schedule = buildDigestSchedule(input, options);
+      contents.schedules.push(schedule);
+      await persist();
+      return schedule;
+    },
+
+    async updateSchedule(id, input) {
+      const index = findIndex(id);
+      if (index === -1) return null;
+
+      const updated = applyScheduleChanges(contents.schedules[index], input);
+      contents.schedules[index] = updated;
+      await persist();
+      return updated;
+    },
+
+    async deleteSchedule(id) {
+      const index = findIndex(id);
+      if (index === -1) return false;
+
+      contents.schedules.splice(index, 1);
+      await persist();
+      return true;
+    },
+
+    async claimDueSchedules(now = new Date()) {
+      const claimed = contents.schedules
+        .filter(
+          (schedule) => schedule.enabled && new Date(schedule.nextRunAt) <= now
+        )
+        .map((schedule) => {
+          const updated = {
+            ...schedule,
+            nextRunAt: getNextRunAt(schedule, now),
+            updatedAt: now.toISOString(),
+          };
+          contents.schedules[findIndex(schedule.id)] = updated;
+          return updated;
+        });
+
+      if (claimed.length > 0) await persist();
+      return claimed;
+    },
+
+    async recordRun(id, { sentAt, jobId, error }) {
+      const index = findIndex(id);
+      if (index === -1) return null;
+
+      const schedule = contents.schedules[index];
+      const updated = {
+        ...schedule,
+        lastSentAt: error ? schedule.lastSentAt : sentAt,
+        lastJobId: error ? schedule.lastJobId : jobId,
+        lastError: error || null,
+        updatedAt: new Date().toISOString(),
+      };
+      contents.schedules[index] = updated;
+      await persist();
+      return updated;
+    },
+
+    async close() {
+      await jsonFile.flush();
+    },
+  };
+};
+
+module.exports = { createFileDigestStore };
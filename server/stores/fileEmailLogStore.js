@@ -0,0 +1,96 @@
+/**
+ * File-backed sent email log (the default)
+ * Keeps every entry in one JSON file, rewritten atomically on each change.
+ */
+
+const { createJsonFile } = require("./jsonFile");
+const {
+  DEFAULT_EMAIL_LOG_LIMIT,
+  buildEmailLogEntry,
+  matchesEmailLogFilters,
+} = require("./emailLogRecords");
+
+// Each migration upgrades the file contents from the previous version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_email_log",
+    up: (contents) => ({ ...contents, emails: contents.emails || [] }),
+  },
+];
+
+const createFileEmailLogStore = ({ filePath }) => {
+  const jsonFile = createJsonFile({ filePath, label: "email log" });
+  let contents = null;
+
+  const persist = () => jsonFile.persist(contents);
+
+  return {
+    name: "file",
+
+    async init() {
+      contents = jsonFile.load();
+
+      const pending = MIGRATIONS.filter(
+        (migration) => migration.version > (contents.schemaVersion || 0)
+      );
+      if (pending.length === 0) return;
+
+      pending.forEach((migration) => {
+        contents = migration.up(contents);
+        contents.schemaVersion = migration.version;
+        console.log(`🗄️ Applied email log migration ${migration.name}`);
+      });
+      await persist();
+    },
+
+    async recordEmail(details) {
+      const entry = buildEmailLogEntry(details);
+      contents.emails.push(entry);
+      await persist();
+      return entry;
+    },
+
+    async getEmail(id) {
+      return contents.emails.find((entry) => entry.id === id) || null;
+    },
+
+    async recordBounce(messageId, { recipient, reason }) {
+      const index = contents.emails.findIndex(
+        (entry) => entry.messageId === messageId
+      );
+      if (index === -1) return null;
+
+      const now = new Date().toISOString();
+      const entry = contents.emails[index];
+      const updated = {
+        ...entry,
+        status: "bounced",
+        bounces: [
+          ...entry.bounces,
+          { recipient: recipient || null, reason: reason || null, at: now },
+        ],
+        updatedAt: now,
+      };
+      contents.emails[index] = updated;
+      await persist();
+      return updated;
+    },
+
+    async queryEmails({ limit, ...filters } = {}) {
+      return contents.emails
+        .filter((entry) => matchesEmailLogFilters(entry, filters))
+        .sort(
+          (a, b) =>
+            b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id)
+        )
+        .slice(0, limit || DEFAULT_EMAIL_LOG_LIMIT);
+    },
+
+    async close() {
+      await jsonFile.flush();
+    },
+  };
+};
+
+module.exports = { createFileEmailLogStore };
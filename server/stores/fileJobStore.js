@@ -0,0 +1,168 @@
+/**
+ * File-backed job store (the default)
+ * Keeps every job in one JSON file, rewritten atomically on each change.
+ * Only one server process should use a given file.
+ */
+
+const { createJsonFile } = require("./jsonFile");
+const {
+  DEFAULT_JOB_LIMIT,
+  JOB_STATUSES,
+  buildJob,
+  matchesJobFilters,
+} = require("./jobRecords");
+
+// Each migration upgrades the file contents from the previous version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_jobs",
+    up: (contents) => ({ ...contents, jobs: contents.jobs || [] }),
+  },
+];
+
+const createFileJobStore = ({ filePath }) => {
+  const jsonFile = createJsonFile({ filePath, label: "job store" });
+  let contents = null;
+
+  const persist = () => jsonFile.persist(contents);
+
+  const findIndex = (id) => contents.jobs.findIndex((job) => job.id === id);
+
+  return {
+    name: "file",
+
+    async init() {
+      contents = jsonFile.load();
+
+      const pending = MIGRATIONS.filter(
+        (migration) => migration.version > (contents.schemaVersion || 0)
+      );
+      if (pending.length === 0) return;
+
+      pending.forEach((migration) => {
+        contents = migration.up(contents);
+        contents.schemaVersion = migration.version;
+        console.log(`🗄️ Applied job store migration ${migration.name}`);
+      });
+      await persist();
+    },
+
+    async createJob(jobData) {
+      if (jobData.idempotencyKey) {
+        const existing = await this.findByIdempotencyKey(
+          jobData.idempotencyKey
+        );
+        if (existing) return { job: existing, created: false };
+      }
+
+      const job = buildJob(jobData);
+      contents.jobs.push(job);
+      await persist();
+      return { job, created: true };
+    },
+
+    async getJob(id) {
+      const index = findIndex(id);
+      return index === -1 ? null : contents.jobs[index];
+    },
+
+    async findByIdempotencyKey(key) {
+      return contents.jobs.find((job) => job.idempotencyKey === key) || null;
+    },
+
+    async updateJob(id, changes, { fromStatuses } = {}) {
+      const index = findIndex(id);
+      if (index === -1) return null;
+      if (fromStatuses && !fromStatuses.includes(contents.jobs[index].status)) {
+        return null;
+      }
+
+      const updated = {
+        ...contents.jobs[index],
+        ...changes,
+        id,
+        updatedAt: new Date().toISOString(),
+      };
+      contents.jobs[index] = updated;
+      await persist();
+      return updated;
+    },
+
+    async claimDueJobs(limit) {
+      const now = new Date().toISOString();
+      const claimed = contents.jobs
+        .filter((job) => job.status === "pending" && job.runAt <= now)
+        .sort((a, b) => a.runAt.localeCompare(b.runAt))
+        .slice(0, limit)
+        .map((job) => {
+          const updated = {
+            ...job,
+            status: "running",
+            attempts: job.attempts + 1,
+            updatedAt: now,
+          };
+          contents.jobs[findIndex(job.id)] = updated;
+          return updated;
+        });
+
+      if (claimed.length > 0) await persist();
+      return claimed;
+    },
+
+    async releaseRunningJobs(staleBefore) {
+      const now = new Date().toISOString();
+      let released = 0;
+      contents.jobs = contents.jobs.map((job) => {
+        if (job.status !== "running" || job.updatedAt >= staleBefore) {
+          return job;
+        }
+        released += 1;
+        return { ...job, status: "pending", runAt: now, updatedAt: now };
+      });
+
+      if (released > 0) await persist();
+      return released;
+    },
+
+    async pruneJobs(statuses, finishedBefore) {
+      const kept = contents.jobs.filter(
+        (job) =>
+          !statuses.includes(job.status) ||
+          (job.finishedAt || job.updatedAt) >= finishedBefore
+      );
+      const pruned = contents.jobs.length - kept.length;
+      if (pruned > 0) {
+        contents.jobs = kept;
+        await persist();
+      }
+      return pruned;
+    },
+
+    async listJobs({ limit, ...filters } = {}) {
+      return contents.jobs
+        .filter((job) => matchesJobFilters(job, filters))
+        .sort(
+          (a, b) =>
+            b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id)
+        )
+        .slice(0, limit || DEFAULT_JOB_LIMIT);
+    },
+
+    async countJobs() {
+      const counts = Object.fromEntries(
+        JOB_STATUSES.map((status) => [status, 0])
+      );
+      contents.jobs.forEach((job) => {
+        counts[job.status] += 1;
+      });
+      return counts;
+    },
+
+    async close() {
+      await jsonFile.flush();
+    },
+  };
+};
+
+module.exports = { createFileJobStore };
@@ -0,0 +1,87 @@
+/**
+ * File-backed text message store (the default)
+ * Keeps every message and opt-out in one JSON file, rewritten atomically on
+ * each change.
+ */
+
+const { createJsonFile } = require("./jsonFile");
+const {
+  DEFAULT_SMS_LIMIT,
+  buildOptOut,
+  buildSmsMessage,
+  matchesSmsFilters,
+} = require("./smsRecords");
+
+// Each migration upgrades the file contents from the previous version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_sms_messages",
+    up: (contents) => ({
+      ...contents,
+      messages: contents.messages || [],
+      optOuts: contents.optOuts || {},
+    }),
+  },
+];
+
+const createFileSmsStore = ({ filePath }) => {
+  const jsonFile = createJsonFile({ filePath, label: "SMS store" });
+  let contents = null;
+
+  const persist = () => jsonFile.persist(contents);
+
+  return {
+    name: "file",
+
+    async init() {
+      contents = jsonFile.load();
+
+      const pending = MIGRATIONS.filter(
+        (migration) => migration.version > (contents.schemaVersion || 0)
+      );
+      if (pending.length === 0) return;
+
+      pending.forEach((migration) => {
+        contents = migration.up(contents);
+        contents.schemaVersion = migration.version;
+        console.log(`🗄️ Applied SMS store migration ${migration.name}`);
+      });
+      await persist();
+    },
+
+    async recordMessage(details) {
+      const message = buildSmsMessage(details);
+      contents.messages.push(message);
+      await persist();
+      return message;
+    },
+
+    async queryMessages({ limit, ...filters } = {}) {
+      return contents.messages
+        .filter((message) => matchesSmsFilters(message, filters))
+        .sort(
+          (a, b) =>
+            b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id)
+        )
+        .slice(0, limit || DEFAULT_SMS_LIMIT);
+    },
+
+    async getOptOut(phone) {
+      return contents.optOuts[phone] || null;
+    },
+
+    async setOptOut(phone, changes) {
+      const optOut = buildOptOut(phone, changes);
+      contents.optOuts[phone] = optOut;
+      await persist();
+      return optOut;
+    },
+
+    async close() {
+      await jsonFile.flush();
+    },
+  };
+};
+
+module.exports = { createFileSmsStore };
@@ -0,0 +1,107 @@
+/**
+ * File-backed email template store (the default)
+ * Keeps every version of every template in one JSON file, rewritten
+ * atomically on each change.
+ */
+
+const { createJsonFile } = require("./jsonFile");
+const { buildTemplateVersion } = require("./templateRecords");
+
+// Each migration upgrades the file contents from the previous version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_template_versions",
+    up: (contents) => ({ ...contents, templates: contents.templates || {} }),
+  },
+];
+
+const createFileTemplateStore = ({ filePath }) => {
+  const jsonFile = createJsonFile({ filePath, label: "template store" });
+  let contents = null;
+
+  const persist = () => jsonFile.persist(contents);
+
+  // Versions of a type, oldest first
+  const versionsOf = (type) => contents.templates[type] || [];
+
+  const latest = (type) => {
+    const versions = versionsOf(type);
+    return versions.length > 0 ? versions[versions.length - 1] : null;
+  };
+
+  return {
+    name: "file",
+
+    async init() {
+      contents = jsonFile.load();
+
+      const pending = MIGRATIONS.filter(
+        (migration) => migration.version > (contents.schemaVersion || 0)
+      );
+      if (pending.length === 0) return;
+
+      pending.forEach((migration) => {
+        contents = migration.up(contents);
+        contents.schemaVersion = migration.version;
+        console.log(`🗄️ Applied template store migration ${migration.name}`);
+      });
+      await persist();
+    },
+
+    async seedTemplates(defaults) {
+      const missing = defaults.filter(
+        ({ type }) => versionsOf(type).length === 0
+      );
+      if (missing.length === 0) return;
+
+      missing.forEach((content) => {
+        contents.templates[content.type] = [
+          buildTemplateVersion({
+            ...content,
+            version: 1,
+            note: "Default template",
+          }),
+        ];
+      });
+      await persist();
+    },
+
+    async listCurrent() {
+      return Object.keys(contents.templates).map(latest).filter(Boolean);
+    },
+
+    async getCurrent(type) {
+      return latest(type);
+    },
+
+    async listVersions(type) {
+      return [...versionsOf(type)].reverse();
+    },
+
+    async getVersion(type, version) {
+      return (
+        versionsOf(type).find((record) => record.version === version) || null
+      );
+    },
+
+    async saveVersion(type, content, { createdBy, note } = {}) {
+      const record = buildTemplateVersion({
+        ...content,
+        type,
+        version: (latest(type)?.version || 0) + 1,
+        note,
+        createdBy,
+      });
+      contents.templates[type] = [...versionsOf(type), record];
+      await persist();
+      return record;
+    },
+
+    async close() {
+      await jsonFile.flush();
+    },
+  };
+};
+
+module.exports = { createFileTemplateStore };
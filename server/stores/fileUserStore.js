@@ -0,0 +1,136 @@
+/**
+ * File-backed user store (the default)
+ * Keeps every account in one JSON file, rewritten atomically on each change.
+ */
+
+const { createJsonFile } = require("./jsonFile");
+const {
+  assertUniqueDisplayName,
+  buildUser,
+  duplicateUsername,
+  normalizeDisplayName,
+  normalizeUsername,
+  validateUser,
+} = require("./userRecords");
+
+// Each migration upgrades the file contents from the previous version
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_users",
+    up: (contents) => ({ ...contents, users: contents.users || [] }),
+  },
+  {
+    version: 2,
+    name: "unique_display_names",
+    // Later accounts sharing a display name get their username appended
+    up: (contents) => {
+      const seen = new Set();
+      return {
+        ...contents,
+        users: [...contents.users]
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+          .map((user) => {
+            const key = normalizeDisplayName(user.displayName);
+            if (!seen.has(key)) {
+              seen.add(key);
+              return user;
+            }
+            const displayName = `${user.displayName} (${user.username})`;
+            seen.add(normalizeDisplayName(displayName));
+            return { ...user, displayName };
+          }),
+      };
+    },
+  },
+];
+
+const createFileUserStore = ({ filePath }) => {
+  // Password hashes are readable by the server's user only
+  const jsonFile = createJsonFile({
+    filePath,
+    label: "user store",
+    mode: 0o600,
+  });
+  let contents = null;
+
+  const persist = () => jsonFile.persist(contents);
+
+  const findIndex = (id) => contents.users.findIndex((user) => user.id === id);
+
+  return {
+    name: "file",
+
+    async init() {
+      contents = jsonFile.load();
+
+      const pending = MIGRATIONS.filter(
+        (migration) => migration.version > (contents.schemaVersion || 0)
+      );
+      if (pending.length === 0) return;
+
+      pending.forEach((migration) => {
+        contents = migration.up(contents);
+        contents.schemaVersion = migration.version;
+        console.log(`🗄️ Applied user store migration ${migration.name}`);
+      });
+      await persist();
+    },
+
+    async listUsers() {
+      return [...contents.users].sort((a, b) =>
+        a.username.localeCompare(b.username)
+      );
+    },
+
+    async getUser(id) {
+      const index = findIndex(id);
+      return index === -1 ? null : contents.users[index];
+    },
+
+    async findByUsername(username) {
+      const normalized = normalizeUsername(username);
+      return (
+        contents.users.find((user) => user.username === normalized) || null
+      );
+    },
+
+    async createUser(userData) {
+      const user = buildUser(userData);
+      if (
+        contents.users.some((existing) => existing.username === user.username)
+      ) {
+        throw duplicateUsername(user.username);
+      }
+      assertUniqueDisplayName(contents.users, user);
+
+      contents.users.push(user);
+      await persist();
+      return user;
+    },
+
+    async updateUser(id, changes) {
+      const index = findIndex(id);
+      if (index === -1) return null;
+
+      const updated = {
+        ...contents.users[index],
+        ...changes,
+        id,
+        username: contents.users[index].username,
+        updatedAt: new Date().toISOString(),
+      };
+      validateUser(updated);
+      assertUniqueDisplayName(contents.users, updated);
+      contents.users[index] = updated;
+      await persist();
+      return updated;
+    },
+
+    async close() {
+      await jsonFile.flush();
+    },
+  };
+};
+
+module.exports = { createFileUserStore };
@@ -0,0 +1,64 @@
+/**
+ * Outbound job helpers shared by the job store adapters
+ * A job is one email or n8n trigger the server sends on its own schedule:
+ * pending -> running -> succeeded, or back to pending with a later runAt
+ * after a failed attempt, and dead once maxAttempts is spent. Dead jobs are
+ * the dead-letter list; an admin can retry them or cancel a pending job.
+ */
+
+const crypto = require("crypto");
+
+const JOB_STATUSES = ["pending", "running", "succeeded", "dead", "cancelled"];
+
+// Statuses an admin may move a job out of
+const RETRYABLE_STATUSES = ["dead", "cancelled"];
+const CANCELLABLE_STATUSES = ["pending"];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Jobs returned by a list when no limit is given
+const DEFAULT_JOB_LIMIT = 50;
+
+const invalidJobState = (job, change) => {
+  const error = new Error(`Cannot ${change} a ${job.status} job`);
+  error.code = "invalid_job_state";
+  return error;
+};
+
+// A new job as stored, due immediately unless runAt is given
+const buildJob = (
+  { type, payload, idempotencyKey, maxAttempts, createdBy, runAt },
+  now = new Date().toISOString()
+) => ({
+  id: `job_${crypto.randomUUID()}`,
+  type,
+  status: "pending",
+  payload: payload || {},
+  idempotencyKey: idempotencyKey || null,
+  attempts: 0,
+  maxAttempts: maxAttempts || DEFAULT_MAX_ATTEMPTS,
+  runAt: runAt || now,
+  lastError: null,
+  result: null,
+  createdBy: createdBy || "system",
+  createdAt: now,
+  updatedAt: now,
+  finishedAt: null,
+});
+
+// Whether a job matches GET /api/jobs filters
+const matchesJobFilters = (job, { statuses, type } = {}) => {
+  if (statuses && !statuses.includes(job.status)) return false;
+  if (type && job.type !== type) return false;
+  return true;
+};
+
+module.exports = {
+  CANCELLABLE_STATUSES,
+  DEFAULT_JOB_LIMIT,
+  JOB_STATUSES,
+  RETRYABLE_STATUSES,
+  buildJob,
+  invalidJobState,
+  matchesJobFilters,
+};
@@ -0,0 +1,48 @@
+/**
+ * Outbound job store selection for the job queue (see server/jobQueue.js)
+ * JOB_STORE picks the adapter: "file" (default) keeps jobs in a JSON file at
+ * JOB_STORE_PATH, "postgres" uses DATABASE_URL. Every adapter exposes the
+ * same async methods: init (runs migrations), createJob, getJob,
+ * findByIdempotencyKey, updateJob, claimDueJobs, releaseRunningJobs,
+ * pruneJobs, listJobs, countJobs and close.
+ *
+ * createJob returns { job, created }; a job whose idempotencyKey is already
+ * stored comes back as the existing job with created false.
+ * updateJob(id, changes, { fromStatuses }) only applies while the job is in
+ * one of fromStatuses and returns null otherwise.
+ * claimDueJobs(limit) moves pending jobs whose runAt has passed to running
+ * (counting the attempt) so no other worker picks them up.
+ * releaseRunningJobs(staleBefore) puts jobs that have been running since
+ * before that time back to pending, for a worker that stopped mid-job.
+ * pruneJobs(statuses, finishedBefore) deletes jobs in one of statuses that
+ * finished before that time and returns how many went; a pruned job's
+ * idempotencyKey can be used again.
+ */
+
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../data/jobs.json");
+
+const createJobStore = (env = process.env) => {
+  const kind = (env.JOB_STORE || "file").toLowerCase();
+
+  // Adapters are required on demand so pg is only loaded when used
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("JOB_STORE=postgres requires DATABASE_URL");
+    }
+    const { createPostgresJobStore } = require("./postgresJobStore");
+    return createPostgresJobStore({ connectionString: env.DATABASE_URL });
+  }
+
+  if (kind === "file") {
+    const { createFileJobStore } = require("./fileJobStore");
+    return createFileJobStore({
+      filePath: env.JOB_STORE_PATH || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown JOB_STORE "${kind}" (use file or postgres)`);
+};
+
+module.exports = { createJobStore };
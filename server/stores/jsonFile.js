@@ -0,0 +1,54 @@
+/**
+ * JSON file shared by the file-backed stores
+ * A store keeps its contents in memory and rewrites the whole file
+ * atomically (a temporary file renamed over it) after each change.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @param {Object} options
+ * @param {string} options.filePath - Where the store's contents live
+ * @param {string} options.label - Names the store in read errors
+ * @param {number} [options.mode] - Permissions for the written file
+ * @returns {Object} { load, persist, flush }
+ */
+const createJsonFile = ({ filePath, label, mode }) => {
+  const file = path.resolve(filePath);
+
+  // Writes are chained so concurrent requests never interleave. A failed
+  // write rejects for its caller only; the next write still runs.
+  let writeQueue = Promise.resolve();
+
+  // The file's contents, or an empty store at schema version 0
+  const load = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return { schemaVersion: 0 };
+      throw new Error(`Cannot read ${label} ${file}: ${error.message}`);
+    }
+  };
+
+  // Queue a write of the contents as they are now
+  const persist = (contents) => {
+    const snapshot = JSON.stringify(contents, null, 2);
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(() => {
+        const temporary = `${file}.tmp`;
+        fs.writeFileSync(temporary, snapshot, mode && { mode });
+        fs.renameSync(temporary, file);
+      });
+    return writeQueue;
+  };
+
+  // Wait for queued writes; their failures already went to their callers
+  const flush = () => writeQueue.catch(() => {});
+
+  return { load, persist, flush };
+};
+
+module.exports = { createJsonFile };
@@ -0,0 +1,78 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { afterEach, beforeEach, test } = require("node:test");
+
+const { createJsonFile } = require("./jsonFile");
+
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "json-file-"));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("a missing file loads as an empty store at schema version 0", () => {
+  const jsonFile = createJsonFile({
+    filePath: path.join(directory, "nested", "store.json"),
+    label: "test store",
+  });
+
+  assert.deepEqual(jsonFile.load(), { schemaVersion: 0 });
+  assert.ok(fs.existsSync(path.join(directory, "nested")));
+});
+
+test("an unreadable file names the store", () => {
+  const filePath = path.join(directory, "store.json");
+  fs.writeFileSync(filePath, "{ not json");
+  const jsonFile = createJsonFile({ filePath, label: "test store" });
+
+  assert.throws(() => jsonFile.load(), /^Error: Cannot read test store /);
+});
+
+test("writes land in order and read back", async () => {
+  const filePath = path.join(directory, "store.json");
+  const jsonFile = createJsonFile({ filePath, label: "test store" });
+
+  await Promise.all([
+    jsonFile.persist({ schemaVersion: 1, items: [1] }),
+    jsonFile.persist({ schemaVersion: 1, items: [1, 2] }),
+  ]);
+
+  assert.deepEqual(jsonFile.load(), { schemaVersion: 1, items: [1, 2] });
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+});
+
+test("a failed write rejects for its caller and the next write still runs", async () => {
+  const filePath = path.join(directory, "store.json");
+  const jsonFile = createJsonFile({ filePath, label: "test store" });
+
+  // A directory where the temporary file goes makes the write fail
+  fs.mkdirSync(`${filePath}.tmp`);
+  await assert.rejects(jsonFile.persist({ items: ["lost"] }), {
+    code: "EISDIR",
+  });
+  await jsonFile.flush();
+
+  fs.rmdirSync(`${filePath}.tmp`);
+  await jsonFile.persist({ items: ["saved"] });
+
+  assert.deepEqual(jsonFile.load(), { items: ["saved"] });
+});
+
+test("files are written with the requested mode", async () => {
+  const filePath = path.join(directory, "store.json");
+  const jsonFile = createJsonFile({
+    filePath,
+    label: "test store",
+    mode: 0o600,
+  });
+
+  await jsonFile.persist({ items: [] });
+
+  assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+});
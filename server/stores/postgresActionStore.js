@@ -0,0 +1,490 @@
+/**
+ * Postgres action store
+ * Each action is stored whole in a JSONB column, with the fields
+ * GET /api/actions filters and sorts on copied into indexed columns.
+ */
+
+const { Pool } = require("pg");
+const { buildAction, isActiveFilter } = require("./actionRecords");
+const { PRIORITY_RANK, paginate } = require("./actionQuery");
+const { buildEvent, describeUpdate } = require("./actionHistory");
+const {
+  DEFAULT_EXECUTION_LIMIT,
+  buildExecution,
+} = require("./workflowExecutions");
+
+// Normalized the same way as the file store's date comparisons
+const toTimestamp = (value) => {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+// Applied in order inside a transaction; never edit one that has shipped
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_actions",
+    up: (client) =>
+      client.query(`
+      CREATE TABLE IF NOT EXISTS actions (
+        seq BIGSERIAL UNIQUE,
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        priority TEXT,
+        title TEXT NOT NULL,
+        description TEXT NOT NULL,
+        agent_name TEXT,
+        data JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_actions_status ON actions(status);
+      CREATE INDEX IF NOT EXISTS idx_actions_type ON actions(type);
+      CREATE INDEX IF NOT EXISTS idx_actions_priority ON actions(priority);
+    `),
+  },
+  {
+    version: 2,
+    name: "add_actions_due_date",
+    up: async (client) => {
+      await client.query(`
+        ALTER TABLE actions ADD COLUMN IF NOT EXISTS due_date TIMESTAMPTZ;
+        CREATE INDEX IF NOT EXISTS idx_actions_due_date ON actions(due_date);
+        CREATE INDEX IF NOT EXISTS idx_actions_created_at ON actions(created_at);
+      `);
+      const { rows } = await client.query(
+        "SELECT id, data->>'dueDate' AS due_date FROM actions"
+      );
+      for (const row of rows) {
+        await client.query("UPDATE actions SET due_date = $2 WHERE id = $1", [
+          row.id,
+          toTimestamp(row.due_date),
+        ]);
+      }
+    },
+  },
+  {
+    version: 3,
+    name: "create_action_events",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS action_events (
+          seq BIGSERIAL PRIMARY KEY,
+          id TEXT NOT NULL UNIQUE,
+          action_id TEXT NOT NULL,
+          type TEXT NOT NULL,
+          actor TEXT NOT NULL,
+          at TIMESTAMPTZ NOT NULL,
+          details JSONB NOT NULL DEFAULT '{}'
+        );
+        CREATE INDEX IF NOT EXISTS idx_action_events_action_id
+          ON action_events(action_id, seq);
+
+        -- The audit trail is append-only
+        CREATE OR REPLACE FUNCTION action_events_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'action_events is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+        DROP TRIGGER IF EXISTS action_events_append_only ON action_events;
+        CREATE TRIGGER action_events_append_only
+          BEFORE UPDATE OR DELETE ON action_events
+          FOR EACH ROW EXECUTE FUNCTION action_events_append_only();
+      `),
+  },
+  {
+    version: 4,
+    name: "index_actions_assigned_to",
+    up: (client) =>
+      client.query(`
+        CREATE INDEX IF NOT EXISTS idx_actions_assigned_to
+          ON actions ((data->>'assignedTo'));
+      `),
+  },
+  {
+    version: 5,
+    name: "create_workflow_executions",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS workflow_executions (
+          id TEXT PRIMARY KEY,
+          workflow_type TEXT NOT NULL,
+          status TEXT NOT NULL,
+          action_id TEXT,
+          task_id TEXT,
+          data JSONB NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_workflow_executions_status
+          ON workflow_executions(status);
+        CREATE INDEX IF NOT EXISTS idx_workflow_executions_action_id
+          ON workflow_executions(action_id);
+        CREATE INDEX IF NOT EXISTS idx_workflow_executions_task_id
+          ON workflow_executions(task_id);
+        CREATE INDEX IF NOT EXISTS idx_workflow_executions_created_at
+          ON workflow_executions(created_at);
+      `),
+  },
+];
+
+// ORDER BY expression and cursor parameter type for each sort field. Text
+// sorts use the C collation so ordering matches the file store.
+const PRIORITY_RANK_SQL = `CASE priority ${Object.entries(PRIORITY_RANK)
+  .map(([priority, rank]) => `WHEN '${priority}' THEN ${rank}`)
+  .join(" ")} ELSE 0 END`;
+const SORT_SQL = {
+  createdAt: { expression: "created_at", type: "timestamptz" },
+  updatedAt: { expression: "updated_at", type: "timestamptz" },
+  dueDate: {
+    expression: "COALESCE(due_date, 'epoch'::timestamptz)",
+    type: "timestamptz",
+  },
+  priority: { expression: PRIORITY_RANK_SQL, type: "integer" },
+  status: { expression: 'status COLLATE "C"', type: "text" },
+  title: { expression: 'title COLLATE "C"', type: "text" },
+  type: { expression: 'type COLLATE "C"', type: "text" },
+};
+
+// Column values for an action (the whole action goes in data)
+const toRow = (action) => [
+  action.id,
+  action.type,
+  action.status,
+  action.priority || null,
+  action.title,
+  action.description,
+  action.agentName || null,
+  action,
+  action.createdAt,
+  action.updatedAt,
+  toTimestamp(action.dueDate),
+];
+
+const UPSERT_SQL = `
+  INSERT INTO actions (id, type, status, priority, title, description,
+    agent_name, data, created_at, updated_at, due_date)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  ON CONFLICT (id) DO UPDATE SET
+    type = EXCLUDED.type,
+    status = EXCLUDED.status,
+    priority = EXCLUDED.priority,
+    title = EXCLUDED.title,
+    description = EXCLUDED.description,
+    agent_name = EXCLUDED.agent_name,
+    data = EXCLUDED.data,
+    updated_at = EXCLUDED.updated_at,
+    due_date = EXCLUDED.due_date
+`;
+
+const insertEvents = async (client, events) => {
+  for (const event of events) {
+    await client.query(
+      `INSERT INTO action_events (id, action_id, type, actor, at, details)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [
+        event.id,
+        event.actionId,
+        event.type,
+        event.actor,
+        event.at,
+        event.details,
+      ]
+    );
+  }
+};
+
+const EXECUTION_UPSERT_SQL = `
+  INSERT INTO workflow_executions (id, workflow_type, status, action_id,
+    task_id, data, created_at, updated_at)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  ON CONFLICT (id) DO UPDATE SET
+    status = EXCLUDED.status,
+    data = EXCLUDED.data,
+    updated_at = EXCLUDED.updated_at
+`;
+
+const toExecutionRow = (execution) => [
+  execution.id,
+  execution.workflowType,
+  execution.status,
+  execution.actionId,
+  execution.taskId,
+  execution,
+  execution.createdAt,
+  execution.updatedAt,
+];
+
+// Escape LIKE wildcards so search matches the text literally
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+const createPostgresActionStore = ({ connectionString }) => {
+  const pool = new Pool({ connectionString });
+
+  const transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS action_store_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      const { rows } = await pool.query(
+        "SELECT version FROM action_store_migrations"
+      );
+      const applied = new Set(rows.map((row) => row.version));
+
+      for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await transaction(async (client) => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO action_store_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️ Applied action store migration ${migration.name}`);
+      }
+    },
+
+    async queryActions(query) {
+      const { filters, sort, order, limit, cursor } = query;
+      const conditions = [];
+      const values = [];
+      const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace("?", `$${values.length}`));
+      };
+
+      const { status, priority, type, search } = filters;
+      if (isActiveFilter(status)) addCondition("status = ?", status);
+      if (isActiveFilter(priority)) addCondition("priority = ?", priority);
+      if (isActiveFilter(type)) addCondition("type = ?", type);
+      if (filters.assignedTo) {
+        addCondition("data->>'assignedTo' = ?", filters.assignedTo);
+      }
+      if (filters.dueFrom) addCondition("due_date >= ?", filters.dueFrom);
+      if (filters.dueTo) addCondition("due_date <= ?", filters.dueTo);
+      if (filters.createdFrom) {
+        addCondition("created_at >= ?", filters.createdFrom);
+      }
+      if (filters.createdTo) {
+        addCondition("created_at <= ?", filters.createdTo);
+      }
+      if (search) {
+        values.push(`%${escapeLike(search)}%`);
+        const param = `$${values.length}`;
+        conditions.push(
+          `(title ILIKE ${param} OR description ILIKE ${param} OR agent_name ILIKE ${param})`
+        );
+      }
+
+      const whereClause = (clauses) =>
+        clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "";
+      const { rows: countRows } = await pool.query(
+        `SELECT COUNT(*)::integer AS total FROM actions ${whereClause(conditions)}`,
+        values
+      );
+
+      const { expression, type: valueType } = SORT_SQL[sort];
+      const direction = order === "desc" ? "DESC" : "ASC";
+      const pageConditions = [...conditions];
+      const pageValues = [...values];
+      if (cursor) {
+        pageValues.push(cursor.value, cursor.id);
+        const valueParam = `$${pageValues.length - 1}::${valueType}`;
+        const idParam = `$${pageValues.length}`;
+        pageConditions.push(
+          `(${expression}, id COLLATE "C") ${order === "desc" ? "<" : ">"} (${valueParam}, ${idParam})`
+        );
+      }
+      if (limit !== null) {
+        // One extra row shows whether another page follows
+        pageValues.push(limit + 1);
+      }
+
+      const { rows } = await pool.query(
+        `SELECT data FROM actions ${whereClause(pageConditions)}
+         ORDER BY ${expression} ${direction}, id COLLATE "C" ${direction}
+         ${limit !== null ? `LIMIT $${pageValues.length}` : ""}`,
+        pageValues
+      );
+      return paginate(
+        rows.map((row) => row.data),
+        countRows[0].total,
+        query
+      );
+    },
+
+    async getAction(id) {
+      const { rows } = await pool.query(
+        "SELECT data FROM actions WHERE id = $1",
+        [id]
+      );
+      return rows.length > 0 ? rows[0].data : null;
+    },
+
+    async createActions(actionsData, { actor } = {}) {
+      const now = new Date().toISOString();
+      const created = actionsData.map((actionData) =>
+        buildAction(actionData, now)
+      );
+
+      await transaction(async (client) => {
+        for (const action of created) {
+          await client.query(UPSERT_SQL, toRow(action));
+        }
+        await insertEvents(
+          client,
+          created.map((action) =>
+            buildEvent(action.id, "created", actor, { status: action.status })
+          )
+        );
+      });
+      return created;
+    },
+
+    async updateAction(id, changes, { actor, events = [] } = {}) {
+      return transaction(async (client) => {
+        const { rows } = await client.query(
+          "SELECT data FROM actions WHERE id = $1 FOR UPDATE",
+          [id]
+        );
+        if (rows.length === 0) return null;
+
+        const before = rows[0].data;
+        const updated = {
+          ...before,
+          ...changes,
+          id,
+          updatedAt: new Date().toISOString(),
+        };
+        await client.query(UPSERT_SQL, toRow(updated));
+        await insertEvents(client, [
+          ...events.map(({ type, details }) =>
+            buildEvent(id, type, actor, details)
+          ),
+          ...describeUpdate(before, updated, actor),
+        ]);
+        return updated;
+      });
+    },
+
+    async deleteAction(id, { actor } = {}) {
+      return transaction(async (client) => {
+        const { rows } = await client.query(
+          "DELETE FROM actions WHERE id = $1 RETURNING data",
+          [id]
+        );
+        if (rows.length === 0) return null;
+
+        await insertEvents(client, [buildEvent(id, "deleted", actor)]);
+        return rows[0].data;
+      });
+    },
+
+    async getActionHistory(id) {
+      const { rows } = await pool.query(
+        `SELECT id, action_id, type, actor, at, details FROM action_events
+         WHERE action_id = $1 ORDER BY seq`,
+        [id]
+      );
+      return rows.map((row) => ({
+        id: row.id,
+        actionId: row.action_id,
+        type: row.type,
+        actor: row.actor,
+        at: row.at.toISOString(),
+        details: row.details,
+      }));
+    },
+
+    async createExecution(executionData) {
+      const execution = buildExecution(executionData);
+      await pool.query(EXECUTION_UPSERT_SQL, toExecutionRow(execution));
+      return execution;
+    },
+
+    async getExecution(id) {
+      const { rows } = await pool.query(
+        "SELECT data FROM workflow_executions WHERE id = $1",
+        [id]
+      );
+      return rows.length > 0 ? rows[0].data : null;
+    },
+
+    async updateExecution(id, changes) {
+      return transaction(async (client) => {
+        const { rows } = await client.query(
+          "SELECT data FROM workflow_executions WHERE id = $1 FOR UPDATE",
+          [id]
+        );
+        if (rows.length === 0) return null;
+
+        const updated = {
+          ...rows[0].data,
+          ...changes,
+          id,
+          updatedAt: new Date().toISOString(),
+        };
+        await client.query(EXECUTION_UPSERT_SQL, toExecutionRow(updated));
+        return updated;
+      });
+    },
+
+    async queryExecutions({
+      statuses,
+      actionId,
+      taskId,
+      workflowType,
+      limit,
+    } = {}) {
+      const conditions = [];
+      const values = [];
+      const addCondition = (sql, value) => {
+        values.push(value);
+        conditions.push(sql.replace("?", `$${values.length}`));
+      };
+
+      if (statuses) addCondition("status = ANY(?)", statuses);
+      if (actionId) addCondition("action_id = ?", actionId);
+      if (taskId) addCondition("task_id = ?", taskId);
+      if (workflowType) addCondition("workflow_type = ?", workflowType);
+      values.push(limit || DEFAULT_EXECUTION_LIMIT);
+
+      const { rows } = await pool.query(
+        `SELECT data FROM workflow_executions
+         ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${values.length}`,
+        values
+      );
+      return rows.map((row) => row.data);
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = { createPostgresActionStore };
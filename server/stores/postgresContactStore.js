@@ -0,0 +1,290 @@
+/**
+ * Postgres contact directory
+ * Contacts live in contacts, with the normalized name and MGA they are
+ * matched on kept alongside so lookups can use an index.
+ */
+
+const { Pool } = require("pg");
+const {
+  DEFAULT_CONTACT_LIMIT,
+  applyContactChanges,
+  buildContact,
+  duplicateContact,
+  matchContacts,
+  mergeImportedContact,
+  normalizeName,
+} = require("./contactRecords");
+
+// Applied in order inside a transaction; never edit one that has shipped
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_contacts",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS contacts (
+          id TEXT PRIMARY KEY,
+          role TEXT NOT NULL,
+          name TEXT NOT NULL,
+          name_key TEXT NOT NULL,
+          mga TEXT,
+          mga_key TEXT NOT NULL,
+          agent_level_03 TEXT,
+          policy_numbers TEXT[] NOT NULL,
+          phone TEXT,
+          email TEXT,
+          notes TEXT,
+          created_by TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_key
+          ON contacts(role, name_key, mga_key);
+        CREATE INDEX IF NOT EXISTS idx_contacts_mga_key
+          ON contacts(mga_key);
+        CREATE INDEX IF NOT EXISTS idx_contacts_policy_numbers
+          ON contacts USING GIN (policy_numbers);
+      `),
+  },
+];
+
+const CONTACT_COLUMNS =
+  "id, role, name, name_key, mga, mga_key, agent_level_03, policy_numbers, phone, email, notes, created_by, created_at, updated_at";
+
+const UNIQUE_VIOLATION = "23505";
+
+const fromRow = (row) => ({
+  id: row.id,
+  role: row.role,
+  name: row.name,
+  mga: row.mga,
+  agentLevel03: row.agent_level_03,
+  policyNumbers: row.policy_numbers,
+  phone: row.phone,
+  email: row.email,
+  notes: row.notes,
+  createdBy: row.created_by,
+  createdAt: row.created_at.toISOString(),
+  updatedAt: row.updated_at.toISOString(),
+});
+
+// Every column but id, in CONTACT_COLUMNS order, as query values
+const toValues = (contact) => [
+  contact.role,
+  contact.name,
+  normalizeName(contact.name),
+  contact.mga,
+  normalizeName(contact.mga),
+  contact.agentLevel03,
+  contact.policyNumbers,
+  contact.phone,
+  contact.email,
+  contact.notes,
+  contact.createdBy,
+  contact.createdAt,
+  contact.updatedAt,
+];
+
+const INSERT_CONTACT = `INSERT INTO contacts (${CONTACT_COLUMNS})
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`;
+
+const UPDATE_CONTACT = `UPDATE contacts
+  SET role = $2, name = $3, name_key = $4, mga = $5, mga_key = $6,
+    agent_level_03 = $7, policy_numbers = $8, phone = $9, email = $10,
+    notes = $11, created_by = $12, created_at = $13, updated_at = $14
+  WHERE id = $1`;
+
+const createPostgresContactStore = ({ connectionString }) => {
+  const pool = new Pool({ connectionString });
+
+  const transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Run a write, reporting the unique index as a duplicate contact
+  const write = async (contact, run) => {
+    try {
+      return await run();
+    } catch (error) {
+      if (error.code === UNIQUE_VIOLATION) throw duplicateContact(contact);
+      throw error;
+    }
+  };
+
+  const findByKey = async (client, contact) => {
+    const { rows } = await client.query(
+      `SELECT ${CONTACT_COLUMNS} FROM contacts
+       WHERE role = $1 AND name_key = $2 AND mga_key = $3
+       FOR UPDATE`,
+      [contact.role, normalizeName(contact.name), normalizeName(contact.mga)]
+    );
+    return rows.length > 0 ? fromRow(rows[0]) : null;
+  };
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS contact_store_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      const { rows } = await pool.query(
+        "SELECT version FROM contact_store_migrations"
+      );
+      const applied = new Set(rows.map((row) => row.version));
+
+      for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await transaction(async (client) => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO contact_store_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️ Applied contact store migration ${migration.name}`);
+      }
+    },
+
+    async listContacts({ q, role, limit } = {}) {
+      const conditions = [];
+      const values = [];
+      const add = (condition, value) => {
+        values.push(value);
+        conditions.push(condition.replaceAll("?", `$${values.length}`));
+      };
+
+      if (role) add("role = ?", role);
+      if (q) {
+        add(
+          `(name ILIKE ? OR mga ILIKE ? OR agent_level_03 ILIKE ?
+            OR phone ILIKE ? OR email ILIKE ?
+            OR array_to_string(policy_numbers, ' ') ILIKE ?)`,
+          `%${String(q).trim()}%`
+        );
+      }
+      values.push(limit || DEFAULT_CONTACT_LIMIT);
+
+      const { rows } = await pool.query(
+        `SELECT ${CONTACT_COLUMNS} FROM contacts
+         ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY name, id
+         LIMIT $${values.length}`,
+        values
+      );
+      return rows.map(fromRow);
+    },
+
+    async getContact(id) {
+      const { rows } = await pool.query(
+        `SELECT ${CONTACT_COLUMNS} FROM contacts WHERE id = $1`,
+        [id]
+      );
+      return rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    // Candidates are narrowed in SQL, then ranked like the file store does
+    async findMatches(criteria) {
+      const names = [criteria.agentName, criteria.agentLevel03, criteria.mga]
+        .map(normalizeName)
+        .filter(Boolean);
+      const policyNumber = criteria.policyNumber
+        ? String(criteria.policyNumber).trim()
+        : "";
+      if (names.length === 0 && !policyNumber) return [];
+
+      const { rows } = await pool.query(
+        `SELECT ${CONTACT_COLUMNS} FROM contacts
+         WHERE name_key = ANY($1) OR mga_key = ANY($1)
+           OR ($2 <> '' AND policy_numbers @> ARRAY[$2])`,
+        [names, policyNumber]
+      );
+      return matchContacts(rows.map(fromRow), criteria);
+    },
+
+    async createContact(input, options) {
+      const contact = buildContact(input, options);
+      await write(contact, () =>
+        pool.query(INSERT_CONTACT, [contact.id, ...toValues(contact)])
+      );
+      return contact;
+    },
+
+    async updateContact(id, input) {
+      return transaction(async (client) => {
+        const { rows } = await client.query(
+          `SELECT ${CONTACT_COLUMNS} FROM contacts WHERE id = $1 FOR UPDATE`,
+          [id]
+        );
+        if (rows.length === 0) return null;
+
+        const updated = applyContactChanges(fromRow(rows[0]), input);
+        await write(updated, () =>
+          client.query(UPDATE_CONTACT, [id, ...toValues(updated)])
+        );
+        return updated;
+      });
+    },
+
+    async deleteContact(id) {
+      const { rowCount } = await pool.query(
+        "DELETE FROM contacts WHERE id = $1",
+        [id]
+      );
+      return rowCount > 0;
+    },
+
+    // One transaction for the whole file, so a failed import changes nothing
+    async importContacts(inputs, options) {
+      return transaction(async (client) => {
+        const result = { created: 0, updated: 0, rejected: [] };
+
+        for (const [index, input] of inputs.entries()) {
+          try {
+            const contact = buildContact(input, options);
+            const existing = await findByKey(client, contact);
+            if (existing) {
+              const merged = mergeImportedContact(existing, input);
+              await client.query(UPDATE_CONTACT, [
+                existing.id,
+                ...toValues(merged),
+              ]);
+              result.updated++;
+            } else {
+              await client.query(INSERT_CONTACT, [
+                contact.id,
+                ...toValues(contact),
+              ]);
+              result.created++;
+            }
+          } catch (error) {
+            if (error.code !== "invalid_contact") throw error;
+            result.rejected.push({ index, error: error.message });
+          }
+        }
+        return result;
+      });
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = { createPostgresContactStore };
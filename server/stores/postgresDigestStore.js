@@ -0,0 +1,233 @@
+/**
+ * Postgres digest schedules
+ * Schedules live in digest_schedules; claiming due ones locks their rows so
+ * only one server sends each digest.
+ */
+
+const { Pool } = require("pg");
+const {
+  applyScheduleChanges,
+  buildDigestSchedule,
+  getNextRunAt,
+} = require("./digestRecords");
+
+// Applied in order inside a transaction; never edit one that has shipped
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_digest_schedules",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS digest_schedules (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          frequency TEXT NOT NULL,
+          day_of_week INTEGER,
+          hour INTEGER NOT NULL,
+          recipients JSONB NOT NULL,
+          enabled BOOLEAN NOT NULL,
+          next_run_at TIMESTAMPTZ NOT NULL,
+          last_sent_at TIMESTAMPTZ,
+          last_job_id TEXT,
+          last_error TEXT,
+          created_by TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_digest_schedules_next_run_at
+          ON digest_schedules(next_run_at) WHERE enabled;
+      `),
+  },
+];
+
+const SCHEDULE_COLUMNS =
+  "id, name, frequency, day_of_week, hour, recipients, enabled, next_run_at, last_sent_at, last_job_id, last_error, created_by, created_at, updated_at";
+
+const toIso = (value) => (value ? value.toISOString() : null);
+
+const fromRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  frequency: row.frequency,
+  dayOfWeek: row.day_of_week,
+  hour: row.hour,
+  recipients: row.recipients,
+  enabled: row.enabled,
+  nextRunAt: toIso(row.next_run_at),
+  lastSentAt: toIso(row.last_sent_at),
+  lastJobId: row.last_job_id,
+  lastError: row.last_error,
+  createdBy: row.created_by,
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+});
+
+// Every column but id, in SCHEDULE_COLUMNS order, as query values
+const toValues = (schedule) => [
+  schedule.name,
+  schedule.frequency,
+  schedule.dayOfWeek,
+  schedule.hour,
+  JSON.stringify(schedule.recipients),
+  schedule.enabled,
+  schedule.nextRunAt,
+  schedule.lastSentAt,
+  schedule.lastJobId,
+  schedule.lastError,
+  schedule.createdBy,
+  schedule.createdAt,
+  schedule.updatedAt,
+];
+
+const UPDATE_SCHEDULE = `UPDATE digest_schedules
+  SET name = $2, frequency = $3, day_of_week = $4, hour = $5,
+    recipients = $6, enabled = $7, next_run_at = $8, last_sent_at = $9,
+    last_job_id = $10, last_error = $11, created_by = $12, created_at = $13,
+    updated_at = $14
+  WHERE id = $1`;
+
+const createPostgresDigestStore = ({ connectionString }) => {
+  const pool = new Pool({ connectionString });
+
+  const transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  // Read a schedule, change it in JS and write it back under a row lock
+  const changeSchedule = (id, change) =>
+    transaction(async (client) => {
+      const { rows } = await client.query(
+        `SELECT ${SCHEDULE_COLUMNS} FROM digest_schedules
+         WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      if (rows.length === 0) return null;
+
+      const updated = change(fromRow(rows[0]));
+      await client.query(UPDATE_SCHEDULE, [id, ...toValues(updated)]);
+      return updated;
+    });
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS digest_store_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      const { rows } = await pool.query(
+        "SELECT version FROM digest_store_migrations"
+      );
+      const applied = new Set(rows.map((row) => row.version));
+
+      for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await transaction(async (client) => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO digest_store_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️ Applied digest store migration ${migration.name}`);
+      }
+    },
+
+    async listSchedules() {
+      const { rows } = await pool.query(
+        `SELECT ${SCHEDULE_COLUMNS} FROM digest_schedules ORDER BY created_at`
+      );
+      return rows.map(fromRow);
+    },
+
+    async getSchedule(id) {
+      const { rows } = await pool.query(
+        `SELECT ${SCHEDULE_COLUMNS} FROM digest_schedules WHERE id = $1`,
+        [id]
+      );
+      return rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    async createSchedule(input, options) {
+      const schedule = buildDigestSchedule(input, options);
+      await pool.query(
+        `INSERT INTO digest_schedules (${SCHEDULE_COLUMNS})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [schedule.id, ...toValues(schedule)]
+      );
+      return schedule;
+    },
+
+    async updateSchedule(id, input) {
+      return changeSchedule(id, (schedule) =>
+        applyScheduleChanges(schedule, input)
+      );
+    },
+
+    async deleteSchedule(id) {
+      const { rowCount } = await pool.query(
+        "DELETE FROM digest_schedules WHERE id = $1",
+        [id]
+      );
+      return rowCount > 0;
+    },
+
+    async claimDueSchedules(now = new Date()) {
+      return transaction(async (client) => {
+        const { rows } = await client.query(
+          `SELECT ${SCHEDULE_COLUMNS} FROM digest_schedules
+           WHERE enabled AND next_run_at <= $1
+           FOR UPDATE SKIP LOCKED`,
+          [now.toISOString()]
+        );
+
+        const claimed = [];
+        for (const row of rows) {
+          const schedule = fromRow(row);
+          const updated = {
+            ...schedule,
+            nextRunAt: getNextRunAt(schedule, now),
+            updatedAt: now.toISOString(),
+          };
+          await client.query(UPDATE_SCHEDULE, [
+            updated.id,
+            ...toValues(updated),
+          ]);
+          claimed.push(updated);
+        }
+        return claimed;
+      });
+    },
+
+    async recordRun(id, { sentAt, jobId, error }) {
+      return changeSchedule(id, (schedule) => ({
+        ...schedule,
+        lastSentAt: error ? schedule.lastSentAt : sentAt,
+        lastJobId: error ? schedule.lastJobId : jobId,
+        lastError: error || null,
+        updatedAt: new Date().toISOString(),
+      }));
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = { createPostgresDigestStore };
@@ -0,0 +1,252 @@
+/**
+ * Postgres sent email log
+ * Entries live in email_log; recipients, policy numbers and bounces are
+ * JSONB so one row holds the whole entry.
+ */
+
+const { Pool } = require("pg");
+const {
+  DEFAULT_EMAIL_LOG_LIMIT,
+  buildEmailLogEntry,
+} = require("./emailLogRecords");
+
+// Applied in order inside a transaction; never edit one that has shipped
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_email_log",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS email_log (
+          id TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          recipients JSONB NOT NULL,
+          cc JSONB NOT NULL,
+          bcc JSONB NOT NULL,
+          subject TEXT NOT NULL,
+          template TEXT,
+          template_version INTEGER,
+          action_id TEXT,
+          task_id TEXT,
+          policy_numbers JSONB NOT NULL,
+          job_id TEXT,
+          message_id TEXT,
+          smtp_response TEXT,
+          accepted JSONB NOT NULL,
+          rejected JSONB NOT NULL,
+          error TEXT,
+          bounces JSONB NOT NULL,
+          sent_by TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_email_log_created_at
+          ON email_log(created_at);
+        CREATE INDEX IF NOT EXISTS idx_email_log_message_id
+          ON email_log(message_id);
+        CREATE INDEX IF NOT EXISTS idx_email_log_action_id
+          ON email_log(action_id);
+        CREATE INDEX IF NOT EXISTS idx_email_log_policy_numbers
+          ON email_log USING GIN (policy_numbers);
+      `),
+  },
+];
+
+const EMAIL_COLUMNS =
+  "id, status, recipients, cc, bcc, subject, template, template_version, action_id, task_id, policy_numbers, job_id, message_id, smtp_response, accepted, rejected, error, bounces, sent_by, created_at, updated_at";
+
+// Recipients are searched through their JSON text
+const SEARCH_COLUMNS = [
+  "subject",
+  "message_id",
+  "recipients::text",
+  "cc::text",
+  "bcc::text",
+];
+
+// Serialized by hand: pg would send a JS array as a Postgres array
+const toJson = (value) => JSON.stringify(value);
+
+const fromRow = (row) => ({
+  id: row.id,
+  status: row.status,
+  to: row.recipients,
+  cc: row.cc,
+  bcc: row.bcc,
+  subject: row.subject,
+  template: row.template,
+  templateVersion: row.template_version,
+  actionId: row.action_id,
+  taskId: row.task_id,
+  policyNumbers: row.policy_numbers,
+  jobId: row.job_id,
+  messageId: row.message_id,
+  smtpResponse: row.smtp_response,
+  accepted: row.accepted,
+  rejected: row.rejected,
+  error: row.error,
+  bounces: row.bounces,
+  sentBy: row.sent_by,
+  createdAt: row.created_at.toISOString(),
+  updatedAt: row.updated_at.toISOString(),
+});
+
+const createPostgresEmailLogStore = ({ connectionString }) => {
+  const pool = new Pool({ connectionString });
+
+  const transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS email_log_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      const { rows } = await pool.query(
+        "SELECT version FROM email_log_migrations"
+      );
+      const applied = new Set(rows.map((row) => row.version));
+
+      for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await transaction(async (client) => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO email_log_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️ Applied email log migration ${migration.name}`);
+      }
+    },
+
+    async recordEmail(details) {
+      const entry = buildEmailLogEntry(details);
+      await pool.query(
+        `INSERT INTO email_log (${EMAIL_COLUMNS})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+           $15, $16, $17, $18, $19, $20, $21)`,
+        [
+          entry.id,
+          entry.status,
+          toJson(entry.to),
+          toJson(entry.cc),
+          toJson(entry.bcc),
+          entry.subject,
+          entry.template,
+          entry.templateVersion,
+          entry.actionId,
+          entry.taskId,
+          toJson(entry.policyNumbers),
+          entry.jobId,
+          entry.messageId,
+          entry.smtpResponse,
+          toJson(entry.accepted),
+          toJson(entry.rejected),
+          entry.error,
+          toJson(entry.bounces),
+          entry.sentBy,
+          entry.createdAt,
+          entry.updatedAt,
+        ]
+      );
+      return entry;
+    },
+
+    async getEmail(id) {
+      const { rows } = await pool.query(
+        `SELECT ${EMAIL_COLUMNS} FROM email_log WHERE id = $1`,
+        [id]
+      );
+      return rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    async recordBounce(messageId, { recipient, reason }) {
+      const bounce = {
+        recipient: recipient || null,
+        reason: reason || null,
+        at: new Date().toISOString(),
+      };
+      const { rows } = await pool.query(
+        `UPDATE email_log
+         SET status = 'bounced', bounces = bounces || $2::jsonb,
+           updated_at = $3
+         WHERE id = (
+           SELECT id FROM email_log WHERE message_id = $1
+           ORDER BY created_at DESC LIMIT 1
+         )
+         RETURNING ${EMAIL_COLUMNS}`,
+        [messageId, toJson([bounce]), bounce.at]
+      );
+      return rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    async queryEmails({
+      statuses,
+      template,
+      actionId,
+      taskId,
+      policyNumber,
+      search,
+      limit,
+    } = {}) {
+      const conditions = [];
+      const values = [];
+      const add = (condition, value) => {
+        values.push(value);
+        conditions.push(condition.replace("?", `$${values.length}`));
+      };
+
+      if (statuses) add("status = ANY(?)", statuses);
+      if (template) add("template = ?", template);
+      if (actionId) add("action_id = ?", actionId);
+      if (taskId) add("task_id = ?", taskId);
+      if (policyNumber) {
+        add("policy_numbers @> ?::jsonb", toJson([policyNumber]));
+      }
+      if (search) {
+        values.push(`%${search.replace(/[\\%_]/g, "\\$&")}%`);
+        const param = `$${values.length}`;
+        conditions.push(
+          `(${SEARCH_COLUMNS.map((column) => `${column} ILIKE ${param}`).join(
+            " OR "
+          )})`
+        );
+      }
+      values.push(limit || DEFAULT_EMAIL_LOG_LIMIT);
+
+      const { rows } = await pool.query(
+        `SELECT ${EMAIL_COLUMNS} FROM email_log
+         ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${values.length}`,
+        values
+      );
+      return rows.map(fromRow);
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = { createPostgresEmailLogStore };
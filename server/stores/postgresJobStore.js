@@ -0,0 +1,276 @@
+/**
+ * Postgres job store
+ * Workers claim due jobs with FOR UPDATE SKIP LOCKED, so several server
+ * processes can share one queue.
+ */
+
+const { Pool } = require("pg");
+const { DEFAULT_JOB_LIMIT, JOB_STATUSES, buildJob } = require("./jobRecords");
+
+// Applied in order inside a transaction; never edit one that has shipped
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_outbound_jobs",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS outbound_jobs (
+          id TEXT PRIMARY KEY,
+          type TEXT NOT NULL,
+          status TEXT NOT NULL,
+          payload JSONB NOT NULL,
+          idempotency_key TEXT UNIQUE,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          max_attempts INTEGER NOT NULL,
+          run_at TIMESTAMPTZ NOT NULL,
+          last_error TEXT,
+          result JSONB,
+          created_by TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL,
+          finished_at TIMESTAMPTZ
+        );
+        CREATE INDEX IF NOT EXISTS idx_outbound_jobs_due
+          ON outbound_jobs(status, run_at);
+        CREATE INDEX IF NOT EXISTS idx_outbound_jobs_created_at
+          ON outbound_jobs(created_at);
+      `),
+  },
+];
+
+const JOB_COLUMNS =
+  "id, type, status, payload, idempotency_key, attempts, max_attempts, run_at, last_error, result, created_by, created_at, updated_at, finished_at";
+
+// Serialized by hand: pg would send a JS array as a Postgres array
+const toJson = (value) => (value == null ? null : JSON.stringify(value));
+
+const toIso = (value) => (value ? value.toISOString() : null);
+
+const fromRow = (row) => ({
+  id: row.id,
+  type: row.type,
+  status: row.status,
+  payload: row.payload,
+  idempotencyKey: row.idempotency_key,
+  attempts: row.attempts,
+  maxAttempts: row.max_attempts,
+  runAt: toIso(row.run_at),
+  lastError: row.last_error,
+  result: row.result,
+  createdBy: row.created_by,
+  createdAt: toIso(row.created_at),
+  updatedAt: toIso(row.updated_at),
+  finishedAt: toIso(row.finished_at),
+});
+
+const createPostgresJobStore = ({ connectionString }) => {
+  const pool = new Pool({ connectionString });
+
+  const transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS job_store_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      const { rows } = await pool.query(
+        "SELECT version FROM job_store_migrations"
+      );
+      const applied = new Set(rows.map((row) => row.version));
+
+      for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await transaction(async (client) => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO job_store_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️ Applied job store migration ${migration.name}`);
+      }
+    },
+
+    async createJob(jobData) {
+      const job = buildJob(jobData);
+      // A repeated idempotency key keeps the job that was stored first
+      const { rows } = await pool.query(
+        `INSERT INTO outbound_jobs (${JOB_COLUMNS})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         ON CONFLICT (idempotency_key) DO NOTHING
+         RETURNING id`,
+        [
+          job.id,
+          job.type,
+          job.status,
+          toJson(job.payload),
+          job.idempotencyKey,
+          job.attempts,
+          job.maxAttempts,
+          job.runAt,
+          job.lastError,
+          toJson(job.result),
+          job.createdBy,
+          job.createdAt,
+          job.updatedAt,
+          job.finishedAt,
+        ]
+      );
+      if (rows.length > 0) return { job, created: true };
+
+      return {
+        job: await this.findByIdempotencyKey(job.idempotencyKey),
+        created: false,
+      };
+    },
+
+    async getJob(id) {
+      const { rows } = await pool.query(
+        `SELECT ${JOB_COLUMNS} FROM outbound_jobs WHERE id = $1`,
+        [id]
+      );
+      return rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    async findByIdempotencyKey(key) {
+      const { rows } = await pool.query(
+        `SELECT ${JOB_COLUMNS} FROM outbound_jobs WHERE idempotency_key = $1`,
+        [key]
+      );
+      return rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    async updateJob(id, changes, { fromStatuses } = {}) {
+      return transaction(async (client) => {
+        const { rows } = await client.query(
+          `SELECT ${JOB_COLUMNS} FROM outbound_jobs WHERE id = $1 FOR UPDATE`,
+          [id]
+        );
+        if (rows.length === 0) return null;
+
+        const before = fromRow(rows[0]);
+        if (fromStatuses && !fromStatuses.includes(before.status)) return null;
+
+        const updated = {
+          ...before,
+          ...changes,
+          id,
+          updatedAt: new Date().toISOString(),
+        };
+        await client.query(
+          `UPDATE outbound_jobs SET status = $2, attempts = $3, run_at = $4,
+             last_error = $5, result = $6, updated_at = $7, finished_at = $8
+           WHERE id = $1`,
+          [
+            id,
+            updated.status,
+            updated.attempts,
+            updated.runAt,
+            updated.lastError,
+            toJson(updated.result),
+            updated.updatedAt,
+            updated.finishedAt,
+          ]
+        );
+        return updated;
+      });
+    },
+
+    async claimDueJobs(limit) {
+      const { rows } = await pool.query(
+        `UPDATE outbound_jobs
+         SET status = 'running', attempts = attempts + 1, updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM outbound_jobs
+           WHERE status = 'pending' AND run_at <= NOW()
+           ORDER BY run_at
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING ${JOB_COLUMNS}`,
+        [limit]
+      );
+      return rows.map(fromRow);
+    },
+
+    async releaseRunningJobs(staleBefore) {
+      const { rowCount } = await pool.query(
+        `UPDATE outbound_jobs
+         SET status = 'pending', run_at = NOW(), updated_at = NOW()
+         WHERE status = 'running' AND updated_at < $1`,
+        [staleBefore]
+      );
+      return rowCount;
+    },
+
+    async pruneJobs(statuses, finishedBefore) {
+      const { rowCount } = await pool.query(
+        `DELETE FROM outbound_jobs
+         WHERE status = ANY($1) AND COALESCE(finished_at, updated_at) < $2`,
+        [statuses, finishedBefore]
+      );
+      return rowCount;
+    },
+
+    async listJobs({ statuses, type, limit } = {}) {
+      const conditions = [];
+      const values = [];
+      if (statuses) {
+        values.push(statuses);
+        conditions.push(`status = ANY($${values.length})`);
+      }
+      if (type) {
+        values.push(type);
+        conditions.push(`type = $${values.length}`);
+      }
+      values.push(limit || DEFAULT_JOB_LIMIT);
+
+      const { rows } = await pool.query(
+        `SELECT ${JOB_COLUMNS} FROM outbound_jobs
+         ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${values.length}`,
+        values
+      );
+      return rows.map(fromRow);
+    },
+
+    async countJobs() {
+      const { rows } = await pool.query(
+        "SELECT status, COUNT(*)::int AS count FROM outbound_jobs GROUP BY status"
+      );
+      const counts = Object.fromEntries(
+        JOB_STATUSES.map((status) => [status, 0])
+      );
+      rows.forEach((row) => {
+        counts[row.status] = row.count;
+      });
+      return counts;
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = { createPostgresJobStore };
@@ -0,0 +1,211 @@
+/**
+ * Postgres text message store
+ * Messages live in sms_messages and opt-outs in sms_opt_outs, one row per
+ * phone number.
+ */
+
+const { Pool } = require("pg");
+const {
+  DEFAULT_SMS_LIMIT,
+  buildOptOut,
+  buildSmsMessage,
+} = require("./smsRecords");
+
+// Applied in order inside a transaction; never edit one that has shipped
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_sms_messages",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS sms_messages (
+          id TEXT PRIMARY KEY,
+          direction TEXT NOT NULL,
+          status TEXT NOT NULL,
+          phone TEXT NOT NULL,
+          to_number TEXT NOT NULL,
+          from_number TEXT,
+          body TEXT NOT NULL,
+          template TEXT,
+          task_id TEXT,
+          policy_number TEXT,
+          provider TEXT NOT NULL,
+          provider_message_id TEXT,
+          error TEXT,
+          sent_by TEXT,
+          created_at TIMESTAMPTZ NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_sms_messages_task_id
+          ON sms_messages(task_id);
+        CREATE INDEX IF NOT EXISTS idx_sms_messages_phone
+          ON sms_messages(phone, created_at);
+        CREATE INDEX IF NOT EXISTS idx_sms_messages_policy_number
+          ON sms_messages(policy_number);
+        CREATE TABLE IF NOT EXISTS sms_opt_outs (
+          phone TEXT PRIMARY KEY,
+          opted_out BOOLEAN NOT NULL,
+          keyword TEXT,
+          updated_at TIMESTAMPTZ NOT NULL
+        );
+      `),
+  },
+];
+
+const MESSAGE_COLUMNS =
+  "id, direction, status, phone, to_number, from_number, body, template, task_id, policy_number, provider, provider_message_id, error, sent_by, created_at";
+
+const fromRow = (row) => ({
+  id: row.id,
+  direction: row.direction,
+  status: row.status,
+  phone: row.phone,
+  to: row.to_number,
+  from: row.from_number,
+  body: row.body,
+  template: row.template,
+  taskId: row.task_id,
+  policyNumber: row.policy_number,
+  provider: row.provider,
+  providerMessageId: row.provider_message_id,
+  error: row.error,
+  sentBy: row.sent_by,
+  createdAt: row.created_at.toISOString(),
+});
+
+const fromOptOutRow = (row) => ({
+  phone: row.phone,
+  optedOut: row.opted_out,
+  keyword: row.keyword,
+  updatedAt: row.updated_at.toISOString(),
+});
+
+const createPostgresSmsStore = ({ connectionString }) => {
+  const pool = new Pool({ connectionString });
+
+  const transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS sms_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      const { rows } = await pool.query("SELECT version FROM sms_migrations");
+      const applied = new Set(rows.map((row) => row.version));
+
+      for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await transaction(async (client) => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO sms_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️ Applied SMS store migration ${migration.name}`);
+      }
+    },
+
+    async recordMessage(details) {
+      const message = buildSmsMessage(details);
+      await pool.query(
+        `INSERT INTO sms_messages (${MESSAGE_COLUMNS})
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+           $15)`,
+        [
+          message.id,
+          message.direction,
+          message.status,
+          message.phone,
+          message.to,
+          message.from,
+          message.body,
+          message.template,
+          message.taskId,
+          message.policyNumber,
+          message.provider,
+          message.providerMessageId,
+          message.error,
+          message.sentBy,
+          message.createdAt,
+        ]
+      );
+      return message;
+    },
+
+    async queryMessages({
+      taskId,
+      phone,
+      policyNumber,
+      direction,
+      limit,
+    } = {}) {
+      const conditions = [];
+      const values = [];
+      const add = (condition, value) => {
+        values.push(value);
+        conditions.push(condition.replace("?", `$${values.length}`));
+      };
+
+      if (taskId) add("task_id = ?", taskId);
+      if (phone) add("phone = ?", phone);
+      if (policyNumber) add("policy_number = ?", policyNumber);
+      if (direction) add("direction = ?", direction);
+      values.push(limit || DEFAULT_SMS_LIMIT);
+
+      const { rows } = await pool.query(
+        `SELECT ${MESSAGE_COLUMNS} FROM sms_messages
+         ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${values.length}`,
+        values
+      );
+      return rows.map(fromRow);
+    },
+
+    async getOptOut(phone) {
+      const { rows } = await pool.query(
+        "SELECT phone, opted_out, keyword, updated_at FROM sms_opt_outs WHERE phone = $1",
+        [phone]
+      );
+      return rows.length > 0 ? fromOptOutRow(rows[0]) : null;
+    },
+
+    async setOptOut(phone, changes) {
+      const optOut = buildOptOut(phone, changes);
+      await pool.query(
+        `INSERT INTO sms_opt_outs (phone, opted_out, keyword, updated_at)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (phone) DO UPDATE
+         SET opted_out = EXCLUDED.opted_out, keyword = EXCLUDED.keyword,
+           updated_at = EXCLUDED.updated_at`,
+        [optOut.phone, optOut.optedOut, optOut.keyword, optOut.updatedAt]
+      );
+      return optOut;
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = { createPostgresSmsStore };
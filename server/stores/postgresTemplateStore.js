@@ -0,0 +1,189 @@
+/**
+ * Postgres email template store
+ * Versions live in email_template_versions, one row per save. Saves for the
+ * same type take a transaction-scoped advisory lock so two editors can't
+ * both claim the next version number.
+ */
+
+const { Pool } = require("pg");
+const { buildTemplateVersion } = require("./templateRecords");
+
+// Applied in order inside a transaction; never edit one that has shipped
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_email_template_versions",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS email_template_versions (
+          type TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          subject TEXT NOT NULL,
+          html TEXT NOT NULL,
+          text TEXT NOT NULL,
+          note TEXT,
+          created_by TEXT NOT NULL,
+          created_at TIMESTAMPTZ NOT NULL,
+          PRIMARY KEY (type, version)
+        );
+      `),
+  },
+];
+
+const VERSION_COLUMNS =
+  "type, version, subject, html, text, note, created_by, created_at";
+
+const fromRow = (row) => ({
+  type: row.type,
+  version: row.version,
+  subject: row.subject,
+  html: row.html,
+  text: row.text,
+  note: row.note,
+  createdBy: row.created_by,
+  createdAt: row.created_at.toISOString(),
+});
+
+const insertVersion = (client, record) =>
+  client.query(
+    `INSERT INTO email_template_versions (${VERSION_COLUMNS})
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     ON CONFLICT (type, version) DO NOTHING`,
+    [
+      record.type,
+      record.version,
+      record.subject,
+      record.html,
+      record.text,
+      record.note,
+      record.createdBy,
+      record.createdAt,
+    ]
+  );
+
+const createPostgresTemplateStore = ({ connectionString }) => {
+  const pool = new Pool({ connectionString });
+
+  const transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS template_store_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      const { rows } = await pool.query(
+        "SELECT version FROM template_store_migrations"
+      );
+      const applied = new Set(rows.map((row) => row.version));
+
+      for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await transaction(async (client) => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO template_store_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️ Applied template store migration ${migration.name}`);
+      }
+    },
+
+    // Version 1 is only inserted where none exists, so seeding is a no-op
+    // for types that have been edited
+    async seedTemplates(defaults) {
+      for (const content of defaults) {
+        await insertVersion(
+          pool,
+          buildTemplateVersion({
+            ...content,
+            version: 1,
+            note: "Default template",
+          })
+        );
+      }
+    },
+
+    async listCurrent() {
+      const { rows } = await pool.query(
+        `SELECT DISTINCT ON (type) ${VERSION_COLUMNS}
+         FROM email_template_versions ORDER BY type, version DESC`
+      );
+      return rows.map(fromRow);
+    },
+
+    async getCurrent(type) {
+      const { rows } = await pool.query(
+        `SELECT ${VERSION_COLUMNS} FROM email_template_versions
+         WHERE type = $1 ORDER BY version DESC LIMIT 1`,
+        [type]
+      );
+      return rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    async listVersions(type) {
+      const { rows } = await pool.query(
+        `SELECT ${VERSION_COLUMNS} FROM email_template_versions
+         WHERE type = $1 ORDER BY version DESC`,
+        [type]
+      );
+      return rows.map(fromRow);
+    },
+
+    async getVersion(type, version) {
+      const { rows } = await pool.query(
+        `SELECT ${VERSION_COLUMNS} FROM email_template_versions
+         WHERE type = $1 AND version = $2`,
+        [type, version]
+      );
+      return rows.length > 0 ? fromRow(rows[0]) : null;
+    },
+
+    async saveVersion(type, content, { createdBy, note } = {}) {
+      return transaction(async (client) => {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+          `email_template:${type}`,
+        ]);
+        const { rows } = await client.query(
+          `SELECT COALESCE(MAX(version), 0) AS version
+           FROM email_template_versions WHERE type = $1`,
+          [type]
+        );
+        const record = buildTemplateVersion({
+          ...content,
+          type,
+          version: rows[0].version + 1,
+          note,
+          createdBy,
+        });
+        await insertVersion(client, record);
+        return record;
+      });
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = { createPostgresTemplateStore };
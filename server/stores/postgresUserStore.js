@@ -0,0 +1,217 @@
+/**
+ * Postgres user store
+ * Accounts live in app_users (named apart from Supabase's auth.users).
+ */
+
+const { Pool } = require("pg");
+const {
+  buildUser,
+  duplicateUser,
+  duplicateUsername,
+  normalizeUsername,
+  validateUser,
+} = require("./userRecords");
+
+// Applied in order inside a transaction; never edit one that has shipped
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_app_users",
+    up: (client) =>
+      client.query(`
+        CREATE TABLE IF NOT EXISTS app_users (
+          id UUID PRIMARY KEY,
+          username TEXT NOT NULL UNIQUE,
+          display_name TEXT NOT NULL,
+          role TEXT NOT NULL,
+          password_hash TEXT NOT NULL,
+          disabled BOOLEAN NOT NULL DEFAULT FALSE,
+          created_at TIMESTAMPTZ NOT NULL,
+          updated_at TIMESTAMPTZ NOT NULL
+        );
+      `),
+  },
+  {
+    version: 2,
+    name: "unique_display_names",
+    // Later accounts sharing a display name get their username appended
+    up: (client) =>
+      client.query(`
+        UPDATE app_users u
+        SET display_name = u.display_name || ' (' || u.username || ')'
+        WHERE EXISTS (
+          SELECT 1 FROM app_users o
+          WHERE lower(o.display_name) = lower(u.display_name)
+            AND (o.created_at, o.id) < (u.created_at, u.id)
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS app_users_display_name_key
+          ON app_users (lower(display_name));
+      `),
+  },
+];
+
+// A unique violation as the store's error for the column that clashed
+const toDuplicateError = (error, user) =>
+  error.constraint === "app_users_display_name_key"
+    ? duplicateUser(user.displayName)
+    : duplicateUsername(user.username);
+
+const USER_COLUMNS =
+  "id, username, display_name, role, password_hash, disabled, created_at, updated_at";
+
+const fromRow = (row) => ({
+  id: row.id,
+  username: row.username,
+  displayName: row.display_name,
+  role: row.role,
+  passwordHash: row.password_hash,
+  disabled: row.disabled,
+  createdAt: row.created_at.toISOString(),
+  updatedAt: row.updated_at.toISOString(),
+});
+
+// Ids are UUIDs; anything else can't match (and would fail the cast)
+const isUserId = (id) => /^[0-9a-f-]{36}$/i.test(String(id));
+
+const createPostgresUserStore = ({ connectionString }) => {
+  const pool = new Pool({ connectionString });
+
+  const transaction = async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await work(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (error) {
+      await client.query("ROLLBACK");
+      throw error;
+    } finally {
+      client.release();
+    }
+  };
+
+  const findOne = async (column, value) => {
+    const { rows } = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM app_users WHERE ${column} = $1`,
+      [value]
+    );
+    return rows.length > 0 ? fromRow(rows[0]) : null;
+  };
+
+  return {
+    name: "postgres",
+
+    async init() {
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS user_store_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      const { rows } = await pool.query(
+        "SELECT version FROM user_store_migrations"
+      );
+      const applied = new Set(rows.map((row) => row.version));
+
+      for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+        await transaction(async (client) => {
+          await migration.up(client);
+          await client.query(
+            "INSERT INTO user_store_migrations (version, name) VALUES ($1, $2)",
+            [migration.version, migration.name]
+          );
+        });
+        console.log(`🗄️ Applied user store migration ${migration.name}`);
+      }
+    },
+
+    async listUsers() {
+      const { rows } = await pool.query(
+        `SELECT ${USER_COLUMNS} FROM app_users ORDER BY username`
+      );
+      return rows.map(fromRow);
+    },
+
+    async getUser(id) {
+      if (!isUserId(id)) return null;
+      return findOne("id", id);
+    },
+
+    async findByUsername(username) {
+      return findOne("username", normalizeUsername(username));
+    },
+
+    async createUser(userData) {
+      const user = buildUser(userData);
+      try {
+        await pool.query(
+          `INSERT INTO app_users (${USER_COLUMNS})
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            user.id,
+            user.username,
+            user.displayName,
+            user.role,
+            user.passwordHash,
+            user.disabled,
+            user.createdAt,
+            user.updatedAt,
+          ]
+        );
+      } catch (error) {
+        if (error.code === "23505") throw toDuplicateError(error, user);
+        throw error;
+      }
+      return user;
+    },
+
+    async updateUser(id, changes) {
+      if (!isUserId(id)) return null;
+      return transaction(async (client) => {
+        const { rows } = await client.query(
+          `SELECT ${USER_COLUMNS} FROM app_users WHERE id = $1 FOR UPDATE`,
+          [id]
+        );
+        if (rows.length === 0) return null;
+
+        const before = fromRow(rows[0]);
+        const updated = {
+          ...before,
+          ...changes,
+          id,
+          username: before.username,
+          updatedAt: new Date().toISOString(),
+        };
+        validateUser(updated);
+        try {
+          await client.query(
+            `UPDATE app_users SET display_name = $2, role = $3,
+               password_hash = $4, disabled = $5, updated_at = $6
+             WHERE id = $1`,
+            [
+              id,
+              updated.displayName,
+              updated.role,
+              updated.passwordHash,
+              updated.disabled,
+              updated.updatedAt,
+            ]
+          );
+        } catch (error) {
+          if (error.code === "23505") throw toDuplicateError(error, updated);
+          throw error;
+        }
+        return updated;
+      });
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+};
+
+module.exports = { createPostgresUserStore };
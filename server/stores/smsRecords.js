@@ -0,0 +1,83 @@
+/**
+ * Text message helpers shared by the SMS store adapters
+ * Every text sent for a retention task ("sent" or "failed") and every
+ * reply received ("received") is one message; phone is always the
+ * customer's number, so a thread is the messages for one task or phone.
+ * Opt-outs are kept per phone number from STOP/START replies.
+ */
+
+const crypto = require("crypto");
+
+const SMS_DIRECTIONS = ["outbound", "inbound"];
+const SMS_STATUSES = ["sent", "failed", "received"];
+
+// Messages returned by a query when no limit is given
+const DEFAULT_SMS_LIMIT = 100;
+
+// A new message as stored
+const buildSmsMessage = (
+  {
+    direction,
+    status,
+    to,
+    from,
+    body,
+    template,
+    taskId,
+    policyNumber,
+    provider,
+    providerMessageId,
+    error,
+    sentBy,
+  },
+  now = new Date().toISOString()
+) => ({
+  id: `sms_${crypto.randomUUID()}`,
+  direction,
+  status,
+  phone: direction === "inbound" ? from : to,
+  to,
+  from: from || null,
+  body,
+  template: template || null,
+  taskId: taskId || null,
+  policyNumber: policyNumber ? String(policyNumber) : null,
+  provider,
+  providerMessageId: providerMessageId || null,
+  error: error || null,
+  sentBy: sentBy || null,
+  createdAt: now,
+});
+
+// A phone number's opt-out state; keyword is the reply that set it
+const buildOptOut = (
+  phone,
+  { optedOut, keyword },
+  now = new Date().toISOString()
+) => ({
+  phone,
+  optedOut: Boolean(optedOut),
+  keyword: keyword || null,
+  updatedAt: now,
+});
+
+// Whether a message matches GET /api/sms/messages filters
+const matchesSmsFilters = (
+  message,
+  { taskId, phone, policyNumber, direction } = {}
+) => {
+  if (taskId && message.taskId !== taskId) return false;
+  if (phone && message.phone !== phone) return false;
+  if (policyNumber && message.policyNumber !== policyNumber) return false;
+  if (direction && message.direction !== direction) return false;
+  return true;
+};
+
+module.exports = {
+  DEFAULT_SMS_LIMIT,
+  SMS_DIRECTIONS,
+  SMS_STATUSES,
+  buildOptOut,
+  buildSmsMessage,
+  matchesSmsFilters,
+};
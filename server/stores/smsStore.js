@@ -0,0 +1,41 @@
+/**
+ * Text message store selection for retention task texts
+ * SMS_STORE picks the adapter: "file" (default) keeps messages and opt-outs
+ * in a JSON file at SMS_STORE_PATH, "postgres" uses DATABASE_URL. Every
+ * adapter exposes the same async methods: init (runs migrations),
+ * recordMessage, queryMessages, getOptOut, setOptOut and close.
+ *
+ * recordMessage(details) builds and stores a message (see smsRecords.js).
+ * queryMessages(filters) returns matching messages newest first.
+ * getOptOut(phone) returns the number's opt-out state, or null when it
+ * never replied with a keyword; setOptOut(phone, { optedOut, keyword })
+ * saves and returns it.
+ */
+
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../data/sms.json");
+
+const createSmsStore = (env = process.env) => {
+  const kind = (env.SMS_STORE || "file").toLowerCase();
+
+  // Adapters are required on demand so pg is only loaded when used
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("SMS_STORE=postgres requires DATABASE_URL");
+    }
+    const { createPostgresSmsStore } = require("./postgresSmsStore");
+    return createPostgresSmsStore({ connectionString: env.DATABASE_URL });
+  }
+
+  if (kind === "file") {
+    const { createFileSmsStore } = require("./fileSmsStore");
+    return createFileSmsStore({
+      filePath: env.SMS_STORE_PATH || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown SMS_STORE "${kind}" (use file or postgres)`);
+};
+
+module.exports = { createSmsStore };
@@ -0,0 +1,62 @@
+/**
+ * Email template version helpers shared by the template store adapters
+ * Templates are never edited in place: every save adds a version numbered
+ * one past the latest, and the latest version is what gets sent.
+ */
+
+const { validateTemplate } = require("../../src/utils/mergeFields.js");
+
+const TEMPLATE_PARTS = ["subject", "html", "text"];
+
+const invalidTemplate = (message) => {
+  const error = new Error(message);
+  error.code = "invalid_template";
+  return error;
+};
+
+/**
+ * Check the content of a template version
+ * @throws {Error} code "invalid_template" for a missing subject or body, or
+ *   malformed merge fields
+ */
+const validateTemplateContent = (content) => {
+  if (!content.subject || !String(content.subject).trim()) {
+    throw invalidTemplate("Subject is required");
+  }
+  if (!content.html && !content.text) {
+    throw invalidTemplate("An html or text body is required");
+  }
+
+  TEMPLATE_PARTS.forEach((part) => {
+    try {
+      validateTemplate(content[part] || "");
+    } catch (error) {
+      throw invalidTemplate(`${part}: ${error.message}`);
+    }
+  });
+};
+
+// A new version as stored
+const buildTemplateVersion = (
+  { type, version, subject, html, text, note, createdBy },
+  now = new Date().toISOString()
+) => {
+  const record = {
+    type,
+    version,
+    subject: String(subject || "").trim(),
+    html: html || "",
+    text: text || "",
+    note: note ? String(note).trim() : null,
+    createdBy: createdBy || "system",
+    createdAt: now,
+  };
+  validateTemplateContent(record);
+  return record;
+};
+
+module.exports = {
+  buildTemplateVersion,
+  invalidTemplate,
+  validateTemplateContent,
+};
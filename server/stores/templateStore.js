@@ -0,0 +1,44 @@
+/**
+ * Email template store selection for the template library
+ * TEMPLATE_STORE picks the adapter: "file" (default) keeps templates in a
+ * JSON file at TEMPLATE_STORE_PATH, "postgres" uses DATABASE_URL. Every
+ * adapter exposes the same async methods: init (runs migrations),
+ * seedTemplates, listCurrent, getCurrent, listVersions, getVersion,
+ * saveVersion and close.
+ *
+ * seedTemplates(defaults) stores each { type, subject, html, text } as
+ * version 1 of any type that has no versions yet, so shipped defaults never
+ * overwrite a manager's edits.
+ * saveVersion(type, content, { createdBy, note }) adds the next version and
+ * returns it; getCurrent(type) is the latest one.
+ */
+
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../data/emailTemplates.json");
+
+const createTemplateStore = (env = process.env) => {
+  const kind = (env.TEMPLATE_STORE || "file").toLowerCase();
+
+  // Adapters are required on demand so pg is only loaded when used
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("TEMPLATE_STORE=postgres requires DATABASE_URL");
+    }
+    const { createPostgresTemplateStore } = require("./postgresTemplateStore");
+    return createPostgresTemplateStore({
+      connectionString: env.DATABASE_URL,
+    });
+  }
+
+  if (kind === "file") {
+    const { createFileTemplateStore } = require("./fileTemplateStore");
+    return createFileTemplateStore({
+      filePath: env.TEMPLATE_STORE_PATH || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown TEMPLATE_STORE "${kind}" (use file or postgres)`);
+};
+
+module.exports = { createTemplateStore };
@@ -0,0 +1,104 @@
+/**
+ * User account helpers shared by the user store adapters
+ */
+
+const crypto = require("crypto");
+const { isValidRole, ROLE_LABELS } = require("../../src/utils/permissions.js");
+
+// Usernames are matched case-insensitively
+const normalizeUsername = (username) =>
+  String(username || "")
+    .trim()
+    .toLowerCase();
+
+const duplicateUsername = (username) => {
+  const error = new Error(`Username "${username}" is already taken`);
+  error.code = "duplicate_username";
+  return error;
+};
+
+// Tasks and actions are assigned by display name, so no two accounts may
+// share one; compared case-insensitively like usernames
+const normalizeDisplayName = (displayName) =>
+  String(displayName || "")
+    .trim()
+    .toLowerCase();
+
+const duplicateUser = (displayName) => {
+  const error = new Error(
+    `Display name "${displayName}" is already used by another account`
+  );
+  error.code = "duplicate_user";
+  return error;
+};
+
+/**
+ * Check that no other account has a user's display name
+ * @param {Array} users - Every stored account
+ * @throws {Error} code "duplicate_user"
+ */
+const assertUniqueDisplayName = (users, user) => {
+  const displayName = normalizeDisplayName(user.displayName);
+  if (
+    users.some(
+      (existing) =>
+        existing.id !== user.id &&
+        normalizeDisplayName(existing.displayName) === displayName
+    )
+  ) {
+    throw duplicateUser(user.displayName);
+  }
+};
+
+/**
+ * Check the editable fields of an account
+ * @throws {Error} For a missing username or display name, or unknown role
+ */
+const validateUser = (user) => {
+  if (!/^[a-z0-9._-]{3,50}$/.test(user.username)) {
+    throw new Error(
+      "Username must be 3-50 characters: letters, numbers, dots, dashes or underscores"
+    );
+  }
+  if (!user.displayName || !String(user.displayName).trim()) {
+    throw new Error("Display name is required");
+  }
+  if (!isValidRole(user.role)) {
+    throw new Error(
+      `Role must be one of: ${Object.keys(ROLE_LABELS).join(", ")}`
+    );
+  }
+};
+
+// A new account as stored; the password arrives already hashed
+const buildUser = (
+  { username, displayName, role, passwordHash },
+  now = new Date().toISOString()
+) => {
+  const user = {
+    id: crypto.randomUUID(),
+    username: normalizeUsername(username),
+    displayName: String(displayName || "").trim(),
+    role,
+    passwordHash,
+    disabled: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+  validateUser(user);
+  return user;
+};
+
+// An account as returned by the API, without the password hash
+const toPublicUser = ({ passwordHash, ...user }) => user;
+
+module.exports = {
+  assertUniqueDisplayName,
+  buildUser,
+  duplicateUser,
+  duplicateUsername,
+  normalizeDisplayName,
+  normalizeUsername,
+  toPublicUser,
+  validateUser,
+};
@@ -0,0 +1,37 @@
+/**
+ * User account store selection for sign-in and /api/users
+ * USER_STORE picks the adapter: "file" (default) keeps accounts in a JSON
+ * file at USER_STORE_PATH, "postgres" uses DATABASE_URL. Every adapter
+ * exposes the same async methods: init (runs migrations), listUsers,
+ * getUser, findByUsername, createUser, updateUser and close. Records carry
+ * the password hash; strip it with toPublicUser (see userRecords.js) before
+ * returning one from the API.
+ */
+
+const path = require("path");
+
+const DEFAULT_FILE_PATH = path.join(__dirname, "../data/users.json");
+
+const createUserStore = (env = process.env) => {
+  const kind = (env.USER_STORE || "file").toLowerCase();
+
+  // Adapters are required on demand so pg is only loaded when used
+  if (kind === "postgres") {
+    if (!env.DATABASE_URL) {
+      throw new Error("USER_STORE=postgres requires DATABASE_URL");
+    }
+    const { createPostgresUserStore } = require("./postgresUserStore");
+    return createPostgresUserStore({ connectionString: env.DATABASE_URL });
+  }
+
+  if (kind === "file") {
+    const { createFileUserStore } = require("./fileUserStore");
+    return createFileUserStore({
+      filePath: env.USER_STORE_PATH || DEFAULT_FILE_PATH,
+    });
+  }
+
+  throw new Error(`Unknown USER_STORE "${kind}" (use file or postgres)`);
+};
+
+module.exports = { createUserStore };
@@ -0,0 +1,123 @@
+/**
+ * n8n workflow execution records shared by the action store adapters
+ * A record is created when the server queues a workflow trigger and updated by
+ * the callbacks n8n posts to /api/n8n-callback/success|error|progress.
+ */
+
+const crypto = require("crypto");
+const {
+  ACTIVE_EXECUTION_STATUSES,
+} = require("../../src/utils/n8nWorkflows.js");
+
+// Progress reports kept per execution (the newest win)
+const MAX_PROGRESS_UPDATES = 50;
+
+// Runs returned by a query when no limit is given
+const DEFAULT_EXECUTION_LIMIT = 50;
+
+// A new execution as stored, before n8n has been called
+const buildExecution = (
+  { workflowType, actionId, taskId, triggeredBy },
+  now = new Date().toISOString()
+) => ({
+  id: `exec_${crypto.randomUUID()}`,
+  workflowType,
+  status: "queued",
+  progress: 0,
+  message: null,
+  actionId: actionId || null,
+  taskId: taskId || null,
+  triggeredBy: triggeredBy || "system",
+  n8nExecutionId: null,
+  result: null,
+  error: null,
+  progressUpdates: [],
+  createdAt: now,
+  updatedAt: now,
+  finishedAt: null,
+});
+
+const isFinished = (execution) =>
+  !ACTIVE_EXECUTION_STATUSES.includes(execution.status);
+
+const clampProgress = (value) => {
+  const progress = Number(value);
+  if (!Number.isFinite(progress)) return null;
+  return Math.min(100, Math.max(0, Math.round(progress)));
+};
+
+// Error text from whatever shape n8n's error callback sends
+const describeError = (body) => {
+  const { error } = body;
+  if (typeof error === "string" && error) return error;
+  if (error && typeof error.message === "string") return error.message;
+  return body.message || "Workflow failed";
+};
+
+/**
+ * Changes an n8n callback makes to an execution
+ * @param {Object} execution - Current record
+ * @param {string} event - "success", "error" or "progress"
+ * @param {Object} body - Callback body: progress (0-100), message, result
+ *   (or data) on success, error on failure
+ * @returns {Object} Changes to store
+ */
+const applyCallback = (execution, event, body = {}) => {
+  const now = new Date().toISOString();
+  const message = typeof body.message === "string" ? body.message : null;
+  const n8nExecutionId =
+    body.n8nExecutionId || body.n8nExecutionID || execution.n8nExecutionId;
+
+  if (event === "progress") {
+    const progress = clampProgress(body.progress);
+    return {
+      status: "running",
+      progress: progress === null ? execution.progress : progress,
+      message: message || execution.message,
+      n8nExecutionId,
+      progressUpdates: [
+        ...execution.progressUpdates,
+        { at: now, progress, message },
+      ].slice(-MAX_PROGRESS_UPDATES),
+    };
+  }
+
+  if (event === "success") {
+    return {
+      status: "succeeded",
+      progress: 100,
+      message: message || execution.message,
+      n8nExecutionId,
+      result: body.result !== undefined ? body.result : (body.data ?? null),
+      finishedAt: now,
+    };
+  }
+
+  return {
+    status: "failed",
+    message: message || execution.message,
+    n8nExecutionId,
+    error: describeError(body),
+    finishedAt: now,
+  };
+};
+
+// Whether an execution matches GET /api/workflow-executions filters
+const matchesExecutionFilters = (
+  execution,
+  { statuses, actionId, taskId, workflowType } = {}
+) => {
+  if (statuses && !statuses.includes(execution.status)) return false;
+  if (actionId && execution.actionId !== actionId) return false;
+  if (taskId && execution.taskId !== taskId) return false;
+  if (workflowType && execution.workflowType !== workflowType) return false;
+  return true;
+};
+
+module.exports = {
+  DEFAULT_EXECUTION_LIMIT,
+  applyCallback,
+  buildExecution,
+  isFinished,
+  matchesExecutionFilters,
+};
@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useCallback, useMemo } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import Papa from "papaparse";
 import {
   BarChart,
@@ -37,30 +43,107 @@ import {
   AlertCircle,
   Database,
   Target,
+  FileText,
+  LogOut,
+  Shield,
+  Workflow,
+  Layers,
+  BookUser,
 } from "lucide-react";
 import { emailService } from "./services/emailService";
 import { n8nService } from "./services/n8nService";
+import { jobService } from "./services/jobService";
+import { digestService } from "./services/digestService";
+import { smsService } from "./services/smsService";
+import { contactService } from "./services/contactService";
+import { actionService } from "./services/actionService";
 import ActionGenerator from "./utils/actionGenerator";
 import ActionQueue from "./components/ActionQueue";
 import TaskDashboard from "./components/TaskDashboard";
 import InsightModal from "./components/InsightModal";
 import PersistencyAnalytics from "./components/PersistencyAnalytics";
 import CustomerContactPanel from "./components/CustomerContactPanel";
+import ColumnMappingModal from "./components/ColumnMappingModal";
+import ImportReviewModal from "./components/ImportReviewModal";
+import UploadHistory from "./components/UploadHistory";
+import SheetPickerModal from "./components/SheetPickerModal";
+import FixedWidthLayoutModal from "./components/FixedWidthLayoutModal";
+import LoginScreen from "./components/LoginScreen";
+import UserManagement from "./components/UserManagement";
+import WorkflowRuns from "./components/WorkflowRuns";
+import JobQueue from "./components/JobQueue";
+import EmailTemplates from "./components/EmailTemplates";
+import SentCommunications from "./components/SentCommunications";
+import DigestSchedules from "./components/DigestSchedules";
+import ContactDirectory from "./components/ContactDirectory";
 import { DatabaseService } from "./config/supabase";
 import { taskService } from "./services/taskService";
+import { uploadService } from "./services/uploadService";
+import { authService } from "./services/authService";
 import useDeviceDetect from "./hooks/useDeviceDetect";
+import { BUILT_IN_PROFILES } from "./utils/columnMapping";
+import {
+  buildUploadDetails,
+  createImportSession,
+  detectDataType,
+  selectProfile,
+  summarizeReport,
+} from "./utils/ingestion";
+import {
+  mergePolicies,
+  toDateKey,
+  toInforceRecord,
+  toPolicyRecord,
+} from "./utils/policyUpsert";
+import { isRecovered, getRecoveryStats } from "./utils/policyRecovery";
+import { ROLE_LABELS, can, isLimitedToOwnWork } from "./utils/permissions";
+import {
+  countIssuedBy,
+  getIssuedBookStats,
+  getIssuedPolicies,
+  mergeBookPolicies,
+  normalizeGroupKey,
+} from "./utils/issuedBook";
+import { getAgentPerformance, getHighRiskAgents } from "./utils/agentRisk";
+import {
+  ACCEPTED_FILE_TYPES,
+  getFileFormat,
+  readWorkbook,
+  readWorkbookSheet,
+  parseFixedWidth,
+} from "./utils/fileReaders";
+import { parseCsvInWorker } from "./utils/csvWorker";
+import {
+  clearImportCheckpoint,
+  getFileKey,
+  loadImportCheckpoint,
+  saveImportCheckpoint,
+} from "./utils/importCheckpoint";
 import "./App.css";
 
 const COLORS = ["#0088FE", "#00C49F", "#FFBB28", "#FF8042", "#8884D8"];
 
+// Policies written to the database per request
+const POLICY_BATCH_SIZE = 1000;
+
+// How often to check the server's watched folder for a new automatic ingest
+const INGEST_STATUS_POLL_MS = 60000;
+
 function App() {
   // Device detection
   const { isMobile } = useDeviceDetect();
 
+  // Signed-in user (null shows the login screen)
+  const [currentUser, setCurrentUser] = useState(() =>
+    authService.getCurrentUser()
+  );
+  const isSignedIn = Boolean(currentUser);
+
   // Enhanced State Management for Multi-Data Type Support
   const [data, setData] = useState([]);
   const [nsfData, setNsfData] = useState([]);
   const [cancellationData, setCancellationData] = useState([]);
+  const [inforceData, setInforceData] = useState([]); // Issued/in-force book, the denominator for lapse rates
   const [filteredData, setFilteredData] = useState([]);
   const [activeDataSource, setActiveDataSource] = useState("combined"); // 'combined', 'nsf', 'cancellation'
   const [filters, setFilters] = useState({
@@ -82,15 +165,30 @@ function App() {
   const [actions, setActions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
+  const [uploadStage, setUploadStage] = useState(null); // 'parsing' | 'saving' while an upload runs
+  const [interruptedImport, setInterruptedImport] = useState(() =>
+    loadImportCheckpoint()
+  ); // Failed or cancelled batch write that can be resumed; without a session it resumes when the file is uploaded again
+  const activeParseRef = useRef(null);
+  const cancelSaveRef = useRef(false);
   const [analytics, setAnalytics] = useState({});
-  const [uploadMode, setUploadMode] = useState("detect"); // 'detect', 'nsf', 'cancellation'
+  const [uploadMode, setUploadMode] = useState("detect"); // 'detect', 'nsf', 'cancellation', 'reinstatement', 'inforce'
   const [isProcessing, setIsProcessing] = useState(false);
   const [dataFreshness, setDataFreshness] = useState(null);
+  const lastAutoIngestRef = useRef(null); // Last watched-folder ingest reported by the server
   const [dbLoading, setDbLoading] = useState(false);
   const [dbConnected, setDbConnected] = useState(false);
 
+  // Column Mapping State
+  const [mappingProfiles, setMappingProfiles] = useState(BUILT_IN_PROFILES);
+  const [pendingMapping, setPendingMapping] = useState(null); // Parsed file awaiting column mapping
+  const [pendingImport, setPendingImport] = useState(null); // Validated file awaiting review
+  const [pendingSheetSelection, setPendingSheetSelection] = useState(null); // Workbook awaiting sheet choice
+  const [pendingFixedWidth, setPendingFixedWidth] = useState(null); // Fixed-width file awaiting a layout
+  const [fixedWidthLayouts, setFixedWidthLayouts] = useState([]);
+
   // Task Management State
-  const [currentView, setCurrentView] = useState("dashboard"); // 'dashboard', 'tasks', 'analytics', 'persistency'
+  const [currentView, setCurrentView] = useState("dashboard"); // 'dashboard', 'tasks', 'analytics', 'persistency', 'uploads'
   const [retentionTasks, setRetentionTasks] = useState([]);
   const [showMobileMenu, setShowMobileMenu] = useState(false);
 
@@ -98,9 +196,45 @@ function App() {
   const [selectedInsight, setSelectedInsight] = useState(null);
   const [showInsightModal, setShowInsightModal] = useState(false);
 
+  // Load the in-force book; lapse metrics fall back to lapse-only counts without it
+  const loadInforceBook = useCallback(async () => {
+    try {
+      const book = (await DatabaseService.getInforcePolicies()).map(
+        (policy) => ({
+          ...policy,
+          issue_date: policy.issue_date ? new Date(policy.issue_date) : null,
+          paid_to_date: policy.paid_to_date
+            ? new Date(policy.paid_to_date)
+            : null,
+        })
+      );
+      setInforceData(book);
+      return book;
+    } catch (error) {
+      console.warn("Could not load in-force book:", error.message);
+      return [];
+    }
+  }, []);
+
+  // Check the server's watched-folder auto-ingest; keeps the last known
+  // ingest time when the server can't be reached
+  const loadIngestStatus = useCallback(async () => {
+    try {
+      const status = await uploadService.getIngestStatus();
+      lastAutoIngestRef.current = status.lastIngestAt || null;
+    } catch (error) {
+      if (process.env.NODE_ENV === "development") {
+        console.warn("Auto-ingest status unavailable:", error.message);
+      }
+    }
+    return lastAutoIngestRef.current;
+  }, []);
+
   // Load data from Supabase on app start
   const loadDataFromDatabase = useCallback(async () => {
     setDbLoading(true);
+    const book = await loadInforceBook();
+    await loadIngestStatus();
           try {
         if (process.env.NODE_ENV === 'development') {
           console.log("🔄 Loading data from Supabase...");
@@ -163,9 +297,9 @@ function App() {
         setFilteredData(processedPolicies);
 
         // Calculate analytics for loaded data
-        calculateAnalytics(processedPolicies);
+        calculateAnalytics(processedPolicies, book);
         calculateDataFreshness(processedPolicies);
-        await generateActionItems(processedPolicies);
+        await generateActionItems(processedPolicies, book);
 
         // Success logging already handled in supabase.js
         setDbConnected(true);
@@ -173,6 +307,11 @@ function App() {
         if (process.env.NODE_ENV === 'development') {
           console.log("📝 No existing data found in database");
         }
+        // Reset in case the last rows were just removed (e.g. upload rollback)
+        setData([]);
+        setNsfData([]);
+        setCancellationData([]);
+        setFilteredData([]);
         setDbConnected(true);
       }
     } catch (error) {
@@ -181,41 +320,81 @@ function App() {
     } finally {
       setDbLoading(false);
     }
+  }, [loadInforceBook, loadIngestStatus]);
+
+  // Follow sign-in/sign-out, including a session the server rejects
+  useEffect(() => authService.onChange(setCurrentUser), []);
+
+  // Pick up role changes made since the session started
+  useEffect(() => {
+    authService.refreshCurrentUser().catch((error) => {
+      console.warn("Could not refresh the signed-in user:", error.message);
+    });
   }, []);
 
-  // Load data from database on component mount
+  // Load data from database once signed in
   useEffect(() => {
-    loadDataFromDatabase();
-  }, [loadDataFromDatabase]);
+    if (isSignedIn) loadDataFromDatabase();
+  }, [isSignedIn, loadDataFromDatabase]);
 
-  // Calculate Data Freshness
+  // Reload when the server's watched folder ingests a new file
+  useEffect(() => {
+    if (!isSignedIn) return undefined;
+    const interval = setInterval(async () => {
+      const previous = lastAutoIngestRef.current;
+      const lastIngestAt = await loadIngestStatus();
+      if (lastIngestAt && lastIngestAt !== previous) {
+        loadDataFromDatabase();
+      }
+    }, INGEST_STATUS_POLL_MS);
+    return () => clearInterval(interval);
+  }, [isSignedIn, loadIngestStatus, loadDataFromDatabase]);
+
+  // Calculate Data Freshness: from the last automatic ingest when the server
+  // watches a drop folder, otherwise from the most recent issue_date
   const calculateDataFreshness = useCallback((policyData) => {
     if (!policyData || policyData.length === 0) {
       setDataFreshness(null);
       return;
     }
 
-    // Find the most recent issue_date in the dataset
-    const validDates = policyData
-      .map((item) => {
-        if (!item.issue_date) return null;
-        const date = new Date(item.issue_date);
-        return isNaN(date.getTime()) ? null : date;
-      })
-      .filter((date) => date !== null);
-
-    if (validDates.length === 0) {
-      setDataFreshness({
-        status: "unknown",
-        message: "No valid dates found",
-      });
-      return;
+    const lastIngestAt = lastAutoIngestRef.current;
+    let latestDate;
+
+    if (lastIngestAt) {
+      latestDate = new Date(lastIngestAt);
+    } else {
+      // Find the most recent issue_date in the dataset
+      const validDates = policyData
+        .map((item) => {
+          if (!item.issue_date) return null;
+          const date = new Date(item.issue_date);
+          return isNaN(date.getTime()) ? null : date;
+        })
+        .filter((date) => date !== null);
+
+      if (validDates.length === 0) {
+        setDataFreshness({
+          status: "unknown",
+          message: "No valid dates found",
+        });
+        return;
+      }
+
+      latestDate = new Date(Math.max(...validDates));
     }
 
-    const latestDate = new Date(Math.max(...validDates));
     const today = new Date();
     const diffTime = today - latestDate;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    // Ingest times are exact, so a same-day ingest counts as 0 days
+    const diffDays = lastIngestAt
+      ? Math.floor(diffTime / (1000 * 60 * 60 * 24))
+      : Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    const age = (amount, unit) => {
+      const plural = `${amount} ${unit}${amount === 1 ? "" : "s"}`;
+      if (!lastIngestAt) return `${plural} old`;
+      return amount === 0 ? "ingested today" : `ingested ${plural} ago`;
+    };
 
     let status, color, icon, message;
 
@@ -223,25 +402,22 @@ function App() {
       status = "fresh";
       color = "green";
       icon = "🟢";
-      message = `Current data (${diffDays} day${
-        diffDays === 1 ? "" : "s"
-      } old)`;
+      message = `Current data (${age(diffDays, "day")})`;
     } else if (diffDays <= 30) {
       status = "recent";
       color = "yellow";
       icon = "🟡";
-      message = `Recent data (${diffDays} days old)`;
+      message = `Recent data (${age(diffDays, "day")})`;
     } else if (diffDays <= 90) {
       status = "outdated";
       color = "orange";
       icon = "🟠";
-      message = `Outdated data (${Math.round(diffDays / 7)} weeks old)`;
+      message = `Outdated data (${age(Math.round(diffDays / 7), "week")})`;
     } else {
       status = "stale";
       color = "red";
       icon = "🔴";
-      const months = Math.round(diffDays / 30);
-      message = `Stale data (${months} month${months === 1 ? "" : "s"} old)`;
+      message = `Stale data (${age(Math.round(diffDays / 30), "month")})`;
     }
 
     setDataFreshness({
@@ -249,40 +425,148 @@ function App() {
       color,
       icon,
       message,
-      latestDate: latestDate.toLocaleDateString(),
+      latestDate: lastIngestAt
+        ? latestDate.toLocaleString()
+        : latestDate.toLocaleDateString(),
       daysOld: diffDays,
+      source: lastIngestAt ? "auto_ingest" : "issue_date",
     });
   }, []);
 
-  // Data Type Detection
-  const detectDataType = (headers) => {
-    const headerSet = new Set(headers.map((h) => h.toLowerCase()));
+  // Load saved column mapping profiles (built-ins are always available)
+  const loadMappingProfiles = useCallback(async () => {
+    try {
+      const savedProfiles = await DatabaseService.getMappingProfiles();
+      setMappingProfiles([...BUILT_IN_PROFILES, ...savedProfiles]);
+    } catch (error) {
+      console.warn("Using built-in mapping profiles only:", error.message);
+      setMappingProfiles(BUILT_IN_PROFILES);
+    }
+  }, []);
 
-    // NSF data signatures
-    const nsfSignature = ["mga_name", "first payment", "reason"];
-    const nsfScore = nsfSignature.filter((sig) =>
-      headerSet.has(sig.toLowerCase())
-    ).length;
+  useEffect(() => {
+    if (isSignedIn) loadMappingProfiles();
+  }, [isSignedIn, loadMappingProfiles]);
 
-    // Cancellation data signatures
-    const cancellationSignature = [
-      "agent_level_03",
-      "contract_code",
-      "cntrct_date",
-    ];
-    const cancellationScore = cancellationSignature.filter((sig) =>
-      headerSet.has(sig.toLowerCase())
-    ).length;
+  // Load saved fixed-width layouts
+  const loadFixedWidthLayouts = useCallback(async () => {
+    try {
+      setFixedWidthLayouts(await DatabaseService.getFixedWidthLayouts());
+    } catch (error) {
+      console.warn("Could not load fixed-width layouts:", error.message);
+    }
+  }, []);
 
-    if (nsfScore >= 2) return "nsf";
-    if (cancellationScore >= 2) return "cancellation";
+  useEffect(() => {
+    if (isSignedIn) loadFixedWidthLayouts();
+  }, [isSignedIn, loadFixedWidthLayouts]);
 
-    // Fallback - check for common fields
-    if (headerSet.has("reason")) return "nsf";
-    if (headerSet.has("contract_code") || headerSet.has("agent_level_03"))
-      return "cancellation";
+  // Route a parsed file (from any format) to a matching mapping profile, or
+  // to the mapping screen when none fits. A file whose import stopped partway
+  // picks up from its last committed batch instead.
+  const handleParsedFile = (file, session, requestedType) => {
+    const fileHeaders = session.headers;
 
-    return "unknown";
+    const checkpoint = loadImportCheckpoint(file);
+    if (checkpoint) {
+      if (
+        window.confirm(
+          `The last import of "${file.name}" stopped at batch ${
+            checkpoint.nextBatch + 1
+          } of ${checkpoint.totalBatches}. Continue from there?`
+        )
+      ) {
+        resumeFromCheckpoint(file, session, checkpoint);
+        return;
+      }
+      // Starting over
+      clearImportCheckpoint();
+      setInterruptedImport(null);
+    }
+
+    // Only consider profiles for the requested data type
+    const profileMatch = selectProfile(
+      fileHeaders,
+      mappingProfiles,
+      requestedType
+    );
+
+    if (profileMatch) {
+      console.log(
+        `🧭 Matched mapping profile "${profileMatch.profile.name}" (${Math.round(
+          profileMatch.score * 100
+        )}% of columns)`
+      );
+      importParsedFile(file, session, profileMatch.profile);
+      return;
+    }
+
+    // No saved profile fits - ask the user to map the columns
+    const guessedType =
+      requestedType || detectDataType(fileHeaders, mappingProfiles);
+    setPendingMapping({
+      file,
+      session,
+      headers: fileHeaders,
+      dataType: guessedType === "unknown" ? "nsf" : guessedType,
+    });
+    setLoading(false);
+  };
+
+  // Reset upload state after a failed read or a cancelled step
+  const abortUpload = () => {
+    setLoading(false);
+    setIsProcessing(false);
+    setUploadStage(null);
+  };
+
+  // Cancel the running upload: stops parsing outright, or stops saving after
+  // the current batch so the import can be resumed later
+  const handleCancelUpload = () => {
+    if (activeParseRef.current) {
+      activeParseRef.current.cancel();
+    } else if (uploadStage === "saving") {
+      cancelSaveRef.current = true;
+    }
+  };
+
+  // Read an Excel workbook, asking which sheet to use when there are several
+  const readExcelUpload = async (file, requestedType) => {
+    try {
+      const workbook = readWorkbook(await file.arrayBuffer());
+
+      if (workbook.SheetNames.length === 1) {
+        handleParsedFile(
+          file,
+          createImportSession(
+            readWorkbookSheet(workbook, workbook.SheetNames[0]),
+            file.name
+          ),
+          requestedType
+        );
+        return;
+      }
+
+      setPendingSheetSelection({ file, workbook, requestedType });
+      setLoading(false);
+    } catch (error) {
+      console.error("Excel parsing error:", error);
+      alert(`Error reading Excel file: ${error.message}`);
+      abortUpload();
+    }
+  };
+
+  // Read a fixed-width extract; its column layout is chosen in a modal
+  const readFixedWidthUpload = async (file, requestedType) => {
+    try {
+      const text = await file.text();
+      setPendingFixedWidth({ file, text, requestedType });
+      setLoading(false);
+    } catch (error) {
+      console.error("Fixed-width read error:", error);
+      alert(`Error reading file: ${error.message}`);
+      abortUpload();
+    }
   };
 
   // Enhanced File Upload Handler
@@ -297,334 +581,411 @@ function App() {
         return;
       }
 
+      const format = getFileFormat(file);
+      if (!format) {
+        alert(
+          `"${file.name}" isn't a supported file type. Upload a CSV, Excel workbook or fixed-width text file.`
+        );
+        return;
+      }
+
       setIsProcessing(true);
       setLoading(true);
       setUploadProgress(0);
+      setUploadStage("parsing");
 
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        transform: (value) => {
-          // Clean up any extra whitespace
-          return typeof value === "string" ? value.trim() : value;
-        },
-        transformHeader: (header) => {
-          // Clean up header names
-          return header.trim();
-        },
-        complete: async (result) => {
-          let uploadRecord = null;
+      const requestedType =
+        forceType || (uploadMode === "detect" ? null : uploadMode);
 
-          try {
-            // Detect data type first
-            const fileHeaders = result.meta.fields || [];
-            const detectedType =
-              forceType ||
-              (uploadMode === "detect"
-                ? detectDataType(fileHeaders)
-                : uploadMode);
-
-            // Record file upload start
-            uploadRecord = await DatabaseService.recordFileUpload({
-              file_name: file.name,
-              file_type: detectedType,
-              file_size: file.size,
-              upload_status: "processing",
-            });
-
-            console.log(
-              `📝 Recording file upload: ${file.name} (${detectedType})`
-            );
-          } catch (error) {
-            console.warn("Could not record file upload:", error);
-          }
+      if (format === "xlsx") {
+        readExcelUpload(file, requestedType);
+        return;
+      }
 
-          // Enhanced error analysis and reporting
-          const parseErrors = result.errors || [];
-          const fieldCountErrors = parseErrors.filter(
-            (error) =>
-              error.message.includes("Too many fields") ||
-              error.message.includes("Too few fields")
-          );
-          const duplicateHeaderErrors = parseErrors.filter(
-            (error) =>
-              error.message.includes("Duplicate") ||
-              error.message.includes("duplicate")
-          );
-          const criticalErrors = parseErrors.filter(
-            (error) =>
-              !error.message.includes("Too many fields") &&
-              !error.message.includes("Too few fields") &&
-              !error.message.includes("Duplicate")
-          );
-
-          // Create detailed error report
-          const errorReport = {
-            total: parseErrors.length,
-            fieldCount: fieldCountErrors.length,
-            duplicateHeaders: duplicateHeaderErrors.length,
-            critical: criticalErrors.length,
-            rowsAffected: new Set(parseErrors.map((e) => e.row)).size,
-          };
+      if (format === "fixed_width") {
+        readFixedWidthUpload(file, requestedType);
+        return;
+      }
 
-          // Advanced CSV analysis
-          const csvHeaders = result.meta.fields || [];
-          const headerAnalysis = {
-            total: csvHeaders.length,
-            duplicates: csvHeaders.length - new Set(csvHeaders).size,
-            empty: csvHeaders.filter((h) => !h || h.trim() === "").length,
-            suspicious: csvHeaders.filter(
-              (h) => h.includes("_") || h.includes(".") || /\d+$/.test(h)
-            ).length,
-          };
+      // CSVs are parsed in a worker so large files don't block the tab
+      const parseTask = parseCsvInWorker(file, {
+        onProgress: (percent) => setUploadProgress(percent),
+      });
+      activeParseRef.current = parseTask;
 
-          console.log("📊 CSV Analysis Report:", {
-            fileName: file.name,
-            totalRows: result.data.length,
-            headers: headerAnalysis,
-            sampleHeaders: csvHeaders.slice(0, 10),
-            errors: errorReport,
-            dataQuality: {
-              completeness:
-                (
-                  ((result.data.length - errorReport.rowsAffected) /
-                    result.data.length) *
-                  100
-                ).toFixed(1) + "%",
-              consistency:
-                errorReport.fieldCount === 0 ? "Good" : "Issues detected",
-            },
-          });
-
-          // Show user-friendly error summary
-          if (errorReport.total > 0) {
-            let warningMessage = `CSV Data Quality Report for "${file.name}":\n\n`;
-
-            if (errorReport.fieldCount > 0) {
-              warningMessage += `⚠️ ${errorReport.fieldCount} rows have inconsistent field counts (non-critical)\n`;
-            }
-
-            if (errorReport.duplicateHeaders > 0) {
-              warningMessage += `🔄 Duplicate column headers detected and auto-renamed\n`;
-            }
-
-            if (errorReport.critical > 0) {
-              warningMessage += `❌ ${errorReport.critical} critical parsing errors found\n`;
-            }
-
-            warningMessage += `\n✅ Successfully processing ${result.data.length} rows`;
-
-            if (errorReport.critical > 0) {
-              alert(warningMessage);
-            } else {
-              console.warn(warningMessage);
-            }
+      parseTask.promise
+        .then((session) => {
+          activeParseRef.current = null;
+          setUploadProgress(100);
+          handleParsedFile(file, session, requestedType);
+        })
+        .catch((error) => {
+          activeParseRef.current = null;
+          if (!error.cancelled) {
+            console.error("File parsing error:", error);
+            alert(`Error parsing CSV file: ${error.message}`);
           }
+          abortUpload();
+        });
+    },
+    [uploadMode, isProcessing, mappingProfiles]
+  );
 
-          // Detect data type
-          const fileHeaders = result.meta.fields || [];
-          const detectedType =
-            forceType ||
-            (uploadMode === "detect"
-              ? detectDataType(fileHeaders)
-              : uploadMode);
-
-          if (detectedType === "unknown" && uploadMode === "detect") {
-            alert(
-              "Could not automatically detect data type. Please select NSF or Cancellation mode manually."
-            );
-            setLoading(false);
-            setIsProcessing(false);
-            return;
-          }
+  // Sheet picker handlers
+  const handleSheetSelect = (sheetName) => {
+    const { file, workbook, requestedType } = pendingSheetSelection;
+    setPendingSheetSelection(null);
+    setLoading(true);
+    handleParsedFile(
+      file,
+      createImportSession(readWorkbookSheet(workbook, sheetName), file.name),
+      requestedType
+    );
+  };
 
-          // Check for duplicate policy numbers
-          const policyNumbers = new Set();
-          const duplicates = [];
-          const validData = [];
-
-          result.data.forEach((row, index) => {
-            const policyNumber =
-              row.policy_nbr?.toString().trim() ||
-              row.Policy_nbr?.toString().trim();
-
-            if (!policyNumber) {
-              console.warn(`Row ${index + 1}: Missing policy number`);
-              return;
-            }
-
-            if (policyNumbers.has(policyNumber)) {
-              duplicates.push({ row: index + 1, policyNumber });
-            } else {
-              policyNumbers.add(policyNumber);
-              validData.push(row);
-            }
-          });
-
-          // Alert user about duplicates
-          if (duplicates.length > 0) {
-            const duplicateList = duplicates
-              .map((d) => `Row ${d.row}: ${d.policyNumber}`)
-              .join("\n");
-            alert(
-              `Found ${duplicates.length} duplicate policy numbers:\n${duplicateList}\n\nDuplicates have been excluded from upload.`
-            );
-          }
+  const handleSheetCancel = () => {
+    setPendingSheetSelection(null);
+    abortUpload();
+  };
 
-          // Process data based on type
-          const processedData = validData.map((row, index) => {
-            const baseData = processRowData(row, index, detectedType);
-            return {
-              ...baseData,
-              file_name: file.name,
-            };
-          });
-
-          console.log(
-            `Processed ${processedData.length} valid ${detectedType} policies (${duplicates.length} duplicates excluded)`
-          );
-
-          // Update appropriate data state
-          if (detectedType === "nsf") {
-            setNsfData((prev) => [...prev, ...processedData]);
-          } else if (detectedType === "cancellation") {
-            setCancellationData((prev) => [...prev, ...processedData]);
-          }
+  // Fixed-width layout handlers
+  const handleFixedWidthConfirm = async (layout, { save }) => {
+    const { file, text, requestedType } = pendingFixedWidth;
+    setPendingFixedWidth(null);
 
-          // Update combined data and save to database
-          await updateCombinedData(
-            detectedType,
-            processedData,
-            uploadRecord?.id
-          );
+    if (save) {
+      try {
+        const savedLayout = await DatabaseService.saveFixedWidthLayout(layout);
+        setFixedWidthLayouts((prev) => [
+          ...prev.filter(
+            (l) => l.id !== savedLayout.id && l.name !== savedLayout.name
+          ),
+          savedLayout,
+        ]);
+      } catch (error) {
+        console.warn("Could not save fixed-width layout:", error);
+        alert(
+          `Layout could not be saved (${error.message}). Continuing with this layout anyway.`
+        );
+      }
+    }
 
-          setLoading(false);
-          setIsProcessing(false);
-          setUploadProgress(100);
+    setLoading(true);
+    handleParsedFile(
+      file,
+      createImportSession(parseFixedWidth(text, layout), file.name),
+      requestedType
+    );
+  };
+
+  const handleFixedWidthCancel = () => {
+    setPendingFixedWidth(null);
+    abortUpload();
+  };
+
+  const handleDeleteFixedWidthLayout = async (layout) => {
+    if (!window.confirm(`Delete fixed-width layout "${layout.name}"?`)) return;
+
+    try {
+      await DatabaseService.deleteFixedWidthLayout(layout.id);
+      setFixedWidthLayouts((prev) => prev.filter((l) => l.id !== layout.id));
+    } catch (error) {
+      console.error("❌ Error deleting fixed-width layout:", error);
+      alert(`Error deleting fixed-width layout: ${error.message}`);
+    }
+  };
+
+  // Validate a parsed file and stage it for review before anything is written.
+  // dateOverrides holds date formats picked in the review modal.
+  const importParsedFile = async (
+    file,
+    session,
+    profile,
+    dateOverrides = {}
+  ) => {
+    let report;
+    try {
+      report = await session.validate(profile, dateOverrides);
+    } catch (error) {
+      console.error("Import validation error:", error);
+      alert(`Error validating ${file.name}: ${error.message}`);
+      setPendingImport(null);
+      session.close?.();
+      abortUpload();
+      return;
+    }
 
-          alert(
-            `Successfully uploaded ${processedData.length} ${detectedType} records to database!`
-          );
-        },
-        error: (error) => {
-          console.error("File parsing error:", error);
-          alert(`Error parsing CSV file: ${error.message}`);
-          setLoading(false);
-          setIsProcessing(false);
-        },
+    if (process.env.NODE_ENV === "development") {
+      console.log("📋 Import validation report:", {
+        fileName: file.name,
+        mappingProfile: profile.name,
+        ...summarizeReport(report),
       });
-    },
-    [uploadMode]
-  );
+    }
 
-  // Process row data based on type
-  const processRowData = (row, index, dataType) => {
-    if (dataType === "nsf") {
-      const issueDate = parseDate(row.issue_date);
-      const paidToDate = parseDate(row.paid_to_date);
-      const appRecvdDate = parseDate(row.app_recvd_date);
+    setPendingImport({ file, session, profile, report, dateOverrides });
+    setLoading(false);
+    setUploadStage(null);
+  };
 
-      return {
-        ...row,
-        id: `nsf_${index + 1}_${Date.now()}`,
-        annual_premium: parseFloat(row.annual_premium) || 0,
-        issue_date: issueDate,
-        paid_to_date: paidToDate,
-        app_recvd_date: appRecvdDate,
-        duration: calculateDuration(issueDate, paidToDate),
-        policy_nbr: row.policy_nbr?.toString().trim(),
-        agent_name: row.WA_Name?.toString().trim() || "Unknown",
-        product: row.Product?.toString().trim() || "Unknown",
-        issue_state: row.issue_state?.toString().trim() || "Unknown",
-        termination_reason: row.Reason?.toString().trim() || "NSF",
-        mga_name: row.MGA_name?.toString().trim() || "Unknown",
-        source: "nsf",
-        termination_type: "nsf",
-      };
-    } else if (dataType === "cancellation") {
-      const issueDate = parseDate(row.Issue_Date);
-      const paidToDate = parseDate(row.Paid_to_Date);
-      const appRecvdDate = parseDate(row.App_Recvd_Date);
-      const contractDate = parseDate(row.cntrct_date);
+  // Import the accepted rows of a reviewed file
+  const handleImportAccept = async () => {
+    const { file, session, profile, report, dateOverrides } = pendingImport;
+    const detectedType = profile.dataType;
+    let uploadRecord = null;
 
-      return {
-        ...row,
-        id: `cancel_${index + 1}_${Date.now()}`,
-        annual_premium: parseFloat(row.Annual_Premium) || 0,
-        issue_date: issueDate,
-        paid_to_date: paidToDate,
-        app_recvd_date: appRecvdDate,
-        contract_date: contractDate,
-        // For cancellations, calculate duration between issue date and cancellation date (cntrct_date)
-        duration: calculateDuration(issueDate, contractDate),
-        policy_nbr: row.Policy_nbr?.toString().trim(),
-        agent_name: row.WA_Name?.toString().trim() || "Unknown",
-        product: row.Plan_Code?.toString().trim() || "Unknown",
-        issue_state: row.Issue_State?.toString().trim() || "Unknown",
-        termination_reason: "Voluntary Cancellation",
-        agent_level_03: row.Agent_level_03?.toString().trim() || "Unknown",
-        contract_code: row.Contract_Code?.toString().trim() || "Unknown",
-        source: "cancellation",
-        termination_type: "cancellation",
-      };
+    setPendingImport(null);
+    setLoading(true);
+    setUploadStage("saving");
+    setUploadProgress(0);
+
+    try {
+      // Record file upload start
+      uploadRecord = await DatabaseService.recordFileUpload({
+        file_name: file.name,
+        file_type: detectedType,
+        file_size: file.size,
+        upload_status: "processing",
+      });
+
+      console.log(`📝 Recording file upload: ${file.name} (${detectedType})`);
+    } catch (error) {
+      console.warn("Could not record file upload:", error);
+    }
+
+    console.log(
+      `Processed ${report.acceptedCount} valid ${detectedType} policies (${report.rejectedRows.length} rows rejected)`
+    );
+
+    // Keep a summary of what validation held back alongside the upload record
+    const uploadDetails = buildUploadDetails(report);
+
+    // Payment feeds recover existing policies rather than adding new ones
+    if (detectedType === "reinstatement") {
+      let paymentCounts = null;
+      try {
+        const payments = await session.readRecords(0, report.acceptedCount);
+        paymentCounts = await applyPaymentFeed(
+          payments,
+          uploadRecord?.id,
+          uploadDetails
+        );
+      } catch (error) {
+        console.error("❌ Error reading payment records:", error);
+        alert(`Error reading payment records: ${error.message}`);
+      }
+      session.close?.();
+
+      setLoading(false);
+      setIsProcessing(false);
+      setUploadStage(null);
+      setUploadProgress(100);
+
+      if (paymentCounts) {
+        alert(
+          `Successfully uploaded ${report.acceptedCount} payment records to database!\n\n` +
+            `🆕 ${paymentCounts.new} new payments\n` +
+            `➖ ${paymentCounts.unchanged} already recorded\n` +
+            `✅ ${paymentCounts.recovered} policies recovered\n` +
+            `📋 ${paymentCounts.closedTasks} retention tasks closed`
+        );
+      }
+      return;
+    }
+
+    // Update combined data and save to database
+    const upsertCounts = await updateCombinedData({
+      session,
+      fileKey: getFileKey(file),
+      fileName: file.name,
+      profile,
+      dateOverrides,
+      dataType: detectedType,
+      recordsImported: report.acceptedCount,
+      uploadId: uploadRecord?.id,
+      uploadDetails,
+    });
+
+    setLoading(false);
+    setIsProcessing(false);
+    setUploadStage(null);
+    setUploadProgress(100);
+
+    if (upsertCounts) {
+      alert(
+        `Successfully uploaded ${report.acceptedCount} ${detectedType} records to database!\n\n` +
+          `🆕 ${upsertCounts.new} new\n` +
+          `✏️ ${upsertCounts.updated} updated\n` +
+          `➖ ${upsertCounts.unchanged} unchanged`
+      );
+    }
+  };
+
+  // Re-validate the staged file with a different format for one date column
+  const handleDateFormatOverride = (field, format) => {
+    const { file, session, profile, dateOverrides } = pendingImport;
+    importParsedFile(file, session, profile, {
+      ...dateOverrides,
+      [field]: format,
+    });
+  };
+
+  const handleImportCancel = () => {
+    pendingImport.session.close?.();
+    setPendingImport(null);
+    setLoading(false);
+    setIsProcessing(false);
+  };
+
+  // Column mapping modal handlers
+  const handleMappingConfirm = async (profile, { save }) => {
+    const pending = pendingMapping;
+    setPendingMapping(null);
+
+    let importProfile = {
+      ...profile,
+      name: profile.name || `Ad-hoc mapping (${pending.file.name})`,
+    };
+
+    if (save) {
+      try {
+        const savedProfile = await DatabaseService.saveMappingProfile(
+          importProfile
+        );
+        importProfile = savedProfile;
+        setMappingProfiles((prev) => [
+          ...prev.filter(
+            (p) => p.id !== savedProfile.id && p.name !== savedProfile.name
+          ),
+          savedProfile,
+        ]);
+      } catch (error) {
+        console.warn("Could not save mapping profile:", error);
+        alert(
+          `Mapping profile could not be saved (${error.message}). Importing with this mapping anyway.`
+        );
+      }
+    }
+
+    importParsedFile(pending.file, pending.session, importProfile);
+  };
+
+  const handleMappingCancel = () => {
+    pendingMapping.session.close?.();
+    setPendingMapping(null);
+    setLoading(false);
+    setIsProcessing(false);
+  };
+
+  const handleDeleteMappingProfile = async (profile) => {
+    if (!window.confirm(`Delete mapping profile "${profile.name}"?`)) return;
+
+    try {
+      await DatabaseService.deleteMappingProfile(profile.id);
+      setMappingProfiles((prev) => prev.filter((p) => p.id !== profile.id));
+    } catch (error) {
+      console.error("❌ Error deleting mapping profile:", error);
+      alert(`Error deleting mapping profile: ${error.message}`);
+    }
+  };
+
+  // Write policies in batches read from the import session, reporting
+  // progress. Each committed batch is checkpointed (see importCheckpoint), and
+  // if a batch fails or the upload is cancelled, the error carries a resume
+  // point (error.resume) so the import can continue from that batch instead
+  // of starting over.
+  const savePolicyBatches = async (job) => {
+    const totalBatches = Math.ceil(job.recordsImported / POLICY_BATCH_SIZE);
+    const counts = { new: 0, updated: 0, unchanged: 0, ...job.counts };
+    const records = [];
+    cancelSaveRef.current = false;
+
+    for (let batch = job.nextBatch || 0; batch < totalBatches; batch++) {
+      const resume = { ...job, nextBatch: batch, totalBatches, counts };
+      saveImportCheckpoint(resume);
+
+      if (cancelSaveRef.current) {
+        cancelSaveRef.current = false;
+        const error = new Error(
+          `Import cancelled before batch ${batch + 1} of ${totalBatches}`
+        );
+        error.cancelled = true;
+        error.resume = resume;
+        throw error;
+      }
+
+      try {
+        const batchRecords = await job.session.readRecords(
+          batch * POLICY_BATCH_SIZE,
+          (batch + 1) * POLICY_BATCH_SIZE
+        );
+        // Dates become ISO strings for the database
+        const rows = batchRecords.map(
+          job.dataType === "inforce" ? toInforceRecord : toPolicyRecord
+        );
+        const { counts: batchCounts } =
+          job.dataType === "inforce"
+            ? await DatabaseService.upsertInforcePolicies(rows, job.uploadId)
+            : await DatabaseService.upsertPolicies(rows, job.uploadId);
+        counts.new += batchCounts.new;
+        counts.updated += batchCounts.updated;
+        counts.unchanged += batchCounts.unchanged;
+        records.push(...batchRecords);
+      } catch (error) {
+        error.resume = { ...resume, message: error.message };
+        saveImportCheckpoint(error.resume);
+        throw error;
+      }
+
+      setUploadProgress(Math.round(((batch + 1) / totalBatches) * 100));
     }
+
+    clearImportCheckpoint();
+    return { counts, records };
   };
 
-  // Update combined data and save to Supabase
-  const updateCombinedData = async (dataType, newData, uploadId = null) => {
+  // Save an import job's records to Supabase and merge them into the
+  // dashboard (see handleImportAccept for the job's fields)
+  const updateCombinedData = async (job) => {
+    const { session, dataType, uploadId, uploadDetails } = job;
+    let newData = [];
+
     try {
       // Save new data to Supabase
       console.log(
-        `💾 Saving ${newData.length} ${dataType} records to database...`
+        `💾 Saving ${job.recordsImported} ${dataType} records to database...`
       );
 
-      // Prepare data for database (convert Date objects to ISO strings)
-      const dbData = newData.map((policy) => ({
-        policy_nbr: policy.policy_nbr,
-        source: policy.source,
-        termination_type: policy.termination_type,
-        annual_premium: policy.annual_premium,
-        issue_date: policy.issue_date
-          ? policy.issue_date.toISOString().split("T")[0]
-          : null,
-        paid_to_date: policy.paid_to_date
-          ? policy.paid_to_date.toISOString().split("T")[0]
-          : null,
-        app_recvd_date: policy.app_recvd_date
-          ? policy.app_recvd_date.toISOString().split("T")[0]
-          : null,
-        contract_date: policy.contract_date
-          ? policy.contract_date.toISOString().split("T")[0]
-          : null,
-        duration: policy.duration,
-        agent_name: policy.agent_name,
-        issue_state: policy.issue_state,
-        product: policy.product,
-        termination_reason: policy.termination_reason,
-        mga_name: policy.mga_name || null,
-        agent_level_03: policy.agent_level_03 || null,
-        contract_code: policy.contract_code || null,
-      }));
-
-      await DatabaseService.insertPolicies(dbData);
+      // Re-uploads update existing rows instead of duplicating them
+      const { counts, records } = await savePolicyBatches(job);
+      newData = records;
+      session.close?.();
 
       // Update file upload status if provided
       if (uploadId) {
         await DatabaseService.updateFileUploadStatus(uploadId, "completed", {
           records_imported: newData.length,
+          records_new: counts.new,
+          records_updated: counts.updated,
+          records_unchanged: counts.unchanged,
+          ...uploadDetails,
         });
       }
 
-      // Get current state and add new data
+      // Get current state and merge in new data
       let updatedNsfData = [...nsfData];
       let updatedCancellationData = [...cancellationData];
+      let updatedBook = inforceData;
 
       if (dataType === "nsf") {
-        updatedNsfData.push(...newData);
+        updatedNsfData = mergePolicies(nsfData, newData);
         setNsfData(updatedNsfData);
       } else if (dataType === "cancellation") {
-        updatedCancellationData.push(...newData);
+        updatedCancellationData = mergePolicies(cancellationData, newData);
         setCancellationData(updatedCancellationData);
+      } else if (dataType === "inforce") {
+        updatedBook = mergeBookPolicies(inforceData, newData);
+        setInforceData(updatedBook);
       }
 
       // Create combined dataset
@@ -636,210 +997,257 @@ function App() {
 
       setData(combined);
       setFilteredData(combined);
-      calculateAnalytics(combined);
+      calculateAnalytics(combined, updatedBook);
       calculateDataFreshness(combined);
-      await generateActionItems(combined);
+      await generateActionItems(combined, updatedBook);
 
       console.log(
-        `✅ Successfully saved ${newData.length} records to database`
+        `✅ Successfully saved ${newData.length} records to database (${counts.new} new, ${counts.updated} updated, ${counts.unchanged} unchanged)`
       );
+      return counts;
     } catch (error) {
       console.error("❌ Error saving data to database:", error);
 
+      // Keep the unsaved batches so the import can be resumed
+      if (error.resume) {
+        setInterruptedImport(error.resume);
+        newData = await session
+          .readRecords(0, job.recordsImported)
+          .catch(() => newData);
+      }
+
       // Update file upload status to failed if provided
       if (uploadId) {
         await DatabaseService.updateFileUploadStatus(uploadId, "failed", {
-          error_details: { message: error.message },
+          error_details: {
+            message: error.message,
+            ...(error.resume && {
+              failed_batch: error.resume.nextBatch + 1,
+              total_batches: error.resume.totalBatches,
+            }),
+          },
         });
       }
 
       // Still update the UI even if database save fails
       let updatedNsfData = [...nsfData];
       let updatedCancellationData = [...cancellationData];
+      let updatedBook = inforceData;
 
       if (dataType === "nsf") {
-        updatedNsfData.push(...newData);
+        updatedNsfData = mergePolicies(nsfData, newData);
         setNsfData(updatedNsfData);
       } else if (dataType === "cancellation") {
-        updatedCancellationData.push(...newData);
+        updatedCancellationData = mergePolicies(cancellationData, newData);
         setCancellationData(updatedCancellationData);
+      } else if (dataType === "inforce") {
+        updatedBook = mergeBookPolicies(inforceData, newData);
+        setInforceData(updatedBook);
       }
 
       const combined = [...updatedNsfData, ...updatedCancellationData];
       setData(combined);
       setFilteredData(combined);
-      calculateAnalytics(combined);
+      calculateAnalytics(combined, updatedBook);
       calculateDataFreshness(combined);
-      await generateActionItems(combined);
+      await generateActionItems(combined, updatedBook);
 
       // Show error to user
       alert(
-        `Error saving to database: ${error.message}\nData is still available in this session.`
+        error.resume
+          ? `Import stopped at batch ${error.resume.nextBatch + 1} of ${error.resume.totalBatches}: ${error.message}\n` +
+              "Data is still available in this session. Use Resume Import to save the remaining batches."
+          : `Error saving to database: ${error.message}\nData is still available in this session.`
       );
+      return null;
     }
   };
 
-  // Drag and Drop Handlers
-  const handleDragOver = (e) => {
-    e.preventDefault();
-  };
+  // Save a reinstatement/payment feed, mark the lapsed policies it recovers
+  // and close their open retention tasks
+  const applyPaymentFeed = async (
+    payments,
+    uploadId = null,
+    uploadDetails = {}
+  ) => {
+    try {
+      console.log(`💾 Saving ${payments.length} payment records to database...`);
+
+      const dbPayments = payments.map((payment) => ({
+        policy_nbr: payment.policy_nbr,
+        payment_date: toDateKey(payment.payment_date),
+        payment_amount: payment.payment_amount,
+        payment_type: payment.payment_type,
+        paid_to_date: toDateKey(payment.paid_to_date),
+        agent_name: payment.agent_name,
+        product: payment.product,
+        date_formats: payment.date_formats || null,
+      }));
 
-  const handleDrop = (e) => {
-    e.preventDefault();
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-      const file = files[0];
-      if (file.type === "text/csv" || file.name.endsWith(".csv")) {
-        handleFileUpload({ target: { files: [file] } });
+      const { counts } = await DatabaseService.upsertPayments(
+        dbPayments,
+        uploadId
+      );
+      const recoveredPolicies = await DatabaseService.markPoliciesRecovered(
+        dbPayments,
+        uploadId
+      );
+      const closedTasks = await taskService.closeTasksForPolicies([
+        ...new Set(recoveredPolicies.map((policy) => policy.policy_nbr)),
+      ]);
+
+      if (uploadId) {
+        await DatabaseService.updateFileUploadStatus(uploadId, "completed", {
+          records_imported: payments.length,
+          records_new: counts.new,
+          records_unchanged: counts.unchanged,
+          records_recovered: recoveredPolicies.length,
+          ...uploadDetails,
+        });
       }
-    }
-  };
 
-  // Parse date helper function
-  const parseDate = (dateString) => {
-    if (
-      !dateString ||
-      dateString === "" ||
-      dateString === "null" ||
-      dateString === "undefined"
-    ) {
-      return null;
-    }
+      // Reload so recovered policies leave the lapse list and task queue
+      await loadDataFromDatabase();
 
-    // Convert to string and clean up
-    const dateStr = dateString.toString().trim();
+      console.log(
+        `✅ Saved ${counts.new} new payments, ${recoveredPolicies.length} policies recovered, ${closedTasks} tasks closed`
+      );
+      return { ...counts, recovered: recoveredPolicies.length, closedTasks };
+    } catch (error) {
+      console.error("❌ Error saving payment feed:", error);
 
-    // Handle various empty/null cases
-    if (
-      dateStr === "" ||
-      dateStr === "null" ||
-      dateStr === "undefined" ||
-      dateStr === "NaN"
-    ) {
+      if (uploadId) {
+        await DatabaseService.updateFileUploadStatus(uploadId, "failed", {
+          error_details: { message: error.message },
+        });
+      }
+
+      alert(`Error saving payment feed: ${error.message}`);
       return null;
     }
+  };
 
-    try {
-      // Try parsing as-is first (handles ISO dates, standard formats)
-      let date = new Date(dateStr);
-
-      // If that fails, try specific patterns
-      if (isNaN(date.getTime())) {
-        // Try MM/DD/YYYY format
-        const mmddyyyy = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-        if (mmddyyyy) {
-          const [, month, day, year] = mmddyyyy;
-          date = new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
-        }
-
-        // Try DD/MM/YYYY format (European)
-        else if (dateStr.includes("/") && dateStr.split("/").length === 3) {
-          const parts = dateStr.split("/");
-          if (parts[2].length === 4) {
-            // YYYY at the end
-            // Assume MM/DD/YYYY if first part <= 12, otherwise DD/MM/YYYY
-            if (parseInt(parts[0]) <= 12) {
-              date = new Date(
-                parseInt(parts[2]),
-                parseInt(parts[0]) - 1,
-                parseInt(parts[1])
-              );
-            } else {
-              date = new Date(
-                parseInt(parts[2]),
-                parseInt(parts[1]) - 1,
-                parseInt(parts[0])
-              );
-            }
-          }
-        }
-
-        // Try YYYY-MM-DD format
-        else if (dateStr.includes("-")) {
-          const parts = dateStr.split("-");
-          if (parts.length === 3 && parts[0].length === 4) {
-            date = new Date(
-              parseInt(parts[0]),
-              parseInt(parts[1]) - 1,
-              parseInt(parts[2])
-            );
-          }
-        }
-
-        // Try YYYYMMDD format (e.g., "20250513")
-        else if (/^\d{8}$/.test(dateStr)) {
-          const year = parseInt(dateStr.substring(0, 4));
-          const month = parseInt(dateStr.substring(4, 6));
-          const day = parseInt(dateStr.substring(6, 8));
-          if (month >= 1 && month <= 12 && day >= 1 && day <= 31) {
-            date = new Date(year, month - 1, day);
-          }
-        }
-
-        // Try Excel serial number (days since 1900-01-01)
-        else if (/^\d+$/.test(dateStr)) {
-          const serialNumber = parseInt(dateStr);
-          if (serialNumber > 1 && serialNumber < 100000) {
-            // Reasonable range for Excel dates
-            const excelEpoch = new Date(1900, 0, 1);
-            date = new Date(
-              excelEpoch.getTime() + (serialNumber - 2) * 24 * 60 * 60 * 1000
-            );
-          }
-        }
-      }
+  // Continue an interrupted import from the batch that failed
+  const resumeImport = async (job) => {
+    setInterruptedImport(null);
+    setIsProcessing(true);
+    setLoading(true);
+    setUploadStage("saving");
+    setUploadProgress(
+      Math.round((job.nextBatch / Math.max(job.totalBatches, 1)) * 100)
+    );
 
-      // Final validation
-      if (
-        isNaN(date.getTime()) ||
-        date.getFullYear() < 1900 ||
-        date.getFullYear() > 2100
-      ) {
-        console.warn(`Could not parse date: "${dateString}"`);
-        return null;
+    try {
+      const { counts } = await savePolicyBatches(job);
+      job.session.close?.();
+
+      if (job.uploadId) {
+        await DatabaseService.updateFileUploadStatus(job.uploadId, "completed", {
+          records_imported: job.recordsImported,
+          records_new: counts.new,
+          records_updated: counts.updated,
+          records_unchanged: counts.unchanged,
+          ...job.uploadDetails,
+        });
       }
 
-      return date;
+      await loadDataFromDatabase();
+      alert(
+        `Import resumed and completed!\n\n` +
+          `🆕 ${counts.new} new\n` +
+          `✏️ ${counts.updated} updated\n` +
+          `➖ ${counts.unchanged} unchanged`
+      );
     } catch (error) {
-      console.warn(`Error parsing date "${dateString}":`, error);
-      return null;
+      console.error("❌ Error resuming import:", error);
+      if (error.resume) {
+        setInterruptedImport(error.resume);
+      }
+      alert(`Import stopped again: ${error.message}`);
+    } finally {
+      setLoading(false);
+      setIsProcessing(false);
+      setUploadStage(null);
     }
   };
 
-  // Calculate duration between dates
-  const calculateDuration = (startDate, endDate) => {
-    if (!startDate || !endDate) {
-      return null; // Return null instead of 0 for missing dates
+  const handleResumeImport = () => resumeImport(interruptedImport);
+
+  // Continue a checkpointed import after the same file was uploaded again.
+  // The file is validated with the saved mapping so the batches line up.
+  const resumeFromCheckpoint = async (file, session, checkpoint) => {
+    try {
+      const report = await session.validate(
+        checkpoint.profile,
+        checkpoint.dateOverrides
+      );
+      if (report.acceptedCount !== checkpoint.recordsImported) {
+        throw new Error(
+          `${file.name} now has ${report.acceptedCount} valid rows instead of ${checkpoint.recordsImported}`
+        );
+      }
+    } catch (error) {
+      console.error("❌ Error resuming import:", error);
+      alert(`Can't resume this import: ${error.message}`);
+      clearImportCheckpoint();
+      setInterruptedImport(null);
+      session.close?.();
+      abortUpload();
+      return;
     }
 
-    // Use parseDate function for consistent parsing
-    const start = parseDate(startDate);
-    const end = parseDate(endDate);
+    await resumeImport({ ...checkpoint, session });
+  };
 
-    // Check if dates are valid
-    if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
-      return null;
-    }
+  const handleDiscardImport = () => {
+    interruptedImport.session?.close?.();
+    clearImportCheckpoint();
+    setInterruptedImport(null);
+  };
 
-    const diffTime = Math.abs(end - start);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  // Drag and Drop Handlers
+  const handleDragOver = (e) => {
+    e.preventDefault();
+  };
 
-    // Return null for unreasonable durations
-    if (diffDays < 0 || diffDays > 36500) {
-      // ~100 years max
-      return null;
+  const handleDrop = (e) => {
+    e.preventDefault();
+    const files = e.dataTransfer.files;
+    if (files.length > 0) {
+      const file = files[0];
+      if (getFileFormat(file)) {
+        handleFileUpload({ target: { files: [file] } });
+      }
     }
-
-    return diffDays;
   };
 
   // Calculate Enhanced Analytics for Combined Data Types
-  const calculateAnalytics = (policyData) => {
-    if (policyData.length === 0) {
+  const calculateAnalytics = (allPolicyData, issuedBook = []) => {
+    if (allPolicyData.length === 0) {
       setAnalytics({});
       return;
     }
 
+    // Recovered policies only count towards the recovery rate
+    const recovery = getRecoveryStats(allPolicyData);
+    const policyData = allPolicyData.filter((policy) => !isRecovered(policy));
+
+    // With an in-force book loaded, rates are lapses over issued policies;
+    // without one they fall back to the lapse list itself
+    const issuedPolicies =
+      issuedBook.length > 0 ? getIssuedPolicies(issuedBook, allPolicyData) : [];
+    const issuedByProduct = countIssuedBy(
+      issuedPolicies,
+      (p) => p.product || p.Product
+    );
+    const issuedByAgent = countIssuedBy(
+      issuedPolicies,
+      (p) => p.agent_name || p.WA_Name
+    );
+    const issuedByState = countIssuedBy(issuedPolicies, (p) => p.issue_state);
+    const getIssuedCount = (issuedCounts, key, lapsedCount) =>
+      Math.max(issuedCounts[normalizeGroupKey(key)] || 0, lapsedCount);
+
     // Separate data by type
     const nsfPolicies = policyData.filter(
       (p) => p.source === "nsf" || p.termination_type === "nsf"
@@ -954,68 +1362,15 @@ function App() {
           ? perf.durations.reduce((sum, d) => sum + d, 0) /
             perf.durations.length
           : 0;
+      perf.issuedCount = getIssuedCount(issuedByProduct, product, perf.count);
       perf.terminationRate = (
-        ((perf.nsfCount + perf.cancellationCount) / perf.count) *
+        ((perf.nsfCount + perf.cancellationCount) / perf.issuedCount) *
         100
       ).toFixed(1);
     });
 
-    // Enhanced Agent performance
-    const agentPerformance = {};
-    policyData.forEach((policy) => {
-      const agent = policy.agent_name || policy.WA_Name || "Unknown";
-      if (!agentPerformance[agent]) {
-        agentPerformance[agent] = {
-          count: 0,
-          totalPremium: 0,
-          durations: [],
-          avgDuration: 0,
-          avgPremium: 0,
-          nsfCount: 0,
-          cancellationCount: 0,
-          riskScore: 0,
-          retentionScore: 0,
-        };
-      }
-      agentPerformance[agent].count++;
-      agentPerformance[agent].totalPremium += policy.annual_premium || 0;
-
-      if (policy.source === "nsf" || policy.termination_type === "nsf") {
-        agentPerformance[agent].nsfCount++;
-      } else if (
-        policy.source === "cancellation" ||
-        policy.termination_type === "cancellation"
-      ) {
-        agentPerformance[agent].cancellationCount++;
-      }
-
-      if (policy.duration != null && policy.duration > 0) {
-        agentPerformance[agent].durations.push(policy.duration);
-      }
-    });
-
-    // Calculate averages and risk scores for agents
-    Object.keys(agentPerformance).forEach((agent) => {
-      const perf = agentPerformance[agent];
-      perf.avgPremium = perf.count > 0 ? perf.totalPremium / perf.count : 0;
-      perf.avgDuration =
-        perf.durations.length > 0
-          ? perf.durations.reduce((sum, d) => sum + d, 0) /
-            perf.durations.length
-          : 0;
-
-      // Enhanced risk scoring: NSF = high risk, Cancellation = medium risk
-      perf.riskScore =
-        perf.nsfCount * 3 +
-        perf.cancellationCount * 1.5 +
-        (perf.avgDuration < 30 ? perf.count : 0);
-
-      // Retention score: higher duration = better retention
-      perf.retentionScore = Math.max(
-        0,
-        100 - ((perf.nsfCount + perf.cancellationCount) / perf.count) * 100
-      );
-    });
+    // Agent performance and risk scores (shared with the digest emails)
+    const agentPerformance = getAgentPerformance(policyData, issuedByAgent);
 
     // Termination Reasons analysis
     const terminationReasons = {};
@@ -1055,8 +1410,9 @@ function App() {
     Object.keys(stateDistribution).forEach((state) => {
       const dist = stateDistribution[state];
       dist.avgPremium = dist.count > 0 ? dist.totalPremium / dist.count : 0;
+      dist.issuedCount = getIssuedCount(issuedByState, state, dist.count);
       dist.terminationRate = (
-        ((dist.nsfCount + dist.cancellationCount) / dist.count) *
+        ((dist.nsfCount + dist.cancellationCount) / dist.issuedCount) *
         100
       ).toFixed(1);
     });
@@ -1086,17 +1442,7 @@ function App() {
 
     // Enhanced insights
     const insights = {
-      highRiskAgents: Object.entries(agentPerformance)
-        .filter(([_, perf]) => perf.riskScore > 15)
-        .sort((a, b) => b[1].riskScore - a[1].riskScore)
-        .slice(0, 5)
-        .map(([agent, perf]) => ({
-          agent,
-          riskScore: perf.riskScore.toFixed(1),
-          nsfCount: perf.nsfCount,
-          cancellationCount: perf.cancellationCount,
-          retentionScore: perf.retentionScore.toFixed(1),
-        })),
+      highRiskAgents: getHighRiskAgents(agentPerformance),
 
       topProducts: Object.entries(productPerformance)
         .sort((a, b) => b[1].count - a[1].count)
@@ -1104,6 +1450,7 @@ function App() {
         .map(([product, perf]) => ({
           product,
           count: perf.count,
+          issuedCount: perf.issuedCount,
           avgPremium: perf.avgPremium,
           terminationRate: perf.terminationRate,
           nsfCount: perf.nsfCount,
@@ -1116,6 +1463,7 @@ function App() {
         .map(([state, dist]) => ({
           state,
           count: dist.count,
+          issuedCount: dist.issuedCount,
           avgPremium: dist.avgPremium,
           terminationRate: dist.terminationRate,
           nsfCount: dist.nsfCount,
@@ -1144,6 +1492,8 @@ function App() {
       terminationReasons,
       stateDistribution,
       insights,
+      recovery,
+      issuedBook: getIssuedBookStats(issuedBook, allPolicyData),
     });
   };
 
@@ -1158,22 +1508,48 @@ function App() {
   };
 
   // Generate Action Items and Retention Tasks
-  const generateActionItems = async (policyData) => {
+  const generateActionItems = async (policyData, issuedBook = inforceData) => {
     try {
+      // Recovered policies need no further action
+      const openPolicies = policyData.filter((policy) => !isRecovered(policy));
+
       // Generate traditional action items
       const actionGenerator = new ActionGenerator();
-      const generatedActions = actionGenerator.generateActions(policyData);
+      const generatedActions = actionGenerator.generateActions(
+        openPolicies,
+        issuedBook
+      );
       setActions(generatedActions);
 
-      // Generate retention tasks for the team
-      const tasks = await taskService.generateRetentionTasks(policyData);
-      const taskArray = Array.isArray(tasks) ? tasks : [];
-      setRetentionTasks(taskArray);
+      // Generate retention tasks for the team; specialists only see their
+      // own, and only managers save the generated tasks
+      const user = authService.getCurrentUser();
+      const tasks = await taskService.generateRetentionTasks(openPolicies);
+      const taskArray = (Array.isArray(tasks) ? tasks : []).filter(
+        (task) =>
+          !isLimitedToOwnWork(user) || task.assignedTo === user.displayName
+      );
+
+      // Follow-up tasks come from logged contact attempts rather than the
+      // policies, so they are loaded alongside the generated ones
+      const followUps = (await taskService.getOpenFollowUpTasks())
+        .filter(
+          (task) =>
+            !isLimitedToOwnWork(user) || task.assignedTo === user.displayName
+        )
+        .map((task) => ({
+          ...task,
+          policy: openPolicies.find(
+            (policy) => String(policy.policy_nbr) === String(task.policyNumber)
+          ),
+        }));
+      setRetentionTasks([...taskArray, ...followUps]);
 
-              // Save all tasks to database
+      if (can(user, "tasks:manage")) {
         for (const task of taskArray) {
           await taskService.saveTask(task);
         }
+      }
 
       if (process.env.NODE_ENV === 'development') {
         console.log(`📋 Generated ${taskArray.length} retention tasks`);
@@ -1184,8 +1560,12 @@ function App() {
   };
 
   // Dynamic Data Query System
+  // Recovered policies are hidden from the lapse list unless the "Recovered"
+  // source is selected; includeRecovered keeps them for analytics.
+  // dimensionsOnly applies just the date/product/agent/premium/state filters
+  // (used for the in-force book, which has no reasons or sources)
   const applyFilters = useCallback(
-    (sourceData) => {
+    (sourceData, { includeRecovered = false, dimensionsOnly = false } = {}) => {
       let filtered = [...sourceData];
 
       // Apply filters
@@ -1227,6 +1607,9 @@ function App() {
           item.issue_state?.toLowerCase().includes(filters.state.toLowerCase())
         );
       }
+      if (dimensionsOnly) {
+        return filtered;
+      }
       if (filters.reason) {
         filtered = filtered.filter(
           (item) =>
@@ -1236,7 +1619,16 @@ function App() {
               .includes(filters.reason.toLowerCase())
         );
       }
-      if (filters.dataSource && filters.dataSource !== "all") {
+      if (filters.dataSource === "recovered") {
+        filtered = filtered.filter(isRecovered);
+      } else if (!includeRecovered) {
+        filtered = filtered.filter((item) => !isRecovered(item));
+      }
+      if (
+        filters.dataSource &&
+        filters.dataSource !== "all" &&
+        filters.dataSource !== "recovered"
+      ) {
         filtered = filtered.filter(
           (item) =>
             item.source === filters.dataSource ||
@@ -1265,6 +1657,12 @@ function App() {
     [filters, searchTerm]
   );
 
+  // In-force book narrowed by the same dimension filters as the lapse list
+  const filteredInforceData = useMemo(
+    () => applyFilters(inforceData, { dimensionsOnly: true }),
+    [inforceData, applyFilters]
+  );
+
   // Filter and Sort Logic with Dynamic Analytics
   useEffect(() => {
     const filtered = applyFilters(data);
@@ -1284,13 +1682,22 @@ function App() {
 
     setFilteredData(filtered);
 
-    // Calculate analytics on filtered data for dynamic insights
-    if (filtered.length > 0) {
-      calculateAnalytics(filtered);
+    // Calculate analytics on filtered data for dynamic insights, keeping
+    // recovered policies so the recovery rate reflects the same filters
+    const analyticsData = applyFilters(data, { includeRecovered: true });
+    if (analyticsData.length > 0) {
+      calculateAnalytics(analyticsData, filteredInforceData);
     }
 
     setCurrentPage(1);
-  }, [data, filters, searchTerm, sortConfig, applyFilters]);
+  }, [
+    data,
+    filters,
+    searchTerm,
+    sortConfig,
+    applyFilters,
+    filteredInforceData,
+  ]);
 
   // Effect to update combined data when individual arrays change
   useEffect(() => {
@@ -1364,6 +1771,14 @@ function App() {
   };
 
   // Task Management Handlers
+  // A follow-up task created from a contact attempt (already saved)
+  const handleTaskCreate = (newTask) => {
+    setRetentionTasks((prevTasks) => [
+      ...prevTasks.filter((task) => task.id !== newTask.id),
+      newTask,
+    ]);
+  };
+
   const handleTaskUpdate = async (taskId, status) => {
     try {
       setRetentionTasks((prevTasks) =>
@@ -1430,6 +1845,18 @@ function App() {
     }
   };
 
+  // Roll back an upload and reload what remains in the database
+  const handleRollbackUpload = async (upload) => {
+    const deletedCount = await DatabaseService.rollbackUpload(upload.id);
+    if (process.env.NODE_ENV === 'development') {
+      console.log(
+        `↩️ Rolled back ${upload.file_name}: ${deletedCount} rows removed`
+      );
+    }
+    await loadDataFromDatabase();
+    return deletedCount;
+  };
+
   // Handle insight click
   const handleInsightClick = (insight, type) => {
     setSelectedInsight({ ...insight, type });
@@ -1615,6 +2042,30 @@ function App() {
     },
     { id: "analytics", name: "Analytics", icon: DollarSign },
     { id: "persistency", name: "Persistency", icon: Target },
+    ...(can(currentUser, "uploads:write")
+      ? [{ id: "uploads", name: "Uploads", icon: FileText }]
+      : []),
+    ...(can(currentUser, "workflows:read")
+      ? [{ id: "workflows", name: "Workflows", icon: Workflow }]
+      : []),
+    ...(can(currentUser, "email:read")
+      ? [{ id: "sent", name: "Sent", icon: Send }]
+      : []),
+    ...(can(currentUser, "contacts:read")
+      ? [{ id: "contacts", name: "Contacts", icon: BookUser }]
+      : []),
+    ...(can(currentUser, "templates:manage")
+      ? [{ id: "templates", name: "Templates", icon: Mail }]
+      : []),
+    ...(can(currentUser, "digests:manage")
+      ? [{ id: "digests", name: "Digests", icon: Calendar }]
+      : []),
+    ...(can(currentUser, "jobs:manage")
+      ? [{ id: "jobs", name: "Jobs", icon: Layers }]
+      : []),
+    ...(can(currentUser, "users:manage")
+      ? [{ id: "users", name: "Users", icon: Shield }]
+      : []),
   ];
 
   // Mobile Navigation Component
@@ -1698,6 +2149,10 @@ function App() {
     </div>
   );
 
+  if (!currentUser) {
+    return <LoginScreen authService={authService} onLogin={setCurrentUser} />;
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-50 via-blue-50 to-indigo-50">
       {/* Header */}
@@ -1731,6 +2186,25 @@ function App() {
                 isMobile ? "flex-col space-y-2" : "items-center space-x-3"
               }`}
             >
+              {/* Signed-in User */}
+              <div className="flex items-center space-x-2">
+                <div className="text-right">
+                  <p className="text-sm font-medium text-gray-900">
+                    {currentUser.displayName}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {ROLE_LABELS[currentUser.role] || currentUser.role}
+                  </p>
+                </div>
+                <button
+                  onClick={() => authService.logout()}
+                  title="Sign out"
+                  className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 transition-colors"
+                >
+                  <LogOut className="h-4 w-4 text-gray-600" />
+                </button>
+              </div>
+
               {/* Database Status */}
               <div className="flex items-center space-x-2">
                 <div
@@ -1824,12 +2298,81 @@ function App() {
           <TaskDashboard
             tasks={retentionTasks}
             onTaskUpdate={handleTaskUpdate}
+            canUpdate={can(currentUser, "tasks:update")}
+            canManage={can(currentUser, "tasks:manage")}
+            canReport={can(currentUser, "tasks:report")}
+            onTaskCreate={handleTaskCreate}
+            smsService={smsService}
+            canText={can(currentUser, "sms:send")}
           />
         )}
 
+        {currentView === "uploads" && can(currentUser, "uploads:write") && (
+          <div className="p-6">
+            <UploadHistory onRollback={handleRollbackUpload} />
+          </div>
+        )}
+
+        {currentView === "workflows" && can(currentUser, "workflows:read") && (
+          <div className="p-6">
+            <WorkflowRuns n8nService={n8nService} />
+          </div>
+        )}
+
+        {currentView === "sent" && can(currentUser, "email:read") && (
+          <div className="p-6">
+            <SentCommunications emailService={emailService} />
+          </div>
+        )}
+
+        {currentView === "contacts" && can(currentUser, "contacts:read") && (
+          <div className="p-6">
+            <ContactDirectory
+              contactService={contactService}
+              canManage={can(currentUser, "contacts:manage")}
+            />
+          </div>
+        )}
+
+        {currentView === "templates" &&
+          can(currentUser, "templates:manage") && (
+            <div className="p-6">
+              <EmailTemplates
+                emailService={emailService}
+                actionService={actionService}
+              />
+            </div>
+          )}
+
+        {currentView === "digests" && can(currentUser, "digests:manage") && (
+          <div className="p-6">
+            <DigestSchedules digestService={digestService} />
+          </div>
+        )}
+
+        {currentView === "jobs" && can(currentUser, "jobs:manage") && (
+          <div className="p-6">
+            <JobQueue jobService={jobService} />
+          </div>
+        )}
+
+        {currentView === "users" && can(currentUser, "users:manage") && (
+          <div className="p-6">
+            <UserManagement
+              authService={authService}
+              currentUser={currentUser}
+            />
+          </div>
+        )}
+
         {currentView === "persistency" && (
           <div className="p-6">
-            <PersistencyAnalytics data={data} filteredData={filteredData} />
+            <PersistencyAnalytics
+              data={data}
+              filteredData={filteredData}
+              recovery={analytics.recovery}
+              inforceData={filteredInforceData}
+            />
           </div>
         )}
 
@@ -1896,7 +2439,11 @@ function App() {
                       </div>
                       <div className="text-xs text-gray-600 space-y-1">
                         <div className="flex justify-between">
-                          <span>Latest Data:</span>
+                          <span>
+                            {dataFreshness.source === "auto_ingest"
+                              ? "Last Auto-Ingest:"
+                              : "Latest Data:"}
+                          </span>
                           <span className="font-medium">
                             {dataFreshness.latestDate}
                           </span>
@@ -1959,7 +2506,7 @@ function App() {
                     <label className="block text-sm font-medium text-gray-700 mb-2">
                       Data Source
                     </label>
-                    <div className="grid grid-cols-3 gap-2">
+                    <div className="grid grid-cols-2 gap-2">
                       <button
                         onClick={() =>
                           setFilters((prev) => ({ ...prev, dataSource: "" }))
@@ -1999,6 +2546,21 @@ function App() {
                       >
                         Cancel
                       </button>
+                      <button
+                        onClick={() =>
+                          setFilters((prev) => ({
+                            ...prev,
+                            dataSource: "recovered",
+                          }))
+                        }
+                        className={`px-3 py-2 text-xs rounded-lg font-medium transition-all ${
+                          filters.dataSource === "recovered"
+                            ? "bg-green-600 text-white"
+                            : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        }`}
+                      >
+                        Recovered
+                      </button>
                     </div>
                   </div>
 
@@ -2183,8 +2745,20 @@ function App() {
                 data.length > 0 ? "" : "max-w-7xl mx-auto"
               }`}
             >
+              {/* Nothing loaded and no permission to upload */}
+              {data.length === 0 && !can(currentUser, "uploads:write") && (
+                <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-8 mb-8 text-center">
+                  <Database className="h-8 w-8 text-gray-400 mx-auto mb-3" />
+                  <p className="text-gray-600">
+                    {dbLoading
+                      ? "Loading policy data..."
+                      : "No policy data has been uploaded yet."}
+                  </p>
+                </div>
+              )}
+
               {/* Enhanced Multi-File Upload Section */}
-              {data.length === 0 && (
+              {data.length === 0 && can(currentUser, "uploads:write") && (
                 <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-8 mb-8 animate-fade-in">
                   {/* Upload Mode Selection */}
                   <div className="mb-6">
@@ -2222,6 +2796,26 @@ function App() {
                       >
                         Cancellation Data
                       </button>
+                      <button
+                        onClick={() => setUploadMode("reinstatement")}
+                        className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
+                          uploadMode === "reinstatement"
+                            ? "bg-green-600 text-white shadow-lg"
+                            : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        }`}
+                      >
+                        Reinstatements & Payments
+                      </button>
+                      <button
+                        onClick={() => setUploadMode("inforce")}
+                        className={`px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
+                          uploadMode === "inforce"
+                            ? "bg-indigo-600 text-white shadow-lg"
+                            : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+                        }`}
+                      >
+                        In-Force Book
+                      </button>
                     </div>
                     <p className="text-sm text-gray-600 mt-2">
                       {uploadMode === "detect" &&
@@ -2230,6 +2824,10 @@ function App() {
                         "Upload NSF (Non-Sufficient Funds) policy data"}
                       {uploadMode === "cancellation" &&
                         "Upload voluntary cancellation policy data"}
+                      {uploadMode === "reinstatement" &&
+                        "Upload reinstatements and payments received to mark lapsed policies recovered"}
+                      {uploadMode === "inforce" &&
+                        "Upload the issued/in-force book so lapse and persistency rates use real issued counts"}
                     </p>
                   </div>
 
@@ -2245,14 +2843,16 @@ function App() {
                       Upload Policy Data
                     </h3>
                     <p className="text-gray-600 mb-6 text-lg">
-                      Drag and drop your CSV file here, or click to browse
+                      Drag and drop your CSV, Excel or fixed-width file here,
+                      or click to browse
                     </p>
                     <p className="text-sm text-gray-500 mb-6">
-                      Supports both NSF and Cancellation data formats
+                      Supports NSF, Cancellation, Reinstatement/Payment and
+                      In-Force Book data formats
                     </p>
                     <input
                       type="file"
-                      accept=".csv"
+                      accept={ACCEPTED_FILE_TYPES}
                       onChange={handleFileUpload}
                       className="hidden"
                       id="file-upload"
@@ -2332,59 +2932,65 @@ function App() {
                       </button>
 
                       {/* Clear Database Button */}
-                      <button
-                        onClick={async () => {
-                          if (
-                            window.confirm(
-                              "Are you sure you want to clear all data from the database? This action cannot be undone."
-                            )
-                          ) {
-                            try {
-                              setDbLoading(true);
-                              await DatabaseService.clearAllPolicies();
-                              setData([]);
-                              setNsfData([]);
-                              setCancellationData([]);
-                              setFilteredData([]);
-                              setAnalytics({});
-                              setDataFreshness(null);
-                              setActions([]);
-                              console.log("✅ Database cleared successfully");
-                              alert("Database cleared successfully!");
-                            } catch (error) {
-                              console.error(
-                                "❌ Error clearing database:",
-                                error
-                              );
-                              alert(
-                                `Error clearing database: ${error.message}`
-                              );
-                            } finally {
-                              setDbLoading(false);
+                      {can(currentUser, "data:clear") && (
+                        <button
+                          onClick={async () => {
+                            if (
+                              window.confirm(
+                                "Are you sure you want to clear all data from the database? This action cannot be undone."
+                              )
+                            ) {
+                              try {
+                                setDbLoading(true);
+                                await DatabaseService.clearAllPolicies();
+                                setData([]);
+                                setNsfData([]);
+                                setCancellationData([]);
+                                setFilteredData([]);
+                                setAnalytics({});
+                                setDataFreshness(null);
+                                setActions([]);
+                                console.log("✅ Database cleared successfully");
+                                alert("Database cleared successfully!");
+                              } catch (error) {
+                                console.error(
+                                  "❌ Error clearing database:",
+                                  error
+                                );
+                                alert(
+                                  `Error clearing database: ${error.message}`
+                                );
+                              } finally {
+                                setDbLoading(false);
+                              }
                             }
-                          }
-                        }}
-                        disabled={dbLoading}
-                        className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-red-600 to-red-700 text-white font-medium rounded-lg shadow-lg hover:from-red-700 hover:to-red-800 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 transform hover:scale-105"
-                      >
-                        <X className="h-4 w-4 mr-2" />
-                        Clear DB
-                      </button>
-
-                      <input
-                        type="file"
-                        accept=".csv"
-                        onChange={handleFileUpload}
-                        className="hidden"
-                        id="add-file-upload"
-                      />
-                      <label
-                        htmlFor="add-file-upload"
-                        className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-600 text-white font-medium rounded-lg shadow-lg hover:from-green-700 hover:to-emerald-700 cursor-pointer transition-all duration-200 transform hover:scale-105"
-                      >
-                        <Plus className="h-4 w-4 mr-2" />
-                        Add More Data
-                      </label>
+                          }}
+                          disabled={dbLoading}
+                          className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-red-600 to-red-700 text-white font-medium rounded-lg shadow-lg hover:from-red-700 hover:to-red-800 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-200 transform hover:scale-105"
+                        >
+                          <X className="h-4 w-4 mr-2" />
+                          Clear DB
+                        </button>
+                      )}
+
+                      {can(currentUser, "uploads:write") && (
+                        <>
+                          <input
+                            type="file"
+                            accept={ACCEPTED_FILE_TYPES}
+                            onChange={handleFileUpload}
+                            className="hidden"
+                            id="add-file-upload"
+                          />
+                          <label
+                            htmlFor="add-file-upload"
+                            className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-600 text-white font-medium rounded-lg shadow-lg hover:from-green-700 hover:to-emerald-700 cursor-pointer transition-all duration-200 transform hover:scale-105"
+                          >
+                            <Plus className="h-4 w-4 mr-2" />
+                            Add More Data
+                          </label>
+                        </>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -2394,7 +3000,7 @@ function App() {
               {data.length > 0 && (
                 <>
                   {/* Stats Cards */}
-                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
                     <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6 hover:shadow-2xl transition-all duration-300 transform hover:-translate-y-1">
                       <div className="flex items-center justify-between">
                         <div>
@@ -2408,6 +3014,14 @@ function App() {
                             NSF: {analytics.nsfCount || 0} | Cancellations:{" "}
                             {analytics.cancellationCount || 0}
                           </p>
+                          {analytics.issuedBook && (
+                            <p className="text-xs text-gray-500 mt-1">
+                              Of{" "}
+                              {analytics.issuedBook.issuedCount.toLocaleString()}{" "}
+                              issued | NSF rate:{" "}
+                              {analytics.issuedBook.nsfRate.toFixed(1)}%
+                            </p>
+                          )}
                         </div>
                         <div className="bg-gradient-to-r from-blue-500 to-blue-600 p-3 rounded-xl shadow-lg">
                           <Users className="h-8 w-8 text-white" />
@@ -2473,6 +3087,29 @@ function App() {
                         </div>
                       </div>
                     </div>
+                    <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6 hover:shadow-2xl transition-all duration-300 transform hover:-translate-y-1">
+                      <div className="flex items-center justify-between">
+                        <div>
+                          <p className="text-sm font-medium text-gray-600">
+                            Recovery Rate
+                          </p>
+                          <p className="text-3xl font-bold text-gray-900 mt-2">
+                            {(analytics.recovery?.recoveryRate || 0).toFixed(1)}
+                            %
+                          </p>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {analytics.recovery?.recoveredCount || 0} recovered
+                            | $
+                            {Math.round(
+                              analytics.recovery?.recoveredPremium || 0
+                            ).toLocaleString()}
+                          </p>
+                        </div>
+                        <div className="bg-gradient-to-r from-green-500 to-emerald-600 p-3 rounded-xl shadow-lg">
+                          <CheckCircle className="h-8 w-8 text-white" />
+                        </div>
+                      </div>
+                    </div>
                   </div>
 
                   {/* Enhanced Insights Panel */}
@@ -2897,6 +3534,11 @@ function App() {
                                     ? "NSF"
                                     : "Cancellation"}
                                 </span>
+                                {isRecovered(item) && (
+                                  <span className="ml-1 px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">
+                                    Recovered
+                                  </span>
+                                )}
                               </td>
                               <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                                 {item.termination_reason || item.Reason}
@@ -3101,6 +3743,55 @@ function App() {
           onSendEmail={handleSendEmail}
           onTriggerWorkflow={triggerWorkflow}
           onUpdateActions={setActions}
+          currentUser={currentUser}
+        />
+      )}
+
+      {/* Column Mapping Modal */}
+      {pendingMapping && (
+        <ColumnMappingModal
+          fileName={pendingMapping.file.name}
+          headers={pendingMapping.headers}
+          sampleRow={pendingMapping.session.sampleRow}
+          initialDataType={pendingMapping.dataType}
+          profiles={mappingProfiles}
+          onConfirm={handleMappingConfirm}
+          onCancel={handleMappingCancel}
+          onDeleteProfile={handleDeleteMappingProfile}
+        />
+      )}
+
+      {/* Sheet Picker Modal */}
+      {pendingSheetSelection && (
+        <SheetPickerModal
+          fileName={pendingSheetSelection.file.name}
+          workbook={pendingSheetSelection.workbook}
+          onSelect={handleSheetSelect}
+          onCancel={handleSheetCancel}
+        />
+      )}
+
+      {/* Fixed-Width Layout Modal */}
+      {pendingFixedWidth && (
+        <FixedWidthLayoutModal
+          fileName={pendingFixedWidth.file.name}
+          text={pendingFixedWidth.text}
+          layouts={fixedWidthLayouts}
+          onConfirm={handleFixedWidthConfirm}
+          onCancel={handleFixedWidthCancel}
+          onDeleteLayout={handleDeleteFixedWidthLayout}
+        />
+      )}
+
+      {/* Import Review Modal */}
+      {pendingImport && (
+        <ImportReviewModal
+          fileName={pendingImport.file.name}
+          profile={pendingImport.profile}
+          report={pendingImport.report}
+          onAccept={handleImportAccept}
+          onDateFormatChange={handleDateFormatOverride}
+          onCancel={handleImportCancel}
         />
       )}
 
@@ -3117,9 +3808,80 @@ function App() {
       {/* Loading Overlay */}
       {loading && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 flex items-center space-x-4">
-            <RefreshCw className="h-6 w-6 animate-spin text-blue-600" />
-            <span className="text-lg font-medium">Processing...</span>
+          <div className="bg-white rounded-lg p-6 w-80">
+            <div className="flex items-center space-x-4">
+              <RefreshCw className="h-6 w-6 animate-spin text-blue-600" />
+              <span className="text-lg font-medium">
+                {uploadStage === "parsing"
+                  ? "Reading file..."
+                  : uploadStage === "saving"
+                  ? "Saving policies..."
+                  : "Processing..."}
+              </span>
+            </div>
+            {uploadStage && (
+              <div className="mt-4">
+                <div className="bg-gray-200 rounded-full h-2">
+                  <div
+                    className="bg-blue-600 h-2 rounded-full transition-all duration-300"
+                    style={{ width: `${uploadProgress}%` }}
+                  ></div>
+                </div>
+                <div className="flex items-center justify-between mt-2">
+                  <span className="text-sm text-gray-500">
+                    {uploadProgress}%
+                  </span>
+                  <button
+                    onClick={handleCancelUpload}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Interrupted Import Banner */}
+      {interruptedImport && !loading && (
+        <div className="fixed bottom-4 right-4 z-40 max-w-sm bg-white border border-yellow-300 rounded-lg shadow-lg p-4">
+          <div className="flex items-start">
+            <AlertTriangle className="h-5 w-5 text-yellow-600 mr-3 mt-0.5" />
+            <div className="flex-1">
+              <p className="text-sm font-medium text-gray-900">
+                Import paused at batch {interruptedImport.nextBatch + 1} of{" "}
+                {interruptedImport.totalBatches}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                {interruptedImport.message ||
+                  "Cancelled before all batches were saved."}
+              </p>
+              {!interruptedImport.session && (
+                <p className="text-xs text-gray-500 mt-1">
+                  Upload {interruptedImport.fileName} again to continue from
+                  this batch.
+                </p>
+              )}
+              <div className="flex space-x-2 mt-3">
+                {interruptedImport.session && (
+                  <button
+                    onClick={handleResumeImport}
+                    className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                  >
+                    <RefreshCw className="h-3 w-3 mr-1" />
+                    Resume Import
+                  </button>
+                )}
+                <button
+                  onClick={handleDiscardImport}
+                  className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-gray-700 bg-white border border-gray-300 hover:bg-gray-50"
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
           </div>
         </div>
       )}
@@ -3130,6 +3892,12 @@ function App() {
             <CustomerContactPanel 
               task={retentionTasks.find(task => task.priority === 'high')} 
               policy={retentionTasks.find(task => task.priority === 'high')?.policy}
+              emailService={
+                can(currentUser, "email:read") ? emailService : null
+              }
+              smsService={smsService}
+              contactService={contactService}
+              canText={can(currentUser, "sms:send")}
             />
           </div>
         )}
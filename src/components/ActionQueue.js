@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   Clock,
   CheckCircle,
@@ -21,6 +21,7 @@ import {
   ChevronDown,
   ChevronRight,
 } from "lucide-react";
+import { can, canWorkOnAction } from "../utils/permissions";
 
 // Utility functions moved outside component for broader access
 const getPriorityColor = (priority) => {
@@ -51,13 +52,91 @@ const getStatusColor = (status) => {
   }
 };
 
+const formatStatus = (status) =>
+  status ? status.replace("_", " ").toUpperCase() : "NONE";
+
+// One line of the action audit trail
+const describeHistoryEvent = (event) => {
+  const details = event.details || {};
+  switch (event.type) {
+    case "created":
+      return `Created as ${formatStatus(details.status)}`;
+    case "status_changed":
+      return `Status changed from ${formatStatus(
+        details.from
+      )} to ${formatStatus(details.to)}`;
+    case "reassigned":
+      return `Reassigned from ${details.from || "unassigned"} to ${
+        details.to || "unassigned"
+      }`;
+    case "note_added":
+      return `Note: ${details.note}`;
+    case "executed": {
+      const results = details.results || [];
+      const queued = results.filter((result) => result.jobId).length;
+      if (queued > 0) {
+        return `Executed (${details.executionType}): ${queued} of ${results.length} queued`;
+      }
+      const succeeded = results.filter((result) => result.success).length;
+      return `Executed (${details.executionType}): ${succeeded} of ${results.length} succeeded`;
+    }
+    case "updated":
+      return `Updated ${(details.fields || []).join(", ")}`;
+    case "deleted":
+      return "Deleted";
+    case "workflow_succeeded":
+      return `Workflow ${details.workflowType} succeeded`;
+    case "workflow_failed":
+      return `Workflow ${details.workflowType} failed: ${details.error}`;
+    default:
+      return event.type;
+  }
+};
+
+// Actions per page when paging server-side
+const PAGE_SIZE = 25;
+
+// Fields the table needs; the full action (with its policies) is fetched
+// when a row is expanded or opened
+const LIST_FIELDS = [
+  "type",
+  "title",
+  "description",
+  "priority",
+  "status",
+  "dueDate",
+  "createdAt",
+  "agentName",
+  "assignedTo",
+  "notes",
+  "estimatedImpact",
+];
+
+// Types ActionGenerator creates (the type filter when paging server-side)
+const ACTION_TYPES = [
+  "agent_training",
+  "high_value_recovery",
+  "product_analysis",
+  "seasonal_alert",
+  "batch_recovery",
+  "underwriting_review",
+];
+
+// Pass actionService to page, filter and sort on the server instead of
+// working on the actions prop. Pass currentUser to hide what their role
+// can't do; the server enforces the same rules.
 const ActionQueue = ({
   actions = [],
   onActionUpdate,
   onExecuteAction,
   emailService,
   n8nService,
+  actionService,
+  currentUser,
 }) => {
+  const isServerSide = Boolean(actionService);
+  const canWork = (action) =>
+    !currentUser || canWorkOnAction(currentUser, action);
   const [filteredActions, setFilteredActions] = useState(actions);
   const [filters, setFilters] = useState({
     status: "all",
@@ -73,13 +152,50 @@ const ActionQueue = ({
   const [showFilters, setShowFilters] = useState(false);
   const [expandedActions, setExpandedActions] = useState(new Set());
 
+  // Server-side paging: the cursor of each page visited (the last one is
+  // the current page) and the totals from the latest response
+  const [pageCursors, setPageCursors] = useState([null]);
+  const [serverPage, setServerPage] = useState({ total: 0, nextCursor: null });
+  const [pageLoading, setPageLoading] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const currentCursor = pageCursors[pageCursors.length - 1];
+
   useEffect(() => {
-    setFilteredActions(actions);
-  }, [actions]);
+    if (!isServerSide) setFilteredActions(actions);
+  }, [actions, isServerSide]);
 
   useEffect(() => {
-    filterAndSortActions();
-  }, [actions, filters, sortConfig]);
+    if (!isServerSide) filterAndSortActions();
+  }, [actions, filters, sortConfig, isServerSide]);
+
+  useEffect(() => {
+    if (!actionService) return;
+
+    let cancelled = false;
+    setPageLoading(true);
+    actionService
+      .getActions({
+        ...filters,
+        sort: sortConfig.key,
+        order: sortConfig.direction,
+        limit: PAGE_SIZE,
+        cursor: currentCursor,
+        fields: LIST_FIELDS.join(","),
+      })
+      .then((result) => {
+        if (cancelled) return;
+        setFilteredActions(result.data);
+        setServerPage({ total: result.total, nextCursor: result.nextCursor });
+      })
+      .catch((error) => console.error("Error loading actions:", error))
+      .finally(() => {
+        if (!cancelled) setPageLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [actionService, filters, sortConfig, currentCursor, refreshKey]);
 
   const filterAndSortActions = () => {
     let filtered = [...actions];
@@ -138,6 +254,7 @@ const ActionQueue = ({
   };
 
   const handleSort = (key) => {
+    setPageCursors([null]);
     setSortConfig((prevConfig) => ({
       key,
       direction:
@@ -148,19 +265,38 @@ const ActionQueue = ({
   };
 
   const handleFilterChange = (filterType, value) => {
+    setPageCursors([null]);
     setFilters((prev) => ({
       ...prev,
       [filterType]: value,
     }));
   };
 
-  const handleActionClick = (action) => {
-    setSelectedAction(action);
+  // Server-side rows leave out policies; load the whole action when needed
+  const loadFullAction = async (action) => {
+    if (!isServerSide) return action;
+
+    try {
+      const fullAction = await actionService.getAction(action.id);
+      setFilteredActions((prev) =>
+        prev.map((a) => (a.id === fullAction.id ? fullAction : a))
+      );
+      return fullAction;
+    } catch (error) {
+      console.error("Error loading action:", error);
+      return action;
+    }
+  };
+
+  const handleActionClick = async (action) => {
+    setSelectedAction(await loadFullAction(action));
   };
 
   const handleStatusUpdate = async (actionId, newStatus, notes = "") => {
     try {
-      const action = actions.find((a) => a.id === actionId);
+      const action = (isServerSide ? filteredActions : actions).find(
+        (a) => a.id === actionId
+      );
       if (!action) return;
 
       const updatedAction = {
@@ -170,6 +306,14 @@ const ActionQueue = ({
         notes: notes || action.notes,
       };
 
+      if (isServerSide) {
+        await actionService.updateAction(actionId, {
+          status: newStatus,
+          notes: updatedAction.notes,
+        });
+        setRefreshKey((key) => key + 1);
+      }
+
       if (onActionUpdate) {
         await onActionUpdate(updatedAction);
       }
@@ -178,10 +322,34 @@ const ActionQueue = ({
     }
   };
 
+  const handleAddNote = async (actionId, note) => {
+    try {
+      const action = (isServerSide ? filteredActions : actions).find(
+        (a) => a.id === actionId
+      );
+      if (!action || !note.trim()) return;
+
+      if (isServerSide) {
+        await actionService.updateAction(actionId, { notes: note });
+        setRefreshKey((key) => key + 1);
+      }
+
+      if (onActionUpdate) {
+        await onActionUpdate({
+          ...action,
+          notes: note,
+          updatedAt: new Date().toISOString(),
+        });
+      }
+    } catch (error) {
+      console.error("Error adding note:", error);
+    }
+  };
+
   const handleExecuteAction = async (action) => {
     try {
       if (onExecuteAction) {
-        await onExecuteAction(action);
+        await onExecuteAction(await loadFullAction(action));
       }
 
       // Auto-update status to in_progress
@@ -192,6 +360,10 @@ const ActionQueue = ({
   };
 
   const toggleActionExpansion = (actionId) => {
+    if (!expandedActions.has(actionId)) {
+      const action = filteredActions.find((a) => a.id === actionId);
+      if (action) loadFullAction(action);
+    }
     setExpandedActions((prev) => {
       const newSet = new Set(prev);
       if (newSet.has(actionId)) {
@@ -249,6 +421,7 @@ const ActionQueue = ({
   };
 
   const getActionTypes = () => {
+    if (isServerSide) return ACTION_TYPES;
     const types = [...new Set(actions.map((action) => action.type))];
     return types;
   };
@@ -267,7 +440,9 @@ const ActionQueue = ({
               Filters
             </button>
             <div className="text-sm text-gray-500">
-              {filteredActions.length} of {actions.length} actions
+              {isServerSide
+                ? `${filteredActions.length} of ${serverPage.total} actions`
+                : `${filteredActions.length} of ${actions.length} actions`}
             </div>
           </div>
         </div>
@@ -519,7 +694,7 @@ const ActionQueue = ({
                     >
                       <Eye className="h-4 w-4" />
                     </button>
-                    {action.status === "pending" && (
+                    {action.status === "pending" && canWork(action) && (
                       <button
                         onClick={() => handleExecuteAction(action)}
                         className="text-green-600 hover:text-green-900"
@@ -527,7 +702,7 @@ const ActionQueue = ({
                         <Play className="h-4 w-4" />
                       </button>
                     )}
-                    {action.status === "in_progress" && (
+                    {action.status === "in_progress" && canWork(action) && (
                       <button
                         onClick={() => handleStatusUpdate(action.id, "pending")}
                         className="text-yellow-600 hover:text-yellow-900"
@@ -536,16 +711,17 @@ const ActionQueue = ({
                       </button>
                     )}
                     {(action.status === "pending" ||
-                      action.status === "in_progress") && (
-                      <button
-                        onClick={() =>
-                          handleStatusUpdate(action.id, "completed")
-                        }
-                        className="text-green-600 hover:text-green-900"
-                      >
-                        <CheckCircle className="h-4 w-4" />
-                      </button>
-                    )}
+                      action.status === "in_progress") &&
+                      canWork(action) && (
+                        <button
+                          onClick={() =>
+                            handleStatusUpdate(action.id, "completed")
+                          }
+                          className="text-green-600 hover:text-green-900"
+                        >
+                          <CheckCircle className="h-4 w-4" />
+                        </button>
+                      )}
                   </td>
                 </tr>
 
@@ -700,14 +876,51 @@ const ActionQueue = ({
         </table>
       </div>
 
-      {filteredActions.length === 0 && (
+      {/* Server-side Pagination */}
+      {isServerSide && (pageCursors.length > 1 || serverPage.nextCursor) && (
+        <div className="px-6 py-3 flex items-center justify-between border-t border-gray-200">
+          <p className="text-sm text-gray-700">
+            Page <span className="font-medium">{pageCursors.length}</span> of{" "}
+            <span className="font-medium">
+              {Math.max(1, Math.ceil(serverPage.total / PAGE_SIZE))}
+            </span>
+          </p>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setPageCursors((prev) => prev.slice(0, -1))}
+              disabled={pageCursors.length === 1 || pageLoading}
+              className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() =>
+                setPageCursors((prev) => [...prev, serverPage.nextCursor])
+              }
+              disabled={!serverPage.nextCursor || pageLoading}
+              className="relative inline-flex items-center px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
+      {filteredActions.length === 0 && !pageLoading && (
         <div className="text-center py-12">
           <Clock className="mx-auto h-12 w-12 text-gray-400" />
           <h3 className="mt-2 text-sm font-medium text-gray-900">
             No actions found
           </h3>
           <p className="mt-1 text-sm text-gray-500">
-            {actions.length === 0
+            {(
+              isServerSide
+                ? serverPage.total === 0 &&
+                  Object.values(filters).every(
+                    (value) => !value || value === "all"
+                  )
+                : actions.length === 0
+            )
               ? "Upload policy data to generate actions"
               : "Try adjusting your filters"}
           </p>
@@ -720,8 +933,17 @@ const ActionQueue = ({
           action={selectedAction}
           onClose={() => setSelectedAction(null)}
           onStatusUpdate={handleStatusUpdate}
-          emailService={emailService}
-          n8nService={n8nService}
+          onAddNote={handleAddNote}
+          emailService={
+            !currentUser || can(currentUser, "email:send") ? emailService : null
+          }
+          n8nService={
+            !currentUser || can(currentUser, "workflows:trigger")
+              ? n8nService
+              : null
+          }
+          actionService={actionService}
+          canEdit={canWork(selectedAction)}
         />
       )}
     </div>
@@ -733,23 +955,56 @@ const ActionDetailModal = ({
   action,
   onClose,
   onStatusUpdate,
+  onAddNote,
   emailService,
   n8nService,
+  actionService,
+  canEdit = true,
 }) => {
-  const [notes, setNotes] = useState(action.notes || "");
+  const [notes, setNotes] = useState("");
   const [isExecuting, setIsExecuting] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+
+  // The audit trail lives on the server, so it's only shown for server actions
+  const loadHistory = useCallback(async () => {
+    if (!actionService) return;
+
+    setHistoryLoading(true);
+    try {
+      setHistory(await actionService.getActionHistory(action.id));
+    } catch (error) {
+      console.error("Error loading action history:", error);
+    } finally {
+      setHistoryLoading(false);
+    }
+  }, [actionService, action.id]);
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleAddNote = async () => {
+    await onAddNote(action.id, notes);
+    setNotes("");
+    loadHistory();
+  };
+
+  const handleComplete = async () => {
+    await onStatusUpdate(action.id, "completed", notes);
+    setNotes("");
+    loadHistory();
+  };
 
   const handleExecuteEmail = async () => {
     setIsExecuting(true);
     try {
-      if (emailService && action.type === "agent_training") {
-        await emailService.sendAgentTrainingEmail({
-          agentName: action.agentName,
-          nsfCount: action.nsfCount,
-          policies: action.policies,
+      // Action types share their name with the server's email templates
+      if (emailService) {
+        await emailService.sendEmail(action.type, action, {
+          actionId: action.id,
         });
       }
-      // Handle other email types...
     } catch (error) {
       console.error("Error sending email:", error);
     } finally {
@@ -825,15 +1080,65 @@ const ActionDetailModal = ({
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Notes
             </label>
-            <textarea
-              value={notes}
-              onChange={(e) => setNotes(e.target.value)}
-              rows="3"
-              className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-              placeholder="Add notes about this action..."
-            />
+            {!actionService && action.notes && (
+              <p className="text-sm text-gray-600 mb-2">
+                Latest note: {action.notes}
+              </p>
+            )}
+            {canEdit ? (
+              <>
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  rows="3"
+                  className="w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                  placeholder="Add notes about this action..."
+                />
+                <div className="flex justify-end mt-2">
+                  <button
+                    onClick={handleAddNote}
+                    disabled={!notes.trim()}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Add Note
+                  </button>
+                </div>
+              </>
+            ) : (
+              !action.notes && (
+                <p className="text-sm text-gray-500">No notes yet</p>
+              )
+            )}
           </div>
 
+          {/* Audit Trail */}
+          {actionService && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                History
+              </label>
+              {historyLoading && history.length === 0 ? (
+                <p className="text-sm text-gray-500">Loading history...</p>
+              ) : history.length === 0 ? (
+                <p className="text-sm text-gray-500">No history recorded</p>
+              ) : (
+                <ol className="relative border-l border-gray-200 ml-2 space-y-3 max-h-64 overflow-y-auto">
+                  {history.map((event) => (
+                    <li key={event.id} className="ml-4">
+                      <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-blue-500" />
+                      <p className="text-sm text-gray-900">
+                        {describeHistoryEvent(event)}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {event.actor} · {new Date(event.at).toLocaleString()}
+                      </p>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          )}
+
           <div className="flex justify-between items-center pt-4 border-t">
             <div className="flex space-x-2">
               {emailService && (
@@ -859,13 +1164,15 @@ const ActionDetailModal = ({
             </div>
 
             <div className="flex space-x-2">
-              <button
-                onClick={() => onStatusUpdate(action.id, "completed", notes)}
-                className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
-              >
-                <CheckCircle className="h-4 w-4 mr-2" />
-                Mark Complete
-              </button>
+              {canEdit && (
+                <button
+                  onClick={handleComplete}
+                  className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                >
+                  <CheckCircle className="h-4 w-4 mr-2" />
+                  Mark Complete
+                </button>
+              )}
               <button
                 onClick={onClose}
                 className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
@@ -0,0 +1,304 @@
+import React, { useState, useMemo } from "react";
+import { X, Columns, Save, Trash2, AlertTriangle } from "lucide-react";
+import {
+  getFieldsForDataType,
+  getMissingRequiredFields,
+  suggestMappings,
+} from "../utils/columnMapping";
+import { DATE_FIELDS } from "../utils/importValidation";
+import { AUTO_DATE_FORMAT, DATE_FORMATS } from "../utils/dateParsing";
+
+const ColumnMappingModal = ({
+  fileName,
+  headers = [],
+  sampleRow = {},
+  initialDataType = "nsf",
+  profiles = [],
+  onConfirm,
+  onCancel,
+  onDeleteProfile,
+}) => {
+  const [dataType, setDataType] = useState(
+    ["cancellation", "reinstatement", "inforce"].includes(initialDataType)
+      ? initialDataType
+      : "nsf"
+  );
+  const [mappings, setMappings] = useState(() =>
+    suggestMappings(headers, initialDataType)
+  );
+  const [dateFormats, setDateFormats] = useState({});
+  const [selectedProfileId, setSelectedProfileId] = useState("");
+  const [profileName, setProfileName] = useState("");
+  const [saveProfile, setSaveProfile] = useState(true);
+
+  const fields = useMemo(() => getFieldsForDataType(dataType), [dataType]);
+  const savedProfiles = profiles.filter((profile) => !profile.builtIn);
+
+  const draftProfile = {
+    id: profiles.find((p) => p.id === selectedProfileId && !p.builtIn)?.id,
+    name: profileName.trim(),
+    dataType,
+    mappings: Object.fromEntries(
+      fields
+        .filter((field) => mappings[field.key])
+        .map((field) => [field.key, mappings[field.key]])
+    ),
+    dateFormats: Object.fromEntries(
+      Object.entries(dateFormats).filter(
+        ([field, format]) =>
+          mappings[field] && format && format !== AUTO_DATE_FORMAT
+      )
+    ),
+  };
+  const missingRequired = getMissingRequiredFields(draftProfile);
+  const canConfirm =
+    missingRequired.length === 0 && (!saveProfile || draftProfile.name);
+
+  const handleDataTypeChange = (newType) => {
+    setDataType(newType);
+    setSelectedProfileId("");
+    setMappings(suggestMappings(headers, newType));
+  };
+
+  const handleProfileSelect = (profileId) => {
+    setSelectedProfileId(profileId);
+    const profile = profiles.find((p) => p.id === profileId);
+    if (!profile) {
+      setMappings(suggestMappings(headers, dataType));
+      setDateFormats({});
+      return;
+    }
+
+    setDataType(profile.dataType);
+    setDateFormats(profile.dateFormats || {});
+    // Only keep mappings whose source header exists in this file
+    setMappings(
+      Object.fromEntries(
+        Object.entries(profile.mappings).filter(([, source]) =>
+          headers.includes(source)
+        )
+      )
+    );
+    if (!profile.builtIn) {
+      setProfileName(profile.name);
+    }
+  };
+
+  const handleMappingChange = (fieldKey, header) => {
+    setMappings((prev) => ({ ...prev, [fieldKey]: header }));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-11/12 max-w-4xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <Columns className="h-5 w-5 mr-2 text-blue-600" />
+              Map Columns
+            </h3>
+            <p className="text-sm text-gray-500 mt-1">
+              "{fileName}" didn't match a saved mapping profile. Map its{" "}
+              {headers.length} columns to the tracker's fields.
+            </p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Data Type
+            </label>
+            <select
+              value={dataType}
+              onChange={(e) => handleDataTypeChange(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="nsf">NSF</option>
+              <option value="cancellation">Cancellation</option>
+              <option value="reinstatement">Reinstatement / Payment</option>
+              <option value="inforce">In-Force Book</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Start From Profile
+            </label>
+            <select
+              value={selectedProfileId}
+              onChange={(e) => handleProfileSelect(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">Suggested mapping</option>
+              {profiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Tracker Field
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  File Column
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Sample Value
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Date Format
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {fields.map((field) => (
+                <tr key={field.key}>
+                  <td className="px-4 py-2 whitespace-nowrap font-medium text-gray-900">
+                    {field.label}
+                    {field.required && (
+                      <span className="ml-1 text-red-600">*</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2">
+                    <select
+                      value={mappings[field.key] || ""}
+                      onChange={(e) =>
+                        handleMappingChange(field.key, e.target.value)
+                      }
+                      className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    >
+                      <option value="">— Not mapped —</option>
+                      {headers.map((header) => (
+                        <option key={header} value={header}>
+                          {header}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-2 text-gray-500 truncate max-w-xs">
+                    {mappings[field.key]
+                      ? sampleRow[mappings[field.key]] || "—"
+                      : "—"}
+                  </td>
+                  <td className="px-4 py-2">
+                    {DATE_FIELDS.includes(field.key) && (
+                      <select
+                        value={dateFormats[field.key] || AUTO_DATE_FORMAT}
+                        onChange={(e) =>
+                          setDateFormats((prev) => ({
+                            ...prev,
+                            [field.key]: e.target.value,
+                          }))
+                        }
+                        className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                      >
+                        <option value={AUTO_DATE_FORMAT}>
+                          Detect from column
+                        </option>
+                        {DATE_FORMATS.map((format) => (
+                          <option key={format.id} value={format.id}>
+                            {format.label}
+                          </option>
+                        ))}
+                      </select>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {missingRequired.length > 0 && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex items-center">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            Required fields not mapped: {missingRequired.join(", ")}
+          </div>
+        )}
+
+        <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={saveProfile}
+              onChange={(e) => setSaveProfile(e.target.checked)}
+              className="mr-2 rounded border-gray-300"
+            />
+            Save as profile
+          </label>
+          {saveProfile && (
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder="Profile name, e.g. Acme Life NSF"
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          )}
+        </div>
+
+        {savedProfiles.length > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-medium text-gray-700 mb-2">
+              Saved Profiles
+            </h4>
+            <div className="flex flex-wrap gap-2">
+              {savedProfiles.map((profile) => (
+                <span
+                  key={profile.id}
+                  className="inline-flex items-center bg-gray-100 text-gray-700 rounded-full px-3 py-1 text-xs"
+                >
+                  {profile.name}
+                  <span className="ml-1 text-gray-400">
+                    ({profile.dataType})
+                  </span>
+                  {onDeleteProfile && (
+                    <button
+                      onClick={() => onDeleteProfile(profile)}
+                      className="ml-2 text-gray-400 hover:text-red-600"
+                      title={`Delete ${profile.name}`}
+                    >
+                      <Trash2 className="h-3 w-3" />
+                    </button>
+                  )}
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2 pt-4 border-t">
+          <button
+            onClick={onCancel}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel Upload
+          </button>
+          <button
+            onClick={() => onConfirm(draftProfile, { save: saveProfile })}
+            disabled={!canConfirm}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            {saveProfile ? "Save & Import" : "Import"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingModal;
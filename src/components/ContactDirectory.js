@@ -0,0 +1,420 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  BookUser,
+  RefreshCw,
+  AlertCircle,
+  CheckCircle,
+  Plus,
+  Search,
+  Upload,
+} from "lucide-react";
+
+const CONTACT_ROLE_LABELS = {
+  agent: "Agent",
+  mga: "MGA",
+  customer: "Customer",
+};
+
+const EMPTY_CONTACT = {
+  role: "agent",
+  name: "",
+  mga: "",
+  agentLevel03: "",
+  policyNumbers: "",
+  phone: "",
+  email: "",
+  notes: "",
+};
+
+// The agent, MGA and customer phone numbers and emails the contact panel
+// looks up; managers add, edit and import them
+const ContactDirectory = ({ contactService, canManage = false }) => {
+  const [contacts, setContacts] = useState([]);
+  // search is the box as typed; query is what was last searched for
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [role, setRole] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [rejectedRows, setRejectedRows] = useState([]);
+  const [form, setForm] = useState(EMPTY_CONTACT);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const loadContacts = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setContacts(await contactService.getContacts({ q: query, role }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [contactService, query, role]);
+
+  useEffect(() => {
+    loadContacts();
+  }, [loadContacts]);
+
+  const handleSearch = (event) => {
+    event.preventDefault();
+    setQuery(search.trim());
+  };
+
+  const resetForm = () => {
+    setForm(EMPTY_CONTACT);
+    setEditingId(null);
+  };
+
+  const handleEdit = (contact) => {
+    setEditingId(contact.id);
+    setForm({
+      role: contact.role,
+      name: contact.name,
+      mga: contact.mga || "",
+      agentLevel03: contact.agentLevel03 || "",
+      policyNumbers: contact.policyNumbers.join(", "),
+      phone: contact.phone || "",
+      email: contact.email || "",
+      notes: contact.notes || "",
+    });
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await (editingId
+        ? contactService.updateContact(editingId, form)
+        : contactService.createContact(form));
+      resetForm();
+      await loadContacts();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (contact) => {
+    if (!window.confirm(`Delete the contact for ${contact.name}?`)) return;
+    setError(null);
+    try {
+      await contactService.deleteContact(contact.id);
+      if (editingId === contact.id) resetForm();
+      await loadContacts();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setImporting(true);
+    setError(null);
+    setNotice(null);
+    setRejectedRows([]);
+    try {
+      const result = await contactService.importContacts(file);
+      setNotice(
+        `Imported ${file.name}: ${result.created} added, ${result.updated} updated`
+      );
+      setRejectedRows(result.rejectedRows);
+      await loadContacts();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const updateForm = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+            <BookUser className="h-6 w-6 mr-2 text-blue-600" />
+            Contacts
+          </h1>
+          <p className="text-gray-600">
+            Phone numbers and emails for agents, MGAs and customers. Tasks are
+            matched to them by policy number, agent name, MGA and upline.
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {canManage && (
+            <label
+              className={`inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 cursor-pointer ${
+                importing ? "opacity-50 pointer-events-none" : ""
+              }`}
+              title="Columns: name, role, mga, upline (agent_level_03), policy numbers, phone, email, notes"
+            >
+              <Upload className="h-4 w-4 mr-2" />
+              {importing ? "Importing..." : "Import CSV"}
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleImport}
+                className="hidden"
+              />
+            </label>
+          )}
+          <button
+            onClick={loadContacts}
+            disabled={loading}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw
+              className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+            />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="p-3 rounded-lg bg-green-50 border border-green-200 text-sm text-green-700">
+          <div className="flex items-center">
+            <CheckCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+            {notice}
+          </div>
+          {rejectedRows.length > 0 && (
+            <ul className="mt-2 text-xs text-red-700 list-disc list-inside">
+              {rejectedRows.map(({ row, error: problem }) => (
+                <li key={row}>
+                  Row {row}: {problem}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <form onSubmit={handleSearch} className="flex gap-2">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search name, MGA, phone, email or policy number"
+          className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+        />
+        <select
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="">All types</option>
+          {Object.entries(CONTACT_ROLE_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+        >
+          <Search className="h-4 w-4" />
+        </button>
+      </form>
+
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Contact
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                MGA / Upline
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Phone / Email
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Policies
+              </th>
+              {canManage && <th className="px-4 py-3" />}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {contacts.length === 0 && (
+              <tr>
+                <td
+                  colSpan={canManage ? 5 : 4}
+                  className="px-4 py-8 text-center text-sm text-gray-500"
+                >
+                  {loading ? "Loading..." : "No contacts found"}
+                </td>
+              </tr>
+            )}
+            {contacts.map((contact) => (
+              <tr key={contact.id}>
+                <td className="px-4 py-3 text-sm">
+                  <div className="font-medium text-gray-900">
+                    {contact.name}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {CONTACT_ROLE_LABELS[contact.role]}
+                  </div>
+                  {contact.notes && (
+                    <p className="text-xs text-gray-500">{contact.notes}</p>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  <div>{contact.mga || "—"}</div>
+                  {contact.agentLevel03 && (
+                    <div className="text-xs text-gray-500">
+                      Upline: {contact.agentLevel03}
+                    </div>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  <div>{contact.phone || "—"}</div>
+                  <div className="text-xs text-gray-500">
+                    {contact.email || "—"}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-500">
+                  {contact.policyNumbers.join(", ") || "—"}
+                </td>
+                {canManage && (
+                  <td className="px-4 py-3 text-sm text-right space-x-3 whitespace-nowrap">
+                    <button
+                      onClick={() => handleEdit(contact)}
+                      className="text-gray-600 hover:text-gray-900"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => handleDelete(contact)}
+                      className="text-red-600 hover:text-red-900"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {canManage && (
+        <form
+          onSubmit={handleSave}
+          className="bg-white rounded-lg border border-gray-200 p-4"
+        >
+          <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+            <Plus className="h-5 w-5 mr-2 text-blue-600" />
+            {editingId ? "Edit Contact" : "Add Contact"}
+          </h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+            <select
+              value={form.role}
+              onChange={(e) => updateForm("role", e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              {Object.entries(CONTACT_ROLE_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder="Name, as it appears on policies"
+              value={form.name}
+              onChange={(e) => updateForm("name", e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm md:col-span-3"
+              required
+            />
+            <input
+              type="text"
+              placeholder="MGA"
+              value={form.mga}
+              onChange={(e) => updateForm("mga", e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm md:col-span-2"
+            />
+            <input
+              type="text"
+              placeholder="Upline (agent level 03)"
+              value={form.agentLevel03}
+              onChange={(e) => updateForm("agentLevel03", e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm md:col-span-2"
+            />
+            <input
+              type="tel"
+              placeholder="Phone"
+              value={form.phone}
+              onChange={(e) => updateForm("phone", e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <input
+              type="email"
+              placeholder="Email"
+              value={form.email}
+              onChange={(e) => updateForm("email", e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+            <input
+              type="text"
+              placeholder="Policy numbers (comma-separated)"
+              value={form.policyNumbers}
+              onChange={(e) => updateForm("policyNumbers", e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm md:col-span-2"
+            />
+            <input
+              type="text"
+              placeholder="Notes"
+              value={form.notes}
+              onChange={(e) => updateForm("notes", e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm md:col-span-4"
+            />
+          </div>
+          <div className="flex justify-end mt-4 space-x-3">
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving
+                ? "Saving..."
+                : editingId
+                  ? "Save Changes"
+                  : "Add Contact"}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ContactDirectory;
@@ -1,34 +1,41 @@
-import React, { useState } from 'react';
-import { Phone, Mail, MessageSquare, ExternalLink, User, Search, ChevronUp, ChevronDown, X } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Phone, Mail, ExternalLink, User, Search, ChevronUp, ChevronDown, X } from 'lucide-react';
+import TaskTextMessages from './TaskTextMessages';
 
-const CustomerContactPanel = ({ task, policy }) => {
+const HISTORY_STATUS_STYLES = {
+  sent: 'text-green-700',
+  failed: 'text-red-700',
+  bounced: 'text-yellow-700',
+};
+
+// How a directory contact matched the policy (see contactService.matchContacts)
+const MATCH_LABELS = {
+  policy: 'On this policy',
+  agent: 'Writing agent',
+  upline: 'Upline',
+  mga: 'MGA',
+};
+
+const CustomerContactPanel = ({ task, policy, emailService, smsService, contactService, canText = false }) => {
   const [agentLookup, setAgentLookup] = useState('');
   const [lookupResults, setLookupResults] = useState(null);
   const [isExpanded, setIsExpanded] = useState(false);
   const [isVisible, setIsVisible] = useState(true);
+  const [history, setHistory] = useState(null);
+  const [historyError, setHistoryError] = useState(null);
+  const [matches, setMatches] = useState(null);
+  const [matchError, setMatchError] = useState(null);
 
-  // Mock agent contact database - in production, this would come from your CRM/database
-  const agentContactDatabase = {
-    // Sample entries - you can populate this with real agent data
-    'john smith': { phone: '555-0123', email: 'john.smith@agency.com', agency: 'ABC Insurance' },
-    'sarah johnson': { phone: '555-0124', email: 'sarah.j@agency.com', agency: 'XYZ Agency' },
-    'mike wilson': { phone: '555-0125', email: 'mike.w@agency.com', agency: 'Wilson Insurance' },
-  };
+  // Search the contact directory by name, MGA, phone, email or policy number
+  const searchAgentContact = async () => {
+    const searchTerm = agentLookup.trim();
+    if (!searchTerm || !contactService) return;
 
-  const searchAgentContact = () => {
-    const searchTerm = agentLookup.toLowerCase().trim();
-    const result = agentContactDatabase[searchTerm];
-    
-    if (result) {
-      setLookupResults({
-        found: true,
-        ...result
-      });
-    } else {
-      setLookupResults({
-        found: false,
-        searched: searchTerm
-      });
+    try {
+      const contacts = await contactService.getContacts({ q: searchTerm, limit: 10 });
+      setLookupResults({ contacts, searched: searchTerm });
+    } catch (error) {
+      setLookupResults({ contacts: [], searched: searchTerm, error: error.message });
     }
   };
 
@@ -70,6 +77,38 @@ const CustomerContactPanel = ({ task, policy }) => {
     }
   };
 
+  // A directory contact with call and email buttons for whichever it has
+  const ContactRow = ({ contact, label }) => (
+    <li className="p-2 bg-gray-50 rounded-md text-xs">
+      <div className="flex justify-between">
+        <span className="font-medium text-gray-800 truncate">{contact.name}</span>
+        {label && <span className="text-gray-500 truncate ml-2">{label}</span>}
+      </div>
+      {contact.phone && <div className="text-gray-600">{contact.phone}</div>}
+      {contact.email && <div className="text-gray-600 truncate">{contact.email}</div>}
+      <div className="flex gap-2 mt-1">
+        {contact.phone && (
+          <button
+            onClick={() => openDialpad(contact.phone)}
+            className="flex items-center px-2 py-1 bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200"
+          >
+            <Phone className="h-3 w-3 mr-1" />
+            Call
+          </button>
+        )}
+        {contact.email && (
+          <button
+            onClick={() => openGmail(contact.email)}
+            className="flex items-center px-2 py-1 bg-green-100 text-green-700 rounded-md hover:bg-green-200"
+          >
+            <Mail className="h-3 w-3 mr-1" />
+            Email
+          </button>
+        )}
+      </div>
+    </li>
+  );
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     alert('Copied to clipboard!');
@@ -79,6 +118,50 @@ const CustomerContactPanel = ({ task, policy }) => {
   const policyNumber = policy?.policy_nbr || task?.policyNumber;
   const premium = policy?.annual_premium || task?.premium;
 
+  // The customer's own number, when the directory has one for this policy
+  const customerPhone = matches?.find(
+    (contact) => contact.match === 'policy' && contact.role === 'customer' && contact.phone
+  )?.phone;
+
+  // Directory contacts for the policy's customer, agent, upline and MGA,
+  // loaded when the panel opens
+  useEffect(() => {
+    if (!isExpanded || !contactService || !policyNumber) return;
+
+    let cancelled = false;
+    setMatchError(null);
+    contactService
+      .matchContacts(policy || { policy_nbr: policyNumber })
+      .then((contacts) => {
+        if (!cancelled) setMatches(contacts);
+      })
+      .catch((error) => {
+        if (!cancelled) setMatchError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isExpanded, contactService, policy, policyNumber]);
+
+  // Emails already sent about this policy, loaded when the panel opens
+  useEffect(() => {
+    if (!isExpanded || !emailService || !policyNumber) return;
+
+    let cancelled = false;
+    setHistoryError(null);
+    emailService
+      .getEmailLog({ policyNumber: String(policyNumber), limit: 20 })
+      .then((emails) => {
+        if (!cancelled) setHistory(emails);
+      })
+      .catch((error) => {
+        if (!cancelled) setHistoryError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isExpanded, emailService, policyNumber]);
+
   if (!isVisible) return null;
 
   return (
@@ -151,69 +234,106 @@ const CustomerContactPanel = ({ task, policy }) => {
             </button>
           </div>
 
-          {/* Agent Contact Lookup */}
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Agent Contact Lookup
-            </label>
-            <div className="flex space-x-2">
-              <input
-                type="text"
-                value={agentLookup}
-                onChange={(e) => setAgentLookup(e.target.value)}
-                placeholder="Enter agent name..."
-                className="flex-1 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs"
-              />
-              <button
-                onClick={searchAgentContact}
-                className="px-2 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center text-xs"
-              >
-                <Search className="h-3 w-3" />
-              </button>
+          {/* Directory Contacts */}
+          {contactService && (
+            <div>
+              <h5 className="font-medium text-gray-700 mb-2 text-sm">Contacts</h5>
+              {matchError ? (
+                <div className="text-xs text-red-600">{matchError}</div>
+              ) : !matches ? (
+                <div className="text-xs text-gray-500">Loading...</div>
+              ) : matches.length === 0 ? (
+                <div className="text-xs text-gray-500">
+                  No directory contacts for this policy's customer, agent, upline or MGA
+                </div>
+              ) : (
+                <ul className="space-y-2">
+                  {matches.map((contact) => (
+                    <ContactRow key={contact.id} contact={contact} label={MATCH_LABELS[contact.match]} />
+                  ))}
+                </ul>
+              )}
             </div>
+          )}
 
-            {lookupResults && (
-              <div className="mt-2 p-2 rounded-md border text-xs">
-                {lookupResults.found ? (
-                  <div className="bg-green-50 border-green-200 p-2 rounded">
-                    <div className="font-medium text-green-800 mb-1">✅ Contact Found</div>
-                    <div className="space-y-1">
-                      <div><strong>Phone:</strong> {lookupResults.phone}</div>
-                      <div><strong>Email:</strong> {lookupResults.email}</div>
-                      <div><strong>Agency:</strong> {lookupResults.agency}</div>
-                    </div>
-                  </div>
-                ) : (
-                  <div className="bg-yellow-50 border-yellow-200 p-2 rounded">
-                    <div className="text-yellow-800">
-                      ⚠️ No contact found for "{lookupResults.searched}"
-                    </div>
-                  </div>
-                )}
-              </div>
-            )}
-          </div>
-
-          {/* Communication Tools */}
-          {lookupResults?.found && (
+          {/* Contact Lookup */}
+          {contactService && (
             <div>
-              <h5 className="font-medium text-gray-700 mb-2 text-sm">Communication</h5>
-              <div className="grid grid-cols-2 gap-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Contact Lookup
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={agentLookup}
+                  onChange={(e) => setAgentLookup(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && searchAgentContact()}
+                  placeholder="Name, MGA or policy number..."
+                  className="flex-1 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500 text-xs"
+                />
                 <button
-                  onClick={() => openDialpad(lookupResults?.phone)}
-                  className="flex items-center justify-center px-2 py-2 bg-blue-100 text-blue-700 rounded-md hover:bg-blue-200 text-xs"
+                  onClick={searchAgentContact}
+                  className="px-2 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 flex items-center text-xs"
                 >
-                  <Phone className="h-3 w-3 mr-1" />
-                  Call
-                </button>
-                <button
-                  onClick={() => openGmail(lookupResults?.email)}
-                  className="flex items-center justify-center px-2 py-2 bg-green-100 text-green-700 rounded-md hover:bg-green-200 text-xs"
-                >
-                  <Mail className="h-3 w-3 mr-1" />
-                  Email
+                  <Search className="h-3 w-3" />
                 </button>
               </div>
+
+              {lookupResults && (
+                <div className="mt-2 text-xs">
+                  {lookupResults.error ? (
+                    <div className="text-red-600">{lookupResults.error}</div>
+                  ) : lookupResults.contacts.length > 0 ? (
+                    <ul className="space-y-2">
+                      {lookupResults.contacts.map((contact) => (
+                        <ContactRow key={contact.id} contact={contact} label={contact.mga} />
+                      ))}
+                    </ul>
+                  ) : (
+                    <div className="bg-yellow-50 border border-yellow-200 p-2 rounded text-yellow-800">
+                      ⚠️ No contact found for "{lookupResults.searched}"
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Text Messages */}
+          {smsService && task && (
+            <TaskTextMessages task={task} smsService={smsService} canSend={canText} defaultPhone={customerPhone} />
+          )}
+
+          {/* Communication History */}
+          {emailService && policyNumber && (
+            <div>
+              <h5 className="font-medium text-gray-700 mb-2 text-sm">Communication History</h5>
+              {historyError ? (
+                <div className="text-xs text-red-600">{historyError}</div>
+              ) : !history ? (
+                <div className="text-xs text-gray-500">Loading...</div>
+              ) : history.length === 0 ? (
+                <div className="text-xs text-gray-500">No emails sent about this policy yet</div>
+              ) : (
+                <ul className="space-y-2">
+                  {history.map((email) => (
+                    <li key={email.id} className="p-2 bg-gray-50 rounded-md text-xs">
+                      <div className="font-medium text-gray-800 truncate" title={email.subject}>
+                        {email.subject}
+                      </div>
+                      <div className="text-gray-500 truncate">
+                        To {email.to.join(', ')}
+                      </div>
+                      <div className="flex justify-between text-gray-500">
+                        <span>{new Date(email.createdAt).toLocaleDateString()}</span>
+                        <span className={`font-medium ${HISTORY_STATUS_STYLES[email.status]}`}>
+                          {email.status}
+                        </span>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           )}
 
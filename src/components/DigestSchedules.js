@@ -0,0 +1,384 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Calendar,
+  RefreshCw,
+  AlertCircle,
+  CheckCircle,
+  Plus,
+  Send,
+} from "lucide-react";
+
+const DAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const EMPTY_SCHEDULE = {
+  name: "",
+  frequency: "weekly",
+  dayOfWeek: 1,
+  hour: 8,
+  recipients: "",
+  enabled: true,
+};
+
+const formatHour = (hour) =>
+  new Date(2000, 0, 1, hour).toLocaleTimeString([], {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+const describeSchedule = (schedule) =>
+  schedule.frequency === "weekly"
+    ? `${DAYS[schedule.dayOfWeek]}s at ${formatHour(schedule.hour)}`
+    : `Daily at ${formatHour(schedule.hour)}`;
+
+// Manager view for the scheduled digest emails: who gets them, when, and a
+// way to send one straight away
+const DigestSchedules = ({ digestService }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [form, setForm] = useState(EMPTY_SCHEDULE);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadSchedules = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setSchedules(await digestService.getSchedules());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [digestService]);
+
+  useEffect(() => {
+    loadSchedules();
+  }, [loadSchedules]);
+
+  const resetForm = () => {
+    setForm(EMPTY_SCHEDULE);
+    setEditingId(null);
+  };
+
+  const handleEdit = (schedule) => {
+    setEditingId(schedule.id);
+    setForm({
+      name: schedule.name,
+      frequency: schedule.frequency,
+      dayOfWeek: schedule.dayOfWeek ?? 1,
+      hour: schedule.hour,
+      recipients: schedule.recipients.join(", "),
+      enabled: schedule.enabled,
+    });
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const schedule = {
+        ...form,
+        dayOfWeek: form.frequency === "weekly" ? form.dayOfWeek : null,
+      };
+      await (editingId
+        ? digestService.updateSchedule(editingId, schedule)
+        : digestService.createSchedule(schedule));
+      resetForm();
+      await loadSchedules();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    setError(null);
+    try {
+      const updated = await digestService.updateSchedule(schedule.id, {
+        enabled: !schedule.enabled,
+      });
+      setSchedules((prev) =>
+        prev.map((s) => (s.id === updated.id ? updated : s))
+      );
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSendNow = async (schedule) => {
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await digestService.sendNow(schedule.id);
+      setNotice(result.message);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      await loadSchedules();
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete the "${schedule.name}" digest?`)) return;
+    setError(null);
+    try {
+      await digestService.deleteSchedule(schedule.id);
+      if (editingId === schedule.id) resetForm();
+      await loadSchedules();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const updateForm = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+            <Calendar className="h-6 w-6 mr-2 text-blue-600" />
+            Digest Emails
+          </h1>
+          <p className="text-gray-600">
+            Daily or weekly summaries of new lapses, premium at risk, overdue
+            tasks and high-risk agents. Times are in the server's time zone.
+          </p>
+        </div>
+        <button
+          onClick={loadSchedules}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="flex items-center p-3 rounded-lg bg-green-50 border border-green-200 text-sm text-green-700">
+          <CheckCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {notice}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Digest
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Recipients
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Next / Last Sent
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {schedules.length === 0 && (
+              <tr>
+                <td
+                  colSpan={5}
+                  className="px-4 py-8 text-center text-sm text-gray-500"
+                >
+                  {loading ? "Loading..." : "No digests scheduled"}
+                </td>
+              </tr>
+            )}
+            {schedules.map((schedule) => (
+              <tr
+                key={schedule.id}
+                className={schedule.enabled ? "" : "bg-gray-50"}
+              >
+                <td className="px-4 py-3 text-sm">
+                  <div className="font-medium text-gray-900">
+                    {schedule.name}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {describeSchedule(schedule)}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  {schedule.recipients.join(", ")}
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-500 whitespace-nowrap">
+                  <div>
+                    {schedule.enabled
+                      ? new Date(schedule.nextRunAt).toLocaleString()
+                      : "Paused"}
+                  </div>
+                  <div>
+                    {schedule.lastSentAt
+                      ? new Date(schedule.lastSentAt).toLocaleString()
+                      : "Never sent"}
+                  </div>
+                  {schedule.lastError && (
+                    <p className="mt-1 text-red-600 whitespace-normal">
+                      {schedule.lastError}
+                    </p>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <button
+                    onClick={() => handleToggle(schedule)}
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      schedule.enabled
+                        ? "bg-green-100 text-green-700"
+                        : "bg-gray-200 text-gray-700"
+                    }`}
+                    title={schedule.enabled ? "Pause" : "Resume"}
+                  >
+                    {schedule.enabled ? "Active" : "Paused"}
+                  </button>
+                </td>
+                <td className="px-4 py-3 text-sm text-right space-x-3 whitespace-nowrap">
+                  <button
+                    onClick={() => handleSendNow(schedule)}
+                    className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                  >
+                    <Send className="h-4 w-4 mr-1" />
+                    Send Now
+                  </button>
+                  <button
+                    onClick={() => handleEdit(schedule)}
+                    className="text-gray-600 hover:text-gray-900"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(schedule)}
+                    className="text-red-600 hover:text-red-900"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form
+        onSubmit={handleSave}
+        className="bg-white rounded-lg border border-gray-200 p-4"
+      >
+        <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+          <Plus className="h-5 w-5 mr-2 text-blue-600" />
+          {editingId ? "Edit Digest" : "Add Digest"}
+        </h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input
+            type="text"
+            placeholder="Name, e.g. Weekly leadership digest"
+            value={form.name}
+            onChange={(e) => updateForm("name", e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm md:col-span-2"
+            required
+          />
+          <select
+            value={form.frequency}
+            onChange={(e) => updateForm("frequency", e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="daily">Daily</option>
+            <option value="weekly">Weekly</option>
+          </select>
+          <div className="flex gap-2">
+            {form.frequency === "weekly" && (
+              <select
+                value={form.dayOfWeek}
+                onChange={(e) =>
+                  updateForm("dayOfWeek", Number(e.target.value))
+                }
+                className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+              >
+                {DAYS.map((day, index) => (
+                  <option key={day} value={index}>
+                    {day}
+                  </option>
+                ))}
+              </select>
+            )}
+            <select
+              value={form.hour}
+              onChange={(e) => updateForm("hour", Number(e.target.value))}
+              className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              {Array.from({ length: 24 }, (_, hour) => (
+                <option key={hour} value={hour}>
+                  {formatHour(hour)}
+                </option>
+              ))}
+            </select>
+          </div>
+          <input
+            type="text"
+            placeholder="Recipients (comma-separated emails)"
+            value={form.recipients}
+            onChange={(e) => updateForm("recipients", e.target.value)}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm md:col-span-3"
+            required
+          />
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => updateForm("enabled", e.target.checked)}
+              className="mr-2"
+            />
+            Active
+          </label>
+        </div>
+        <div className="flex justify-end mt-4 space-x-3">
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? "Saving..." : editingId ? "Save Changes" : "Add Digest"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default DigestSchedules;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { BarChart3, RefreshCw, AlertCircle } from "lucide-react";
+import { taskService } from "../services/taskService";
+import { DISPOSITIONS, summarizeDispositions } from "../utils/contactOutcomes";
+
+const PERIODS = [
+  { days: 7, label: "Last 7 days" },
+  { days: 30, label: "Last 30 days" },
+  { days: 90, label: "Last 90 days" },
+];
+
+// Contact attempt outcomes per specialist over a recent period
+const DispositionReport = () => {
+  const [days, setDays] = useState(30);
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadReport = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      setRows(
+        summarizeDispositions(await taskService.getContactAttemptsSince(since))
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <BarChart3 className="h-5 w-5 mr-2 text-blue-600" />
+          Contact Outcomes by Specialist
+        </h2>
+        <div className="flex items-center space-x-2">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            {PERIODS.map((period) => (
+              <option key={period.days} value={period.days}>
+                {period.label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={loadReport}
+            disabled={loading}
+            className="p-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={`h-4 w-4 ${loading ? "animate-spin" : ""}`} />
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 mb-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Specialist
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Attempts
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Reached
+              </th>
+              <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Promised
+              </th>
+              {Object.entries(DISPOSITIONS).map(([code, { label }]) => (
+                <th
+                  key={code}
+                  className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider"
+                >
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {rows.length === 0 && (
+              <tr>
+                <td
+                  colSpan={4 + Object.keys(DISPOSITIONS).length}
+                  className="px-3 py-8 text-center text-gray-500"
+                >
+                  {loading ? "Loading..." : "No contact attempts logged"}
+                </td>
+              </tr>
+            )}
+            {rows.map((row) => (
+              <tr key={row.specialist}>
+                <td className="px-3 py-2 font-medium text-gray-900">
+                  {row.specialist}
+                </td>
+                <td className="px-3 py-2 text-right">{row.total}</td>
+                <td className="px-3 py-2 text-right">
+                  {row.reached} ({row.reachRate.toFixed(0)}%)
+                </td>
+                <td className="px-3 py-2 text-right">
+                  {row.promised} (${row.promisedAmount.toLocaleString()})
+                </td>
+                {Object.keys(DISPOSITIONS).map((code) => (
+                  <td key={code} className="px-3 py-2 text-right text-gray-700">
+                    {row.byDisposition[code]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default DispositionReport;
@@ -0,0 +1,473 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import {
+  Mail,
+  RefreshCw,
+  AlertCircle,
+  CheckCircle,
+  Save,
+  Send,
+  RotateCcw,
+} from "lucide-react";
+import {
+  MERGE_FIELDS,
+  buildMergeData,
+  renderTemplate,
+} from "../utils/mergeFields";
+
+const EMPTY_DRAFT = { subject: "", html: "", text: "" };
+
+// Actions offered for the preview, newest first
+const PREVIEW_ACTION_LIMIT = 20;
+
+const toDraft = (version) =>
+  version
+    ? { subject: version.subject, html: version.html, text: version.text }
+    : EMPTY_DRAFT;
+
+// Render a draft the same way the server will, or report why it can't be
+const renderDraft = (draft, data) => {
+  const values = buildMergeData(data, {
+    dashboardUrl: window.location.origin,
+  });
+  try {
+    return {
+      subject: renderTemplate(draft.subject, values).trim(),
+      html: renderTemplate(draft.html, values, { escape: true }),
+      text: renderTemplate(draft.text, values),
+      error: null,
+    };
+  } catch (error) {
+    return { subject: "", html: "", text: "", error: error.message };
+  }
+};
+
+// Edit the stored email templates: merge-field editor, version history,
+// live preview against sample data or a real action, and a test send
+const EmailTemplates = ({ emailService, actionService }) => {
+  const [templates, setTemplates] = useState([]);
+  const [selectedType, setSelectedType] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [note, setNote] = useState("");
+  const [versions, setVersions] = useState([]);
+  const [actions, setActions] = useState([]);
+  const [previewActionId, setPreviewActionId] = useState("");
+  const [previewAction, setPreviewAction] = useState(null);
+  const [previewFormat, setPreviewFormat] = useState("html");
+  const [testTo, setTestTo] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const selected = templates.find((t) => t.type === selectedType) || null;
+
+  const loadTemplates = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await emailService.getTemplates();
+      setTemplates(result);
+      setSelectedType((type) => type || result[0]?.type || null);
+      return result;
+    } catch (err) {
+      setError(err.message);
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [emailService]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  // Switching templates starts a fresh draft from its current version
+  useEffect(() => {
+    if (!selectedType) return;
+    const template = templates.find((t) => t.type === selectedType);
+    setDraft(toDraft(template?.current));
+    setNote("");
+    setPreviewActionId("");
+    setNotice(null);
+
+    emailService
+      .getTemplateVersions(selectedType)
+      .then(setVersions)
+      .catch((err) => setError(err.message));
+    actionService
+      .getActions({
+        type: selectedType,
+        sort: "createdAt",
+        order: "desc",
+        limit: PREVIEW_ACTION_LIMIT,
+      })
+      .then((result) => setActions(result.data))
+      .catch(() => setActions([]));
+    // Only when the selection changes, not when templates reload after a save
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedType, emailService, actionService]);
+
+  // The list leaves out policies, so fetch the whole action for the preview
+  useEffect(() => {
+    if (!previewActionId) {
+      setPreviewAction(null);
+      return;
+    }
+    actionService
+      .getAction(previewActionId)
+      .then(setPreviewAction)
+      .catch((err) => setError(err.message));
+  }, [previewActionId, actionService]);
+
+  const preview = useMemo(
+    () => renderDraft(draft, previewAction || selected?.sampleData || {}),
+    [draft, previewAction, selected]
+  );
+
+  const isDirty =
+    selected?.current &&
+    (draft.subject !== selected.current.subject ||
+      draft.html !== selected.current.html ||
+      draft.text !== selected.current.text);
+
+  const run = async (work) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await work();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reloadSelected = async () => {
+    const result = await loadTemplates();
+    const template = result.find((t) => t.type === selectedType);
+    setDraft(toDraft(template?.current));
+    setVersions(await emailService.getTemplateVersions(selectedType));
+  };
+
+  const handleSave = () =>
+    run(async () => {
+      const version = await emailService.saveTemplate(selectedType, {
+        ...draft,
+        note,
+      });
+      setNote("");
+      await reloadSelected();
+      setNotice(`Saved version ${version.version}`);
+    });
+
+  const handleRestore = (version) =>
+    run(async () => {
+      const restored = await emailService.restoreTemplateVersion(
+        selectedType,
+        version.version
+      );
+      await reloadSelected();
+      setNotice(
+        `Restored version ${version.version} as version ${restored.version}`
+      );
+    });
+
+  const handleTestSend = () =>
+    run(async () => {
+      const result = await emailService.sendTemplateTest(selectedType, {
+        to: testTo,
+        actionId: previewActionId || undefined,
+        ...draft,
+      });
+      setNotice(result.message);
+    });
+
+  const updateDraft = (part) => (e) =>
+    setDraft((current) => ({ ...current, [part]: e.target.value }));
+
+  return (
+    <div className="max-w-7xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+            <Mail className="h-6 w-6 mr-2 text-blue-600" />
+            Email Templates
+          </h1>
+          <p className="text-gray-600">
+            Every save is a new version; the latest version is what gets sent.
+          </p>
+        </div>
+        <button
+          onClick={loadTemplates}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {templates.map((t) => (
+          <button
+            key={t.type}
+            onClick={() => setSelectedType(t.type)}
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              selectedType === t.type
+                ? "bg-blue-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {t.name}
+            {t.current && ` (v${t.current.version})`}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="flex items-center p-3 rounded-lg bg-green-50 border border-green-200 text-sm text-green-700">
+          <CheckCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {notice}
+        </div>
+      )}
+
+      {selected && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-4">
+            <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+              <p className="text-sm text-gray-600">{selected.description}</p>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">
+                  Subject
+                </span>
+                <input
+                  type="text"
+                  value={draft.subject}
+                  onChange={updateDraft("subject")}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-sm font-mono"
+                />
+              </label>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">
+                  HTML body
+                </span>
+                <textarea
+                  value={draft.html}
+                  onChange={updateDraft("html")}
+                  rows={14}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-xs font-mono"
+                />
+              </label>
+              <label className="block">
+                <span className="text-sm font-medium text-gray-700">
+                  Plain-text body
+                </span>
+                <textarea
+                  value={draft.text}
+                  onChange={updateDraft("text")}
+                  rows={8}
+                  className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md text-xs font-mono"
+                />
+              </label>
+              <div className="flex items-center gap-2">
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="What changed (optional)"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+                <button
+                  onClick={handleSave}
+                  disabled={busy || !isDirty || Boolean(preview.error)}
+                  className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Save className="h-4 w-4 mr-2" />
+                  Save Version
+                </button>
+                <button
+                  onClick={() => setDraft(toDraft(selected.current))}
+                  disabled={busy || !isDirty}
+                  className="px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  Discard
+                </button>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-lg border border-gray-200 p-4">
+              <h3 className="text-sm font-medium text-gray-900 mb-2">
+                Merge fields
+              </h3>
+              <p className="text-xs text-gray-500 mb-2">
+                {
+                  "Use {{field}}, {{currency field}}, {{date field}}, {{#if field}}...{{else}}...{{/if}} and {{#each topPolicies}}{{policyNumber}}{{/each}}."
+                }{" "}
+                Required here: {selected.requiredFields.join(", ")}.
+              </p>
+              <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1 text-xs">
+                {MERGE_FIELDS.map(({ field, description }) => (
+                  <div key={field}>
+                    <dt className="inline font-mono text-gray-900">
+                      {`{{${field}}}`}
+                    </dt>{" "}
+                    <dd className="inline text-gray-500">{description}</dd>
+                  </div>
+                ))}
+              </dl>
+            </div>
+
+            <div className="bg-white rounded-lg border border-gray-200 p-4">
+              <h3 className="text-sm font-medium text-gray-900 mb-2">
+                Versions
+              </h3>
+              <ul className="divide-y divide-gray-200">
+                {versions.map((version) => (
+                  <li
+                    key={version.version}
+                    className="py-2 flex items-center justify-between text-sm"
+                  >
+                    <div>
+                      <span className="font-medium text-gray-900">
+                        v{version.version}
+                      </span>
+                      {version.version === selected.current?.version && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">
+                          current
+                        </span>
+                      )}
+                      <span className="ml-2 text-gray-500">
+                        {version.note || "No note"}
+                      </span>
+                      <div className="text-xs text-gray-500">
+                        {new Date(version.createdAt).toLocaleString()} by{" "}
+                        {version.createdBy}
+                      </div>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <button
+                        onClick={() => setDraft(toDraft(version))}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        Load
+                      </button>
+                      {version.version !== selected.current?.version && (
+                        <button
+                          onClick={() => handleRestore(version)}
+                          disabled={busy}
+                          className="inline-flex items-center text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                        >
+                          <RotateCcw className="h-4 w-4 mr-1" />
+                          Restore
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <div className="bg-white rounded-lg border border-gray-200 p-4 space-y-3">
+              <div className="flex flex-wrap items-center gap-2">
+                <select
+                  value={previewActionId}
+                  onChange={(e) => setPreviewActionId(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                >
+                  <option value="">Preview with sample data</option>
+                  {actions.map((action) => (
+                    <option key={action.id} value={action.id}>
+                      {action.title}
+                    </option>
+                  ))}
+                </select>
+                <div className="flex rounded-md border border-gray-300 overflow-hidden text-sm">
+                  {["html", "text"].map((format) => (
+                    <button
+                      key={format}
+                      onClick={() => setPreviewFormat(format)}
+                      className={`px-3 py-2 ${
+                        previewFormat === format
+                          ? "bg-blue-600 text-white"
+                          : "bg-white text-gray-700 hover:bg-gray-50"
+                      }`}
+                    >
+                      {format === "html" ? "HTML" : "Text"}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {preview.error ? (
+                <div className="flex items-center p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+                  <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+                  {preview.error}
+                </div>
+              ) : (
+                <>
+                  <div className="text-sm">
+                    <span className="text-gray-500">Subject: </span>
+                    <span className="font-medium text-gray-900">
+                      {preview.subject}
+                    </span>
+                  </div>
+                  {previewFormat === "html" ? (
+                    <iframe
+                      title="Email preview"
+                      sandbox=""
+                      srcDoc={preview.html}
+                      className="w-full h-[36rem] border border-gray-200 rounded-md"
+                    />
+                  ) : (
+                    <pre className="w-full h-[36rem] overflow-auto p-3 border border-gray-200 rounded-md text-xs whitespace-pre-wrap">
+                      {preview.text}
+                    </pre>
+                  )}
+                </>
+              )}
+            </div>
+
+            <div className="bg-white rounded-lg border border-gray-200 p-4">
+              <h3 className="text-sm font-medium text-gray-900 mb-2">
+                Test send
+              </h3>
+              <p className="text-xs text-gray-500 mb-2">
+                Sends this draft, filled as previewed, straight away.
+              </p>
+              <div className="flex items-center gap-2">
+                <input
+                  type="email"
+                  value={testTo}
+                  onChange={(e) => setTestTo(e.target.value)}
+                  placeholder="you@example.com"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+                <button
+                  onClick={handleTestSend}
+                  disabled={busy || !testTo || Boolean(preview.error)}
+                  className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <Send className="h-4 w-4 mr-2" />
+                  Send Test
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailTemplates;
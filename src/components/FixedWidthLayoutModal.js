@@ -0,0 +1,339 @@
+import React, { useState, useMemo } from "react";
+import { X, Ruler, Plus, Trash2, Save, AlertTriangle } from "lucide-react";
+import { parseFixedWidth } from "../utils/fileReaders";
+
+// Lines of the file shown in the preview
+const PREVIEW_LINES = 8;
+
+const EMPTY_COLUMN = { name: "", start: "", length: "" };
+
+const getRecordLength = (columns) =>
+  Math.max(
+    0,
+    ...columns.map((c) => (Number(c.start) || 0) - 1 + (Number(c.length) || 0))
+  );
+
+const FixedWidthLayoutModal = ({
+  fileName,
+  text,
+  layouts = [],
+  onConfirm,
+  onCancel,
+  onDeleteLayout,
+}) => {
+  const sampleLines = useMemo(
+    () =>
+      text
+        .split(/\r?\n/)
+        .filter((line) => line.trim() !== "")
+        .slice(0, PREVIEW_LINES),
+    [text]
+  );
+
+  // Preselect a saved layout whose record length fits this file's lines
+  const initialLayout = useMemo(() => {
+    const lineLength = sampleLines[sampleLines.length - 1]?.length || 0;
+    return layouts.find(
+      (layout) => getRecordLength(layout.columns) === lineLength
+    );
+  }, [layouts, sampleLines]);
+
+  const [selectedLayoutId, setSelectedLayoutId] = useState(
+    initialLayout?.id || ""
+  );
+  const [columns, setColumns] = useState(
+    initialLayout ? initialLayout.columns : [{ ...EMPTY_COLUMN }]
+  );
+  const [skipLines, setSkipLines] = useState(initialLayout?.skipLines || 0);
+  const [layoutName, setLayoutName] = useState(initialLayout?.name || "");
+  const [saveLayout, setSaveLayout] = useState(!initialLayout);
+
+  const draftLayout = {
+    id: layouts.find((l) => l.id === selectedLayoutId)?.id,
+    name: layoutName.trim(),
+    skipLines: Number(skipLines) || 0,
+    columns: columns
+      .filter(
+        (c) => c.name.trim() && Number(c.start) > 0 && Number(c.length) > 0
+      )
+      .map((c) => ({
+        name: c.name.trim(),
+        start: Number(c.start),
+        length: Number(c.length),
+      })),
+  };
+
+  const preview = parseFixedWidth(sampleLines.join("\n"), draftLayout);
+
+  const canConfirm =
+    draftLayout.columns.length > 0 && (!saveLayout || draftLayout.name);
+
+  const handleLayoutSelect = (layoutId) => {
+    setSelectedLayoutId(layoutId);
+    const layout = layouts.find((l) => l.id === layoutId);
+    if (!layout) {
+      setColumns([{ ...EMPTY_COLUMN }]);
+      setSkipLines(0);
+      setLayoutName("");
+      return;
+    }
+    setColumns(layout.columns);
+    setSkipLines(layout.skipLines || 0);
+    setLayoutName(layout.name);
+  };
+
+  const handleColumnChange = (index, key, value) => {
+    setColumns((prev) =>
+      prev.map((column, i) =>
+        i === index ? { ...column, [key]: value } : column
+      )
+    );
+  };
+
+  // New columns start right after the previous one
+  const handleAddColumn = () => {
+    setColumns((prev) => [
+      ...prev,
+      { ...EMPTY_COLUMN, start: getRecordLength(prev) + 1 || "" },
+    ]);
+  };
+
+  const handleRemoveColumn = (index) => {
+    setColumns((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const rulerLength = Math.max(...sampleLines.map((line) => line.length), 10);
+  const ruler = Array.from({ length: rulerLength }, (_, i) =>
+    (i + 1) % 10 === 0 ? String(((i + 1) / 10) % 10) : "·"
+  ).join("");
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-11/12 max-w-5xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <Ruler className="h-5 w-5 mr-2 text-blue-600" />
+              Fixed-Width Layout
+            </h3>
+            <p className="text-sm text-gray-500 mt-1">
+              Describe where each column sits in "{fileName}". Positions are
+              1-based character offsets.
+            </p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="mb-4 overflow-x-auto border border-gray-200 rounded-lg bg-gray-50 p-3">
+          <pre className="text-xs font-mono text-gray-400">{ruler}</pre>
+          <pre className="text-xs font-mono text-gray-800">
+            {sampleLines.join("\n")}
+          </pre>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Saved Layout
+            </label>
+            <select
+              value={selectedLayoutId}
+              onChange={(e) => handleLayoutSelect(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">New layout</option>
+              {layouts.map((layout) => (
+                <option key={layout.id} value={layout.id}>
+                  {layout.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Header Lines to Skip
+            </label>
+            <input
+              type="number"
+              min="0"
+              value={skipLines}
+              onChange={(e) => setSkipLines(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+        </div>
+
+        <div className="border border-gray-200 rounded-lg mb-2">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Column Name
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Start
+                </th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Length
+                </th>
+                <th className="px-4 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {columns.map((column, index) => (
+                <tr key={index}>
+                  <td className="px-4 py-2">
+                    <input
+                      type="text"
+                      value={column.name}
+                      onChange={(e) =>
+                        handleColumnChange(index, "name", e.target.value)
+                      }
+                      placeholder="e.g. policy_nbr"
+                      className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    />
+                  </td>
+                  <td className="px-4 py-2 w-28">
+                    <input
+                      type="number"
+                      min="1"
+                      value={column.start}
+                      onChange={(e) =>
+                        handleColumnChange(index, "start", e.target.value)
+                      }
+                      className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    />
+                  </td>
+                  <td className="px-4 py-2 w-28">
+                    <input
+                      type="number"
+                      min="1"
+                      value={column.length}
+                      onChange={(e) =>
+                        handleColumnChange(index, "length", e.target.value)
+                      }
+                      className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                    />
+                  </td>
+                  <td className="px-4 py-2 w-10 text-right">
+                    <button
+                      onClick={() => handleRemoveColumn(index)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove column"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <button
+          onClick={handleAddColumn}
+          className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 mb-4"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Column
+        </button>
+
+        {draftLayout.columns.length > 0 && (
+          <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+            <table className="min-w-full divide-y divide-gray-200 text-xs">
+              <thead className="bg-gray-50">
+                <tr>
+                  {preview.meta.fields.map((field) => (
+                    <th
+                      key={field}
+                      className="px-3 py-2 text-left font-medium text-gray-500 uppercase tracking-wider"
+                    >
+                      {field}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {preview.data.map((row, index) => (
+                  <tr key={index}>
+                    {preview.meta.fields.map((field) => (
+                      <td key={field} className="px-3 py-1 text-gray-700">
+                        {row[field] || "—"}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {preview.errors.length > 0 && (
+          <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800 flex items-center">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            {preview.errors.length} preview lines are shorter than the layout
+          </div>
+        )}
+
+        <div className="flex flex-col md:flex-row md:items-center gap-3 mb-4">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={saveLayout}
+              onChange={(e) => setSaveLayout(e.target.checked)}
+              className="mr-2 rounded border-gray-300"
+            />
+            Save layout
+          </label>
+          {saveLayout && (
+            <input
+              type="text"
+              value={layoutName}
+              onChange={(e) => setLayoutName(e.target.value)}
+              placeholder="Layout name, e.g. Mainframe NSF extract"
+              className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          )}
+          {selectedLayoutId && onDeleteLayout && (
+            <button
+              onClick={() => {
+                const layout = layouts.find((l) => l.id === selectedLayoutId);
+                if (layout) {
+                  onDeleteLayout(layout);
+                  handleLayoutSelect("");
+                }
+              }}
+              className="inline-flex items-center text-sm text-gray-500 hover:text-red-600"
+            >
+              <Trash2 className="h-4 w-4 mr-1" />
+              Delete Layout
+            </button>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2 pt-4 border-t">
+          <button
+            onClick={onCancel}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel Upload
+          </button>
+          <button
+            onClick={() => onConfirm(draftLayout, { save: saveLayout })}
+            disabled={!canConfirm}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            {saveLayout ? "Save & Continue" : "Continue"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FixedWidthLayoutModal;
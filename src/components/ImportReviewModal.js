@@ -0,0 +1,325 @@
+import React from "react";
+import Papa from "papaparse";
+import {
+  X,
+  ClipboardCheck,
+  Download,
+  AlertTriangle,
+  AlertCircle,
+  CheckCircle,
+} from "lucide-react";
+import { VALIDATION_ISSUES, buildRejectRows } from "../utils/importValidation";
+import { CANONICAL_FIELDS } from "../utils/columnMapping";
+import { DATE_FORMATS, getDateFormatLabel } from "../utils/dateParsing";
+
+// Number of rejected rows / warnings listed in the modal (the reject file has all of them)
+const PREVIEW_LIMIT = 50;
+
+const DATE_FORMAT_SOURCES = {
+  profile: "From profile",
+  review: "Chosen here",
+  inferred: "Detected",
+};
+
+const getFieldLabel = (field) =>
+  CANONICAL_FIELDS.find((f) => f.key === field)?.label || field;
+
+const ImportReviewModal = ({
+  fileName,
+  profile,
+  report,
+  onAccept,
+  onCancel,
+  onDateFormatChange,
+}) => {
+  const acceptedCount = report.acceptedCount;
+  const rejectedCount = report.rejectedRows.length;
+  const warningCount = report.warnings.length;
+  const dateColumns = Object.entries(report.dateFormats || {});
+
+  const issueRows = Object.entries(report.issueCounts)
+    .map(([code, count]) => ({
+      code,
+      count,
+      ...(VALIDATION_ISSUES[code] || { severity: "warning", label: code }),
+    }))
+    .sort((a, b) =>
+      a.severity === b.severity
+        ? b.count - a.count
+        : a.severity === "error"
+          ? -1
+          : 1
+    );
+
+  const downloadRejects = () => {
+    const csv = Papa.unparse(buildRejectRows(report));
+    const blob = new Blob([csv], { type: "text/csv;charset=utf-8;" });
+    const link = document.createElement("a");
+    if (link.download !== undefined) {
+      const url = URL.createObjectURL(blob);
+      link.setAttribute("href", url);
+      link.setAttribute(
+        "download",
+        `${fileName.replace(/\.[^.]+$/, "")}-rejected-rows.csv`
+      );
+      link.style.visibility = "hidden";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-10 mx-auto p-5 border w-11/12 max-w-4xl shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <ClipboardCheck className="h-5 w-5 mr-2 text-blue-600" />
+              Review Import
+            </h3>
+            <p className="text-sm text-gray-500 mt-1">
+              "{fileName}" validated with profile "{profile.name}" (
+              {profile.dataType}). Nothing has been saved yet.
+            </p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Rows in File</p>
+            <p className="text-xl font-semibold text-gray-900">
+              {report.totalRows.toLocaleString()}
+            </p>
+          </div>
+          <div className="p-3 bg-green-50 rounded-lg">
+            <p className="text-xs text-green-700">Will Import</p>
+            <p className="text-xl font-semibold text-green-800">
+              {acceptedCount.toLocaleString()}
+            </p>
+          </div>
+          <div className="p-3 bg-red-50 rounded-lg">
+            <p className="text-xs text-red-700">Rejected</p>
+            <p className="text-xl font-semibold text-red-800">
+              {rejectedCount.toLocaleString()}
+            </p>
+          </div>
+          <div className="p-3 bg-yellow-50 rounded-lg">
+            <p className="text-xs text-yellow-700">Warnings</p>
+            <p className="text-xl font-semibold text-yellow-800">
+              {warningCount.toLocaleString()}
+            </p>
+          </div>
+        </div>
+
+        {dateColumns.length > 0 && (
+          <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Date Column
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Format
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Check
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {dateColumns.map(([field, info]) => (
+                  <tr key={field}>
+                    <td className="px-4 py-2 font-medium text-gray-900">
+                      {getFieldLabel(field)}
+                    </td>
+                    <td className="px-4 py-2">
+                      <select
+                        value={info.format || ""}
+                        onChange={(e) =>
+                          onDateFormatChange(field, e.target.value)
+                        }
+                        disabled={!onDateFormatChange}
+                        className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                      >
+                        {!info.format && (
+                          <option value="">No dates found</option>
+                        )}
+                        {DATE_FORMATS.map((format) => (
+                          <option key={format.id} value={format.id}>
+                            {format.label}
+                          </option>
+                        ))}
+                      </select>
+                      <span className="ml-2 text-xs text-gray-500">
+                        {DATE_FORMAT_SOURCES[info.source]}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2">
+                      {info.ambiguous ? (
+                        <span className="inline-flex items-center text-yellow-800">
+                          <AlertTriangle className="h-4 w-4 mr-1 text-yellow-600" />
+                          Ambiguous: every value also fits{" "}
+                          {info.candidates
+                            .filter((id) => id !== info.format)
+                            .map(getDateFormatLabel)
+                            .join(", ")}
+                        </span>
+                      ) : info.mixed ? (
+                        <span className="inline-flex items-center text-red-700">
+                          <AlertCircle className="h-4 w-4 mr-1 text-red-600" />
+                          Mixed formats: {info.unmatched.toLocaleString()}{" "}
+                          values don't match
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center text-green-700">
+                          <CheckCircle className="h-4 w-4 mr-1 text-green-600" />
+                          Consistent
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {issueRows.length === 0 ? (
+          <div className="mb-4 p-3 bg-green-50 border border-green-200 rounded-lg text-sm text-green-800 flex items-center">
+            <CheckCircle className="h-4 w-4 mr-2" />
+            No problems found. Every row is ready to import.
+          </div>
+        ) : (
+          <div className="overflow-x-auto border border-gray-200 rounded-lg mb-4">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Issue
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Effect
+                  </th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Rows
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {issueRows.map((issue) => (
+                  <tr key={issue.code}>
+                    <td className="px-4 py-2 font-medium text-gray-900 flex items-center">
+                      {issue.severity === "error" ? (
+                        <AlertCircle className="h-4 w-4 mr-2 text-red-600" />
+                      ) : (
+                        <AlertTriangle className="h-4 w-4 mr-2 text-yellow-600" />
+                      )}
+                      {issue.label}
+                    </td>
+                    <td className="px-4 py-2 text-gray-500">
+                      {issue.severity === "error"
+                        ? "Row rejected"
+                        : "Imported with warning"}
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-900">
+                      {issue.count.toLocaleString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {rejectedCount > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-medium text-gray-700 mb-2">
+              Rejected Rows
+              {rejectedCount > PREVIEW_LIMIT &&
+                ` (first ${PREVIEW_LIMIT} of ${rejectedCount})`}
+            </h4>
+            <div className="max-h-48 overflow-y-auto border border-red-100 rounded-lg divide-y divide-red-100 text-sm">
+              {report.rejectedRows.slice(0, PREVIEW_LIMIT).map((reject) => (
+                <div key={reject.rowNumber} className="px-3 py-2">
+                  <span className="font-medium text-gray-900">
+                    Row {reject.rowNumber}
+                  </span>
+                  {reject.policyNumber && (
+                    <span className="ml-2 text-gray-500">
+                      {reject.policyNumber}
+                    </span>
+                  )}
+                  <span className="ml-2 text-red-700">
+                    {reject.reasons.join("; ")}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {warningCount > 0 && (
+          <div className="mb-4">
+            <h4 className="text-sm font-medium text-gray-700 mb-2">
+              Warnings
+              {warningCount > PREVIEW_LIMIT &&
+                ` (first ${PREVIEW_LIMIT} of ${warningCount})`}
+            </h4>
+            <div className="max-h-48 overflow-y-auto border border-yellow-100 rounded-lg divide-y divide-yellow-100 text-sm">
+              {report.warnings.slice(0, PREVIEW_LIMIT).map((warning, index) => (
+                <div key={index} className="px-3 py-2">
+                  <span className="font-medium text-gray-900">
+                    Row {warning.rowNumber}
+                  </span>
+                  <span className="ml-2 text-yellow-800">
+                    {warning.message}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-between items-center pt-4 border-t">
+          <div>
+            {rejectedCount > 0 && (
+              <button
+                onClick={downloadRejects}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Download className="h-4 w-4 mr-2" />
+                Download Rejected Rows
+              </button>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={onCancel}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel Upload
+            </button>
+            <button
+              onClick={onAccept}
+              disabled={acceptedCount === 0}
+              className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              <CheckCircle className="h-4 w-4 mr-2" />
+              Import {acceptedCount.toLocaleString()} Rows
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReviewModal;
@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Layers,
+  RefreshCw,
+  AlertCircle,
+  RotateCcw,
+  XCircle,
+} from "lucide-react";
+
+const TABS = [
+  { id: "pending,running", name: "Queued", counts: ["pending", "running"] },
+  { id: "dead", name: "Dead Letter", counts: ["dead"] },
+  { id: "succeeded", name: "Sent", counts: ["succeeded"] },
+  { id: "cancelled", name: "Cancelled", counts: ["cancelled"] },
+  { id: "", name: "All", counts: null },
+];
+
+const STATUS_STYLES = {
+  pending: "bg-yellow-100 text-yellow-800",
+  running: "bg-blue-100 text-blue-800",
+  succeeded: "bg-green-100 text-green-800",
+  dead: "bg-red-100 text-red-800",
+  cancelled: "bg-gray-200 text-gray-700",
+};
+
+// One line saying what a job sends
+const describeJob = (job) => {
+  if (job.type === "email") {
+    const { to, subject } = job.payload.email || {};
+    return `${subject || "(no subject)"} → ${to || "(no recipient)"}`;
+  }
+  if (job.type === "n8n") {
+    return `${job.payload.workflowType} (${job.payload.executionId})`;
+  }
+  return job.type;
+};
+
+// Admin view of the outbound email/n8n queue: retry dead jobs, cancel
+// pending ones
+const JobQueue = ({ jobService }) => {
+  const [tab, setTab] = useState("pending,running");
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadJobs = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await jobService.getJobs({ status: tab });
+      setJobs(result.data);
+      setCounts(result.counts);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [jobService, tab]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  const handleChange = async (change, job) => {
+    setError(null);
+    try {
+      await (change === "retry"
+        ? jobService.retryJob(job.id)
+        : jobService.cancelJob(job.id));
+      await loadJobs();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const countFor = (t) =>
+    t.counts
+      ? t.counts.reduce((sum, status) => sum + (counts[status] || 0), 0)
+      : Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+            <Layers className="h-6 w-6 mr-2 text-blue-600" />
+            Outbound Jobs
+          </h1>
+          <p className="text-gray-600">
+            Emails and n8n triggers are retried with increasing delays; jobs
+            that run out of attempts land in the dead-letter list.
+          </p>
+        </div>
+        <button
+          onClick={loadJobs}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {TABS.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => setTab(t.id)}
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              tab === t.id
+                ? "bg-blue-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {t.name} ({countFor(t)})
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Job
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Attempts
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Next Attempt
+              </th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {jobs.length === 0 && (
+              <tr>
+                <td
+                  colSpan={5}
+                  className="px-4 py-8 text-center text-sm text-gray-500"
+                >
+                  {loading ? "Loading..." : "No jobs"}
+                </td>
+              </tr>
+            )}
+            {jobs.map((job) => (
+              <tr key={job.id}>
+                <td className="px-4 py-3 text-sm">
+                  <div className="font-medium text-gray-900">
+                    {job.type === "email" ? "Email" : "n8n"}: {describeJob(job)}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    Queued {new Date(job.createdAt).toLocaleString()} by{" "}
+                    {job.createdBy}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <span
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      STATUS_STYLES[job.status]
+                    }`}
+                  >
+                    {job.status}
+                  </span>
+                  {job.lastError && job.status !== "succeeded" && (
+                    <p className="mt-1 text-xs text-red-600">{job.lastError}</p>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm text-gray-700">
+                  {job.attempts} / {job.maxAttempts}
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-500 whitespace-nowrap">
+                  {job.status === "pending"
+                    ? new Date(job.runAt).toLocaleString()
+                    : "—"}
+                </td>
+                <td className="px-4 py-3 text-sm text-right whitespace-nowrap">
+                  {(job.status === "dead" || job.status === "cancelled") && (
+                    <button
+                      onClick={() => handleChange("retry", job)}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-900"
+                    >
+                      <RotateCcw className="h-4 w-4 mr-1" />
+                      Retry
+                    </button>
+                  )}
+                  {job.status === "pending" && (
+                    <button
+                      onClick={() => handleChange("cancel", job)}
+                      className="inline-flex items-center text-red-600 hover:text-red-900"
+                    >
+                      <XCircle className="h-4 w-4 mr-1" />
+                      Cancel
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default JobQueue;
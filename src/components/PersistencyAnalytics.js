@@ -1,11 +1,24 @@
 import React, { useMemo } from 'react';
 import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, BarChart, Bar, ComposedChart, Area, AreaChart } from 'recharts';
-import { TrendingUp, TrendingDown, Calendar, Target, AlertCircle } from 'lucide-react';
+import { TrendingUp, TrendingDown, Calendar, Target, AlertCircle, RotateCcw } from 'lucide-react';
+import { isRecovered } from '../utils/policyRecovery';
+import { getIssuedBookStats } from '../utils/issuedBook';
 
-const PersistencyAnalytics = ({ data, filteredData }) => {
+const PersistencyAnalytics = ({ data, filteredData, recovery, inforceData = [] }) => {
   const persistencyData = useMemo(() => {
-    const sourceData = filteredData.length > 0 ? filteredData : data;
-    if (sourceData.length === 0) return null;
+    // Recovered policies are back in force, so they don't count as terminated
+    const sourceData = (filteredData.length > 0 ? filteredData : data).filter(
+      policy => !isRecovered(policy)
+    );
+
+    // In-force book policies that never lapsed persist in their issue cohort
+    const lapsedNumbers = new Set(
+      data.filter(policy => !isRecovered(policy)).map(policy => policy.policy_nbr)
+    );
+    const persistingPolicies = inforceData.filter(
+      policy => !lapsedNumbers.has(policy.policy_nbr)
+    );
+    if (sourceData.length === 0 && persistingPolicies.length === 0) return null;
 
     // Enhanced cohort tracking with better date validation
     const cohorts = {};
@@ -27,23 +40,8 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
       return Math.max(1, months);
     };
 
-    // Process each policy with enhanced validation
-    sourceData.forEach(policy => {
-      // Validate dates
-      const issueDate = policy.issue_date ? new Date(policy.issue_date) : null;
-      const paidToDate = policy.paid_to_date ? new Date(policy.paid_to_date) : null;
-      
-      // Skip policies with invalid or missing dates
-      if (!issueDate || !paidToDate || isNaN(issueDate.getTime()) || isNaN(paidToDate.getTime())) {
-        return;
-      }
-      
-      // Skip future-dated policies or policies with paid_to before issue
-      if (issueDate > currentDate || paidToDate < issueDate) {
-        return;
-      }
-
-      // Create cohort based on issue month
+    // Get or create the cohort for a policy's issue month
+    const getCohort = (issueDate) => {
       const cohortKey = `${issueDate.getFullYear()}-${String(issueDate.getMonth() + 1).padStart(2, '0')}`;
       
       if (!cohorts[cohortKey]) {
@@ -65,7 +63,33 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
         };
       }
 
-      const cohort = cohorts[cohortKey];
+      return cohorts[cohortKey];
+    };
+
+    // Potential months: issue month to current month, capped at 5 years
+    const getPossibleMonths = (issueDate) => {
+      const maxPossibleDate = new Date(Math.min(currentDate.getTime(), issueDate.getTime() + (365 * 24 * 60 * 60 * 1000 * 5)));
+      return getMonthsBetween(issueDate, maxPossibleDate);
+    };
+
+    // Process each policy with enhanced validation
+    sourceData.forEach(policy => {
+      // Validate dates
+      const issueDate = policy.issue_date ? new Date(policy.issue_date) : null;
+      const paidToDate = policy.paid_to_date ? new Date(policy.paid_to_date) : null;
+      
+      // Skip policies with invalid or missing dates
+      if (!issueDate || !paidToDate || isNaN(issueDate.getTime()) || isNaN(paidToDate.getTime())) {
+        return;
+      }
+      
+      // Skip future-dated policies or policies with paid_to before issue
+      if (issueDate > currentDate || paidToDate < issueDate) {
+        return;
+      }
+
+      // Create cohort based on issue month
+      const cohort = getCohort(issueDate);
       cohort.totalIssued++;
       cohort.policies.push(policy);
       cohort.totalPremium += (policy.annual_premium || 0);
@@ -74,10 +98,8 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
       const monthsPersisted = getMonthsBetween(issueDate, paidToDate);
       cohort.totalMonthsPersisted += monthsPersisted;
 
-      // Calculate potential months (issue month to current month, capped at reasonable limit)
-      const maxPossibleDate = new Date(Math.min(currentDate.getTime(), issueDate.getTime() + (365 * 24 * 60 * 60 * 1000 * 5))); // Max 5 years
-      const possibleMonths = getMonthsBetween(issueDate, maxPossibleDate);
-      cohort.totalPossibleMonths += possibleMonths;
+      // Calculate potential months (issue month to current month)
+      cohort.totalPossibleMonths += getPossibleMonths(issueDate);
 
       // Track termination details
       cohort.terminated++;
@@ -102,6 +124,21 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
       cohort.terminatedPremium += (policy.annual_premium || 0);
     });
 
+    // Persisting book policies have been in force every possible month
+    persistingPolicies.forEach(policy => {
+      const issueDate = policy.issue_date ? new Date(policy.issue_date) : null;
+      if (!issueDate || isNaN(issueDate.getTime()) || issueDate > currentDate) {
+        return;
+      }
+
+      const cohort = getCohort(issueDate);
+      const possibleMonths = getPossibleMonths(issueDate);
+      cohort.totalIssued++;
+      cohort.totalPremium += (policy.annual_premium || 0);
+      cohort.totalMonthsPersisted += possibleMonths;
+      cohort.totalPossibleMonths += possibleMonths;
+    });
+
     // Calculate enhanced metrics for each cohort
     const persistencyMetrics = Object.values(cohorts)
       .filter(cohort => cohort.totalIssued > 0) // Only cohorts with valid policies
@@ -116,7 +153,8 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
           : 0;
 
         // Termination metrics
-        const terminationRate = 100; // All policies in dataset have terminated
+        // Without an in-force book every policy here has terminated (100%)
+        const terminationRate = (cohort.terminated / cohort.totalIssued) * 100;
         const nsfRate = (cohort.nsfTerminated / cohort.totalIssued) * 100;
         const cancellationRate = (cohort.cancellationTerminated / cohort.totalIssued) * 100;
 
@@ -197,16 +235,17 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
 
     // Calculate comprehensive overall statistics
     const validMetrics = persistencyWithTrends.filter(m => m.persistencyRate > 0);
+    const totalTerminated = validMetrics.reduce((sum, c) => sum + c.terminated, 0);
     const overallStats = {
       totalPolicies: validMetrics.reduce((sum, c) => sum + c.totalIssued, 0),
-      totalTerminated: validMetrics.reduce((sum, c) => sum + c.terminated, 0),
+      totalTerminated,
       avgPersistencyRate: validMetrics.length > 0 
         ? validMetrics.reduce((sum, c) => sum + c.persistencyRate, 0) / validMetrics.length 
         : 0,
       totalPremiumAtRisk: validMetrics.reduce((sum, c) => sum + c.premiumAtRisk, 0),
-      avgDaysToTermination: validMetrics.length > 0 
+      avgDaysToTermination: totalTerminated > 0 
         ? validMetrics.reduce((sum, c) => sum + (c.avgDaysToTermination * c.terminated), 0) / 
-          validMetrics.reduce((sum, c) => sum + c.terminated, 0)
+          totalTerminated
         : 0,
       bestMonth: validMetrics.length > 0 
         ? validMetrics.reduce((best, current) => 
@@ -233,9 +272,10 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
         monthsCovered: validMetrics.length,
         oldestCohort: validMetrics.length > 0 ? validMetrics[0].displayMonth : null,
         newestCohort: validMetrics.length > 0 ? validMetrics[validMetrics.length - 1].displayMonth : null
-      }
+      },
+      issuedBook: getIssuedBookStats(inforceData, data)
     };
-  }, [data, filteredData]);
+  }, [data, filteredData, inforceData]);
 
   if (!persistencyData) {
     return (
@@ -252,7 +292,7 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
     );
   }
 
-  const { monthlyData, overallStats, dataQuality } = persistencyData;
+  const { monthlyData, overallStats, dataQuality, issuedBook } = persistencyData;
 
   return (
     <div className="space-y-6">
@@ -271,7 +311,7 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
       </div>
 
       {/* Overall Statistics Cards */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
         <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6">
           <div className="flex items-center justify-between">
             <div>
@@ -282,6 +322,12 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
               <p className="text-xs text-gray-500 mt-1">
                 {monthlyData.length}-Month Average • Volatility: {overallStats.avgVolatility.toFixed(1)}%
               </p>
+              {issuedBook?.persistency.rate != null && (
+                <p className="text-xs text-gray-500 mt-1">
+                  13-Month Persistency: {issuedBook.persistency.rate.toFixed(1)}% of{' '}
+                  {issuedBook.persistency.cohortSize.toLocaleString()} issued
+                </p>
+              )}
             </div>
             <div className="bg-gradient-to-r from-green-500 to-emerald-600 p-3 rounded-xl shadow-lg">
               <Target className="h-8 w-8 text-white" />
@@ -339,6 +385,23 @@ const PersistencyAnalytics = ({ data, filteredData }) => {
             </div>
           </div>
         </div>
+
+        <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm font-medium text-gray-600">Recovery Rate</p>
+              <p className="text-2xl font-bold text-emerald-600 mt-2">
+                {(recovery?.recoveryRate || 0).toFixed(1)}%
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                {(recovery?.recoveredCount || 0).toLocaleString()} Recovered • ${((recovery?.recoveredPremium || 0) / 1000).toFixed(0)}K Premium
+              </p>
+            </div>
+            <div className="bg-gradient-to-r from-emerald-500 to-green-600 p-3 rounded-xl shadow-lg">
+              <RotateCcw className="h-8 w-8 text-white" />
+            </div>
+          </div>
+        </div>
       </div>
 
       {/* Main Persistency Chart */}
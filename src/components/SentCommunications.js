@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Send,
+  RefreshCw,
+  AlertCircle,
+  Search,
+  ChevronDown,
+  ChevronUp,
+} from "lucide-react";
+
+const TABS = [
+  { id: "", name: "All" },
+  { id: "sent", name: "Sent" },
+  { id: "failed", name: "Failed" },
+  { id: "bounced", name: "Bounced" },
+];
+
+const STATUS_STYLES = {
+  sent: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  bounced: "bg-yellow-100 text-yellow-800",
+};
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+const formatTemplate = (template) =>
+  template
+    ? template.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase())
+    : "Custom";
+
+// Searchable log of every email the server sent, with what happened to it
+const SentCommunications = ({ emailService }) => {
+  const [tab, setTab] = useState("");
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [emails, setEmails] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadEmails = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setEmails(
+        await emailService.getEmailLog({
+          status: tab,
+          search: query,
+          limit: 200,
+        })
+      );
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [emailService, tab, query]);
+
+  useEffect(() => {
+    loadEmails();
+  }, [loadEmails]);
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+            <Send className="h-6 w-6 mr-2 text-blue-600" />
+            Sent Communications
+          </h1>
+          <p className="text-gray-600">
+            Every email handed to the mail server, with its SMTP response and
+            any bounce reported afterwards.
+          </p>
+        </div>
+        <button
+          onClick={loadEmails}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {TABS.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => setTab(t.id)}
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              tab === t.id
+                ? "bg-blue-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {t.name}
+          </button>
+        ))}
+        <div className="relative ml-auto">
+          <Search className="h-4 w-4 absolute left-3 top-2.5 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Recipient, subject or message ID"
+            className="pl-9 pr-3 py-2 w-72 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Email
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Template
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Sent
+              </th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {emails.length === 0 && (
+              <tr>
+                <td
+                  colSpan={5}
+                  className="px-4 py-8 text-center text-sm text-gray-500"
+                >
+                  {loading ? "Loading..." : "No emails"}
+                </td>
+              </tr>
+            )}
+            {emails.map((email) => (
+              <React.Fragment key={email.id}>
+                <tr>
+                  <td className="px-4 py-3 text-sm">
+                    <div className="font-medium text-gray-900">
+                      {email.subject || "(no subject)"}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      To {email.to.join(", ")}
+                      {email.cc.length > 0 && `, cc ${email.cc.join(", ")}`}
+                    </div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {formatTemplate(email.template)}
+                    {email.templateVersion && (
+                      <span className="text-xs text-gray-500">
+                        {" "}
+                        v{email.templateVersion}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <span
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        STATUS_STYLES[email.status]
+                      }`}
+                    >
+                      {email.status}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-xs text-gray-500 whitespace-nowrap">
+                    {new Date(email.createdAt).toLocaleString()}
+                    <div>by {email.sentBy}</div>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right">
+                    <button
+                      onClick={() =>
+                        setExpandedId(expandedId === email.id ? null : email.id)
+                      }
+                      className="text-gray-500 hover:text-gray-800"
+                      aria-label="Toggle details"
+                    >
+                      {expandedId === email.id ? (
+                        <ChevronUp className="h-4 w-4" />
+                      ) : (
+                        <ChevronDown className="h-4 w-4" />
+                      )}
+                    </button>
+                  </td>
+                </tr>
+                {expandedId === email.id && (
+                  <tr className="bg-gray-50">
+                    <td colSpan={5} className="px-4 py-3 text-xs text-gray-700">
+                      <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+                        <div>
+                          <dt className="font-medium text-gray-500">
+                            Message ID
+                          </dt>
+                          <dd className="break-all">
+                            {email.messageId || "—"}
+                          </dd>
+                        </div>
+                        <div>
+                          <dt className="font-medium text-gray-500">
+                            SMTP response
+                          </dt>
+                          <dd className="break-all">
+                            {email.smtpResponse || "—"}
+                          </dd>
+                        </div>
+                        <div>
+                          <dt className="font-medium text-gray-500">
+                            Accepted / rejected
+                          </dt>
+                          <dd>
+                            {email.accepted.join(", ") || "—"} /{" "}
+                            {email.rejected.join(", ") || "—"}
+                          </dd>
+                        </div>
+                        <div>
+                          <dt className="font-medium text-gray-500">
+                            Linked to
+                          </dt>
+                          <dd>
+                            {[
+                              email.actionId && `Action ${email.actionId}`,
+                              email.taskId && `Task ${email.taskId}`,
+                              email.policyNumbers.length > 0 &&
+                                `Policies ${email.policyNumbers.join(", ")}`,
+                            ]
+                              .filter(Boolean)
+                              .join(" · ") || "—"}
+                          </dd>
+                        </div>
+                        {email.error && (
+                          <div className="md:col-span-2">
+                            <dt className="font-medium text-gray-500">Error</dt>
+                            <dd className="text-red-600">{email.error}</dd>
+                          </div>
+                        )}
+                        {email.bounces.length > 0 && (
+                          <div className="md:col-span-2">
+                            <dt className="font-medium text-gray-500">
+                              Bounces
+                            </dt>
+                            {email.bounces.map((bounce, index) => (
+                              <dd key={index} className="text-yellow-800">
+                                {new Date(bounce.at).toLocaleString()}:{" "}
+                                {bounce.recipient || "recipient unknown"}
+                                {bounce.reason && ` (${bounce.reason})`}
+                              </dd>
+                            ))}
+                          </div>
+                        )}
+                      </dl>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SentCommunications;
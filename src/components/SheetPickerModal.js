@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { X, Sheet } from "lucide-react";
+
+const SheetPickerModal = ({ fileName, workbook, onSelect, onCancel }) => {
+  const [selectedSheet, setSelectedSheet] = useState(workbook.SheetNames[0]);
+
+  // Approximate row count from each sheet's used range
+  const getRowCount = (sheetName) => {
+    const ref = workbook.Sheets[sheetName]?.["!ref"];
+    if (!ref) return 0;
+    const [, end = ref] = ref.split(":");
+    return parseInt(end.replace(/^[A-Z]+/, ""), 10) || 0;
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+      <div className="relative top-20 mx-auto p-5 border w-11/12 max-w-md shadow-lg rounded-md bg-white">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <Sheet className="h-5 w-5 mr-2 text-blue-600" />
+              Choose a Sheet
+            </h3>
+            <p className="text-sm text-gray-500 mt-1">
+              "{fileName}" has {workbook.SheetNames.length} sheets. Pick the one
+              with the policy list.
+            </p>
+          </div>
+          <button
+            onClick={onCancel}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="space-y-2 mb-4">
+          {workbook.SheetNames.map((sheetName) => (
+            <label
+              key={sheetName}
+              className={`flex items-center justify-between p-3 border rounded-lg cursor-pointer ${
+                selectedSheet === sheetName
+                  ? "border-blue-500 bg-blue-50"
+                  : "border-gray-200 hover:bg-gray-50"
+              }`}
+            >
+              <span className="flex items-center text-sm font-medium text-gray-900">
+                <input
+                  type="radio"
+                  name="sheet"
+                  value={sheetName}
+                  checked={selectedSheet === sheetName}
+                  onChange={() => setSelectedSheet(sheetName)}
+                  className="mr-3"
+                />
+                {sheetName}
+              </span>
+              <span className="text-xs text-gray-500">
+                ~{getRowCount(sheetName).toLocaleString()} rows
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <div className="flex justify-end space-x-2 pt-4 border-t">
+          <button
+            onClick={onCancel}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel Upload
+          </button>
+          <button
+            onClick={() => onSelect(selectedSheet)}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Use Sheet
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SheetPickerModal;
@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { PhoneCall, AlertCircle, CheckCircle } from "lucide-react";
+import { taskService } from "../services/taskService";
+import { authService } from "../services/authService";
+import {
+  CONTACT_CHANNELS,
+  DISPOSITIONS,
+  validateContactAttempt,
+} from "../utils/contactOutcomes";
+
+const EMPTY_ATTEMPT = {
+  channel: "phone",
+  disposition: "",
+  notes: "",
+  promiseDate: "",
+  promiseAmount: "",
+  nextFollowUpAt: "",
+};
+
+// Contact attempts on a retention task, newest first, and the form to log
+// another; a follow-up date creates the next task through onFollowUpCreated
+const TaskContactLog = ({ task, canLog = true, onFollowUpCreated }) => {
+  const [attempts, setAttempts] = useState(null);
+  const [attempt, setAttempt] = useState(EMPTY_ATTEMPT);
+  const [problems, setProblems] = useState([]);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadAttempts = useCallback(async () => {
+    try {
+      setAttempts(await taskService.getContactAttempts(task.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [task.id]);
+
+  useEffect(() => {
+    loadAttempts();
+  }, [loadAttempts]);
+
+  const updateAttempt = (field, value) =>
+    setAttempt((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const found = validateContactAttempt(attempt);
+    setProblems(found);
+    setError(null);
+    setNotice(null);
+    if (found.length > 0) return;
+
+    setSaving(true);
+    try {
+      const { attempt: logged, followUpTask } =
+        await taskService.logContactAttempt(
+          task,
+          attempt,
+          authService.getCurrentUser()?.displayName
+        );
+      setAttempts((prev) => [logged, ...(prev || [])]);
+      setAttempt(EMPTY_ATTEMPT);
+      if (followUpTask) {
+        setNotice(
+          `Follow-up task created for ${followUpTask.dueDate.toLocaleString()}`
+        );
+        if (onFollowUpCreated) onFollowUpCreated(followUpTask);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const disposition = DISPOSITIONS[attempt.disposition];
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mb-4">
+      <p className="text-sm text-gray-600 mb-2 flex items-center">
+        <PhoneCall className="h-4 w-4 mr-1" />
+        Contact Attempts
+      </p>
+
+      {error && (
+        <div className="flex items-center p-2 mb-2 rounded bg-red-50 text-xs text-red-700">
+          <AlertCircle className="h-4 w-4 mr-1 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="flex items-center p-2 mb-2 rounded bg-green-50 text-xs text-green-700">
+          <CheckCircle className="h-4 w-4 mr-1 flex-shrink-0" />
+          {notice}
+        </div>
+      )}
+
+      {!attempts ? (
+        <p className="text-xs text-gray-500 mb-3">Loading...</p>
+      ) : attempts.length === 0 ? (
+        <p className="text-xs text-gray-500 mb-3">No attempts logged yet</p>
+      ) : (
+        <ul className="space-y-2 mb-3 max-h-48 overflow-y-auto">
+          {attempts.map((logged) => (
+            <li key={logged.id} className="p-2 bg-gray-50 rounded text-sm">
+              <div className="flex justify-between">
+                <span className="font-medium text-gray-900">
+                  {DISPOSITIONS[logged.disposition]?.label ||
+                    logged.disposition}
+                </span>
+                <span className="text-xs text-gray-500">
+                  {CONTACT_CHANNELS[logged.channel] || logged.channel} ·{" "}
+                  {new Date(logged.createdAt).toLocaleString()}
+                </span>
+              </div>
+              {logged.promiseAmount && (
+                <p className="text-xs text-gray-700">
+                  Promised ${Number(logged.promiseAmount).toLocaleString()} on{" "}
+                  {logged.promiseDate}
+                </p>
+              )}
+              {logged.notes && (
+                <p className="text-xs text-gray-700 whitespace-pre-wrap">
+                  {logged.notes}
+                </p>
+              )}
+              <p className="text-xs text-gray-500">
+                {logged.attemptedBy}
+                {logged.nextFollowUpAt &&
+                  ` · follow up ${new Date(
+                    logged.nextFollowUpAt
+                  ).toLocaleString()}`}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canLog && (
+        <form onSubmit={handleSubmit} className="space-y-2">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <select
+              value={attempt.channel}
+              onChange={(e) => updateAttempt("channel", e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {Object.entries(CONTACT_CHANNELS).map(([code, label]) => (
+                <option key={code} value={code}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={attempt.disposition}
+              onChange={(e) => updateAttempt("disposition", e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              <option value="">Outcome...</option>
+              {Object.entries(DISPOSITIONS).map(([code, { label }]) => (
+                <option key={code} value={code}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {disposition?.needsPromise && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              <label className="text-xs text-gray-600">
+                Promised payment date
+                <input
+                  type="date"
+                  value={attempt.promiseDate}
+                  onChange={(e) => updateAttempt("promiseDate", e.target.value)}
+                  className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Amount
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={attempt.promiseAmount}
+                  onChange={(e) =>
+                    updateAttempt("promiseAmount", e.target.value)
+                  }
+                  className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+                />
+              </label>
+            </div>
+          )}
+          <label className="block text-xs text-gray-600">
+            Next follow-up
+            {disposition?.needsFollowUp ? "" : " (optional)"}
+            <input
+              type="datetime-local"
+              value={attempt.nextFollowUpAt}
+              onChange={(e) => updateAttempt("nextFollowUpAt", e.target.value)}
+              className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+            />
+          </label>
+          <textarea
+            value={attempt.notes}
+            onChange={(e) => updateAttempt("notes", e.target.value)}
+            rows={2}
+            placeholder="Notes"
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+          />
+          {problems.length > 0 && (
+            <ul className="text-xs text-red-600 list-disc list-inside">
+              {problems.map((problem) => (
+                <li key={problem}>{problem}</li>
+              ))}
+            </ul>
+          )}
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1 rounded-md text-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? "Saving..." : "Log Attempt"}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TaskContactLog;
@@ -11,24 +11,41 @@ import {
   MoreVertical,
   ArrowRight,
   TrendingUp,
-  MessageSquare,
   User,
   Target,
   Activity,
   Settings,
   ExternalLink,
+  BarChart3,
 } from "lucide-react";
 import { taskService, RETENTION_TEAM } from "../services/taskService";
 import TaskDistributionControls from "./TaskDistributionControls";
+import TaskTextMessages from "./TaskTextMessages";
+import TaskContactLog from "./TaskContactLog";
+import DispositionReport from "./DispositionReport";
 
-const TaskDashboard = ({ tasks = [], onTaskUpdate }) => {
+// canUpdate shows the call/complete buttons; canManage shows the
+// distribution controls for reassigning work; canText shows the text
+// composer under each task's thread (the thread needs smsService);
+// canReport shows contact outcomes per specialist. onTaskCreate receives
+// the follow-up tasks created by logging contact attempts
+const TaskDashboard = ({
+  tasks = [],
+  onTaskUpdate,
+  onTaskCreate,
+  canUpdate = true,
+  canManage = true,
+  canReport = false,
+  smsService,
+  canText = false,
+}) => {
   const { isMobile } = useDeviceDetect();
   const [selectedFilter, setSelectedFilter] = useState("all");
   const [selectedTeamMember, setSelectedTeamMember] = useState("all");
   const [taskStats, setTaskStats] = useState({});
   const [teamWorkload, setTeamWorkload] = useState({});
   const [expandedTask, setExpandedTask] = useState(null);
-  const [viewMode, setViewMode] = useState("tasks"); // "tasks" or "distribution"
+  const [viewMode, setViewMode] = useState("tasks"); // "tasks", "distribution" or "outcomes"
 
   useEffect(() => {
     calculateTaskStats();
@@ -207,31 +224,40 @@ const TaskDashboard = ({ tasks = [], onTaskUpdate }) => {
               </ul>
             </div>
 
+            <TaskContactLog
+              task={task}
+              canLog={canUpdate}
+              onFollowUpCreated={onTaskCreate}
+            />
+
+            {smsService && (
+              <TaskTextMessages
+                task={task}
+                smsService={smsService}
+                canSend={canText}
+              />
+            )}
+
             <div className="space-y-2">
               {/* Primary Actions */}
-              <div className="flex flex-col sm:flex-row gap-2">
-                <button
-                  onClick={() => handleTaskAction(task, "call")}
-                  className="flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex-1"
-                >
-                  <Phone className="h-4 w-4" />
-                  <span>Call Customer</span>
-                </button>
-                <button
-                  onClick={() => handleTaskAction(task, "message")}
-                  className="flex items-center justify-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors flex-1"
-                >
-                  <MessageSquare className="h-4 w-4" />
-                  <span>Send Message</span>
-                </button>
-                <button
-                  onClick={() => handleTaskAction(task, "complete")}
-                  className="flex items-center justify-center space-x-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors flex-1"
-                >
-                  <CheckCircle className="h-4 w-4" />
-                  <span>Mark Complete</span>
-                </button>
-              </div>
+              {canUpdate && (
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <button
+                    onClick={() => handleTaskAction(task, "call")}
+                    className="flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors flex-1"
+                  >
+                    <Phone className="h-4 w-4" />
+                    <span>Call Customer</span>
+                  </button>
+                  <button
+                    onClick={() => handleTaskAction(task, "complete")}
+                    className="flex items-center justify-center space-x-2 px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors flex-1"
+                  >
+                    <CheckCircle className="h-4 w-4" />
+                    <span>Mark Complete</span>
+                  </button>
+                </div>
+              )}
               
               {/* Secondary Actions */}
               <div className="flex flex-col sm:flex-row gap-2">
@@ -265,11 +291,6 @@ const TaskDashboard = ({ tasks = [], onTaskUpdate }) => {
         console.log(`Initiating call for task ${task.id}`);
         alert(`Calling customer for policy ${task.policyNumber}`);
         break;
-      case "message":
-        // Send SMS through Twilio
-        console.log(`Sending message for task ${task.id}`);
-        alert(`Sending message for policy ${task.policyNumber}`);
-        break;
       case "complete":
         // Mark task as complete
         if (onTaskUpdate) {
@@ -357,31 +378,48 @@ const TaskDashboard = ({ tasks = [], onTaskUpdate }) => {
           </div>
 
           {/* View Toggle */}
-          <div className="bg-white rounded-lg border border-gray-200 p-1">
-            <div className="flex space-x-1">
-              <button
-                onClick={() => setViewMode("tasks")}
-                className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
-                  viewMode === "tasks"
-                    ? "bg-blue-500 text-white"
-                    : "text-gray-600 hover:text-gray-900"
-                }`}
-              >
-                📋 Tasks
-              </button>
-              <button
-                onClick={() => setViewMode("distribution")}
-                className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
-                  viewMode === "distribution"
-                    ? "bg-blue-500 text-white"
-                    : "text-gray-600 hover:text-gray-900"
-                }`}
-              >
-                <Settings className="inline h-4 w-4 mr-1" />
-                Distribution
-              </button>
+          {(canManage || canReport) && (
+            <div className="bg-white rounded-lg border border-gray-200 p-1">
+              <div className="flex space-x-1">
+                <button
+                  onClick={() => setViewMode("tasks")}
+                  className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+                    viewMode === "tasks"
+                      ? "bg-blue-500 text-white"
+                      : "text-gray-600 hover:text-gray-900"
+                  }`}
+                >
+                  📋 Tasks
+                </button>
+                {canManage && (
+                  <button
+                    onClick={() => setViewMode("distribution")}
+                    className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+                      viewMode === "distribution"
+                        ? "bg-blue-500 text-white"
+                        : "text-gray-600 hover:text-gray-900"
+                    }`}
+                  >
+                    <Settings className="inline h-4 w-4 mr-1" />
+                    Distribution
+                  </button>
+                )}
+                {canReport && (
+                  <button
+                    onClick={() => setViewMode("outcomes")}
+                    className={`px-4 py-2 rounded-md text-sm font-medium transition-colors ${
+                      viewMode === "outcomes"
+                        ? "bg-blue-500 text-white"
+                        : "text-gray-600 hover:text-gray-900"
+                    }`}
+                  >
+                    <BarChart3 className="inline h-4 w-4 mr-1" />
+                    Outcomes
+                  </button>
+                )}
+              </div>
             </div>
-          </div>
+          )}
         </div>
       </div>
 
@@ -508,6 +546,9 @@ const TaskDashboard = ({ tasks = [], onTaskUpdate }) => {
             )}
           </div>
         </>
+      ) : viewMode === "outcomes" ? (
+        /* Contact Outcomes View */
+        <DispositionReport />
       ) : (
         /* Distribution Controls View */
         <TaskDistributionControls tasks={tasks} onTaskUpdate={onTaskUpdate} />
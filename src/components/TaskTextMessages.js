@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  MessageSquare,
+  RefreshCw,
+  AlertCircle,
+  Moon,
+  Send,
+} from "lucide-react";
+import { buildMergeData, renderTemplate } from "../utils/mergeFields";
+import {
+  MAX_SMS_LENGTH,
+  describeQuietHours,
+  findQuietHours,
+  normalizePhone,
+} from "../utils/sms";
+
+// Text thread for a retention task: the texts sent about it and the
+// customer's replies, with a composer filled from the task type's template.
+// defaultPhone (the customer's number from the contact directory) fills an
+// empty phone field
+const TaskTextMessages = ({
+  task,
+  smsService,
+  canSend = true,
+  defaultPhone,
+}) => {
+  const [messages, setMessages] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [template, setTemplate] = useState(task.type);
+  const [phone, setPhone] = useState(defaultPhone || "");
+  const [body, setBody] = useState("");
+  const [optOut, setOptOut] = useState(null);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  const normalizedPhone = normalizePhone(phone);
+  const issueState = task.policy?.issue_state;
+  const quietHours = findQuietHours(issueState);
+
+  const loadMessages = useCallback(async () => {
+    setError(null);
+    try {
+      setMessages(await smsService.getMessages({ taskId: task.id }));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [smsService, task.id]);
+
+  useEffect(() => {
+    loadMessages();
+  }, [loadMessages]);
+
+  useEffect(() => {
+    if (defaultPhone) setPhone((current) => current || defaultPhone);
+  }, [defaultPhone]);
+
+  useEffect(() => {
+    if (!canSend) return;
+    smsService
+      .getTemplates()
+      .then((loaded) => {
+        setTemplates(loaded);
+        // Task types without a template of their own (follow-ups) start
+        // from the first one
+        setTemplate((current) =>
+          loaded.some((t) => t.type === current) ? current : loaded[0]?.type
+        );
+      })
+      .catch((err) => setError(err.message));
+  }, [smsService, canSend]);
+
+  // Start the composer from the chosen template, filled from the task
+  useEffect(() => {
+    const selected = templates.find((t) => t.type === template);
+    if (!selected) return;
+    setBody(
+      renderTemplate(
+        selected.body,
+        buildMergeData({
+          policyNumber: task.policyNumber,
+          customerName: task.customerName,
+          premium: task.premium,
+        })
+      ).trim()
+    );
+  }, [templates, template, task.policyNumber, task.customerName, task.premium]);
+
+  useEffect(() => {
+    setOptOut(null);
+    if (!normalizedPhone) return;
+
+    let cancelled = false;
+    smsService
+      .getOptOut(normalizedPhone)
+      .then((result) => {
+        if (!cancelled) setOptOut(result);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [smsService, normalizedPhone]);
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    setSending(true);
+    setError(null);
+    try {
+      await smsService.sendText({
+        to: normalizedPhone,
+        taskId: task.id,
+        template,
+        body,
+      });
+      await loadMessages();
+    } catch (err) {
+      setError(err.message);
+      await loadMessages();
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const blocked = optOut?.optedOut || Boolean(quietHours);
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 mb-4">
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm text-gray-600 flex items-center">
+          <MessageSquare className="h-4 w-4 mr-1" />
+          Text Messages
+        </p>
+        <button
+          onClick={loadMessages}
+          className="p-1 text-gray-500 hover:text-gray-800"
+          title="Refresh thread"
+        >
+          <RefreshCw className="h-4 w-4" />
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-2 mb-2 rounded bg-red-50 text-xs text-red-700">
+          <AlertCircle className="h-4 w-4 mr-1 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="space-y-2 max-h-64 overflow-y-auto mb-3">
+        {!messages ? (
+          <p className="text-xs text-gray-500">Loading...</p>
+        ) : messages.length === 0 ? (
+          <p className="text-xs text-gray-500">No texts for this task yet</p>
+        ) : (
+          [...messages].reverse().map((message) => (
+            <div
+              key={message.id}
+              className={`flex ${
+                message.direction === "outbound"
+                  ? "justify-end"
+                  : "justify-start"
+              }`}
+            >
+              <div
+                className={`max-w-xs rounded-lg px-3 py-2 text-sm ${
+                  message.direction === "outbound"
+                    ? message.status === "failed"
+                      ? "bg-red-100 text-red-900"
+                      : "bg-blue-600 text-white"
+                    : "bg-gray-100 text-gray-900"
+                }`}
+              >
+                <p className="whitespace-pre-wrap break-words">
+                  {message.body}
+                </p>
+                <p className="mt-1 text-xs opacity-75">
+                  {message.direction === "outbound"
+                    ? `${message.sentBy} to ${message.phone}`
+                    : `From ${message.phone}`}{" "}
+                  · {new Date(message.createdAt).toLocaleString()}
+                  {message.status === "failed" && ` · failed: ${message.error}`}
+                </p>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {canSend && (
+        <form onSubmit={handleSend} className="space-y-2">
+          <div className="flex flex-col sm:flex-row gap-2">
+            <input
+              type="tel"
+              value={phone}
+              onChange={(e) => setPhone(e.target.value)}
+              placeholder="Customer mobile number"
+              className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+              required
+            />
+            <select
+              value={template}
+              onChange={(e) => setTemplate(e.target.value)}
+              className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+            >
+              {templates.map((t) => (
+                <option key={t.type} value={t.type}>
+                  {t.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            rows={4}
+            maxLength={MAX_SMS_LENGTH}
+            className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm"
+            required
+          />
+          {phone && !normalizedPhone && (
+            <p className="text-xs text-red-600">
+              Enter a 10-digit US number or an international number with +
+            </p>
+          )}
+          {optOut?.optedOut && (
+            <p className="text-xs text-red-600">
+              This number replied {optOut.keyword} and has opted out of texts
+            </p>
+          )}
+          {quietHours && (
+            <p className="text-xs text-yellow-700 flex items-center">
+              <Moon className="h-3 w-3 mr-1" />
+              {`Quiet hours: it is ${quietHours.localTime} in ${
+                quietHours.timeZone
+              }. No texts from ${describeQuietHours()}.`}
+            </p>
+          )}
+          <div className="flex items-center justify-between">
+            <span className="text-xs text-gray-500">
+              {body.length}/{MAX_SMS_LENGTH}
+            </span>
+            <button
+              type="submit"
+              disabled={sending || !normalizedPhone || blocked}
+              className="inline-flex items-center px-3 py-1 rounded-md text-sm text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+            >
+              <Send className="h-4 w-4 mr-1" />
+              {sending ? "Sending..." : "Send Text"}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TaskTextMessages;
@@ -0,0 +1,347 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  FileText,
+  RefreshCw,
+  Eye,
+  RotateCcw,
+  AlertCircle,
+  X,
+} from "lucide-react";
+import { DatabaseService } from "../config/supabase";
+
+// Uploads listed in the history view
+const UPLOAD_HISTORY_LIMIT = 200;
+
+const getStatusColor = (status) => {
+  switch (status) {
+    case "completed":
+      return "bg-green-100 text-green-800";
+    case "processing":
+      return "bg-blue-100 text-blue-800";
+    case "failed":
+      return "bg-red-100 text-red-800";
+    case "rolled_back":
+      return "bg-gray-200 text-gray-700";
+    default:
+      return "bg-yellow-100 text-yellow-800";
+  }
+};
+
+const formatCount = (value) =>
+  value === null || value === undefined ? "—" : value.toLocaleString();
+
+const UploadHistory = ({ onRollback }) => {
+  const [uploads, setUploads] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [selectedUpload, setSelectedUpload] = useState(null);
+  const [uploadPolicies, setUploadPolicies] = useState([]);
+  const [policiesLoading, setPoliciesLoading] = useState(false);
+  const [expandedErrors, setExpandedErrors] = useState(null);
+  const [rollingBack, setRollingBack] = useState(null);
+
+  const loadUploads = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await DatabaseService.getRecentUploads(UPLOAD_HISTORY_LIMIT);
+      setUploads(data);
+    } catch (err) {
+      console.error("❌ Error loading upload history:", err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUploads();
+  }, [loadUploads]);
+
+  const handleViewPolicies = async (upload) => {
+    setSelectedUpload(upload);
+    setUploadPolicies([]);
+    setPoliciesLoading(true);
+    try {
+      const policies = await DatabaseService.getPoliciesByUpload(upload.id);
+      setUploadPolicies(policies);
+    } catch (err) {
+      console.error("❌ Error loading upload policies:", err);
+      alert(`Error loading policies for ${upload.file_name}: ${err.message}`);
+    } finally {
+      setPoliciesLoading(false);
+    }
+  };
+
+  const handleRollback = async (upload) => {
+    const confirmed = window.confirm(
+      `Roll back "${upload.file_name}"?\n\n` +
+        "This deletes every policy row this upload introduced. Rows it only updated keep their updated values. Payment uploads also un-mark the policies they recovered. This cannot be undone."
+    );
+    if (!confirmed) return;
+
+    setRollingBack(upload.id);
+    try {
+      const deletedCount = await onRollback(upload);
+      alert(
+        `Rolled back "${upload.file_name}": ${deletedCount} rows removed.`
+      );
+      if (selectedUpload?.id === upload.id) {
+        setSelectedUpload(null);
+      }
+      await loadUploads();
+    } catch (err) {
+      console.error("❌ Error rolling back upload:", err);
+      alert(`Error rolling back upload: ${err.message}`);
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-bold text-gray-900 flex items-center">
+            <FileText className="h-6 w-6 mr-2 text-blue-600" />
+            Upload History
+          </h3>
+          <button
+            onClick={loadUploads}
+            disabled={loading}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw
+              className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+            />
+            Refresh
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800 flex items-center">
+            <AlertCircle className="h-4 w-4 mr-2" />
+            {error}
+          </div>
+        )}
+
+        {!loading && uploads.length === 0 && !error ? (
+          <div className="text-center py-8">
+            <FileText className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No uploads recorded yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    File
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Type
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Uploaded
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Rows
+                  </th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    New / Updated / Unchanged
+                  </th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {uploads.map((upload) => (
+                  <React.Fragment key={upload.id}>
+                    <tr
+                      className={
+                        selectedUpload?.id === upload.id ? "bg-blue-50" : ""
+                      }
+                    >
+                      <td className="px-4 py-2 font-medium text-gray-900">
+                        {upload.file_name}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600 capitalize">
+                        {upload.file_type}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                        {upload.uploaded_at
+                          ? new Date(upload.uploaded_at).toLocaleString()
+                          : "—"}
+                      </td>
+                      <td className="px-4 py-2">
+                        <span
+                          className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(
+                            upload.upload_status
+                          )}`}
+                        >
+                          {(upload.upload_status || "unknown").replace(
+                            "_",
+                            " "
+                          )}
+                        </span>
+                        {upload.error_details && (
+                          <button
+                            onClick={() =>
+                              setExpandedErrors(
+                                expandedErrors === upload.id ? null : upload.id
+                              )
+                            }
+                            className="ml-2 text-xs text-blue-600 hover:text-blue-800"
+                          >
+                            {expandedErrors === upload.id
+                              ? "Hide details"
+                              : "Details"}
+                          </button>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-900">
+                        {formatCount(upload.records_imported)}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-600 whitespace-nowrap">
+                        {formatCount(upload.records_new)} /{" "}
+                        {formatCount(upload.records_updated)} /{" "}
+                        {formatCount(upload.records_unchanged)}
+                        {upload.records_recovered > 0 && (
+                          <div className="text-xs text-green-700">
+                            {upload.records_recovered.toLocaleString()}{" "}
+                            recovered
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => handleViewPolicies(upload)}
+                          className="inline-flex items-center text-blue-600 hover:text-blue-800 mr-3"
+                          title="View policies"
+                        >
+                          <Eye className="h-4 w-4 mr-1" />
+                          Policies
+                        </button>
+                        <button
+                          onClick={() => handleRollback(upload)}
+                          disabled={
+                            upload.upload_status === "rolled_back" ||
+                            rollingBack === upload.id
+                          }
+                          className="inline-flex items-center text-red-600 hover:text-red-800 disabled:opacity-40 disabled:cursor-not-allowed"
+                          title="Delete the rows this upload introduced"
+                        >
+                          <RotateCcw className="h-4 w-4 mr-1" />
+                          {rollingBack === upload.id
+                            ? "Rolling back..."
+                            : "Roll back"}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedErrors === upload.id && (
+                      <tr>
+                        <td colSpan={7} className="px-4 py-2 bg-gray-50">
+                          <pre className="text-xs text-gray-700 whitespace-pre-wrap">
+                            {JSON.stringify(upload.error_details, null, 2)}
+                          </pre>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedUpload && (
+        <div className="bg-white/70 backdrop-blur-sm rounded-2xl shadow-xl border border-gray-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h4 className="text-lg font-semibold text-gray-900">
+                Policies from {selectedUpload.file_name}
+              </h4>
+              <p className="text-sm text-gray-500">
+                Rows this upload introduced or last updated
+              </p>
+            </div>
+            <button
+              onClick={() => setSelectedUpload(null)}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          {policiesLoading ? (
+            <p className="text-sm text-gray-500">Loading policies...</p>
+          ) : uploadPolicies.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No policies are linked to this upload.
+            </p>
+          ) : (
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Policy
+                    </th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Agent
+                    </th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Product
+                    </th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Event Date
+                    </th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Premium
+                    </th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Change
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {uploadPolicies.map((policy) => (
+                    <tr key={policy.id}>
+                      <td className="px-4 py-2 font-medium text-gray-900">
+                        {policy.policy_nbr}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {policy.agent_name}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {policy.product}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {policy.event_date || "—"}
+                      </td>
+                      <td className="px-4 py-2 text-right text-gray-900">
+                        ${Number(policy.annual_premium || 0).toLocaleString()}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {policy.upload_id === selectedUpload.id
+                          ? "Introduced"
+                          : "Updated"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadHistory;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { UserPlus, RefreshCw, AlertCircle, Users } from "lucide-react";
+import { ROLES, ROLE_LABELS } from "../utils/permissions";
+
+const EMPTY_USER = {
+  username: "",
+  displayName: "",
+  role: ROLES.RETENTION_SPECIALIST,
+  password: "",
+};
+
+// Admin view for creating accounts, changing roles and disabling accounts
+const UserManagement = ({ authService, currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [saving, setSaving] = useState(false);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setUsers(await authService.getUsers());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [authService]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleCreate = async (event) => {
+    event.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await authService.createUser(newUser);
+      setNewUser(EMPTY_USER);
+      await loadUsers();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (user, changes) => {
+    setError(null);
+    try {
+      const updated = await authService.updateUser(user.id, changes);
+      setUsers((prev) => prev.map((u) => (u.id === updated.id ? updated : u)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleResetPassword = (user) => {
+    const password = window.prompt(`New password for ${user.username}:`);
+    if (password) handleUpdate(user, { password });
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+            <Users className="h-6 w-6 mr-2 text-blue-600" />
+            User Accounts
+          </h1>
+          <p className="text-gray-600">
+            Specialists see the tasks and actions assigned to their display
+            name, so it must match the name used for assignments.
+          </p>
+        </div>
+        <button
+          onClick={loadUsers}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Username
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Display Name
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Role
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {users.map((user) => {
+              const isSelf = user.id === currentUser.id;
+              return (
+                <tr key={user.id} className={user.disabled ? "bg-gray-50" : ""}>
+                  <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                    {user.username}
+                    {isSelf && (
+                      <span className="ml-2 text-xs text-gray-500">(you)</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-700">
+                    {user.displayName}
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <select
+                      value={user.role}
+                      disabled={isSelf}
+                      onChange={(e) =>
+                        handleUpdate(user, { role: e.target.value })
+                      }
+                      className="border border-gray-300 rounded-md px-2 py-1 text-sm disabled:bg-gray-100"
+                    >
+                      {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                        <option key={role} value={role}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3 text-sm">
+                    <span
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        user.disabled
+                          ? "bg-gray-200 text-gray-700"
+                          : "bg-green-100 text-green-700"
+                      }`}
+                    >
+                      {user.disabled ? "Disabled" : "Active"}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-right space-x-3 whitespace-nowrap">
+                    <button
+                      onClick={() => handleResetPassword(user)}
+                      className="text-blue-600 hover:text-blue-900"
+                    >
+                      Reset Password
+                    </button>
+                    {!isSelf && (
+                      <button
+                        onClick={() =>
+                          handleUpdate(user, { disabled: !user.disabled })
+                        }
+                        className={
+                          user.disabled
+                            ? "text-green-600 hover:text-green-900"
+                            : "text-red-600 hover:text-red-900"
+                        }
+                      >
+                        {user.disabled ? "Enable" : "Disable"}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <form
+        onSubmit={handleCreate}
+        className="bg-white rounded-lg border border-gray-200 p-4"
+      >
+        <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+          <UserPlus className="h-5 w-5 mr-2 text-blue-600" />
+          Add User
+        </h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input
+            type="text"
+            placeholder="Username"
+            value={newUser.username}
+            onChange={(e) =>
+              setNewUser((prev) => ({ ...prev, username: e.target.value }))
+            }
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            required
+          />
+          <input
+            type="text"
+            placeholder="Display name"
+            value={newUser.displayName}
+            onChange={(e) =>
+              setNewUser((prev) => ({ ...prev, displayName: e.target.value }))
+            }
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            required
+          />
+          <select
+            value={newUser.role}
+            onChange={(e) =>
+              setNewUser((prev) => ({ ...prev, role: e.target.value }))
+            }
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            {Object.entries(ROLE_LABELS).map(([role, label]) => (
+              <option key={role} value={role}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="password"
+            placeholder="Password (8+ characters)"
+            autoComplete="new-password"
+            value={newUser.password}
+            onChange={(e) =>
+              setNewUser((prev) => ({ ...prev, password: e.target.value }))
+            }
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            required
+            minLength={8}
+          />
+        </div>
+        <div className="flex justify-end mt-4">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-3 py-2 border border-transparent text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            <UserPlus className="h-4 w-4 mr-2" />
+            {saving ? "Adding..." : "Add User"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Workflow, RefreshCw, AlertCircle } from "lucide-react";
+
+// How often the view re-polls while runs are in flight
+const REFRESH_INTERVAL_MS = 10000;
+
+const TABS = [
+  { id: "active", name: "In Flight" },
+  { id: "failed", name: "Failed" },
+  { id: "", name: "All" },
+];
+
+const STATUS_STYLES = {
+  queued: "bg-gray-100 text-gray-800",
+  triggered: "bg-yellow-100 text-yellow-800",
+  running: "bg-blue-100 text-blue-800",
+  succeeded: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+};
+
+const formatWorkflowType = (type) =>
+  type.replace(/_/g, " ").replace(/\b\w/g, (c) => c.toUpperCase());
+
+// n8n workflow runs the server has triggered, with progress and failures
+const WorkflowRuns = ({ n8nService }) => {
+  const [tab, setTab] = useState("active");
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadRuns = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setRuns(await n8nService.getWorkflowExecutions({ status: tab }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [n8nService, tab]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  // Keep in-flight runs current until they finish
+  useEffect(() => {
+    if (tab !== "active") return undefined;
+    const timer = setInterval(loadRuns, REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [tab, loadRuns]);
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 mb-2 flex items-center">
+            <Workflow className="h-6 w-6 mr-2 text-blue-600" />
+            Workflow Runs
+          </h1>
+          <p className="text-gray-600">
+            n8n workflows triggered from actions and tasks, updated as n8n
+            reports progress.
+          </p>
+        </div>
+        <button
+          onClick={loadRuns}
+          disabled={loading}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw
+            className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`}
+          />
+          Refresh
+        </button>
+      </div>
+
+      <div className="flex space-x-2">
+        {TABS.map((t) => (
+          <button
+            key={t.id}
+            onClick={() => setTab(t.id)}
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              tab === t.id
+                ? "bg-blue-600 text-white"
+                : "bg-gray-100 text-gray-700 hover:bg-gray-200"
+            }`}
+          >
+            {t.name}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="flex items-center p-3 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          <AlertCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg border border-gray-200 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Workflow
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Status
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Progress
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Linked To
+              </th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                Started
+              </th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {runs.length === 0 && (
+              <tr>
+                <td
+                  colSpan={5}
+                  className="px-4 py-8 text-center text-sm text-gray-500"
+                >
+                  {loading ? "Loading..." : "No workflow runs"}
+                </td>
+              </tr>
+            )}
+            {runs.map((run) => (
+              <tr key={run.id}>
+                <td className="px-4 py-3 text-sm">
+                  <div className="font-medium text-gray-900">
+                    {formatWorkflowType(run.workflowType)}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {run.n8nExecutionId ? `n8n #${run.n8nExecutionId}` : run.id}
+                  </div>
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <span
+                    className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      STATUS_STYLES[run.status]
+                    }`}
+                  >
+                    {run.status}
+                  </span>
+                  {run.status === "failed" && run.error && (
+                    <p className="mt-1 text-xs text-red-600">{run.error}</p>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-sm w-48">
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className={`h-2 rounded-full ${
+                        run.status === "failed" ? "bg-red-500" : "bg-blue-600"
+                      }`}
+                      style={{ width: `${run.progress}%` }}
+                    />
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {run.progress}%{run.message ? ` · ${run.message}` : ""}
+                  </p>
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-700">
+                  {run.actionId && <div>Action {run.actionId}</div>}
+                  {run.taskId && <div>Task {run.taskId}</div>}
+                  {!run.actionId && !run.taskId && (
+                    <span className="text-gray-400">—</span>
+                  )}
+                </td>
+                <td className="px-4 py-3 text-xs text-gray-500 whitespace-nowrap">
+                  <div>{new Date(run.createdAt).toLocaleString()}</div>
+                  <div>by {run.triggeredBy}</div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowRuns;
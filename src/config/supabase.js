@@ -1,4 +1,8 @@
 import { createClient } from "@supabase/supabase-js";
+// Relative imports keep their .js extension so server scripts can load
+// this module in Node (see server/importPolicies.js)
+import { planPolicyUpsert, hasPolicyChanged } from "../utils/policyUpsert.js";
+import { LAPSE_SOURCES, matchRecoveries } from "../utils/policyRecovery.js";
 
 // Supabase configuration - REQUIRES environment variables
 const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
@@ -17,8 +21,52 @@ if (!supabaseUrl || !supabaseAnonKey) {
   );
 }
 
+// Signed-in user's token (see authService). Supabase receives it in place
+// of the anon key so row-level security can scope rows to the user's role,
+// but only when the server signed it with the Supabase JWT secret; otherwise,
+// and with no one signed in, requests fall back to the anon key.
+let accessToken = null;
+
+export const setSupabaseAccessToken = (token) => {
+  accessToken = token || null;
+};
+
 // Create Supabase client
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+  accessToken: async () => accessToken,
+});
+
+// A separate client sending its own token (or the anon key), for server jobs
+// that must not change the token of the shared client above
+export const createSupabaseClient = (token) =>
+  createClient(supabaseUrl, supabaseAnonKey, {
+    accessToken: async () => token || null,
+  });
+
+// Policy numbers per lookup query when planning an upsert
+const UPSERT_LOOKUP_CHUNK = 200;
+
+// Rows fetched per request by fetchAllPages (PostgREST's default response cap)
+const FETCH_PAGE_SIZE = 1000;
+
+// Run a query a page at a time until a short page comes back, since
+// PostgREST caps each response. buildQuery returns a fresh query with a
+// stable order; the result is { data, error } like a single query's.
+const fetchAllPages = async (buildQuery) => {
+  const rows = [];
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(
+      from,
+      from + FETCH_PAGE_SIZE - 1
+    );
+    if (error) return { data: null, error };
+
+    rows.push(...(data || []));
+    if (!data || data.length < FETCH_PAGE_SIZE) {
+      return { data: rows, error: null };
+    }
+  }
+};
 
 // Database helper functions
 export const DatabaseService = {
@@ -48,16 +96,283 @@ export const DatabaseService = {
     }
   },
 
-  // Get all policies
-  async getAllPolicies() {
+  // Upsert policies keyed on (source, policy_nbr, event_date)
+  // Returns new/updated/unchanged counts so uploads can report what changed.
+  // New rows are stamped with the upload that introduced them (upload_id);
+  // updated rows keep that and only record the latest upload (last_upload_id).
+  async upsertPolicies(policies, uploadId = null) {
     try {
       if (process.env.NODE_ENV === 'development') {
-        console.log("🔄 Fetching policies from Supabase...");
+        console.log("🔄 Upserting policies to Supabase...");
+      }
+
+      // Load stored rows for the incoming policy numbers, in chunks to keep URLs short
+      // and paged since a chunk can match many event dates per number
+      const existingRows = [];
+      const sources = [...new Set(policies.map((p) => p.source))];
+      const policyNumbers = [...new Set(policies.map((p) => p.policy_nbr))];
+      for (let i = 0; i < policyNumbers.length; i += UPSERT_LOOKUP_CHUNK) {
+        const chunk = policyNumbers.slice(i, i + UPSERT_LOOKUP_CHUNK);
+        const { data, error } = await fetchAllPages(() =>
+          supabase
+            .from("policies")
+            .select("*")
+            .in("source", sources)
+            .in("policy_nbr", chunk)
+            .order("id", { ascending: true })
+        );
+
+        if (error) {
+          console.error("Error looking up existing policies:", error);
+          throw new Error(`Database lookup failed: ${error.message}`);
+        }
+        existingRows.push(...data);
+      }
+
+      const { newRows, updatedRows, unchangedRows } = planPolicyUpsert(
+        policies,
+        existingRows
+      );
+
+      // Written separately so updated rows never overwrite upload_id
+      const batches = [
+        newRows.map((row) => ({
+          ...row,
+          upload_id: uploadId,
+          last_upload_id: uploadId,
+        })),
+        updatedRows.map((row) => ({ ...row, last_upload_id: uploadId })),
+      ];
+
+      const data = [];
+      for (const batch of batches) {
+        if (batch.length === 0) continue;
+
+        const result = await supabase
+          .from("policies")
+          .upsert(batch, { onConflict: "source,policy_nbr,event_date" })
+          .select();
+
+        if (result.error) {
+          console.error("Error upserting policies:", result.error);
+          throw new Error(`Database upsert failed: ${result.error.message}`);
+        }
+        data.push(...(result.data || []));
       }
+
+      const counts = {
+        new: newRows.length,
+        updated: updatedRows.length,
+        unchanged: unchangedRows.length,
+      };
+      if (process.env.NODE_ENV === 'development') {
+        console.log("✅ Successfully upserted policies to Supabase", counts);
+      }
+      return { data, counts };
+    } catch (err) {
+      console.error("Supabase upsert error:", err);
+      throw new Error(`Failed to upsert policies: ${err.message}`);
+    }
+  },
+
+  // Upsert in-force book rows keyed on policy_nbr, with the same
+  // new/updated/unchanged counts and upload stamping as upsertPolicies
+  async upsertInforcePolicies(policies, uploadId = null) {
+    try {
+      const existingRows = [];
+      const policyNumbers = [...new Set(policies.map((p) => p.policy_nbr))];
+      for (let i = 0; i < policyNumbers.length; i += UPSERT_LOOKUP_CHUNK) {
+        const { data, error } = await supabase
+          .from("inforce_policies")
+          .select("*")
+          .in("policy_nbr", policyNumbers.slice(i, i + UPSERT_LOOKUP_CHUNK));
+
+        if (error) {
+          console.error("Error looking up in-force policies:", error);
+          throw new Error(`Database lookup failed: ${error.message}`);
+        }
+        existingRows.push(...(data || []));
+      }
+
+      const existingByNumber = new Map(
+        existingRows.map((row) => [row.policy_nbr, row])
+      );
+      const newRows = [];
+      const updatedRows = [];
+      const unchangedRows = [];
+      policies.forEach((row) => {
+        const existing = existingByNumber.get(row.policy_nbr);
+        if (!existing) {
+          newRows.push(row);
+        } else if (hasPolicyChanged(row, existing)) {
+          updatedRows.push(row);
+        } else {
+          unchangedRows.push(row);
+        }
+      });
+
+      // Written separately so updated rows never overwrite upload_id
+      const batches = [
+        newRows.map((row) => ({
+          ...row,
+          upload_id: uploadId,
+          last_upload_id: uploadId,
+        })),
+        updatedRows.map((row) => ({ ...row, last_upload_id: uploadId })),
+      ];
+
+      const data = [];
+      for (const batch of batches) {
+        if (batch.length === 0) continue;
+
+        const result = await supabase
+          .from("inforce_policies")
+          .upsert(batch, { onConflict: "policy_nbr" })
+          .select();
+
+        if (result.error) {
+          console.error("Error upserting in-force policies:", result.error);
+          throw new Error(`Database upsert failed: ${result.error.message}`);
+        }
+        data.push(...(result.data || []));
+      }
+
+      const counts = {
+        new: newRows.length,
+        updated: updatedRows.length,
+        unchanged: unchangedRows.length,
+      };
+      if (process.env.NODE_ENV === 'development') {
+        console.log("✅ Successfully upserted in-force book to Supabase", counts);
+      }
+      return { data, counts };
+    } catch (err) {
+      console.error("Supabase in-force upsert error:", err);
+      throw new Error(`Failed to upsert in-force policies: ${err.message}`);
+    }
+  },
+
+  // Get the whole in-force book, a page at a time
+  async getInforcePolicies() {
+    const { data, error } = await fetchAllPages(() =>
+      supabase
+        .from("inforce_policies")
+        .select("*")
+        .order("policy_nbr", { ascending: true })
+    );
+
+    if (error) {
+      console.error("Error fetching in-force policies:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  // Save reinstatement/payment feed rows keyed on (policy_nbr, payment_date,
+  // payment_amount). Payments already on file are left untouched, so they
+  // stay linked to the upload that first recorded them.
+  async upsertPayments(payments, uploadId = null) {
+    try {
+      const { data, error } = await supabase
+        .from("policy_payments")
+        .upsert(
+          payments.map((payment) => ({ ...payment, upload_id: uploadId })),
+          {
+            onConflict: "policy_nbr,payment_date,payment_amount",
+            ignoreDuplicates: true,
+          }
+        )
+        .select("id");
+
+      if (error) {
+        console.error("Error saving payments:", error);
+        throw new Error(`Database upsert failed: ${error.message}`);
+      }
+
+      const counts = {
+        new: data?.length || 0,
+        unchanged: payments.length - (data?.length || 0),
+      };
+      if (process.env.NODE_ENV === 'development') {
+        console.log("✅ Successfully saved payments to Supabase", counts);
+      }
+      return { data: data || [], counts };
+    } catch (err) {
+      console.error("Supabase payment upsert error:", err);
+      throw new Error(`Failed to save payments: ${err.message}`);
+    }
+  },
+
+  // Mark the lapsed policies a set of payments recovers (see matchRecoveries).
+  // Returns the policy rows that were marked.
+  async markPoliciesRecovered(payments, uploadId = null) {
+    try {
+      const openRows = [];
+      const policyNumbers = [...new Set(payments.map((p) => p.policy_nbr))];
+      for (let i = 0; i < policyNumbers.length; i += UPSERT_LOOKUP_CHUNK) {
+        const chunk = policyNumbers.slice(i, i + UPSERT_LOOKUP_CHUNK);
+        const { data, error } = await fetchAllPages(() =>
+          supabase
+            .from("policies")
+            .select("*")
+            .in("source", LAPSE_SOURCES)
+            .in("policy_nbr", chunk)
+            .is("recovered_at", null)
+            .order("id", { ascending: true })
+        );
+
+        if (error) {
+          console.error("Error looking up lapsed policies:", error);
+          throw new Error(`Database lookup failed: ${error.message}`);
+        }
+        openRows.push(...data);
+      }
+
+      const recoveredRows = matchRecoveries(openRows, payments).map(
+        ({ policy, payment }) => ({
+          ...policy,
+          recovered_at: payment.payment_date,
+          recovery_amount: payment.payment_amount,
+          recovery_upload_id: uploadId,
+        })
+      );
+      if (recoveredRows.length === 0) return [];
+
       const { data, error } = await supabase
         .from("policies")
-        .select("*")
-        .order("uploaded_at", { ascending: false });
+        .upsert(recoveredRows, { onConflict: "id" })
+        .select();
+
+      if (error) {
+        console.error("Error marking policies recovered:", error);
+        throw new Error(`Database update failed: ${error.message}`);
+      }
+
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`✅ Marked ${data?.length || 0} policies recovered`);
+      }
+      return data || [];
+    } catch (err) {
+      console.error("Supabase recovery error:", err);
+      throw new Error(`Failed to mark policies recovered: ${err.message}`);
+    }
+  },
+
+  // Get all policies, a page at a time since PostgREST caps each response
+  // (client: a Supabase client other than the shared one)
+  async getAllPolicies(client = supabase) {
+    try {
+      if (process.env.NODE_ENV === 'development') {
+        console.log("🔄 Fetching policies from Supabase...");
+      }
+      const { data, error } = await fetchAllPages(() =>
+        client
+          .from("policies")
+          .select("*")
+          .order("uploaded_at", { ascending: false })
+          .order("id", { ascending: true })
+      );
 
       if (error) {
         console.error("Error fetching policies:", error);
@@ -66,10 +381,10 @@ export const DatabaseService = {
 
       if (process.env.NODE_ENV === 'development') {
         console.log(
-          `✅ Successfully fetched ${data?.length || 0} policies from Supabase`
+          `✅ Successfully fetched ${data.length} policies from Supabase`
         );
       }
-      return data || [];
+      return data;
     } catch (err) {
       console.error("Supabase fetch error:", err);
       throw new Error(`Failed to fetch policies: ${err.message}`);
@@ -92,6 +407,101 @@ export const DatabaseService = {
     return data || [];
   },
 
+  // Get the policies (or in-force book rows) an upload introduced or last
+  // updated, a page at a time
+  async getPoliciesByUpload(uploadId) {
+    const rows = [];
+    for (const table of ["policies", "inforce_policies"]) {
+      const { data, error } = await fetchAllPages(() =>
+        supabase
+          .from(table)
+          .select("*")
+          .or(`upload_id.eq.${uploadId},last_upload_id.eq.${uploadId}`)
+          .order("policy_nbr", { ascending: true })
+          .order("id", { ascending: true })
+      );
+
+      if (error) {
+        console.error("Error fetching policies by upload:", error);
+        throw error;
+      }
+      rows.push(...data);
+    }
+
+    return rows;
+  },
+
+  // Roll back an upload: delete the rows it introduced (policies or in-force
+  // book rows) and mark it rolled back.
+  // Rows it only updated stay in place with their updated values. For payment
+  // feeds this deletes its payments and un-marks the policies they recovered.
+  async rollbackUpload(uploadId) {
+    const { data, error } = await supabase
+      .from("policies")
+      .delete()
+      .eq("upload_id", uploadId)
+      .select("id");
+
+    if (error) {
+      console.error("Error rolling back upload:", error);
+      throw error;
+    }
+
+    const { data: bookRows, error: bookError } = await supabase
+      .from("inforce_policies")
+      .delete()
+      .eq("upload_id", uploadId)
+      .select("id");
+
+    if (bookError) {
+      console.error("Error rolling back in-force book rows:", bookError);
+      throw bookError;
+    }
+
+    const { data: payments, error: paymentError } = await supabase
+      .from("policy_payments")
+      .delete()
+      .eq("upload_id", uploadId)
+      .select("id");
+
+    if (paymentError) {
+      console.error("Error rolling back upload payments:", paymentError);
+      throw paymentError;
+    }
+
+    const { error: recoveryError } = await supabase
+      .from("policies")
+      .update({
+        recovered_at: null,
+        recovery_amount: null,
+        recovery_upload_id: null,
+      })
+      .eq("recovery_upload_id", uploadId);
+
+    if (recoveryError) {
+      console.error("Error undoing upload recoveries:", recoveryError);
+      throw recoveryError;
+    }
+
+    const deletedCount =
+      (data?.length || 0) + (bookRows?.length || 0) + (payments?.length || 0);
+    const { error: statusError } = await supabase
+      .from("file_uploads")
+      .update({
+        upload_status: "rolled_back",
+        rolled_back_at: new Date().toISOString(),
+        records_rolled_back: deletedCount,
+      })
+      .eq("id", uploadId);
+
+    if (statusError) {
+      console.error("Error marking upload rolled back:", statusError);
+      throw statusError;
+    }
+
+    return deletedCount;
+  },
+
   // Delete all policies (for fresh uploads)
   async clearAllPolicies() {
     const { error } = await supabase
@@ -144,6 +554,60 @@ export const DatabaseService = {
     return data;
   },
 
+  // Get open retention tasks, a page at a time (rows as stored; row-level
+  // security limits them to what the signed-in user, or the client's token,
+  // may see)
+  async getOpenRetentionTasks(client = supabase) {
+    const { data, error } = await fetchAllPages(() =>
+      client
+        .from("retention_tasks")
+        .select("*")
+        .eq("status", "open")
+        .order("id", { ascending: true })
+    );
+
+    if (error) {
+      console.error("Error fetching retention tasks:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  // Get a retention task by task_id (null when missing or hidden by
+  // row-level security)
+  async getRetentionTask(taskId, client = supabase) {
+    const { data, error } = await client
+      .from("retention_tasks")
+      .select("*")
+      .eq("task_id", taskId)
+      .maybeSingle();
+
+    if (error) {
+      console.error("Error fetching retention task:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  // Issue state on a policy's most recent row (null when unknown)
+  async getPolicyIssueState(policyNbr, client = supabase) {
+    const { data, error } = await client
+      .from("policies")
+      .select("issue_state")
+      .eq("policy_nbr", policyNbr)
+      .order("uploaded_at", { ascending: false })
+      .limit(1);
+
+    if (error) {
+      console.error("Error fetching policy issue state:", error);
+      throw error;
+    }
+
+    return data?.[0]?.issue_state || null;
+  },
+
   // Get recent file uploads
   async getRecentUploads(limit = 10) {
     const { data, error } = await supabase
@@ -159,4 +623,145 @@ export const DatabaseService = {
 
     return data || [];
   },
+
+  // Get saved column mapping profiles
+  async getMappingProfiles() {
+    const { data, error } = await supabase
+      .from("column_mapping_profiles")
+      .select("*")
+      .order("name", { ascending: true });
+
+    if (error) {
+      console.error("Error fetching mapping profiles:", error);
+      throw error;
+    }
+
+    return (data || []).map((profile) => ({
+      id: profile.id,
+      name: profile.name,
+      dataType: profile.data_type,
+      mappings: profile.mappings || {},
+      dateFormats: profile.date_formats || {},
+      updatedAt: profile.updated_at,
+    }));
+  },
+
+  // Create or update a column mapping profile
+  async saveMappingProfile(profile) {
+    const record = {
+      name: profile.name,
+      data_type: profile.dataType,
+      mappings: profile.mappings,
+      date_formats: profile.dateFormats || {},
+      updated_at: new Date().toISOString(),
+    };
+
+    if (profile.id && !profile.builtIn) {
+      record.id = profile.id;
+    }
+
+    const { data, error } = await supabase
+      .from("column_mapping_profiles")
+      .upsert(record, { onConflict: "name" })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error saving mapping profile:", error);
+      throw error;
+    }
+
+    return {
+      id: data.id,
+      name: data.name,
+      dataType: data.data_type,
+      mappings: data.mappings || {},
+      dateFormats: data.date_formats || {},
+      updatedAt: data.updated_at,
+    };
+  },
+
+  // Delete a column mapping profile
+  async deleteMappingProfile(profileId) {
+    const { error } = await supabase
+      .from("column_mapping_profiles")
+      .delete()
+      .eq("id", profileId);
+
+    if (error) {
+      console.error("Error deleting mapping profile:", error);
+      throw error;
+    }
+
+    return true;
+  },
+
+  // Get saved fixed-width layouts
+  async getFixedWidthLayouts() {
+    const { data, error } = await supabase
+      .from("fixed_width_layouts")
+      .select("*")
+      .order("name", { ascending: true });
+
+    if (error) {
+      console.error("Error fetching fixed-width layouts:", error);
+      throw error;
+    }
+
+    return (data || []).map((layout) => ({
+      id: layout.id,
+      name: layout.name,
+      columns: layout.columns || [],
+      skipLines: layout.skip_lines || 0,
+      updatedAt: layout.updated_at,
+    }));
+  },
+
+  // Create or update a fixed-width layout
+  async saveFixedWidthLayout(layout) {
+    const record = {
+      name: layout.name,
+      columns: layout.columns,
+      skip_lines: layout.skipLines || 0,
+      updated_at: new Date().toISOString(),
+    };
+
+    if (layout.id) {
+      record.id = layout.id;
+    }
+
+    const { data, error } = await supabase
+      .from("fixed_width_layouts")
+      .upsert(record, { onConflict: "name" })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error saving fixed-width layout:", error);
+      throw error;
+    }
+
+    return {
+      id: data.id,
+      name: data.name,
+      columns: data.columns || [],
+      skipLines: data.skip_lines || 0,
+      updatedAt: data.updated_at,
+    };
+  },
+
+  // Delete a fixed-width layout
+  async deleteFixedWidthLayout(layoutId) {
+    const { error } = await supabase
+      .from("fixed_width_layouts")
+      .delete()
+      .eq("id", layoutId);
+
+    if (error) {
+      console.error("Error deleting fixed-width layout:", error);
+      throw error;
+    }
+
+    return true;
+  },
 };
@@ -0,0 +1,195 @@
+// The client DatabaseService's own queries go through (see fakeClient)
+let mockClient;
+
+jest.mock("@supabase/supabase-js", () => ({
+  createClient: () => ({ from: (table) => mockClient.from(table) }),
+}));
+
+// A fake query builder serving `rows` (or `rows[table]`) the way PostgREST
+// does: at most 1000 per response, sliced by .range(). Filters are ignored;
+// upserted batches are recorded in `upserts` and echoed back.
+const fakeClient = (rowsByTable) => {
+  const ranges = [];
+  const upserts = [];
+  const client = {
+    ranges,
+    upserts,
+    from: (table) => {
+      const rows = Array.isArray(rowsByTable)
+        ? rowsByTable
+        : rowsByTable[table] || [];
+      let range = [0, rows.length - 1];
+      let written = null;
+      const query = {
+        select: () => query,
+        eq: () => query,
+        in: () => query,
+        is: () => query,
+        or: () => query,
+        order: () => query,
+        range: (from, to) => {
+          range = [from, to];
+          ranges.push(range);
+          return query;
+        },
+        upsert: (batch) => {
+          written = batch;
+          upserts.push(batch);
+          return query;
+        },
+        then: (resolve, reject) =>
+          Promise.resolve({
+            data:
+              written ||
+              rows.slice(range[0], Math.min(range[1] + 1, range[0] + 1000)),
+            error: null,
+          }).then(resolve, reject),
+      };
+      return query;
+    },
+  };
+  return client;
+};
+
+const policyRows = (count) =>
+  Array.from({ length: count }, (_, index) => ({
+    id: `policy-${index}`,
+    policy_nbr: `P${String(index).padStart(6, "0")}`,
+  }));
+
+let DatabaseService;
+
+beforeAll(() => {
+  process.env.REACT_APP_SUPABASE_URL = "http://localhost:54321";
+  process.env.REACT_APP_SUPABASE_ANON_KEY = "anon-key";
+  ({ DatabaseService } = require("./supabase"));
+});
+
+test("getAllPolicies pages past the 1000-row response cap", async () => {
+  const rows = policyRows(2500);
+  const client = fakeClient(rows);
+
+  const policies = await DatabaseService.getAllPolicies(client);
+
+  expect(policies).toHaveLength(2500);
+  expect(policies.map((policy) => policy.id)).toEqual(
+    rows.map((row) => row.id)
+  );
+  expect(client.ranges).toEqual([
+    [0, 999],
+    [1000, 1999],
+    [2000, 2999],
+  ]);
+});
+
+test("getAllPolicies asks for one more page when the last one is full", async () => {
+  const client = fakeClient(policyRows(1000));
+
+  const policies = await DatabaseService.getAllPolicies(client);
+
+  expect(policies).toHaveLength(1000);
+  expect(client.ranges).toEqual([
+    [0, 999],
+    [1000, 1999],
+  ]);
+});
+
+test("getAllPolicies reports a failed page", async () => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  const client = {
+    from: () => {
+      const query = {
+        select: () => query,
+        order: () => query,
+        range: () => query,
+        then: (resolve) =>
+          resolve({ data: null, error: { message: "permission denied" } }),
+      };
+      return query;
+    },
+  };
+
+  await expect(DatabaseService.getAllPolicies(client)).rejects.toThrow(
+    "Failed to fetch policies: Database fetch failed: permission denied"
+  );
+  console.error.mockRestore();
+});
+
+test("getOpenRetentionTasks pages past the 1000-row response cap", async () => {
+  const rows = Array.from({ length: 1200 }, (_, index) => ({
+    id: `task-${index}`,
+    status: "open",
+  }));
+  const client = fakeClient(rows);
+
+  const tasks = await DatabaseService.getOpenRetentionTasks(client);
+
+  expect(tasks).toHaveLength(1200);
+  expect(client.ranges).toEqual([
+    [0, 999],
+    [1000, 1999],
+  ]);
+});
+
+// One policy number lapsing on many dates, so every row matches a lookup
+const lapsesOfOnePolicy = (count) =>
+  Array.from({ length: count }, (_, index) => {
+    const date = new Date(Date.UTC(2020, 0, 1) + index * 86400000)
+      .toISOString()
+      .slice(0, 10);
+    return {
+      policy_nbr: "P1",
+      source: "nsf",
+      paid_to_date: date,
+      event_date: date,
+      annual_premium: 100,
+    };
+  });
+
+test("upsertPolicies finds stored rows past the 1000-row response cap", async () => {
+  const policies = lapsesOfOnePolicy(1500);
+  mockClient = fakeClient(
+    policies.map((policy, index) => ({
+      ...policy,
+      id: `policy-${index}`,
+      upload_id: "earlier-upload",
+    }))
+  );
+
+  const { counts } = await DatabaseService.upsertPolicies(policies, "upload");
+
+  expect(counts).toEqual({ new: 0, updated: 0, unchanged: 1500 });
+  expect(mockClient.upserts).toEqual([]);
+});
+
+test("markPoliciesRecovered marks lapses past the 1000-row response cap", async () => {
+  mockClient = fakeClient(
+    lapsesOfOnePolicy(1500).map((policy, index) => ({
+      ...policy,
+      id: `policy-${index}`,
+      recovered_at: null,
+    }))
+  );
+
+  const recovered = await DatabaseService.markPoliciesRecovered(
+    [{ policy_nbr: "P1", payment_date: "2030-01-01", payment_amount: 100 }],
+    "upload"
+  );
+
+  expect(recovered).toHaveLength(1500);
+  expect(recovered[0]).toMatchObject({
+    recovered_at: "2030-01-01",
+    recovery_upload_id: "upload",
+  });
+});
+
+test("getPoliciesByUpload pages past the 1000-row response cap", async () => {
+  mockClient = fakeClient({
+    policies: policyRows(1500),
+    inforce_policies: policyRows(10),
+  });
+
+  const policies = await DatabaseService.getPoliciesByUpload("upload");
+
+  expect(policies).toHaveLength(1510);
+});
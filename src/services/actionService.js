@@ -0,0 +1,80 @@
+import axios from "axios";
+
+class ActionService {
+  constructor() {
+    this.baseURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
+  }
+
+  /**
+   * Fetch one page of actions from the server
+   * @param {Object} params - status, priority, type, assignedTo, search,
+   *   dueFrom, dueTo, createdFrom, createdTo, sort, order, limit, cursor,
+   *   fields
+   * @returns {Promise<Object>} { data, total, nextCursor, hasMore }
+   */
+  async getActions(params = {}) {
+    // Leave out unset params so the server applies its defaults
+    const query = Object.fromEntries(
+      Object.entries(params).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
+
+    try {
+      const response = await axios.get(`${this.baseURL}/api/actions`, {
+        params: query,
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load actions: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  // A single action with everything embedded (policies included)
+  async getAction(id) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/api/actions/${encodeURIComponent(id)}`
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to load action: ${error.message}`);
+    }
+  }
+
+  // Audit trail for an action, oldest event first
+  async getActionHistory(id) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/api/actions/${encodeURIComponent(id)}/history`
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to load action history: ${error.message}`);
+    }
+  }
+
+  async updateAction(id, changes) {
+    try {
+      const response = await axios.put(
+        `${this.baseURL}/api/actions/${encodeURIComponent(id)}`,
+        changes
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to update action: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+}
+
+// Export singleton instance
+export const actionService = new ActionService();
+export default ActionService;
@@ -0,0 +1,170 @@
+import axios from "axios";
+import { setSupabaseAccessToken } from "../config/supabase";
+
+const TOKEN_STORAGE_KEY = "ppt_auth_token";
+const USER_STORAGE_KEY = "ppt_auth_user";
+// Set when the server signs tokens with the Supabase JWT secret
+const SUPABASE_TOKEN_STORAGE_KEY = "ppt_auth_supabase_token";
+
+class AuthService {
+  constructor() {
+    this.baseURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
+    this.listeners = new Set();
+    this.token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    this.user = this.token ? this.readStoredUser() : null;
+    this.supabaseToken =
+      localStorage.getItem(SUPABASE_TOKEN_STORAGE_KEY) === "true";
+    this.forwardToSupabase();
+
+    // Every service calls the API through axios; the token is only ever
+    // sent to our own server, never to n8n or other hosts
+    axios.interceptors.request.use((config) => {
+      if (this.token && this.isApiRequest(config.url)) {
+        config.headers = config.headers || {};
+        config.headers.Authorization = `Bearer ${this.token}`;
+      }
+      return config;
+    });
+
+    // An expired or revoked session signs the user out
+    axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (
+          error.response?.status === 401 &&
+          this.token &&
+          this.isApiRequest(error.config?.url)
+        ) {
+          this.clearSession();
+        }
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  isApiRequest(url) {
+    return typeof url === "string" && url.startsWith(`${this.baseURL}/api/`);
+  }
+
+  readStoredUser() {
+    try {
+      return JSON.parse(localStorage.getItem(USER_STORAGE_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Supabase rejects tokens it didn't sign, so the session token only
+  // replaces the anon key when the server signed it with Supabase's secret
+  forwardToSupabase() {
+    setSupabaseAccessToken(this.supabaseToken ? this.token : null);
+  }
+
+  getCurrentUser() {
+    return this.user;
+  }
+
+  // Subscribe to sign-in/sign-out; returns an unsubscribe function
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  setSession(token, user, supabaseToken = this.supabaseToken) {
+    this.token = token;
+    this.user = user;
+    this.supabaseToken = Boolean(token && supabaseToken);
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+      localStorage.setItem(USER_STORAGE_KEY, JSON.stringify(user));
+      localStorage.setItem(
+        SUPABASE_TOKEN_STORAGE_KEY,
+        String(this.supabaseToken)
+      );
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+      localStorage.removeItem(USER_STORAGE_KEY);
+      localStorage.removeItem(SUPABASE_TOKEN_STORAGE_KEY);
+    }
+    this.forwardToSupabase();
+    this.listeners.forEach((listener) => listener(user));
+  }
+
+  clearSession() {
+    this.setSession(null, null);
+  }
+
+  async login(username, password) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/auth/login`, {
+        username,
+        password,
+      });
+      const { token, user, supabaseToken } = response.data.data;
+      this.setSession(token, user, supabaseToken);
+      return user;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || error.message);
+    }
+  }
+
+  logout() {
+    this.clearSession();
+  }
+
+  // Re-read the signed-in user so role changes show up without signing in again
+  async refreshCurrentUser() {
+    if (!this.token) return null;
+    const response = await axios.get(`${this.baseURL}/api/auth/me`);
+    this.setSession(this.token, response.data.data);
+    return this.user;
+  }
+
+  // User administration (admins only)
+
+  async getUsers() {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/users`);
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load users: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  async createUser(user) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/users`, user);
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to create user: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+
+  async updateUser(id, changes) {
+    try {
+      const response = await axios.put(
+        `${this.baseURL}/api/users/${encodeURIComponent(id)}`,
+        changes
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to update user: ${
+          error.response?.data?.message || error.message
+        }`
+      );
+    }
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
+export default AuthService;
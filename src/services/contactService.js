@@ -0,0 +1,125 @@
+import axios from "axios";
+
+// Agent, MGA and customer contact directory
+class ContactService {
+  constructor() {
+    this.baseURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
+  }
+
+  describeError(error) {
+    return (
+      error.response?.data?.message ||
+      error.response?.data?.error ||
+      error.message
+    );
+  }
+
+  /**
+   * Contacts by name
+   * @param {Object} params - q (searches names, MGAs, numbers, emails and
+   *   policy numbers), role (agent|mga|customer), limit
+   * @returns {Promise<Array>}
+   */
+  async getContacts(params = {}) {
+    const query = Object.fromEntries(
+      Object.entries(params).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
+
+    try {
+      const response = await axios.get(`${this.baseURL}/api/contacts`, {
+        params: query,
+      });
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to load contacts: ${this.describeError(error)}`);
+    }
+  }
+
+  /**
+   * Contacts for a policy, most specific first; each has a match of
+   * "policy", "agent", "upline" (agent_level_03) or "mga"
+   * @param {Object} policy - A policy row (policy_nbr, agent_name, mga_name,
+   *   agent_level_03)
+   * @returns {Promise<Array>}
+   */
+  async matchContacts(policy) {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/contacts/match`, {
+        params: {
+          policyNumber: policy.policy_nbr,
+          agentName: policy.agent_name,
+          mga: policy.mga_name,
+          agentLevel03: policy.agent_level_03,
+        },
+      });
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to match contacts: ${this.describeError(error)}`);
+    }
+  }
+
+  /**
+   * Add a contact
+   * @param {Object} contact - role, name, mga, agentLevel03, policyNumbers,
+   *   phone, email, notes
+   * @returns {Promise<Object>} The stored contact
+   */
+  async createContact(contact) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/api/contacts`,
+        contact
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to add contact: ${this.describeError(error)}`);
+    }
+  }
+
+  async updateContact(id, changes) {
+    try {
+      const response = await axios.put(
+        `${this.baseURL}/api/contacts/${encodeURIComponent(id)}`,
+        changes
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to update contact: ${this.describeError(error)}`);
+    }
+  }
+
+  async deleteContact(id) {
+    try {
+      await axios.delete(
+        `${this.baseURL}/api/contacts/${encodeURIComponent(id)}`
+      );
+    } catch (error) {
+      throw new Error(`Failed to delete contact: ${this.describeError(error)}`);
+    }
+  }
+
+  /**
+   * Import contacts from a CSV file
+   * @param {File} file - CSV with a header row
+   * @returns {Promise<Object>} { created, updated, rejectedRows }
+   */
+  async importContacts(file) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/contacts/import`, {
+        fileName: file.name,
+        content: await file.text(),
+      });
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to import contacts: ${this.describeError(error)}`
+      );
+    }
+  }
+}
+
+// Export singleton instance
+export const contactService = new ContactService();
+export default ContactService;
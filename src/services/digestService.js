@@ -0,0 +1,92 @@
+import axios from "axios";
+
+// Scheduled management digest emails (managers only)
+class DigestService {
+  constructor() {
+    this.baseURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
+  }
+
+  describeError(error) {
+    return (
+      error.response?.data?.message ||
+      error.response?.data?.error ||
+      error.message
+    );
+  }
+
+  // Every digest schedule, oldest first
+  async getSchedules() {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/digests`);
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load digest schedules: ${this.describeError(error)}`
+      );
+    }
+  }
+
+  /**
+   * Add a schedule
+   * @param {Object} schedule - name, frequency (daily|weekly), dayOfWeek
+   *   (0 = Sunday, weekly only), hour (0-23, server time), recipients,
+   *   enabled
+   * @returns {Promise<Object>} The stored schedule
+   */
+  async createSchedule(schedule) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/api/digests`,
+        schedule
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to create digest schedule: ${this.describeError(error)}`
+      );
+    }
+  }
+
+  // Change some of a schedule's settings
+  async updateSchedule(id, changes) {
+    try {
+      const response = await axios.put(
+        `${this.baseURL}/api/digests/${encodeURIComponent(id)}`,
+        changes
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to update digest schedule: ${this.describeError(error)}`
+      );
+    }
+  }
+
+  async deleteSchedule(id) {
+    try {
+      await axios.delete(
+        `${this.baseURL}/api/digests/${encodeURIComponent(id)}`
+      );
+    } catch (error) {
+      throw new Error(
+        `Failed to delete digest schedule: ${this.describeError(error)}`
+      );
+    }
+  }
+
+  // Queue a schedule's digest right away; returns the queued job
+  async sendNow(id) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/api/digests/${encodeURIComponent(id)}/send`
+      );
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to send digest: ${this.describeError(error)}`);
+    }
+  }
+}
+
+// Export singleton instance
+export const digestService = new DigestService();
+export default DigestService;
@@ -5,333 +5,184 @@ class EmailService {
     this.baseURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
   }
 
-  // Email templates for different scenarios
-  getEmailTemplate(type, data) {
-    const templates = {
-      agent_training: {
-        subject: `Training Required - NSF Policy Analysis for ${data.agent}`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #d97706; border-bottom: 2px solid #d97706; padding-bottom: 10px;">
-              🎯 Agent Training Required
-            </h2>
-            
-            <p>Dear ${data.agent},</p>
-            
-            <p>Our policy persistency analysis has identified that you have <strong>${
-              data.count
-            } policies</strong> 
-            that experienced NSF issues with an average duration of <strong>${
-              data.avgDuration
-            } days</strong>.</p>
-            
-            <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h3 style="color: #92400e; margin-top: 0;">🚨 Key Metrics</h3>
-              <ul style="margin: 0;">
-                <li>NSF Policy Count: ${data.count}</li>
-                <li>Average Duration: ${data.avgDuration} days</li>
-                <li>Total Premium Impact: $${
-                  data.totalPremium?.toLocaleString() || "N/A"
-                }</li>
-              </ul>
-            </div>
-            
-            <p>This indicates an opportunity to improve client onboarding and payment setup processes. 
-            Please schedule time with your manager to review:</p>
-            
-            <ol>
-              <li><strong>Payment method verification procedures</strong> - Ensure clients have reliable payment methods</li>
-              <li><strong>Client financial stability assessment</strong> - Better screening during application</li>
-              <li><strong>Premium payment education</strong> - Clear communication about payment schedules</li>
-              <li><strong>Follow-up processes</strong> - Proactive outreach before NSF occurs</li>
-            </ol>
-            
-            <div style="background-color: #dbeafe; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h4 style="color: #1e40af; margin-top: 0;">💡 Recommended Actions</h4>
-              <p>Schedule a meeting with your team lead within the next 5 business days to discuss 
-              improvement strategies and additional training opportunities.</p>
-            </div>
-            
-            <p>Best regards,<br>
-            <strong>Policy Management Team</strong><br>
-            GTL Insurance</p>
-          </div>
-        `,
-        text: `
-Dear ${data.agent},
-
-Our policy persistency analysis has identified that you have ${data.count} policies that experienced NSF issues with an average duration of ${data.avgDuration} days.
-
-This indicates an opportunity to improve client onboarding and payment setup processes. Please schedule time with your manager to review:
-
-1. Payment method verification procedures
-2. Client financial stability assessment  
-3. Premium payment education
-4. Follow-up processes
-
-Best regards,
-Policy Management Team
-        `,
-      },
-
-      high_value_alert: {
-        subject: `🚨 High-Value Policy Alert - ${data.policyNumber} ($${data.premium})`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #dc2626; border-bottom: 2px solid #dc2626; padding-bottom: 10px;">
-              🚨 High-Value Policy Lapse Alert
-            </h2>
-            
-            <div style="background-color: #fee2e2; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h3 style="color: #991b1b; margin-top: 0;">Policy Details</h3>
-              <table style="width: 100%; border-collapse: collapse;">
-                <tr>
-                  <td style="padding: 5px 0; font-weight: bold;">Policy Number:</td>
-                  <td style="padding: 5px 0;">${data.policyNumber}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 5px 0; font-weight: bold;">Annual Premium:</td>
-                  <td style="padding: 5px 0; color: #dc2626; font-weight: bold;">$${data.premium?.toLocaleString()}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 5px 0; font-weight: bold;">Duration:</td>
-                  <td style="padding: 5px 0;">${data.duration} days</td>
-                </tr>
-                <tr>
-                  <td style="padding: 5px 0; font-weight: bold;">Agent:</td>
-                  <td style="padding: 5px 0;">${data.agent}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 5px 0; font-weight: bold;">NSF Reason:</td>
-                  <td style="padding: 5px 0;">${data.reason}</td>
-                </tr>
-                <tr>
-                  <td style="padding: 5px 0; font-weight: bold;">Issue State:</td>
-                  <td style="padding: 5px 0;">${data.state}</td>
-                </tr>
-              </table>
-            </div>
-            
-            <p><strong>IMMEDIATE ACTION REQUIRED:</strong> This high-value policy requires immediate 
-            attention for potential recovery or process improvement analysis.</p>
-            
-            <div style="background-color: #dbeafe; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h4 style="color: #1e40af; margin-top: 0;">🎯 Next Steps</h4>
-              <ol style="margin: 0;">
-                <li>Review agent performance and training needs</li>
-                <li>Analyze payment method used and failure reason</li>
-                <li>Consider policy recovery outreach</li>
-                <li>Update underwriting guidelines if needed</li>
-              </ol>
-            </div>
-            
-            <p>This alert was generated automatically by the Policy Persistency Tracker system.</p>
-            
-            <p>Best regards,<br>
-            <strong>Risk Management Team</strong></p>
-          </div>
-        `,
-        text: `
-HIGH-VALUE POLICY LAPSE ALERT
-
-Policy Details:
-- Policy Number: ${data.policyNumber}
-- Annual Premium: $${data.premium?.toLocaleString()}
-- Duration: ${data.duration} days
-- Agent: ${data.agent}
-- NSF Reason: ${data.reason}
-- Issue State: ${data.state}
-
-IMMEDIATE ACTION REQUIRED: This high-value policy requires immediate attention for potential recovery or process improvement analysis.
-
-Best regards,
-Risk Management Team
-        `,
-      },
-
-      product_analysis: {
-        subject: `📊 Product Performance Alert - ${data.product} (${data.count} NSF cases)`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #7c2d12; border-bottom: 2px solid #7c2d12; padding-bottom: 10px;">
-              📊 Product Performance Analysis Required
-            </h2>
-            
-            <p>Our analysis has identified a concerning trend with the <strong>${data.product}</strong> product line.</p>
-            
-            <div style="background-color: #fed7aa; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h3 style="color: #9a3412; margin-top: 0;">📈 Performance Metrics</h3>
-              <ul style="margin: 0;">
-                <li><strong>Total NSF Cases:</strong> ${data.count}</li>
-                <li><strong>Top NSF Reason:</strong> ${data.topReason}</li>
-                <li><strong>Analysis Period:</strong> Last 90 days</li>
-              </ul>
-            </div>
-            
-            <p>This product line has exceeded the threshold for NSF cases and requires immediate analysis.</p>
-            
-            <div style="background-color: #ecfdf5; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h4 style="color: #065f46; margin-top: 0;">🔍 Recommended Analysis Areas</h4>
-              <ol style="margin: 0;">
-                <li><strong>Underwriting Guidelines:</strong> Review current underwriting criteria</li>
-                <li><strong>Premium Structure:</strong> Analyze pricing vs. risk factors</li>
-                <li><strong>Payment Methods:</strong> Evaluate accepted payment types</li>
-                <li><strong>Agent Training:</strong> Product-specific training needs</li>
-                <li><strong>Customer Demographics:</strong> Target market analysis</li>
-              </ol>
-            </div>
-            
-            <p>Please coordinate with the product development team to schedule a comprehensive review 
-            within the next 10 business days.</p>
-            
-            <p>Best regards,<br>
-            <strong>Product Analytics Team</strong></p>
-          </div>
-        `,
-        text: `
-PRODUCT PERFORMANCE ANALYSIS REQUIRED
-
-Product: ${data.product}
-Total NSF Cases: ${data.count}
-Top NSF Reason: ${data.topReason}
-
-This product line has exceeded the threshold for NSF cases and requires immediate analysis.
-
-Recommended Analysis Areas:
-1. Underwriting Guidelines
-2. Premium Structure  
-3. Payment Methods
-4. Agent Training
-5. Customer Demographics
-
-Please coordinate with the product development team for a comprehensive review.
-
-Best regards,
-Product Analytics Team
-        `,
-      },
-
-      seasonal_alert: {
-        subject: `📅 Seasonal Risk Alert - ${data.season} Pattern Detected`,
-        html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #7c2d12; border-bottom: 2px solid #7c2d12; padding-bottom: 10px;">
-              📅 Seasonal Risk Pattern Alert
-            </h2>
-            
-            <p>Our trending analysis has detected a seasonal risk pattern for <strong>${data.season}</strong>.</p>
-            
-            <div style="background-color: #fef3c7; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h3 style="color: #92400e; margin-top: 0;">📊 Pattern Details</h3>
-              <ul style="margin: 0;">
-                <li><strong>Risk Period:</strong> ${data.season}</li>
-                <li><strong>Expected Increase:</strong> ${data.expectedIncrease}%</li>
-                <li><strong>Historical Pattern:</strong> ${data.historicalPattern}</li>
-              </ul>
-            </div>
-            
-            <div style="background-color: #dbeafe; padding: 15px; border-radius: 8px; margin: 20px 0;">
-              <h4 style="color: #1e40af; margin-top: 0;">🛡️ Preventive Measures</h4>
-              <ol style="margin: 0;">
-                <li><strong>Enhanced Screening:</strong> Implement stricter underwriting during this period</li>
-                <li><strong>Payment Reminders:</strong> Increase proactive payment reminder frequency</li>
-                <li><strong>Agent Alerts:</strong> Notify agents about seasonal risk factors</li>
-                <li><strong>Premium Adjustments:</strong> Consider temporary premium modifications</li>
-              </ol>
-            </div>
-            
-            <p>This alert is based on historical NSF data patterns and machine learning predictions.</p>
-            
-            <p>Best regards,<br>
-            <strong>Predictive Analytics Team</strong></p>
-          </div>
-        `,
-        text: `
-SEASONAL RISK PATTERN ALERT
-
-Risk Period: ${data.season}
-Expected Increase: ${data.expectedIncrease}%
-Historical Pattern: ${data.historicalPattern}
-
-Preventive Measures:
-1. Enhanced Screening
-2. Payment Reminders
-3. Agent Alerts  
-4. Premium Adjustments
-
-This alert is based on historical NSF data patterns and ML predictions.
-
-Best regards,
-Predictive Analytics Team
-        `,
-      },
-    };
-
+  describeError(error) {
     return (
-      templates[type] || {
-        subject: "Policy Management Notification",
-        html: "<p>Default notification message</p>",
-        text: "Default notification message",
-      }
+      error.response?.data?.message ||
+      error.response?.data?.error ||
+      error.message
     );
   }
 
-  // Send email via backend API
-  async sendEmail(type, data) {
+  /**
+   * Template types the server can render, each with its current version
+   * @returns {Promise<Array>} [{ type, name, description, requiredFields,
+   *   sampleData, current: { version, subject, html, text, ... } }]
+   */
+  async getTemplates() {
     try {
-      const template = this.getEmailTemplate(type, data);
-
-      const payload = {
-        type,
-        template,
-        data,
-        timestamp: new Date().toISOString(),
-      };
+      const response = await axios.get(`${this.baseURL}/api/email/templates`);
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load email templates: ${this.describeError(error)}`
+      );
+    }
+  }
 
-      const response = await axios.post(
-        `${this.baseURL}/api/send-email`,
-        payload
+  // Every saved version of a template, newest first
+  async getTemplateVersions(type) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/api/email/templates/${encodeURIComponent(
+          type
+        )}/versions`
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load template versions: ${this.describeError(error)}`
       );
+    }
+  }
 
-      if (response.data.success) {
-        console.log(`Email sent successfully: ${type}`);
-        return response.data;
-      } else {
-        throw new Error(response.data.error || "Email sending failed");
-      }
+  /**
+   * Save new wording as the template's next version
+   * @param {string} type - Template type
+   * @param {Object} content - subject, html, text, and an optional note
+   * @returns {Promise<Object>} The saved version
+   */
+  async saveTemplate(type, content) {
+    try {
+      const response = await axios.put(
+        `${this.baseURL}/api/email/templates/${encodeURIComponent(type)}`,
+        content
+      );
+      return response.data.data;
     } catch (error) {
-      console.error("Email service error:", error);
-      throw new Error(`Failed to send ${type} email: ${error.message}`);
+      throw new Error(`Failed to save template: ${this.describeError(error)}`);
     }
   }
 
-  // Batch send emails
-  async sendBatchEmails(emails) {
+  // Make an earlier version current again (saved as a new version)
+  async restoreTemplateVersion(type, version) {
     try {
-      const payload = {
-        emails,
-        timestamp: new Date().toISOString(),
-      };
+      const response = await axios.post(
+        `${this.baseURL}/api/email/templates/${encodeURIComponent(
+          type
+        )}/versions/${version}/restore`
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to restore version ${version}: ${this.describeError(error)}`
+      );
+    }
+  }
 
+  /**
+   * Send a template to one address straight away
+   * @param {string} type - Template type
+   * @param {Object} options - to; actionId to fill it from an action
+   *   (sample data otherwise); subject, html and text to send a draft
+   *   instead of the current version
+   */
+  async sendTemplateTest(type, options) {
+    try {
       const response = await axios.post(
-        `${this.baseURL}/api/send-batch-emails`,
-        payload
+        `${this.baseURL}/api/email/templates/${encodeURIComponent(type)}/test`,
+        options
       );
       return response.data;
+    } catch (error) {
+      throw new Error(`Test send failed: ${this.describeError(error)}`);
+    }
+  }
+
+  /**
+   * Queue a templated email; the server renders it and picks the usual
+   * recipient for the template unless options.to is given
+   * @param {string} type - Template type, e.g. agent_training
+   * @param {Object} data - Values for the template
+   * @param {Object} [options] - to, cc, bcc; actionId, taskId and
+   *   policyNumbers link it to its subject in the email log
+   * @returns {Promise<Object>} The queued job
+   */
+  async sendEmail(type, data, options = {}) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/email/send`, {
+        template: type,
+        data,
+        ...options,
+      });
+      console.log(`Email queued: ${type}`);
+      return response.data.data;
+    } catch (error) {
+      console.error("Email service error:", error);
+      throw new Error(
+        `Failed to send ${type} email: ${this.describeError(error)}`
+      );
+    }
+  }
+
+  /**
+   * Queue several emails at once; nothing is queued if any item is invalid
+   * @param {Array} emails - { type, data, to, cc, bcc } for a template, or
+   *   { to, subject, html|text } for a custom email
+   * @returns {Promise<Array>} The queued jobs, in order
+   */
+  async sendBatchEmails(emails) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/email/batch`, {
+        emails: emails.map(({ type, ...email }) =>
+          type ? { template: type, ...email } : email
+        ),
+      });
+      return response.data.data;
     } catch (error) {
       console.error("Batch email service error:", error);
-      throw new Error(`Failed to send batch emails: ${error.message}`);
+      throw new Error(
+        `Failed to send batch emails: ${this.describeError(error)}`
+      );
+    }
+  }
+
+  /**
+   * Sent emails, newest first, with their delivery status
+   * @param {Object} params - search, status (comma-separated), template,
+   *   actionId, taskId, policyNumber, limit
+   * @returns {Promise<Array>}
+   */
+  async getEmailLog(params = {}) {
+    const query = Object.fromEntries(
+      Object.entries(params).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
+
+    try {
+      const response = await axios.get(`${this.baseURL}/api/email/log`, {
+        params: query,
+      });
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load sent emails: ${this.describeError(error)}`
+      );
     }
   }
 
-  // Test email configuration
-  async testEmailConfig() {
+  // Send a test message straight away (not queued) to check the SMTP setup
+  async testEmailConfig(to) {
     try {
-      const response = await axios.get(`${this.baseURL}/api/test-email`);
+      const response = await axios.post(`${this.baseURL}/api/email/test`, {
+        to,
+      });
       return response.data;
     } catch (error) {
       console.error("Email config test error:", error);
-      throw new Error(`Email configuration test failed: ${error.message}`);
+      throw new Error(
+        `Email configuration test failed: ${this.describeError(error)}`
+      );
     }
   }
 }
@@ -0,0 +1,66 @@
+import axios from "axios";
+
+// Outbound job queue administration (admins only)
+class JobService {
+  constructor() {
+    this.baseURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
+  }
+
+  describeError(error) {
+    return (
+      error.response?.data?.message ||
+      error.response?.data?.error ||
+      error.message
+    );
+  }
+
+  /**
+   * Recent jobs, newest first, with counts per status
+   * @param {Object} params - status (comma-separated), type, limit
+   * @returns {Promise<Object>} { data, counts }
+   */
+  async getJobs(params = {}) {
+    const query = Object.fromEntries(
+      Object.entries(params).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
+
+    try {
+      const response = await axios.get(`${this.baseURL}/api/jobs`, {
+        params: query,
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to load jobs: ${this.describeError(error)}`);
+    }
+  }
+
+  // Send a dead or cancelled job again
+  async retryJob(id) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/api/jobs/${encodeURIComponent(id)}/retry`
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to retry job: ${this.describeError(error)}`);
+    }
+  }
+
+  // Stop a pending job from being sent
+  async cancelJob(id) {
+    try {
+      const response = await axios.post(
+        `${this.baseURL}/api/jobs/${encodeURIComponent(id)}/cancel`
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to cancel job: ${this.describeError(error)}`);
+    }
+  }
+}
+
+// Export singleton instance
+export const jobService = new JobService();
+export default JobService;
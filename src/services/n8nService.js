@@ -1,4 +1,5 @@
 import axios from "axios";
+import { WORKFLOWS } from "../utils/n8nWorkflows";
 
 class N8NService {
   constructor() {
@@ -6,70 +7,17 @@ class N8NService {
       process.env.REACT_APP_N8N_WEBHOOK_URL ||
       "https://your-n8n-instance.com/webhook";
     this.apiKey = process.env.REACT_APP_N8N_API_KEY;
+    this.apiURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
     this.timeout = 30000; // 30 seconds timeout
   }
 
   // Workflow types and their configurations
   getWorkflowConfig(workflowType) {
-    const workflows = {
-      policy_recovery: {
-        webhook: `${this.baseURL}/policy-recovery`,
-        description: "Automated policy recovery workflow",
-        requiredFields: ["policyNumber", "premium", "agent", "reason"],
-        priority: "high",
-      },
-
-      agent_performance_review: {
-        webhook: `${this.baseURL}/agent-performance`,
-        description: "Agent performance analysis and training workflow",
-        requiredFields: ["agent", "nsfCount", "avgDuration", "totalPremium"],
-        priority: "medium",
-      },
-
-      product_analysis: {
-        webhook: `${this.baseURL}/product-analysis`,
-        description: "Product performance analysis workflow",
-        requiredFields: ["product", "nsfCount", "topReason"],
-        priority: "medium",
-      },
-
-      high_value_alert: {
-        webhook: `${this.baseURL}/high-value-alert`,
-        description: "High-value policy immediate attention workflow",
-        requiredFields: ["policyNumber", "premium", "duration", "agent"],
-        priority: "critical",
-      },
-
-      seasonal_risk: {
-        webhook: `${this.baseURL}/seasonal-risk`,
-        description: "Seasonal risk pattern mitigation workflow",
-        requiredFields: ["season", "riskLevel", "affectedProducts"],
-        priority: "medium",
-      },
+    const workflow = WORKFLOWS[workflowType];
+    if (!workflow) return null;
 
-      batch_training: {
-        webhook: `${this.baseURL}/batch-training`,
-        description: "Batch agent training initiation workflow",
-        requiredFields: ["agents", "trainingType", "metrics"],
-        priority: "low",
-      },
-
-      underwriting_review: {
-        webhook: `${this.baseURL}/underwriting-review`,
-        description: "Underwriting process review workflow",
-        requiredFields: ["criteria", "policies", "recommendations"],
-        priority: "high",
-      },
-
-      customer_outreach: {
-        webhook: `${this.baseURL}/customer-outreach`,
-        description: "Automated customer retention outreach",
-        requiredFields: ["customers", "outreachType", "timeline"],
-        priority: "medium",
-      },
-    };
-
-    return workflows[workflowType] || null;
+    const { path, ...config } = workflow;
+    return { webhook: `${this.baseURL}/${path}`, ...config };
   }
 
   // Validate required fields for workflow
@@ -91,14 +39,15 @@ class N8NService {
     return true;
   }
 
-  // Format workflow payload
+  // Format workflow payload; the server adds the executionId and callback
+  // URLs when it triggers the run
   formatWorkflowPayload(workflowType, data, metadata = {}) {
-    const config = this.getWorkflowConfig(workflowType);
+    const config = this.getWorkflowConfig(workflowType) || {};
 
     return {
       workflowType,
-      priority: config.priority,
-      description: config.description,
+      priority: config.priority || metadata.priority || "medium",
+      description: config.description || workflowType,
       timestamp: new Date().toISOString(),
       source: "policy-persistency-tracker",
       data: {
@@ -109,11 +58,6 @@ class N8NService {
         sessionId: metadata.sessionId || this.generateSessionId(),
         version: "1.0",
       },
-      callbacks: {
-        success: `${window.location.origin}/api/n8n-callback/success`,
-        error: `${window.location.origin}/api/n8n-callback/error`,
-        progress: `${window.location.origin}/api/n8n-callback/progress`,
-      },
     };
   }
 
@@ -122,40 +66,47 @@ class N8NService {
     return `ppt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  // Trigger single workflow
+  // Trigger single workflow through the server, which records the run and
+  // queues the trigger, retrying until n8n accepts it. Put actionId or taskId
+  // in data to link the run to its source; action types without a WORKFLOWS
+  // entry are sent as-is. metadata.idempotencyKey makes a repeat harmless.
   async triggerWorkflow(workflowType, data, metadata = {}) {
     try {
       // Validate workflow type and data
-      this.validateWorkflowData(workflowType, data);
+      if (this.getWorkflowConfig(workflowType)) {
+        this.validateWorkflowData(workflowType, data);
+      }
 
-      const config = this.getWorkflowConfig(workflowType);
       const payload = this.formatWorkflowPayload(workflowType, data, metadata);
 
       console.log(`Triggering N8N workflow: ${workflowType}`, payload);
 
-      const response = await axios.post(config.webhook, payload, {
-        timeout: this.timeout,
-        headers: {
-          "Content-Type": "application/json",
-          "X-N8N-API-KEY": this.apiKey,
-          "User-Agent": "Policy-Persistency-Tracker/1.0",
-        },
-      });
+      const response = await axios.post(
+        `${this.apiURL}/api/n8n/trigger/${encodeURIComponent(workflowType)}`,
+        payload,
+        {
+          timeout: this.timeout,
+          headers: metadata.idempotencyKey
+            ? { "Idempotency-Key": metadata.idempotencyKey }
+            : {},
+        }
+      );
 
       // Check if response indicates success
       if (response.status >= 200 && response.status < 300) {
+        const execution = response.data.data;
         console.log(
-          `N8N workflow ${workflowType} triggered successfully:`,
-          response.data
+          `N8N workflow ${workflowType} queued successfully:`,
+          execution
         );
 
         return {
           success: true,
           workflowType,
-          executionId: response.data.executionId || response.data.id,
-          status: response.data.status || "triggered",
-          message: response.data.message || "Workflow triggered successfully",
-          data: response.data,
+          executionId: execution.id,
+          status: execution.status,
+          message: response.data.message || "Workflow queued successfully",
+          data: execution,
           timestamp: new Date().toISOString(),
         };
       } else {
@@ -172,6 +123,7 @@ class N8NService {
       } else if (error.response) {
         const errorMsg =
           error.response.data?.message ||
+          error.response.data?.error ||
           error.response.statusText ||
           "Unknown server error";
         throw new Error(
@@ -179,7 +131,7 @@ class N8NService {
         );
       } else if (error.request) {
         throw new Error(
-          `Workflow ${workflowType} failed: Unable to reach N8N server`
+          `Workflow ${workflowType} failed: Unable to reach the server`
         );
       } else {
         throw new Error(`Workflow ${workflowType} failed: ${error.message}`);
@@ -187,7 +139,7 @@ class N8NService {
     }
   }
 
-  // Trigger multiple workflows in sequence
+  // Trigger multiple workflows; the server's job queue paces the calls to n8n
   async triggerWorkflowBatch(workflows) {
     const results = [];
 
@@ -199,11 +151,6 @@ class N8NService {
           workflow.metadata
         );
         results.push(result);
-
-        // Add delay between workflows to prevent overwhelming N8N
-        if (workflows.length > 1) {
-          await this.delay(1000); // 1 second delay
-        }
       } catch (error) {
         results.push({
           success: false,
@@ -223,22 +170,46 @@ class N8NService {
     };
   }
 
-  // Get workflow status (if N8N provides status endpoints)
+  // Get a workflow run as recorded by the server (status, progress, result)
   async getWorkflowStatus(executionId) {
     try {
       const response = await axios.get(
-        `${this.baseURL}/status/${executionId}`,
-        {
-          headers: {
-            "X-N8N-API-KEY": this.apiKey,
-          },
-        }
+        `${this.apiURL}/api/workflow-executions/${encodeURIComponent(
+          executionId
+        )}`
       );
 
-      return response.data;
+      return response.data.data;
     } catch (error) {
       console.warn("Unable to get workflow status:", error.message);
-      return { status: "unknown", message: "Status endpoint not available" };
+      return { status: "unknown", message: "Workflow execution not found" };
+    }
+  }
+
+  /**
+   * Recent workflow runs, newest first
+   * @param {Object} params - status (comma list or "active"), actionId,
+   *   taskId, workflowType, limit
+   */
+  async getWorkflowExecutions(params = {}) {
+    const query = Object.fromEntries(
+      Object.entries(params).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
+
+    try {
+      const response = await axios.get(
+        `${this.apiURL}/api/workflow-executions`,
+        { params: query }
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load workflow runs: ${
+          error.response?.data?.error || error.message
+        }`
+      );
     }
   }
 
@@ -276,28 +247,12 @@ class N8NService {
 
   // Get available workflows
   getAvailableWorkflows() {
-    const workflows = [
-      "policy_recovery",
-      "agent_performance_review",
-      "product_analysis",
-      "high_value_alert",
-      "seasonal_risk",
-      "batch_training",
-      "underwriting_review",
-      "customer_outreach",
-    ];
-
-    return workflows.map((type) => ({
+    return Object.keys(WORKFLOWS).map((type) => ({
       type,
       ...this.getWorkflowConfig(type),
     }));
   }
 
-  // Utility function for delays
-  delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  }
-
   // Predefined workflow templates
   createPolicyRecoveryWorkflow(policy) {
     return {
@@ -0,0 +1,83 @@
+import axios from "axios";
+
+class SmsService {
+  constructor() {
+    this.baseURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
+  }
+
+  describeError(error) {
+    return (
+      error.response?.data?.message ||
+      error.response?.data?.error ||
+      error.message
+    );
+  }
+
+  // Text templates, one per retention task type: [{ type, name, body, ... }]
+  async getTemplates() {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/sms/templates`);
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load text templates: ${this.describeError(error)}`
+      );
+    }
+  }
+
+  /**
+   * Texts sent and received, newest first
+   * @param {Object} params - taskId, phone, policyNumber, limit
+   * @returns {Promise<Array>}
+   */
+  async getMessages(params = {}) {
+    const query = Object.fromEntries(
+      Object.entries(params).filter(
+        ([, value]) => value !== undefined && value !== null && value !== ""
+      )
+    );
+
+    try {
+      const response = await axios.get(`${this.baseURL}/api/sms/messages`, {
+        params: query,
+      });
+      return response.data.data;
+    } catch (error) {
+      throw new Error(
+        `Failed to load text messages: ${this.describeError(error)}`
+      );
+    }
+  }
+
+  // { phone, optedOut, keyword, updatedAt } for a number
+  async getOptOut(phone) {
+    try {
+      const response = await axios.get(
+        `${this.baseURL}/api/sms/opt-outs/${encodeURIComponent(phone)}`
+      );
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to check opt-out: ${this.describeError(error)}`);
+    }
+  }
+
+  /**
+   * Text a customer about a retention task
+   * @param {Object} text - to, taskId, template and body (the template's
+   *   wording, possibly edited); the server looks up the task's policy and
+   *   issue state itself
+   * @returns {Promise<Object>} The sent message
+   */
+  async sendText(text) {
+    try {
+      const response = await axios.post(`${this.baseURL}/api/sms/send`, text);
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Text not sent: ${this.describeError(error)}`);
+    }
+  }
+}
+
+// Export singleton instance
+export const smsService = new SmsService();
+export default SmsService;
@@ -1,5 +1,28 @@
 import { supabase } from "../config/supabase";
 import { taskDistributionService, RETENTION_TEAM } from "./taskDistributionService";
+import {
+  FOLLOW_UP_TASK_TYPE,
+  buildFollowUpTask,
+} from "../utils/contactOutcomes";
+
+// Policy numbers per query when closing tasks
+const CLOSE_TASKS_CHUNK = 200;
+
+// task_contact_attempts row -> attempt
+const fromAttemptRow = (row) => ({
+  id: row.id,
+  taskId: row.task_id,
+  policyNumber: row.policy_number,
+  channel: row.channel,
+  disposition: row.disposition,
+  notes: row.notes,
+  promiseDate: row.promise_date,
+  promiseAmount: row.promise_amount,
+  nextFollowUpAt: row.next_follow_up_at,
+  followUpTaskId: row.follow_up_task_id,
+  attemptedBy: row.attempted_by,
+  createdAt: row.created_at,
+});
 
 class TaskService {
   constructor() {
@@ -271,6 +294,150 @@ class TaskService {
     }
   }
 
+  // Close open tasks for policies that were recovered (reinstated or paid)
+  async closeTasksForPolicies(policyNumbers) {
+    if (!supabase || policyNumbers.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    let closedCount = 0;
+
+    for (let i = 0; i < policyNumbers.length; i += CLOSE_TASKS_CHUNK) {
+      const { data, error } = await supabase
+        .from("retention_tasks")
+        .update({ status: "completed", completed_at: now, updated_at: now })
+        .in("policy_number", policyNumbers.slice(i, i + CLOSE_TASKS_CHUNK))
+        .eq("status", "open")
+        .select("task_id");
+
+      if (error) {
+        console.error("Error closing tasks for recovered policies:", error);
+        return closedCount;
+      }
+      closedCount += data?.length || 0;
+    }
+
+    return closedCount;
+  }
+
+  /**
+   * Log an attempt to reach the customer on a task; a follow-up date saves
+   * the next task (assigned to the same specialist) first
+   * @param {Object} task - The task worked
+   * @param {Object} attempt - channel, disposition, notes, promiseDate,
+   *   promiseAmount, nextFollowUpAt (see utils/contactOutcomes.js)
+   * @param {string} attemptedBy - Display name of who made the attempt
+   * @returns {Promise<Object>} { attempt, followUpTask } (followUpTask null
+   *   without a follow-up date)
+   */
+  async logContactAttempt(task, attempt, attemptedBy) {
+    if (!supabase) {
+      throw new Error("Contact attempts need Supabase configured");
+    }
+
+    let followUpTask = null;
+    if (attempt.nextFollowUpAt) {
+      followUpTask = buildFollowUpTask(task, attempt);
+      if (!(await this.saveTask(followUpTask))) {
+        throw new Error("Could not create the follow-up task");
+      }
+    }
+
+    const { data, error } = await supabase
+      .from("task_contact_attempts")
+      .insert({
+        task_id: task.id,
+        policy_number: task.policyNumber,
+        channel: attempt.channel,
+        disposition: attempt.disposition,
+        notes: attempt.notes || null,
+        promise_date: attempt.promiseDate || null,
+        promise_amount: attempt.promiseAmount
+          ? Number(attempt.promiseAmount)
+          : null,
+        next_follow_up_at: attempt.nextFollowUpAt
+          ? new Date(attempt.nextFollowUpAt).toISOString()
+          : null,
+        follow_up_task_id: followUpTask?.id || null,
+        attempted_by: attemptedBy,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error("Error logging contact attempt:", error);
+      throw new Error(`Could not log contact attempt: ${error.message}`);
+    }
+
+    return { attempt: fromAttemptRow(data), followUpTask };
+  }
+
+  // Attempts logged on a task, newest first
+  async getContactAttempts(taskId) {
+    if (!supabase) return [];
+
+    const { data, error } = await supabase
+      .from("task_contact_attempts")
+      .select("*")
+      .eq("task_id", taskId)
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Error fetching contact attempts:", error);
+      throw new Error(`Could not load contact attempts: ${error.message}`);
+    }
+    return (data || []).map(fromAttemptRow);
+  }
+
+  // Attempts logged since a date, for the outcomes report
+  async getContactAttemptsSince(since) {
+    if (!supabase) return [];
+
+    const { data, error } = await supabase
+      .from("task_contact_attempts")
+      .select("*")
+      .gte("created_at", since.toISOString())
+      .order("created_at", { ascending: false });
+
+    if (error) {
+      console.error("Error fetching contact attempts:", error);
+      throw new Error(`Could not load contact attempts: ${error.message}`);
+    }
+    return (data || []).map(fromAttemptRow);
+  }
+
+  // Open follow-up tasks, which are saved rather than generated from the
+  // policies, in the same shape as generated tasks
+  async getOpenFollowUpTasks() {
+    if (!supabase) return [];
+
+    const { data, error } = await supabase
+      .from("retention_tasks")
+      .select("*")
+      .eq("type", FOLLOW_UP_TASK_TYPE)
+      .eq("status", "open");
+
+    if (error) {
+      console.error("Error fetching follow-up tasks:", error);
+      return [];
+    }
+
+    return (data || []).map((task) => ({
+      id: task.task_id,
+      type: task.type,
+      priority: task.priority,
+      policyNumber: task.policy_number,
+      customerName: task.customer_name,
+      premium: task.premium,
+      description: task.description,
+      suggestedActions: task.suggested_actions,
+      assignedTo: task.assigned_to,
+      dueDate: new Date(task.due_date),
+      estimatedDuration: task.estimated_duration,
+      status: task.status,
+      createdAt: new Date(task.created_at),
+    }));
+  }
+
   // Get team workload distribution
   getTeamWorkload(tasks) {
     const workload = {};
@@ -0,0 +1,21 @@
+import axios from "axios";
+
+class UploadService {
+  constructor() {
+    this.baseURL = process.env.REACT_APP_API_URL || "http://localhost:3001";
+  }
+
+  // Watched-folder auto-ingest status (last ingest time and recent files)
+  async getIngestStatus() {
+    try {
+      const response = await axios.get(`${this.baseURL}/api/uploads`);
+      return response.data.data;
+    } catch (error) {
+      throw new Error(`Failed to load ingest status: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+export const uploadService = new UploadService();
+export default UploadService;
@@ -3,6 +3,12 @@
  * Generates actionable tasks based on policy data patterns and business rules
  */
 
+import {
+  countIssuedBy,
+  getIssuedPolicies,
+  normalizeGroupKey,
+} from "./issuedBook";
+
 export class ActionGenerator {
   constructor() {
     // Business rule thresholds
@@ -21,6 +27,9 @@ export class ActionGenerator {
       seasonalAlert: {
         varianceThreshold: 0.3, // 30% variance from historical
       },
+      underwritingReview: {
+        assumedIssuedPerAgent: 50, // only used when no in-force book is loaded
+      },
     };
 
     // Priority levels
@@ -44,9 +53,10 @@ export class ActionGenerator {
   /**
    * Generate all actions based on policy data
    * @param {Array} policies - Array of policy objects
+   * @param {Array} issuedBook - In-force book rows (denominators for agent rates)
    * @returns {Array} Array of generated actions
    */
-  generateActions(policies) {
+  generateActions(policies, issuedBook = []) {
     if (!policies || policies.length === 0) {
       return [];
     }
@@ -70,7 +80,9 @@ export class ActionGenerator {
       actions.push(...this.generateBatchRecoveryActions(policies));
 
       // Underwriting review actions
-      actions.push(...this.generateUnderwritingReviewActions(policies));
+      actions.push(
+        ...this.generateUnderwritingReviewActions(policies, issuedBook)
+      );
 
       // Sort by priority and created date
       return this.prioritizeActions(actions);
@@ -327,9 +339,12 @@ export class ActionGenerator {
   /**
    * Generate underwriting review actions for concerning patterns
    */
-  generateUnderwritingReviewActions(policies) {
+  generateUnderwritingReviewActions(policies, issuedBook = []) {
     const actions = [];
-    const underwritingIssues = this.identifyUnderwritingIssues(policies);
+    const underwritingIssues = this.identifyUnderwritingIssues(
+      policies,
+      issuedBook
+    );
 
     underwritingIssues.forEach((issue) => {
       actions.push({
@@ -363,8 +378,8 @@ export class ActionGenerator {
     const agentGroups = {};
 
     policies.forEach((policy) => {
-      const agentId = policy.WA || "unknown";
-      const agentName = policy.WA_Name || "Unknown Agent";
+      const agentId = policy.WA || policy.agent_name || "unknown";
+      const agentName = policy.WA_Name || policy.agent_name || "Unknown Agent";
 
       if (!agentGroups[agentId]) {
         agentGroups[agentId] = {
@@ -705,34 +720,51 @@ export class ActionGenerator {
     return batchGroups;
   }
 
-  identifyUnderwritingIssues(policies) {
+  identifyUnderwritingIssues(policies, issuedBook = []) {
     const issues = [];
 
-    // High NSF rate by agent
+    // High NSF rate by agent, measured against the agent's issued policies
+    // when an in-force book is loaded
+    const hasBook = issuedBook.length > 0;
+    const issuedByAgent = countIssuedBy(
+      getIssuedPolicies(issuedBook, policies),
+      (p) => p.agent_name || p.WA_Name
+    );
     const agentGroups = this.groupPoliciesByAgent(policies);
     Object.entries(agentGroups).forEach(([agentId, agentData]) => {
       if (agentData.policies.length >= 10) {
         // Minimum volume for statistical significance
-        const nsfRate = agentData.policies.length / 50; // Assume 50 total policies per agent
+        const nsfPolicies = agentData.policies.filter(
+          (p) => p.source === "nsf" || p.termination_type === "nsf"
+        );
+        const issuedCount = hasBook
+          ? Math.max(
+              issuedByAgent[normalizeGroupKey(agentData.name)] || 0,
+              agentData.policies.length
+            )
+          : this.thresholds.underwritingReview.assumedIssuedPerAgent;
+        const nsfRate = nsfPolicies.length / issuedCount;
         if (nsfRate > 0.2) {
           // 20% NSF rate threshold
           issues.push({
             type: "high_nsf_agent",
             title: `High NSF Rate - Agent ${agentData.name}`,
             description: `Agent has ${(nsfRate * 100).toFixed(1)}% NSF rate (${
-              agentData.policies.length
-            } NSF policies)`,
+              nsfPolicies.length
+            } NSF of ${issuedCount}${
+              hasBook ? "" : " estimated"
+            } issued policies)`,
             severity: nsfRate > 0.3 ? "high" : "medium",
-            policies: agentData.policies,
+            policies: nsfPolicies,
             riskFactors: [
               "Above-average NSF rate",
               "Pattern suggests underwriting issues",
               "Potential training needed",
             ],
             estimatedImpact: {
-              futureRisk: agentData.policies.length * 2, // Estimated future NSF policies
+              futureRisk: nsfPolicies.length * 2, // Estimated future NSF policies
               trainingCost: 2000,
-              potentialSavings: agentData.policies.length * 1000,
+              potentialSavings: nsfPolicies.length * 1000,
             },
             recommendedActions: [
               "Comprehensive agent training review",
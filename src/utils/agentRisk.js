@@ -0,0 +1,104 @@
+/**
+ * Agent risk scoring for Policy Persistency Tracker
+ * Shared by the dashboard analytics and the server's digest emails so both
+ * name the same high-risk agents.
+ */
+
+// Relative imports keep their .js extension so the server can load them
+import { normalizeGroupKey } from "./issuedBook.js";
+
+// Agents scoring above this are flagged as high risk
+export const HIGH_RISK_SCORE = 15;
+
+const isNsf = (policy) =>
+  policy.source === "nsf" || policy.termination_type === "nsf";
+
+const isCancellation = (policy) =>
+  policy.source === "cancellation" ||
+  policy.termination_type === "cancellation";
+
+/**
+ * Lapse counts, averages and scores per agent
+ * @param {Array} policyData - Lapsed policies (recovered ones left out)
+ * @param {Object} [issuedByAgent] - Issued policy counts per normalized agent
+ *   name, from countIssuedBy; without them the lapse count stands in
+ * @returns {Object} Performance per agent name
+ */
+export const getAgentPerformance = (policyData, issuedByAgent = {}) => {
+  const agentPerformance = {};
+  policyData.forEach((policy) => {
+    const agent = policy.agent_name || policy.WA_Name || "Unknown";
+    if (!agentPerformance[agent]) {
+      agentPerformance[agent] = {
+        count: 0,
+        totalPremium: 0,
+        durations: [],
+        avgDuration: 0,
+        avgPremium: 0,
+        nsfCount: 0,
+        cancellationCount: 0,
+        riskScore: 0,
+        retentionScore: 0,
+      };
+    }
+    agentPerformance[agent].count++;
+    agentPerformance[agent].totalPremium += policy.annual_premium || 0;
+
+    if (isNsf(policy)) {
+      agentPerformance[agent].nsfCount++;
+    } else if (isCancellation(policy)) {
+      agentPerformance[agent].cancellationCount++;
+    }
+
+    if (policy.duration != null && policy.duration > 0) {
+      agentPerformance[agent].durations.push(policy.duration);
+    }
+  });
+
+  // Calculate averages and risk scores for agents
+  Object.keys(agentPerformance).forEach((agent) => {
+    const perf = agentPerformance[agent];
+    perf.avgPremium = perf.count > 0 ? perf.totalPremium / perf.count : 0;
+    perf.avgDuration =
+      perf.durations.length > 0
+        ? perf.durations.reduce((sum, d) => sum + d, 0) / perf.durations.length
+        : 0;
+
+    // Enhanced risk scoring: NSF = high risk, Cancellation = medium risk
+    perf.riskScore =
+      perf.nsfCount * 3 +
+      perf.cancellationCount * 1.5 +
+      (perf.avgDuration < 30 ? perf.count : 0);
+
+    // Retention score: share of the agent's issued policies still on the books
+    perf.issuedCount = Math.max(
+      issuedByAgent[normalizeGroupKey(agent)] || 0,
+      perf.count
+    );
+    perf.retentionScore = Math.max(
+      0,
+      100 - ((perf.nsfCount + perf.cancellationCount) / perf.issuedCount) * 100
+    );
+  });
+
+  return agentPerformance;
+};
+
+/**
+ * The highest-scoring agents above HIGH_RISK_SCORE
+ * @param {Object} agentPerformance - From getAgentPerformance
+ * @param {number} [limit=5]
+ * @returns {Array} { agent, riskScore, nsfCount, cancellationCount, retentionScore }
+ */
+export const getHighRiskAgents = (agentPerformance, limit = 5) =>
+  Object.entries(agentPerformance)
+    .filter(([_, perf]) => perf.riskScore > HIGH_RISK_SCORE)
+    .sort((a, b) => b[1].riskScore - a[1].riskScore)
+    .slice(0, limit)
+    .map(([agent, perf]) => ({
+      agent,
+      riskScore: perf.riskScore.toFixed(1),
+      nsfCount: perf.nsfCount,
+      cancellationCount: perf.cancellationCount,
+      retentionScore: perf.retentionScore.toFixed(1),
+    }));
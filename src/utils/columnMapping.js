@@ -0,0 +1,336 @@
+/**
+ * Column Mapping Profiles for Policy Persistency Tracker
+ * Maps carrier-specific CSV headers onto the canonical policy fields
+ * used by the upload pipeline, so renamed columns don't silently
+ * turn into "Unknown" agents and products.
+ */
+
+// Canonical fields every upload is normalized into
+export const CANONICAL_FIELDS = [
+  {
+    key: "policy_nbr",
+    label: "Policy Number",
+    required: true,
+    dataTypes: ["nsf", "cancellation", "reinstatement", "inforce"],
+    aliases: ["policy_nbr", "policy number", "policy_no", "policy", "policy #"],
+  },
+  {
+    key: "agent_name",
+    label: "Agent Name",
+    dataTypes: ["nsf", "cancellation", "reinstatement", "inforce"],
+    aliases: ["wa_name", "agent_name", "agent", "writing agent", "agent name"],
+  },
+  {
+    key: "product",
+    label: "Product",
+    dataTypes: ["nsf", "cancellation", "reinstatement", "inforce"],
+    aliases: ["product", "plan_code", "plan", "product_name", "plan code"],
+  },
+  {
+    key: "issue_state",
+    label: "Issue State",
+    dataTypes: ["nsf", "cancellation", "inforce"],
+    aliases: ["issue_state", "state", "issue st", "st"],
+  },
+  {
+    key: "annual_premium",
+    label: "Annual Premium",
+    dataTypes: ["nsf", "cancellation", "inforce"],
+    aliases: ["annual_premium", "premium", "annual prem", "ann_prem"],
+  },
+  {
+    key: "issue_date",
+    label: "Issue Date",
+    dataTypes: ["nsf", "cancellation", "inforce"],
+    aliases: ["issue_date", "issue dt", "issued", "issue"],
+  },
+  {
+    key: "paid_to_date",
+    label: "Paid-To Date",
+    dataTypes: ["nsf", "cancellation", "reinstatement", "inforce"],
+    aliases: ["paid_to_date", "paid to", "ptd", "paid_to_dt"],
+  },
+  {
+    key: "app_recvd_date",
+    label: "App Received Date",
+    dataTypes: ["nsf", "cancellation"],
+    aliases: ["app_recvd_date", "app received", "application date", "app_date"],
+  },
+  {
+    key: "contract_date",
+    label: "Cancellation Date",
+    dataTypes: ["cancellation"],
+    aliases: ["cntrct_date", "contract_date", "cancel_date", "cancellation date"],
+  },
+  {
+    key: "termination_reason",
+    label: "Termination Reason",
+    dataTypes: ["nsf"],
+    aliases: ["reason", "nsf_reason", "termination_reason", "return reason"],
+  },
+  {
+    key: "mga_name",
+    label: "MGA Name",
+    dataTypes: ["nsf"],
+    aliases: ["mga_name", "mga", "agency"],
+  },
+  {
+    key: "agent_level_03",
+    label: "Agent Level 03",
+    dataTypes: ["cancellation"],
+    aliases: ["agent_level_03", "level_03", "upline"],
+  },
+  {
+    key: "contract_code",
+    label: "Contract Code",
+    dataTypes: ["cancellation"],
+    aliases: ["contract_code", "contract code", "status_code"],
+  },
+  {
+    key: "payment_date",
+    label: "Payment Date",
+    required: true,
+    dataTypes: ["reinstatement"],
+    aliases: [
+      "payment_date",
+      "pmt_date",
+      "received_date",
+      "reinstatement_date",
+      "reinstate_date",
+    ],
+  },
+  {
+    key: "payment_amount",
+    label: "Payment Amount",
+    dataTypes: ["reinstatement"],
+    aliases: ["payment_amount", "pmt_amt", "amount_received", "amount"],
+  },
+  {
+    key: "payment_type",
+    label: "Payment Type",
+    dataTypes: ["reinstatement"],
+    aliases: ["payment_type", "pmt_type", "transaction_type", "trans_type"],
+  },
+  {
+    key: "policy_status",
+    label: "Policy Status",
+    dataTypes: ["inforce"],
+    aliases: ["policy_status", "status", "pol_status", "contract_status"],
+  },
+];
+
+// Built-in profiles matching the standard carrier layouts
+export const BUILT_IN_PROFILES = [
+  {
+    id: "builtin_nsf",
+    name: "Carrier NSF (standard)",
+    dataType: "nsf",
+    builtIn: true,
+    mappings: {
+      policy_nbr: "policy_nbr",
+      agent_name: "WA_Name",
+      product: "Product",
+      issue_state: "issue_state",
+      annual_premium: "annual_premium",
+      issue_date: "issue_date",
+      paid_to_date: "paid_to_date",
+      app_recvd_date: "app_recvd_date",
+      termination_reason: "Reason",
+      mga_name: "MGA_name",
+    },
+  },
+  {
+    id: "builtin_cancellation",
+    name: "Carrier Cancellation (standard)",
+    dataType: "cancellation",
+    builtIn: true,
+    mappings: {
+      policy_nbr: "Policy_nbr",
+      agent_name: "WA_Name",
+      product: "Plan_Code",
+      issue_state: "Issue_State",
+      annual_premium: "Annual_Premium",
+      issue_date: "Issue_Date",
+      paid_to_date: "Paid_to_Date",
+      app_recvd_date: "App_Recvd_Date",
+      contract_date: "cntrct_date",
+      agent_level_03: "Agent_level_03",
+      contract_code: "Contract_Code",
+    },
+  },
+  {
+    id: "builtin_reinstatement",
+    name: "Carrier Reinstatements & Payments (standard)",
+    dataType: "reinstatement",
+    builtIn: true,
+    mappings: {
+      policy_nbr: "Policy_nbr",
+      agent_name: "WA_Name",
+      product: "Plan_Code",
+      paid_to_date: "Paid_to_Date",
+      payment_date: "Payment_Date",
+      payment_amount: "Payment_Amount",
+      payment_type: "Payment_Type",
+    },
+  },
+  {
+    id: "builtin_inforce",
+    name: "Carrier In-Force Book (standard)",
+    dataType: "inforce",
+    builtIn: true,
+    mappings: {
+      policy_nbr: "Policy_nbr",
+      agent_name: "WA_Name",
+      product: "Plan_Code",
+      issue_state: "Issue_State",
+      annual_premium: "Annual_Premium",
+      issue_date: "Issue_Date",
+      paid_to_date: "Paid_to_Date",
+      policy_status: "Policy_Status",
+    },
+  },
+];
+
+// Minimum share of a profile's mapped headers that must be present to auto-match
+export const PROFILE_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Normalize a header for loose comparison ("Policy #" -> "policy")
+ */
+export const normalizeHeader = (header) =>
+  (header || "")
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Get canonical fields that apply to a data type
+ */
+export const getFieldsForDataType = (dataType) =>
+  CANONICAL_FIELDS.filter((field) => field.dataTypes.includes(dataType));
+
+/**
+ * Score how well a profile fits a set of file headers
+ * @param {Array} headers - Headers found in the uploaded file
+ * @param {Object} profile - Mapping profile
+ * @returns {Object} Score (0-1) and the canonical fields whose source header is missing
+ */
+export const scoreProfile = (headers, profile) => {
+  const headerSet = new Set(headers.map(normalizeHeader));
+  const mapped = Object.entries(profile.mappings || {}).filter(
+    ([, source]) => source
+  );
+
+  if (mapped.length === 0) {
+    return { score: 0, missingFields: [] };
+  }
+
+  const missingFields = mapped
+    .filter(([, source]) => !headerSet.has(normalizeHeader(source)))
+    .map(([field]) => field);
+
+  // A profile whose policy number column is absent can never match
+  if (missingFields.includes("policy_nbr")) {
+    return { score: 0, missingFields };
+  }
+
+  return {
+    score: (mapped.length - missingFields.length) / mapped.length,
+    missingFields,
+  };
+};
+
+/**
+ * Find the best matching profile for a set of headers
+ * @param {Array} headers - Headers found in the uploaded file
+ * @param {Array} profiles - Profile library to match against
+ * @param {number} threshold - Minimum score required
+ * @returns {Object|null} Best match ({ profile, score, missingFields }) or null
+ */
+export const matchProfile = (
+  headers,
+  profiles,
+  threshold = PROFILE_MATCH_THRESHOLD
+) => {
+  let best = null;
+
+  (profiles || []).forEach((profile) => {
+    const { score, missingFields } = scoreProfile(headers, profile);
+    // Prefer saved profiles over built-ins on a tie
+    const beatsBest =
+      !best ||
+      score > best.score ||
+      (score === best.score && best.profile.builtIn && !profile.builtIn);
+
+    if (score >= threshold && beatsBest) {
+      best = { profile, score, missingFields };
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Suggest mappings for unknown headers using the canonical field aliases
+ * @param {Array} headers - Headers found in the uploaded file
+ * @param {string} dataType - 'nsf', 'cancellation', 'reinstatement' or 'inforce'
+ * @returns {Object} Canonical field -> source header
+ */
+export const suggestMappings = (headers, dataType) => {
+  const mappings = {};
+  const used = new Set();
+
+  getFieldsForDataType(dataType).forEach((field) => {
+    const candidates = [field.key, ...field.aliases].map(normalizeHeader);
+    const match = headers.find(
+      (header) =>
+        !used.has(header) && candidates.includes(normalizeHeader(header))
+    );
+
+    if (match) {
+      mappings[field.key] = match;
+      used.add(match);
+    }
+  });
+
+  return mappings;
+};
+
+/**
+ * Resolve the actual header in a row for a profile's source header,
+ * tolerating case and punctuation differences
+ */
+const resolveSourceValue = (row, source) => {
+  if (!source) return undefined;
+  if (Object.prototype.hasOwnProperty.call(row, source)) return row[source];
+
+  const target = normalizeHeader(source);
+  const key = Object.keys(row).find((k) => normalizeHeader(k) === target);
+  return key !== undefined ? row[key] : undefined;
+};
+
+/**
+ * Apply a profile to a raw CSV row
+ * @param {Object} row - Raw row keyed by file headers
+ * @param {Object} profile - Mapping profile
+ * @returns {Object} Values keyed by canonical field
+ */
+export const applyProfile = (row, profile) => {
+  const mapped = {};
+
+  Object.entries(profile.mappings || {}).forEach(([field, source]) => {
+    const value = resolveSourceValue(row, source);
+    mapped[field] = typeof value === "string" ? value.trim() : value;
+  });
+
+  return mapped;
+};
+
+/**
+ * Check that a profile maps every required field
+ * @returns {Array} Labels of required fields that are not mapped
+ */
+export const getMissingRequiredFields = (profile) =>
+  getFieldsForDataType(profile.dataType)
+    .filter((field) => field.required && !profile.mappings?.[field.key])
+    .map((field) => field.label);
@@ -0,0 +1,183 @@
+/**
+ * Contact outcomes for Policy Persistency Tracker
+ * Each attempt to reach a customer about a retention task is logged with
+ * its channel and disposition. An attempt with a follow-up date creates the
+ * next task for the same specialist, and the dispositions roll up into a
+ * report per specialist.
+ */
+
+export const CONTACT_CHANNELS = {
+  phone: "Phone",
+  sms: "Text",
+  email: "Email",
+  mail: "Letter",
+};
+
+// reached: whether the customer was actually spoken to; needsPromise and
+// needsFollowUp make the promise-to-pay or follow-up fields required
+export const DISPOSITIONS = {
+  left_voicemail: { label: "Left voicemail", reached: false },
+  no_answer: { label: "No answer", reached: false },
+  wrong_number: { label: "Wrong number", reached: false },
+  promised_to_pay: {
+    label: "Promised to pay",
+    reached: true,
+    needsPromise: true,
+  },
+  payment_made: { label: "Payment made", reached: true },
+  callback_requested: {
+    label: "Callback requested",
+    reached: true,
+    needsFollowUp: true,
+  },
+  not_interested: { label: "Not interested", reached: true },
+  do_not_contact: { label: "Asked not to be contacted", reached: true },
+};
+
+export const FOLLOW_UP_TASK_TYPE = "follow_up";
+
+const formatCurrency = (amount) =>
+  `$${Number(amount).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDay = (value) =>
+  new Date(value).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+
+/**
+ * Problems with an attempt before it is logged
+ * @param {Object} attempt - channel, disposition, notes, promiseDate,
+ *   promiseAmount, nextFollowUpAt
+ * @returns {Array<string>} Empty when it can be logged
+ */
+export const validateContactAttempt = (attempt) => {
+  const problems = [];
+  const disposition = DISPOSITIONS[attempt.disposition];
+
+  if (!CONTACT_CHANNELS[attempt.channel]) {
+    problems.push("Choose how the customer was contacted");
+  }
+  if (!disposition) {
+    problems.push("Choose an outcome");
+    return problems;
+  }
+
+  if (disposition.needsPromise) {
+    if (!attempt.promiseDate) {
+      problems.push("Enter the date the customer promised to pay");
+    }
+    if (!(Number(attempt.promiseAmount) > 0)) {
+      problems.push("Enter the amount the customer promised to pay");
+    }
+  }
+  if (disposition.needsFollowUp && !attempt.nextFollowUpAt) {
+    problems.push("Enter when to call back");
+  }
+  if (
+    attempt.nextFollowUpAt &&
+    Number.isNaN(new Date(attempt.nextFollowUpAt).getTime())
+  ) {
+    problems.push("Follow-up date is not a valid date");
+  }
+  return problems;
+};
+
+// What the follow-up task asks the specialist to do
+const getFollowUpActions = (attempt) => {
+  switch (attempt.disposition) {
+    case "promised_to_pay":
+      return [
+        `Check that the ${formatCurrency(
+          attempt.promiseAmount
+        )} promised for ${formatDay(attempt.promiseDate)} was received`,
+        "If not, contact the customer about the missed promise",
+      ];
+    case "callback_requested":
+      return ["Call the customer back as requested"];
+    case "left_voicemail":
+    case "no_answer":
+      return ["Try the customer again", "Try another channel if unanswered"];
+    default:
+      return ["Contact the customer again"];
+  }
+};
+
+/**
+ * The task an attempt's follow-up creates, for the same specialist
+ * @param {Object} task - The task the attempt was logged on
+ * @param {Object} attempt - The attempt, with nextFollowUpAt
+ * @returns {Object} A retention task (see taskService.saveTask)
+ */
+export const buildFollowUpTask = (task, attempt, now = new Date()) => {
+  const dueDate = new Date(attempt.nextFollowUpAt);
+  const { label } = DISPOSITIONS[attempt.disposition];
+  const promise =
+    attempt.disposition === "promised_to_pay"
+      ? `: ${formatCurrency(attempt.promiseAmount)} promised for ${formatDay(
+          attempt.promiseDate
+        )}`
+      : "";
+
+  return {
+    id: `followup-${task.policyNumber}-${dueDate.getTime()}`,
+    type: FOLLOW_UP_TASK_TYPE,
+    priority: task.priority,
+    policyNumber: task.policyNumber,
+    customerName: task.customerName,
+    premium: task.premium,
+    description: `Follow-up after "${label}"${promise}`,
+    suggestedActions: getFollowUpActions(attempt),
+    assignedTo: task.assignedTo,
+    dueDate,
+    estimatedDuration: "15 minutes",
+    status: "open",
+    createdAt: now,
+    policy: task.policy,
+  };
+};
+
+/**
+ * Disposition counts per specialist, for the outcomes report
+ * @param {Array} attempts - Logged attempts ({ attemptedBy, disposition,
+ *   promiseAmount })
+ * @returns {Array} { specialist, total, reached, reachRate, promised,
+ *   promisedAmount, byDisposition }, most attempts first
+ */
+export const summarizeDispositions = (attempts) => {
+  const bySpecialist = {};
+  attempts.forEach((attempt) => {
+    const specialist = attempt.attemptedBy || "Unknown";
+    bySpecialist[specialist] = bySpecialist[specialist] || {
+      specialist,
+      total: 0,
+      reached: 0,
+      promised: 0,
+      promisedAmount: 0,
+      byDisposition: Object.fromEntries(
+        Object.keys(DISPOSITIONS).map((code) => [code, 0])
+      ),
+    };
+
+    const row = bySpecialist[specialist];
+    row.total++;
+    if (DISPOSITIONS[attempt.disposition]?.reached) row.reached++;
+    if (attempt.disposition in row.byDisposition) {
+      row.byDisposition[attempt.disposition]++;
+    }
+    if (attempt.disposition === "promised_to_pay") {
+      row.promised++;
+      row.promisedAmount += Number(attempt.promiseAmount) || 0;
+    }
+  });
+
+  return Object.values(bySpecialist)
+    .map((row) => ({ ...row, reachRate: (row.reached / row.total) * 100 }))
+    .sort(
+      (a, b) => b.total - a.total || a.specialist.localeCompare(b.specialist)
+    );
+};
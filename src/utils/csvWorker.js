@@ -0,0 +1,83 @@
+/**
+ * Runs the CSV parser worker for one file
+ * @param {File} file - CSV file to parse
+ * @param {Object} options - { onProgress(percent, rows) }
+ * @returns {Object} { promise, cancel } - promise resolves with an import
+ *   session kept in the worker (see createImportSession): headers,
+ *   sampleRow, totalRows, and validate()/readRecords() returning promises,
+ *   plus close() to stop the worker; cancel() stops the worker and rejects
+ *   the parse and any validate()/readRecords() still waiting with
+ *   error.cancelled
+ */
+export const parseCsvInWorker = (file, { onProgress } = {}) => {
+  const worker = new Worker(
+    new URL("../workers/csvParser.worker.js", import.meta.url)
+  );
+  const requests = new Map();
+  let nextRequestId = 0;
+  let rejectParse;
+
+  const request = (message) =>
+    new Promise((resolve, reject) => {
+      nextRequestId += 1;
+      requests.set(nextRequestId, { resolve, reject });
+      worker.postMessage({ ...message, id: nextRequestId });
+    });
+
+  // Stop the worker, failing anything still waiting on it
+  const stop = (error) => {
+    worker.terminate();
+    requests.forEach(({ reject }) => reject(error));
+    requests.clear();
+  };
+
+  const promise = new Promise((resolve, reject) => {
+    rejectParse = reject;
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      if (message.id !== undefined) {
+        const pending = requests.get(message.id);
+        requests.delete(message.id);
+        if (message.type === "error") {
+          pending?.reject(new Error(message.message));
+        } else {
+          pending?.resolve(message.result);
+        }
+      } else if (message.type === "progress") {
+        onProgress?.(message.percent, message.rows);
+      } else if (message.type === "parsed") {
+        resolve({
+          headers: message.headers,
+          sampleRow: message.sampleRow,
+          totalRows: message.totalRows,
+          validate: (profile, dateOverrides = {}) =>
+            request({ type: "validate", profile, dateOverrides }),
+          readRecords: (start, end) => request({ type: "read", start, end }),
+          close: () => stop(new Error("CSV parser worker closed")),
+        });
+      } else if (message.type === "error") {
+        stop(new Error(message.message));
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      const error = new Error(event.message || "CSV parser worker failed");
+      stop(error);
+      reject(error);
+    };
+
+    worker.postMessage({ type: "parse", file });
+  });
+
+  const cancel = () => {
+    const error = new Error("Upload cancelled");
+    error.cancelled = true;
+    stop(error);
+    rejectParse(error);
+  };
+
+  return { promise, cancel };
+};
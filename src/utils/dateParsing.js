@@ -0,0 +1,226 @@
+/**
+ * Date Parsing for Policy Persistency Tracker
+ * Strict, format-aware parsing of carrier date columns. A column's format is
+ * either declared on its mapping profile or inferred from every value in the
+ * column, so values like 03/04/2024 are never silently read two ways.
+ *
+ * Parsed dates are UTC midnight, matching how dates loaded from the
+ * database are constructed.
+ */
+
+const MONTHS = [
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "MAY",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "OCT",
+  "NOV",
+  "DEC",
+];
+
+// Excel's day zero (serial 1 is 1900-01-01, with the 1900 leap-year bug)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Two-digit years up to this value are 20xx, above it 19xx
+const TWO_DIGIT_YEAR_PIVOT = 50;
+
+const expandYear = (year) =>
+  year.length === 2
+    ? parseInt(year, 10) +
+      (parseInt(year, 10) <= TWO_DIGIT_YEAR_PIVOT ? 2000 : 1900)
+    : parseInt(year, 10);
+
+// Build a date only if the parts form a real calendar day
+const buildDate = (year, month, day) => {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * Supported date formats, in the order they are preferred when
+ * several fit a column equally well
+ */
+export const DATE_FORMATS = [
+  {
+    id: "YYYY-MM-DD",
+    label: "YYYY-MM-DD (2024-03-04)",
+    pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/,
+    build: ([, y, m, d]) => buildDate(parseInt(y, 10), +m, +d),
+  },
+  {
+    id: "YYYYMMDD",
+    label: "YYYYMMDD (20240304)",
+    pattern: /^(\d{4})(\d{2})(\d{2})$/,
+    build: ([, y, m, d]) => buildDate(parseInt(y, 10), +m, +d),
+  },
+  {
+    id: "MM/DD/YYYY",
+    label: "MM/DD/YYYY (03/04/2024 = Mar 4)",
+    pattern: /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/,
+    build: ([, m, d, y]) => buildDate(parseInt(y, 10), +m, +d),
+  },
+  {
+    id: "DD/MM/YYYY",
+    label: "DD/MM/YYYY (03/04/2024 = Apr 3)",
+    pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/,
+    build: ([, d, m, y]) => buildDate(parseInt(y, 10), +m, +d),
+  },
+  {
+    id: "MM/DD/YY",
+    label: "MM/DD/YY (03/04/24 = Mar 4)",
+    pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{2})$/,
+    build: ([, m, d, y]) => buildDate(expandYear(y), +m, +d),
+  },
+  {
+    id: "DD/MM/YY",
+    label: "DD/MM/YY (03/04/24 = Apr 3)",
+    pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{2})$/,
+    build: ([, d, m, y]) => buildDate(expandYear(y), +m, +d),
+  },
+  {
+    id: "DD-MON-YYYY",
+    label: "DD-MON-YYYY (04-MAR-2024)",
+    pattern: /^(\d{1,2})[- ]([A-Za-z]{3})[- ](\d{2}|\d{4})$/,
+    build: ([, d, mon, y]) =>
+      buildDate(expandYear(y), MONTHS.indexOf(mon.toUpperCase()) + 1, +d),
+  },
+  {
+    id: "EXCEL_SERIAL",
+    label: "Excel serial number (45355)",
+    pattern: /^(\d{1,5})(?:\.\d+)?$/,
+    build: ([, serial]) => {
+      const days = parseInt(serial, 10);
+      // Roughly 1927 to 2119, which keeps small numbers from reading as dates
+      if (days < 10000 || days > 80000) return null;
+      return new Date(EXCEL_EPOCH + days * DAY_MS);
+    },
+  },
+];
+
+export const AUTO_DATE_FORMAT = "auto";
+
+const FORMATS_BY_ID = Object.fromEntries(DATE_FORMATS.map((f) => [f.id, f]));
+
+const isBlankDate = (value) =>
+  value === undefined ||
+  value === null ||
+  ["", "null", "undefined", "nan"].includes(
+    value.toString().trim().toLowerCase()
+  );
+
+/**
+ * Parse a value with one specific format
+ * @returns {Date|null} Date, or null when the value doesn't fit the format
+ */
+export const parseDateWithFormat = (value, formatId) => {
+  if (isBlankDate(value)) return null;
+  const format = FORMATS_BY_ID[formatId];
+  if (!format) return null;
+
+  const match = value.toString().trim().match(format.pattern);
+  if (!match) return null;
+
+  const date = format.build(match);
+  if (!date || date.getUTCFullYear() < 1900 || date.getUTCFullYear() > 2100) {
+    return null;
+  }
+  return date;
+};
+
+/**
+ * List every format a single value could be in
+ */
+export const getMatchingFormats = (value) =>
+  DATE_FORMATS.filter((format) => parseDateWithFormat(value, format.id)).map(
+    (format) => format.id
+  );
+
+/**
+ * Parse a date. With a format, parsing is strict; without one the first
+ * format that fits wins (use inferDateFormat for whole columns instead).
+ * Date objects are passed through.
+ */
+export const parseDate = (value, formatId = null) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  if (isBlankDate(value)) return null;
+
+  if (formatId && formatId !== AUTO_DATE_FORMAT) {
+    return parseDateWithFormat(value, formatId);
+  }
+
+  const [firstMatch] = getMatchingFormats(value);
+  return firstMatch ? parseDateWithFormat(value, firstMatch) : null;
+};
+
+/**
+ * Infer a column's date format from all of its values
+ * @param {Array} values - Raw column values
+ * @returns {Object} {
+ *   format      - chosen format id, or null if no value is a date
+ *   candidates  - formats that fit every value
+ *   ambiguous   - more than one format fits every value (e.g. only days <= 12)
+ *   mixed       - no single format fits every value
+ *   unmatched   - number of values the chosen format can't parse
+ * }
+ */
+export const inferDateFormat = (values) => {
+  const present = values.filter((value) => !isBlankDate(value));
+  if (present.length === 0) {
+    return {
+      format: null,
+      candidates: [],
+      ambiguous: false,
+      mixed: false,
+      unmatched: 0,
+    };
+  }
+
+  const matchCounts = Object.fromEntries(DATE_FORMATS.map((f) => [f.id, 0]));
+  present.forEach((value) => {
+    getMatchingFormats(value).forEach((formatId) => {
+      matchCounts[formatId] += 1;
+    });
+  });
+
+  const candidates = DATE_FORMATS.filter(
+    (format) => matchCounts[format.id] === present.length
+  ).map((format) => format.id);
+
+  // Otherwise pick the format that fits the most values (earlier formats win ties)
+  const format =
+    candidates[0] ||
+    DATE_FORMATS.reduce(
+      (best, f) => (matchCounts[f.id] > matchCounts[best] ? f.id : best),
+      DATE_FORMATS[0].id
+    );
+
+  return {
+    format: matchCounts[format] > 0 ? format : null,
+    candidates,
+    ambiguous: candidates.length > 1,
+    mixed: candidates.length === 0,
+    unmatched: present.length - matchCounts[format],
+  };
+};
+
+/**
+ * Get a format's display label
+ */
+export const getDateFormatLabel = (formatId) =>
+  FORMATS_BY_ID[formatId]?.label || formatId || "Unknown";
@@ -0,0 +1,136 @@
+/**
+ * Management digest figures for Policy Persistency Tracker
+ * The server builds these from the policy and retention task tables for the
+ * scheduled digest emails (see server/digestScheduler.js). A policy is "new"
+ * in a period when it was uploaded during it.
+ */
+
+// Relative imports keep their .js extension so the server can load them
+import { getAgentPerformance, getHighRiskAgents } from "./agentRisk.js";
+import { LAPSE_SOURCES, isRecovered } from "./policyRecovery.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length and label of each digest period
+export const DIGEST_PERIODS = {
+  daily: { days: 1, label: "Daily" },
+  weekly: { days: 7, label: "Weekly" },
+};
+
+const isLapse = (policy) =>
+  LAPSE_SOURCES.includes(policy.source) && !isRecovered(policy);
+
+const uploadedBetween = (policy, start, end) => {
+  const uploadedAt = new Date(policy.uploaded_at);
+  return uploadedAt >= start && uploadedAt < end;
+};
+
+const sumPremium = (policies) =>
+  policies.reduce(
+    (sum, policy) => sum + (Number(policy.annual_premium) || 0),
+    0
+  );
+
+// New NSF and cancellation counts and premium for one window
+const summarizeWindow = (lapses, start, end) => {
+  const added = lapses.filter((policy) => uploadedBetween(policy, start, end));
+  return {
+    nsfCount: added.filter((policy) => policy.source === "nsf").length,
+    cancellationCount: added.filter(
+      (policy) => policy.source === "cancellation"
+    ).length,
+    premium: sumPremium(added),
+  };
+};
+
+// "+25%", "-10%", "new" or "no change" from the previous value to the current
+const describeChange = (current, previous) => {
+  if (current === previous) return "no change";
+  if (previous === 0) return "new";
+  const percent = Math.round(((current - previous) / previous) * 100);
+  return `${percent > 0 ? "+" : ""}${percent}%`;
+};
+
+/**
+ * Open retention tasks past their due date, per team member
+ * @param {Array} tasks - retention_tasks rows
+ * @param {Date} now
+ * @returns {Array} { assignee, count, premium }, most overdue tasks first
+ */
+export const getOverdueTasksByAssignee = (tasks, now) => {
+  const byAssignee = {};
+  tasks
+    .filter(
+      (task) =>
+        task.status === "open" && task.due_date && new Date(task.due_date) < now
+    )
+    .forEach((task) => {
+      const assignee = task.assigned_to || "Unassigned";
+      byAssignee[assignee] = byAssignee[assignee] || {
+        assignee,
+        count: 0,
+        premium: 0,
+      };
+      byAssignee[assignee].count++;
+      byAssignee[assignee].premium += Number(task.premium) || 0;
+    });
+
+  return Object.values(byAssignee).sort(
+    (a, b) => b.count - a.count || a.assignee.localeCompare(b.assignee)
+  );
+};
+
+/**
+ * Figures for a daily or weekly digest email
+ * @param {Object} options
+ * @param {Array} options.policies - policies rows (NSF and cancellations)
+ * @param {Array} options.tasks - retention_tasks rows
+ * @param {string} options.period - Key of DIGEST_PERIODS
+ * @param {Date} [options.now]
+ * @returns {Object} Merge data for the management_digest template
+ */
+export const buildDigest = ({ policies, tasks, period, now = new Date() }) => {
+  const { days, label } = DIGEST_PERIODS[period];
+  const lapses = policies.filter(isLapse);
+  const periodStart = new Date(now.getTime() - days * DAY_MS);
+  const current = summarizeWindow(lapses, periodStart, now);
+
+  // Week over week compares the last seven days with the seven before,
+  // whichever the digest's own period
+  const weekStart = new Date(now.getTime() - 7 * DAY_MS);
+  const thisWeek = summarizeWindow(lapses, weekStart, now);
+  const lastWeek = summarizeWindow(
+    lapses,
+    new Date(weekStart.getTime() - 7 * DAY_MS),
+    weekStart
+  );
+  const weekOverWeek = [
+    ["New NSF", "nsfCount"],
+    ["New cancellations", "cancellationCount"],
+    ["New premium at risk", "premium"],
+  ].map(([metric, key]) => ({
+    metric,
+    thisWeek: thisWeek[key],
+    lastWeek: lastWeek[key],
+    isPremium: key === "premium",
+    change: describeChange(thisWeek[key], lastWeek[key]),
+  }));
+
+  const overdueTasks = getOverdueTasksByAssignee(tasks, now);
+
+  return {
+    period,
+    periodLabel: label,
+    periodStart: periodStart.toISOString(),
+    periodEnd: now.toISOString(),
+    newNsfCount: current.nsfCount,
+    newCancellationCount: current.cancellationCount,
+    newPremiumAtRisk: current.premium,
+    premiumAtRisk: sumPremium(lapses),
+    openLapseCount: lapses.length,
+    overdueTasks,
+    overdueTaskCount: overdueTasks.reduce((sum, row) => sum + row.count, 0),
+    highRiskAgents: getHighRiskAgents(getAgentPerformance(lapses)),
+    weekOverWeek,
+  };
+};
@@ -0,0 +1,166 @@
+/**
+ * File Readers for Policy Persistency Tracker
+ * Turns Excel workbooks and fixed-width extracts into the same
+ * { data, errors, meta: { fields } } shape Papa.parse produces for CSVs,
+ * so every format goes through the same mapping and validation steps.
+ */
+
+import * as XLSX from "xlsx";
+
+export const FILE_FORMATS = {
+  csv: { label: "CSV", extensions: [".csv"] },
+  xlsx: { label: "Excel Workbook", extensions: [".xlsx", ".xls"] },
+  fixed_width: {
+    label: "Fixed-Width Text",
+    extensions: [".txt", ".dat", ".prn"],
+  },
+};
+
+// Value for the file input's accept attribute
+export const ACCEPTED_FILE_TYPES = Object.values(FILE_FORMATS)
+  .flatMap((format) => format.extensions)
+  .join(",");
+
+/**
+ * Work out a file's format from its extension
+ * @returns {string|null} 'csv', 'xlsx', 'fixed_width' or null if unsupported
+ */
+export const getFileFormat = (file) => {
+  const name = (file?.name || "").toLowerCase();
+  const match = Object.entries(FILE_FORMATS).find(([, format]) =>
+    format.extensions.some((extension) => name.endsWith(extension))
+  );
+  if (match) return match[0];
+  return file?.type === "text/csv" ? "csv" : null;
+};
+
+// Rename repeated headers the way Papa does ("Name", "Name_1", ...)
+const dedupeHeaders = (headers) => {
+  const seen = {};
+  return headers.map((header, index) => {
+    const base = header || `Column_${index + 1}`;
+    if (seen[base] === undefined) {
+      seen[base] = 0;
+      return base;
+    }
+    seen[base] += 1;
+    return `${base}_${seen[base]}`;
+  });
+};
+
+const pad = (number) => String(number).padStart(2, "0");
+
+/**
+ * Convert a worksheet cell to the string a CSV export would contain.
+ * Date cells become ISO dates (YYYY-MM-DD) instead of Excel serial numbers.
+ */
+const cellToString = (cell) => {
+  if (!cell || cell.v === undefined || cell.v === null) return "";
+
+  if (cell.t === "d" && cell.v instanceof Date) {
+    return cell.v.toISOString().split("T")[0];
+  }
+
+  if (cell.t === "n" && cell.z && XLSX.SSF.is_date(cell.z)) {
+    const date = XLSX.SSF.parse_date_code(cell.v);
+    if (date) return `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+  }
+
+  return cell.v.toString().trim();
+};
+
+/**
+ * Read a workbook; its sheet names are in workbook.SheetNames
+ * @param {ArrayBuffer} buffer - File contents
+ */
+export const readWorkbook = (buffer) =>
+  XLSX.read(buffer, { type: "array", cellNF: true });
+
+/**
+ * Read one sheet into Papa-style parse results.
+ * The first non-empty row is treated as the header row.
+ * @param {Object} workbook - Workbook from readWorkbook
+ * @param {string} sheetName - Sheet to read
+ */
+export const readWorkbookSheet = (workbook, sheetName) => {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet["!ref"]) {
+    return { data: [], errors: [], meta: { fields: [] } };
+  }
+
+  const range = XLSX.utils.decode_range(sheet["!ref"]);
+  const rows = [];
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const values = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      values.push(cellToString(sheet[XLSX.utils.encode_cell({ r, c })]));
+    }
+    if (values.some((value) => value !== "")) {
+      rows.push(values);
+    }
+  }
+
+  if (rows.length === 0) {
+    return { data: [], errors: [], meta: { fields: [] } };
+  }
+
+  // Drop trailing empty header cells so stray formatting doesn't add columns
+  let headerRow = rows[0];
+  while (headerRow.length > 0 && headerRow[headerRow.length - 1] === "") {
+    headerRow = headerRow.slice(0, -1);
+  }
+  const fields = dedupeHeaders(headerRow);
+
+  const data = rows
+    .slice(1)
+    .map((values) =>
+      Object.fromEntries(
+        fields.map((field, index) => [field, values[index] || ""])
+      )
+    );
+
+  return { data, errors: [], meta: { fields } };
+};
+
+/**
+ * Parse fixed-width text using a layout spec
+ * @param {string} text - File contents
+ * @param {Object} layout - { columns: [{ name, start, length }], skipLines }
+ *   where start is the 1-based character position of the column
+ */
+export const parseFixedWidth = (text, layout) => {
+  const columns = (layout.columns || []).filter(
+    (column) => column.name && column.start > 0 && column.length > 0
+  );
+  const fields = dedupeHeaders(columns.map((column) => column.name.trim()));
+  const recordLength = Math.max(
+    0,
+    ...columns.map((column) => column.start - 1 + column.length)
+  );
+
+  const lines = text
+    .split(/\r?\n/)
+    .slice(layout.skipLines || 0)
+    .filter((line) => line.trim() !== "");
+
+  const errors = [];
+  const data = lines.map((line, index) => {
+    if (line.length < recordLength) {
+      errors.push({
+        type: "FieldMismatch",
+        code: "TooFewFields",
+        message: `Line is ${line.length} characters, layout expects ${recordLength}`,
+        row: index,
+      });
+    }
+
+    return Object.fromEntries(
+      columns.map((column, columnIndex) => [
+        fields[columnIndex],
+        line.slice(column.start - 1, column.start - 1 + column.length).trim(),
+      ])
+    );
+  });
+
+  return { data, errors, meta: { fields } };
+};
@@ -0,0 +1,60 @@
+/**
+ * Resume point for a policy import, kept in localStorage so an import that
+ * stopped partway (failed batch, cancel, closed tab) continues from the last
+ * committed batch when the same file is uploaded again
+ */
+
+const CHECKPOINT_STORAGE_KEY = "ppt_import_checkpoint";
+
+// Identifies a file across uploads: name, size and last-modified time
+export const getFileKey = (file) =>
+  [file.name, file.size, file.lastModified].join("|");
+
+/**
+ * Record how far an import got
+ * @param {Object} job - fileKey, fileName, dataType, profile, dateOverrides,
+ *   recordsImported, uploadId, uploadDetails, nextBatch (first batch not yet
+ *   committed), totalBatches, counts
+ */
+export const saveImportCheckpoint = (job) => {
+  const checkpoint = {
+    fileKey: job.fileKey,
+    fileName: job.fileName,
+    dataType: job.dataType,
+    profile: job.profile,
+    dateOverrides: job.dateOverrides || {},
+    recordsImported: job.recordsImported,
+    uploadId: job.uploadId || null,
+    uploadDetails: job.uploadDetails || {},
+    nextBatch: job.nextBatch,
+    totalBatches: job.totalBatches,
+    counts: job.counts,
+    message: job.message || null,
+  };
+
+  try {
+    localStorage.setItem(CHECKPOINT_STORAGE_KEY, JSON.stringify(checkpoint));
+  } catch (error) {
+    console.warn("Could not save import checkpoint:", error.message);
+  }
+};
+
+/**
+ * The saved resume point
+ * @param {File} [file] - Only return the checkpoint for this file
+ * @returns {Object|null}
+ */
+export const loadImportCheckpoint = (file) => {
+  try {
+    const checkpoint = JSON.parse(localStorage.getItem(CHECKPOINT_STORAGE_KEY));
+    if (!checkpoint) return null;
+    if (file && checkpoint.fileKey !== getFileKey(file)) return null;
+    return checkpoint;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const clearImportCheckpoint = () => {
+  localStorage.removeItem(CHECKPOINT_STORAGE_KEY);
+};
@@ -0,0 +1,361 @@
+/**
+ * Import Validation for Policy Persistency Tracker
+ * Field-level checks run on a parsed file before anything is written,
+ * producing a reviewable report and the rows to reject.
+ */
+
+import { applyProfile } from "./columnMapping.js";
+import { AUTO_DATE_FORMAT, inferDateFormat, parseDate } from "./dateParsing.js";
+
+// US states, DC and territories accepted as issue states
+export const US_STATE_CODES = new Set([
+  "AL",
+  "AK",
+  "AZ",
+  "AR",
+  "CA",
+  "CO",
+  "CT",
+  "DE",
+  "FL",
+  "GA",
+  "HI",
+  "ID",
+  "IL",
+  "IN",
+  "IA",
+  "KS",
+  "KY",
+  "LA",
+  "ME",
+  "MD",
+  "MA",
+  "MI",
+  "MN",
+  "MS",
+  "MO",
+  "MT",
+  "NE",
+  "NV",
+  "NH",
+  "NJ",
+  "NM",
+  "NY",
+  "NC",
+  "ND",
+  "OH",
+  "OK",
+  "OR",
+  "PA",
+  "RI",
+  "SC",
+  "SD",
+  "TN",
+  "TX",
+  "UT",
+  "VT",
+  "VA",
+  "WA",
+  "WV",
+  "WI",
+  "WY",
+  "DC",
+  "PR",
+  "VI",
+  "GU",
+  "AS",
+  "MP",
+]);
+
+// Issue codes, their severity and the label shown in the review report
+export const VALIDATION_ISSUES = {
+  missing_policy_number: { severity: "error", label: "Missing policy number" },
+  duplicate_policy_number: {
+    severity: "error",
+    label: "Duplicate policy number",
+  },
+  invalid_issue_date: { severity: "error", label: "Unparseable issue date" },
+  non_numeric_premium: { severity: "error", label: "Non-numeric premium" },
+  missing_payment_date: { severity: "error", label: "Missing payment date" },
+  invalid_payment_date: {
+    severity: "error",
+    label: "Unparseable payment date",
+  },
+  non_numeric_payment: {
+    severity: "error",
+    label: "Non-numeric payment amount",
+  },
+  parse_error: { severity: "error", label: "CSV parsing error" },
+  missing_issue_date: { severity: "warning", label: "Missing issue date" },
+  invalid_date: { severity: "warning", label: "Unparseable date" },
+  missing_premium: { severity: "warning", label: "Missing premium" },
+  missing_payment_amount: {
+    severity: "warning",
+    label: "Missing payment amount",
+  },
+  unknown_state: { severity: "warning", label: "Unknown state" },
+  field_count: { severity: "warning", label: "Inconsistent field count" },
+};
+
+// Date columns whose format is declared on the profile or inferred per file
+export const DATE_FIELDS = [
+  "issue_date",
+  "paid_to_date",
+  "app_recvd_date",
+  "contract_date",
+  "payment_date",
+];
+
+// Secondary dates that are imported as empty when they can't be parsed
+const SECONDARY_DATE_FIELDS = [
+  "paid_to_date",
+  "app_recvd_date",
+  "contract_date",
+];
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  value.toString().trim() === "" ||
+  ["null", "undefined", "nan"].includes(value.toString().trim().toLowerCase());
+
+/**
+ * Parse a premium value, tolerating currency symbols and thousands separators
+ * @returns {number|null} Parsed premium, or null if the value isn't numeric
+ */
+export const parsePremium = (value) => {
+  if (isBlank(value)) return null;
+  const cleaned = value.toString().replace(/[$,\s]/g, "");
+  if (!/^-?\d*\.?\d+$/.test(cleaned)) return null;
+  return parseFloat(cleaned);
+};
+
+/**
+ * Work out which format each mapped date column uses: the profile's declared
+ * format, an override chosen during review, or one inferred from the column
+ * @param {Array} rows - Raw rows from the parser
+ * @param {Object} profile - Column mapping profile (profile.dateFormats)
+ * @param {Object} overrides - Field -> format chosen during review
+ * @returns {Object} Field -> { format, source, candidates, ambiguous, mixed, unmatched }
+ */
+export const resolveDateFormats = (rows, profile, overrides = {}) => {
+  const resolved = {};
+
+  DATE_FIELDS.filter((field) => profile.mappings?.[field]).forEach((field) => {
+    const values = rows.map((row) => applyProfile(row, profile)[field]);
+    const inferred = inferDateFormat(values);
+    const declared =
+      overrides[field] ||
+      (profile.dateFormats?.[field] !== AUTO_DATE_FORMAT &&
+        profile.dateFormats?.[field]);
+
+    if (declared) {
+      // A declared format settles any ambiguity; values it can't parse still count
+      const unmatched = values.filter(
+        (value) =>
+          value !== undefined &&
+          value !== null &&
+          value.toString().trim() !== "" &&
+          !parseDate(value, declared)
+      ).length;
+      resolved[field] = {
+        ...inferred,
+        format: declared,
+        source: overrides[field] ? "review" : "profile",
+        ambiguous: false,
+        mixed: unmatched > 0,
+        unmatched,
+      };
+    } else {
+      resolved[field] = { ...inferred, source: "inferred" };
+    }
+  });
+
+  return resolved;
+};
+
+/**
+ * Validate parsed rows against a mapping profile
+ * @param {Array} rows - Raw rows from the parser
+ * @param {Object} profile - Column mapping profile used for the import
+ * @param {Array} parseErrors - Errors reported by the CSV parser
+ * @param {Object} dateFormats - Resolved date formats from resolveDateFormats
+ * @returns {Object} Validation report
+ */
+export const validateImport = (
+  rows,
+  profile,
+  parseErrors = [],
+  dateFormats = {}
+) => {
+  const acceptedRows = [];
+  const rejectedRows = [];
+  const warnings = [];
+  const issueCounts = {};
+  const seenPolicies = new Map();
+  // Payment feeds can list a policy several times, once per payment date
+  const isPaymentFeed = profile.dataType === "reinstatement";
+
+  const rowParseErrors = new Map();
+  parseErrors.forEach((error) => {
+    if (error.row === undefined) return;
+    const list = rowParseErrors.get(error.row) || [];
+    list.push(error);
+    rowParseErrors.set(error.row, list);
+  });
+
+  const expectedFormat = (field) =>
+    dateFormats[field]?.format
+      ? ` (expected ${dateFormats[field].format})`
+      : "";
+
+  const countIssue = (code) => {
+    issueCounts[code] = (issueCounts[code] || 0) + 1;
+  };
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 1;
+    const mapped = applyProfile(row, profile);
+    const errors = [];
+    const addError = (code, message) => {
+      countIssue(code);
+      errors.push(message);
+    };
+    const addWarning = (code, field, message) => {
+      countIssue(code);
+      warnings.push({ rowNumber, field, code, message });
+    };
+
+    // Parser problems on this row
+    (rowParseErrors.get(index) || []).forEach((error) => {
+      if (error.code === "TooManyFields" || error.code === "TooFewFields") {
+        addWarning("field_count", null, error.message);
+      } else {
+        addError("parse_error", error.message);
+      }
+    });
+
+    // Policy number
+    const policyNumber = mapped.policy_nbr?.toString().trim();
+    const duplicateKey = isPaymentFeed
+      ? `${policyNumber}|${mapped.payment_date}`
+      : policyNumber;
+    if (!policyNumber) {
+      addError("missing_policy_number", "Missing policy number");
+    } else if (seenPolicies.has(duplicateKey)) {
+      addError(
+        "duplicate_policy_number",
+        `Duplicate policy number ${policyNumber}${
+          isPaymentFeed ? ` for payment date ${mapped.payment_date}` : ""
+        } (first seen on row ${seenPolicies.get(duplicateKey)})`
+      );
+    } else {
+      seenPolicies.set(duplicateKey, rowNumber);
+    }
+
+    if (isPaymentFeed) {
+      // The payment date decides which lapse a payment recovers
+      if (isBlank(mapped.payment_date)) {
+        addError("missing_payment_date", "Missing payment date");
+      } else if (
+        !parseDate(mapped.payment_date, dateFormats.payment_date?.format)
+      ) {
+        addError(
+          "invalid_payment_date",
+          `Unparseable payment date "${mapped.payment_date}"${expectedFormat(
+            "payment_date"
+          )}`
+        );
+      }
+
+      if (isBlank(mapped.payment_amount)) {
+        addWarning(
+          "missing_payment_amount",
+          "payment_amount",
+          "Missing payment amount (imported as $0)"
+        );
+      } else if (parsePremium(mapped.payment_amount) === null) {
+        addError(
+          "non_numeric_payment",
+          `Non-numeric payment amount "${mapped.payment_amount}"`
+        );
+      }
+    } else if (isBlank(mapped.issue_date)) {
+      // Issue date drives duration and cohorts, so it must parse when present
+      addWarning("missing_issue_date", "issue_date", "Missing issue date");
+    } else if (!parseDate(mapped.issue_date, dateFormats.issue_date?.format)) {
+      addError(
+        "invalid_issue_date",
+        `Unparseable issue date "${mapped.issue_date}"${expectedFormat(
+          "issue_date"
+        )}`
+      );
+    }
+
+    SECONDARY_DATE_FIELDS.forEach((field) => {
+      if (
+        !isBlank(mapped[field]) &&
+        !parseDate(mapped[field], dateFormats[field]?.format)
+      ) {
+        addWarning(
+          "invalid_date",
+          field,
+          `Unparseable ${field.replace(/_/g, " ")} "${
+            mapped[field]
+          }"${expectedFormat(field)} (imported as empty)`
+        );
+      }
+    });
+
+    // Premium and state only apply to policy feeds
+    if (!isPaymentFeed) {
+      if (isBlank(mapped.annual_premium)) {
+        addWarning(
+          "missing_premium",
+          "annual_premium",
+          "Missing premium (imported as $0)"
+        );
+      } else if (parsePremium(mapped.annual_premium) === null) {
+        addError(
+          "non_numeric_premium",
+          `Non-numeric premium "${mapped.annual_premium}"`
+        );
+      }
+
+      // State
+      const state = mapped.issue_state?.toString().trim().toUpperCase();
+      if (!state || !US_STATE_CODES.has(state)) {
+        addWarning(
+          "unknown_state",
+          "issue_state",
+          state ? `Unknown state "${mapped.issue_state}"` : "Missing state"
+        );
+      }
+    }
+
+    if (errors.length > 0) {
+      rejectedRows.push({ rowNumber, row, policyNumber, reasons: errors });
+    } else {
+      acceptedRows.push(row);
+    }
+  });
+
+  return {
+    totalRows: rows.length,
+    acceptedRows,
+    rejectedRows,
+    warnings,
+    issueCounts,
+    dateFormats,
+  };
+};
+
+/**
+ * Build the rows of a reject file: original columns plus row number and reason
+ */
+export const buildRejectRows = (report) =>
+  report.rejectedRows.map(({ rowNumber, row, reasons }) => ({
+    row_number: rowNumber,
+    reject_reason: reasons.join("; "),
+    ...row,
+  }));
@@ -0,0 +1,443 @@
+/**
+ * Ingestion for Policy Persistency Tracker
+ * Turns parsed carrier rows into normalized policy records and a validation
+ * report. The upload flow, the server's /api/uploads endpoint and scripts
+ * all import through here, so every path produces the same records.
+ *
+ * Relative imports keep their .js extension so Node can load this module
+ * (and everything it imports) without a bundler.
+ */
+
+import Papa from "papaparse";
+import {
+  BUILT_IN_PROFILES,
+  applyProfile,
+  matchProfile,
+} from "./columnMapping.js";
+import {
+  parsePremium,
+  resolveDateFormats,
+  validateImport,
+} from "./importValidation.js";
+import { parseDate } from "./dateParsing.js";
+
+// Papa Parse options shared by the browser worker and server-side parsing
+export const CSV_PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: true,
+  transform: (value) => (typeof value === "string" ? value.trim() : value),
+  transformHeader: (header) => header.trim(),
+};
+
+/**
+ * Parse CSV text in one pass (the browser parses files in a worker instead)
+ * @returns {Object} Papa-style results: { data, errors, meta: { fields } }
+ */
+export const parseCsvText = (text) => Papa.parse(text, CSV_PARSE_OPTIONS);
+
+/**
+ * Guess a file's data type from its headers
+ * @param {Array} headers - Column headers
+ * @param {Array} profiles - Mapping profiles to try first
+ * @returns {string} nsf, cancellation, reinstatement, inforce or unknown
+ */
+export const detectDataType = (headers, profiles = BUILT_IN_PROFILES) => {
+  // A matching mapping profile is the strongest signal
+  const profileMatch = matchProfile(headers, profiles);
+  if (profileMatch) return profileMatch.profile.dataType;
+
+  const headerSet = new Set(headers.map((h) => h.toLowerCase()));
+
+  // NSF data signatures
+  const nsfSignature = ["mga_name", "first payment", "reason"];
+  const nsfScore = nsfSignature.filter((sig) =>
+    headerSet.has(sig.toLowerCase())
+  ).length;
+
+  // Cancellation data signatures
+  const cancellationSignature = [
+    "agent_level_03",
+    "contract_code",
+    "cntrct_date",
+  ];
+  const cancellationScore = cancellationSignature.filter((sig) =>
+    headerSet.has(sig.toLowerCase())
+  ).length;
+
+  // Reinstatement/payment feed signatures
+  const reinstatementSignature = [
+    "payment_date",
+    "payment_amount",
+    "payment_type",
+    "reinstatement_date",
+  ];
+  const reinstatementScore = reinstatementSignature.filter((sig) =>
+    headerSet.has(sig.toLowerCase())
+  ).length;
+
+  if (nsfScore >= 2) return "nsf";
+  if (cancellationScore >= 2) return "cancellation";
+  if (reinstatementScore >= 2) return "reinstatement";
+
+  // In-force/issued book signatures
+  const inforceSignature = [
+    "policy_status",
+    "inforce_date",
+    "face_amount",
+    "status_date",
+  ];
+  const inforceScore = inforceSignature.filter((sig) =>
+    headerSet.has(sig.toLowerCase())
+  ).length;
+  if (inforceScore >= 2) return "inforce";
+
+  // Fallback - check for common fields
+  if (headerSet.has("reason")) return "nsf";
+  if (headerSet.has("contract_code") || headerSet.has("agent_level_03"))
+    return "cancellation";
+  if (headerSet.has("reinstatement_date")) return "reinstatement";
+  if (headerSet.has("policy_status")) return "inforce";
+
+  return "unknown";
+};
+
+/**
+ * Find the mapping profile for a file's headers
+ * @param {Array} headers - Column headers
+ * @param {Array} profiles - Built-in and saved profiles
+ * @param {string} requestedType - Only consider profiles of this data type
+ * @returns {Object|null} { profile, score } or null when none fits
+ */
+export const selectProfile = (
+  headers,
+  profiles = BUILT_IN_PROFILES,
+  requestedType = null
+) =>
+  matchProfile(
+    headers,
+    requestedType
+      ? profiles.filter((p) => p.dataType === requestedType)
+      : profiles
+  );
+
+/**
+ * Calculate days between dates
+ * @returns {number|null} Days, or null for missing or unreasonable dates
+ */
+export const calculateDuration = (startDate, endDate) => {
+  if (!startDate || !endDate) {
+    return null; // Return null instead of 0 for missing dates
+  }
+
+  // Use parseDate function for consistent parsing
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+
+  // Check if dates are valid
+  if (!start || !end || isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return null;
+  }
+
+  const diffTime = Math.abs(end - start);
+  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+
+  // Return null for unreasonable durations
+  if (diffDays < 0 || diffDays > 36500) {
+    // ~100 years max
+    return null;
+  }
+
+  return diffDays;
+};
+
+/**
+ * Normalize one mapped row into a policy (or payment) record
+ * @param {Object} row - Raw row from the parser
+ * @param {number} index - Row position, used in the generated id
+ * @param {string} dataType - nsf, cancellation, reinstatement or inforce
+ * @param {Object} profile - Column mapping profile
+ * @param {Object} dateFormats - From resolveDateFormats
+ */
+export const processRowData = (
+  row,
+  index,
+  dataType,
+  profile,
+  dateFormats = {}
+) => {
+  const mapped = applyProfile(row, profile);
+  const formatOf = (field) => dateFormats[field]?.format;
+
+  // Record which format each date column was read with
+  const usedDateFormats = Object.fromEntries(
+    Object.keys(dateFormats)
+      .filter((field) => formatOf(field) && mapped[field])
+      .map((field) => [field, formatOf(field)])
+  );
+
+  if (dataType === "nsf") {
+    const issueDate = parseDate(mapped.issue_date, formatOf("issue_date"));
+    const paidToDate = parseDate(mapped.paid_to_date, formatOf("paid_to_date"));
+    const appRecvdDate = parseDate(
+      mapped.app_recvd_date,
+      formatOf("app_recvd_date")
+    );
+
+    return {
+      ...row,
+      id: `nsf_${index + 1}_${Date.now()}`,
+      annual_premium: parsePremium(mapped.annual_premium) || 0,
+      issue_date: issueDate,
+      paid_to_date: paidToDate,
+      app_recvd_date: appRecvdDate,
+      duration: calculateDuration(issueDate, paidToDate),
+      policy_nbr: mapped.policy_nbr?.toString().trim(),
+      agent_name: mapped.agent_name?.toString().trim() || "Unknown",
+      product: mapped.product?.toString().trim() || "Unknown",
+      issue_state: mapped.issue_state?.toString().trim() || "Unknown",
+      termination_reason: mapped.termination_reason?.toString().trim() || "NSF",
+      mga_name: mapped.mga_name?.toString().trim() || "Unknown",
+      date_formats: usedDateFormats,
+      source: "nsf",
+      termination_type: "nsf",
+    };
+  } else if (dataType === "cancellation") {
+    const issueDate = parseDate(mapped.issue_date, formatOf("issue_date"));
+    const paidToDate = parseDate(mapped.paid_to_date, formatOf("paid_to_date"));
+    const appRecvdDate = parseDate(
+      mapped.app_recvd_date,
+      formatOf("app_recvd_date")
+    );
+    const contractDate = parseDate(
+      mapped.contract_date,
+      formatOf("contract_date")
+    );
+
+    return {
+      ...row,
+      id: `cancel_${index + 1}_${Date.now()}`,
+      annual_premium: parsePremium(mapped.annual_premium) || 0,
+      issue_date: issueDate,
+      paid_to_date: paidToDate,
+      app_recvd_date: appRecvdDate,
+      contract_date: contractDate,
+      // For cancellations, calculate duration between issue date and cancellation date (cntrct_date)
+      duration: calculateDuration(issueDate, contractDate),
+      policy_nbr: mapped.policy_nbr?.toString().trim(),
+      agent_name: mapped.agent_name?.toString().trim() || "Unknown",
+      product: mapped.product?.toString().trim() || "Unknown",
+      issue_state: mapped.issue_state?.toString().trim() || "Unknown",
+      termination_reason: "Voluntary Cancellation",
+      agent_level_03: mapped.agent_level_03?.toString().trim() || "Unknown",
+      contract_code: mapped.contract_code?.toString().trim() || "Unknown",
+      date_formats: usedDateFormats,
+      source: "cancellation",
+      termination_type: "cancellation",
+    };
+  } else if (dataType === "reinstatement") {
+    const paymentDate = parseDate(
+      mapped.payment_date,
+      formatOf("payment_date")
+    );
+    const paidToDate = parseDate(mapped.paid_to_date, formatOf("paid_to_date"));
+
+    return {
+      ...row,
+      id: `payment_${index + 1}_${Date.now()}`,
+      policy_nbr: mapped.policy_nbr?.toString().trim(),
+      payment_date: paymentDate,
+      payment_amount: parsePremium(mapped.payment_amount) || 0,
+      payment_type: mapped.payment_type?.toString().trim() || "Payment",
+      paid_to_date: paidToDate,
+      agent_name: mapped.agent_name?.toString().trim() || "Unknown",
+      product: mapped.product?.toString().trim() || "Unknown",
+      date_formats: usedDateFormats,
+      source: "reinstatement",
+    };
+  } else if (dataType === "inforce") {
+    const issueDate = parseDate(mapped.issue_date, formatOf("issue_date"));
+    const paidToDate = parseDate(mapped.paid_to_date, formatOf("paid_to_date"));
+
+    return {
+      ...row,
+      id: `inforce_${index + 1}_${Date.now()}`,
+      annual_premium: parsePremium(mapped.annual_premium) || 0,
+      issue_date: issueDate,
+      paid_to_date: paidToDate,
+      policy_nbr: mapped.policy_nbr?.toString().trim(),
+      agent_name: mapped.agent_name?.toString().trim() || "Unknown",
+      product: mapped.product?.toString().trim() || "Unknown",
+      issue_state: mapped.issue_state?.toString().trim() || "Unknown",
+      policy_status: mapped.policy_status?.toString().trim() || "In Force",
+      date_formats: usedDateFormats,
+      source: "inforce",
+    };
+  }
+};
+
+/**
+ * Resolve date formats and validate parsed rows against a profile
+ * @param {Array} rows - Raw rows from the parser
+ * @param {Object} profile - Column mapping profile
+ * @param {Array} parseErrors - Errors reported by the parser
+ * @param {Object} dateOverrides - Field -> format chosen during review
+ * @returns {Object} Validation report (see validateImport)
+ */
+export const buildImportReport = (
+  rows,
+  profile,
+  parseErrors = [],
+  dateOverrides = {}
+) =>
+  validateImport(
+    rows,
+    profile,
+    parseErrors,
+    resolveDateFormats(rows, profile, dateOverrides)
+  );
+
+/**
+ * Normalize the rows a report accepted
+ * @returns {Array} Records tagged with the file they came from
+ */
+export const normalizeAcceptedRows = (report, profile, fileName) =>
+  report.acceptedRows.map((row, index) => ({
+    ...processRowData(
+      row,
+      index,
+      profile.dataType,
+      profile,
+      report.dateFormats
+    ),
+    file_name: fileName,
+  }));
+
+/**
+ * A validation report without its accepted rows, for the review step; the
+ * rows themselves are read in batches from the import session
+ * @returns {Object} The report with acceptedCount in place of acceptedRows
+ */
+export const toReviewReport = ({ acceptedRows, ...report }) => ({
+  ...report,
+  acceptedCount: acceptedRows.length,
+});
+
+/**
+ * Counts from a validation (or review) report, for logs and API responses
+ */
+export const summarizeReport = (report) => ({
+  totalRows: report.totalRows,
+  accepted: report.acceptedCount ?? report.acceptedRows.length,
+  rejected: report.rejectedRows.length,
+  warnings: report.warnings.length,
+  issues: report.issueCounts,
+  dateFormats: report.dateFormats,
+});
+
+/**
+ * Summary of what validation held back, stored on the file upload record
+ */
+export const buildUploadDetails = (report) =>
+  report.rejectedRows.length + report.warnings.length > 0
+    ? {
+        error_details: {
+          rejected_rows: report.rejectedRows.length,
+          warnings: report.warnings.length,
+          issues: report.issueCounts,
+        },
+      }
+    : {};
+
+/**
+ * Holds a parsed file while it is mapped, reviewed and saved. The CSV worker
+ * keeps one per file so rows never cross to the main thread until they are
+ * written; other formats use one directly.
+ * @param {Object} result - Papa-style parse results
+ * @param {string} fileName - Recorded on each normalized record
+ * @returns {Object} { headers, sampleRow, totalRows, validate, readRecords }
+ */
+export const createImportSession = (result, fileName) => {
+  let profile = null;
+  let report = null;
+  let records = null;
+
+  return {
+    headers: result.meta.fields || [],
+    sampleRow: result.data[0],
+    totalRows: result.data.length,
+
+    // Validate against a profile; returns a review report (see
+    // toReviewReport) and resets any records already normalized
+    validate(nextProfile, dateOverrides = {}) {
+      profile = nextProfile;
+      report = buildImportReport(
+        result.data,
+        profile,
+        result.errors || [],
+        dateOverrides
+      );
+      records = null;
+      return toReviewReport(report);
+    },
+
+    // Normalized accepted records [start, end) of the last validation
+    readRecords(start, end) {
+      if (!report) throw new Error("Validate the file before reading records");
+      records = records || normalizeAcceptedRows(report, profile, fileName);
+      return records.slice(start, end);
+    },
+  };
+};
+
+/**
+ * Validate and normalize a parsed file without user input. Files whose
+ * headers match no profile throw with error.code "unmapped_columns".
+ * @param {Object} result - Papa-style parse results
+ * @param {Object} options - { fileName, dataType, profiles, dateOverrides }
+ * @returns {Object} { dataType, profile, report, records }
+ */
+export const ingestParsedFile = (
+  result,
+  {
+    fileName,
+    dataType = null,
+    profiles = BUILT_IN_PROFILES,
+    dateOverrides = {},
+  } = {}
+) => {
+  const headers = result.meta.fields || [];
+  const profileMatch = selectProfile(headers, profiles, dataType);
+
+  if (!profileMatch) {
+    const error = new Error(
+      `No column mapping profile matches the columns of ${
+        fileName || "this file"
+      }`
+    );
+    error.code = "unmapped_columns";
+    error.headers = headers;
+    error.detectedType = dataType || detectDataType(headers, profiles);
+    throw error;
+  }
+
+  const { profile } = profileMatch;
+  const report = buildImportReport(
+    result.data,
+    profile,
+    result.errors || [],
+    dateOverrides
+  );
+
+  return {
+    dataType: profile.dataType,
+    profile,
+    report,
+    records: normalizeAcceptedRows(report, profile, fileName),
+  };
+};
+
+/**
+ * Parse, validate and normalize CSV text (see ingestParsedFile)
+ */
+export const ingestCsvText = (text, options = {}) =>
+  ingestParsedFile(parseCsvText(text), options);
@@ -0,0 +1,174 @@
+import {
+  createImportSession,
+  detectDataType,
+  ingestCsvText,
+  parseCsvText,
+  selectProfile,
+  summarizeReport,
+} from "./ingestion";
+import { getPolicyKey, toDateKey, toPolicyRecord } from "./policyUpsert";
+
+const NSF_HEADER =
+  "policy_nbr,WA_Name,Product,issue_state,annual_premium,issue_date,paid_to_date,app_recvd_date,Reason,MGA_name";
+
+const CANCELLATION_HEADER =
+  "Policy_nbr,WA_Name,Plan_Code,Issue_State,Annual_Premium,Issue_Date,Paid_to_Date,App_Recvd_Date,cntrct_date,Agent_level_03,Contract_Code";
+
+const csv = (header, rows) => [header, ...rows].join("\n");
+
+describe("mapping", () => {
+  test("picks the built-in profile from the headers", () => {
+    const headers = parseCsvText(csv(NSF_HEADER, [])).meta.fields;
+
+    expect(selectProfile(headers).profile.id).toBe("builtin_nsf");
+    expect(detectDataType(headers)).toBe("nsf");
+    expect(selectProfile(headers, undefined, "cancellation")).toBeNull();
+  });
+
+  test("normalizes mapped columns into policy records", () => {
+    const { dataType, records } = ingestCsvText(
+      csv(NSF_HEADER, [
+        ' P100 ,"Smith, Jo",Term 20,TX,"$1,200.50",01/15/2023,03/01/2024,01/02/2023,,Acme MGA',
+      ]),
+      { fileName: "nsf.csv" }
+    );
+
+    expect(dataType).toBe("nsf");
+    expect(records).toHaveLength(1);
+    const [record] = records;
+    expect(record).toMatchObject({
+      policy_nbr: "P100",
+      agent_name: "Smith, Jo",
+      product: "Term 20",
+      issue_state: "TX",
+      annual_premium: 1200.5,
+      termination_reason: "NSF",
+      mga_name: "Acme MGA",
+      source: "nsf",
+      termination_type: "nsf",
+      file_name: "nsf.csv",
+    });
+    expect(toDateKey(record.issue_date)).toBe("2023-01-15");
+    expect(toDateKey(record.paid_to_date)).toBe("2024-03-01");
+    expect(record.duration).toBe(411);
+  });
+
+  test("refuses files no profile matches", () => {
+    expect(() =>
+      ingestCsvText("foo,bar\n1,2", { fileName: "odd.csv" })
+    ).toThrow(
+      expect.objectContaining({
+        code: "unmapped_columns",
+        headers: ["foo", "bar"],
+      })
+    );
+  });
+});
+
+describe("validation", () => {
+  test("rejects rows with errors and keeps warnings on accepted rows", () => {
+    const { report, records } = ingestCsvText(
+      csv(NSF_HEADER, [
+        "P1,Agent A,Term,TX,100,01/15/2023,03/01/2024,,,MGA",
+        ",Agent B,Term,TX,100,01/15/2023,03/01/2024,,,MGA",
+        "P1,Agent C,Term,TX,100,01/15/2023,03/01/2024,,,MGA",
+        "P2,Agent D,Term,TX,lots,01/15/2023,03/01/2024,,,MGA",
+        "P3,Agent E,Term,ZZ,,01/15/2023,03/01/2024,,,MGA",
+      ])
+    );
+
+    expect(summarizeReport(report)).toMatchObject({
+      totalRows: 5,
+      accepted: 2,
+      rejected: 3,
+    });
+    expect(
+      report.rejectedRows.map(({ rowNumber, reasons }) => [rowNumber, reasons])
+    ).toEqual([
+      [2, ["Missing policy number"]],
+      [3, ["Duplicate policy number P1 (first seen on row 1)"]],
+      [4, ['Non-numeric premium "lots"']],
+    ]);
+    expect(
+      report.warnings.map(({ rowNumber, code }) => [rowNumber, code])
+    ).toEqual([
+      [5, "missing_premium"],
+      [5, "unknown_state"],
+    ]);
+    expect(records.map((record) => record.policy_nbr)).toEqual(["P1", "P3"]);
+    expect(records[1].annual_premium).toBe(0);
+  });
+});
+
+describe("upsert keys", () => {
+  test("key NSF rows on their paid-to date", () => {
+    const { records } = ingestCsvText(
+      csv(NSF_HEADER, ["P1,A,Term,TX,100,01/15/2023,03/01/2024,,,MGA"])
+    );
+
+    expect(getPolicyKey(records[0])).toBe("nsf|P1|2024-03-01");
+    expect(toPolicyRecord(records[0]).event_date).toBe("2024-03-01");
+  });
+
+  test("key cancellations on their cancellation date", () => {
+    const { records } = ingestCsvText(
+      csv(CANCELLATION_HEADER, [
+        "C1,A,Term,TX,100,01/15/2023,03/01/2024,,04/10/2024,Upline,K1",
+      ])
+    );
+
+    expect(getPolicyKey(records[0])).toBe("cancellation|C1|2024-04-10");
+  });
+
+  test("fall back to the issue date without an event date", () => {
+    const { records } = ingestCsvText(
+      csv(NSF_HEADER, ["P1,A,Term,TX,100,01/15/2023,,,,MGA"])
+    );
+
+    expect(getPolicyKey(records[0])).toBe("nsf|P1|2023-01-15");
+  });
+
+  test("match stored rows on their event_date column", () => {
+    expect(
+      getPolicyKey({
+        source: "nsf",
+        policy_nbr: " P1 ",
+        event_date: "2024-03-01",
+        paid_to_date: "2020-01-01",
+      })
+    ).toBe("nsf|P1|2024-03-01");
+  });
+});
+
+describe("import sessions", () => {
+  test("read the same records in batches as a one-pass ingest", () => {
+    const rows = Array.from(
+      { length: 25 },
+      (_, index) => `P${index},A,Term,TX,100,01/15/2023,03/01/2024,,,MGA`
+    );
+    const result = parseCsvText(csv(NSF_HEADER, rows));
+    const session = createImportSession(result, "nsf.csv");
+    const { records } = ingestCsvText(csv(NSF_HEADER, rows), {
+      fileName: "nsf.csv",
+    });
+    const withoutId = ({ id, ...record }) => record;
+
+    const report = session.validate(selectProfile(session.headers).profile);
+
+    expect(report.acceptedCount).toBe(25);
+    expect(report.acceptedRows).toBeUndefined();
+    expect(
+      [
+        ...session.readRecords(0, 10),
+        ...session.readRecords(10, 20),
+        ...session.readRecords(20, 30),
+      ].map(withoutId)
+    ).toEqual(records.map(withoutId));
+  });
+
+  test("need a validation before records can be read", () => {
+    const session = createImportSession(parseCsvText(csv(NSF_HEADER, [])));
+
+    expect(() => session.readRecords(0, 10)).toThrow(/Validate the file/);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Issued Book Metrics for Policy Persistency Tracker
+ * An uploaded issued/in-force book supplies the denominators for lapse
+ * metrics. Lapsed policies the book doesn't list still count as issued.
+ */
+
+// Relative imports keep their .js extension so the server can load this
+// module (see src/utils/digest.js)
+import { getEventDate, toDateKey } from "./policyUpsert.js";
+import { LAPSE_SOURCES, isRecovered } from "./policyRecovery.js";
+
+// Persistency is measured this many months after issue
+export const PERSISTENCY_MONTHS = 13;
+
+// Group key for agents, products and states (matches across feeds loosely)
+export const normalizeGroupKey = (value) =>
+  (value || "Unknown").toString().trim().toLowerCase();
+
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+};
+
+const toDate = (value) => {
+  const key = toDateKey(value);
+  return key ? new Date(`${key}T00:00:00Z`) : null;
+};
+
+/**
+ * Merge book rows into an in-memory book, replacing rows with the same policy number
+ */
+export const mergeBookPolicies = (current, incoming) => {
+  const incomingNumbers = new Set(incoming.map((row) => row.policy_nbr));
+  return [
+    ...current.filter((row) => !incomingNumbers.has(row.policy_nbr)),
+    ...incoming,
+  ];
+};
+
+/**
+ * Build the issued population: every book policy, plus any lapsed policy
+ * the book doesn't list (one row per policy number)
+ */
+export const getIssuedPolicies = (book, lapsedPolicies = []) => {
+  const issued = new Map();
+  book.forEach((policy) => issued.set(policy.policy_nbr, policy));
+  lapsedPolicies.forEach((policy) => {
+    if (!issued.has(policy.policy_nbr)) {
+      issued.set(policy.policy_nbr, policy);
+    }
+  });
+  return [...issued.values()];
+};
+
+/**
+ * Count issued policies per group
+ * @param {Array} issuedPolicies - From getIssuedPolicies
+ * @param {Function} getKey - Returns the group value (agent, product, state)
+ * @returns {Object} Normalized group key -> issued count
+ */
+export const countIssuedBy = (issuedPolicies, getKey) => {
+  const counts = {};
+  issuedPolicies.forEach((policy) => {
+    const key = normalizeGroupKey(getKey(policy));
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+};
+
+/**
+ * 13-month persistency: of the policies issued 13 to 25 months ago, the
+ * share that did not lapse (without recovery) within 13 months of issue
+ * @returns {Object} { cohortSize, persisted, rate } (rate is null without a cohort)
+ */
+export const calculatePersistency = (
+  issuedPolicies,
+  lapsedPolicies,
+  asOf = new Date()
+) => {
+  const windowEnd = addMonths(asOf, -PERSISTENCY_MONTHS);
+  const windowStart = addMonths(asOf, -(PERSISTENCY_MONTHS + 12));
+
+  const earlyLapses = new Set(
+    lapsedPolicies
+      .filter(
+        (policy) =>
+          LAPSE_SOURCES.includes(policy.source) && !isRecovered(policy)
+      )
+      .filter((policy) => {
+        const issueDate = toDate(policy.issue_date);
+        const lapseDate = toDate(policy.event_date || getEventDate(policy));
+        return (
+          !issueDate ||
+          !lapseDate ||
+          lapseDate < addMonths(issueDate, PERSISTENCY_MONTHS)
+        );
+      })
+      .map((policy) => policy.policy_nbr)
+  );
+
+  const cohort = issuedPolicies.filter((policy) => {
+    const issueDate = toDate(policy.issue_date);
+    return issueDate && issueDate >= windowStart && issueDate < windowEnd;
+  });
+  const persisted = cohort.filter(
+    (policy) => !earlyLapses.has(policy.policy_nbr)
+  ).length;
+
+  return {
+    cohortSize: cohort.length,
+    persisted,
+    rate: cohort.length > 0 ? (persisted / cohort.length) * 100 : null,
+  };
+};
+
+/**
+ * Summarize lapse rates against the issued book
+ * @param {Array} book - In-force/issued book rows
+ * @param {Array} policies - NSF and cancellation rows (recovered or not)
+ * @returns {Object|null} Issued counts and rates, or null without a book
+ */
+export const getIssuedBookStats = (book, policies) => {
+  if (!book || book.length === 0) return null;
+
+  const issued = getIssuedPolicies(book, policies);
+  const lapsed = policies.filter(
+    (policy) => LAPSE_SOURCES.includes(policy.source) && !isRecovered(policy)
+  );
+  const nsfCount = lapsed.filter((policy) => policy.source === "nsf").length;
+  const cancellationCount = lapsed.length - nsfCount;
+  const rate = (count) =>
+    issued.length > 0 ? (count / issued.length) * 100 : 0;
+
+  return {
+    bookCount: book.length,
+    issuedCount: issued.length,
+    nsfRate: rate(nsfCount),
+    cancellationRate: rate(cancellationCount),
+    terminationRate: rate(lapsed.length),
+    persistency: calculatePersistency(issued, policies),
+  };
+};
@@ -0,0 +1,287 @@
+/**
+ * Merge fields for email templates
+ * Templates are stored as text with Handlebars-style tags and rendered the
+ * same way by the server (when sending) and the dashboard (live preview):
+ *
+ *   {{agentName}}                 value, HTML-escaped in the html part
+ *   {{{notes}}}                   value, never escaped
+ *   {{currency totalPremium}}     helper applied to a value (see HELPERS)
+ *   {{#each topPolicies}}...{{/each}}  repeat per item; inside, fields are
+ *                                 read from the item first and {{this}} is
+ *                                 the item itself
+ *   {{#if dueDate}}...{{else}}...{{/if}}  shown when the value is set (an
+ *                                 empty list counts as unset)
+ *
+ * Unknown fields render as nothing; malformed tags are rejected by
+ * validateTemplate so a broken template can't be saved.
+ */
+
+// Policies listed individually before "... and N more"
+export const TOP_POLICY_COUNT = 10;
+
+// Share of lapsed premium a recovery campaign expects to win back
+export const RECOVERY_RATE = 0.45;
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// Dates are shown in UTC so the preview matches what the server sends
+export const HELPERS = {
+  currency: (value) =>
+    new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency: "USD",
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0,
+    }).format(Number(value) || 0),
+  number: (value) => (Number(value) || 0).toLocaleString("en-US"),
+  date: (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime())
+      ? ""
+      : date.toLocaleDateString("en-US", {
+          year: "numeric",
+          month: "short",
+          day: "numeric",
+          timeZone: "UTC",
+        });
+  },
+};
+
+// Fields available to every template, for the editor's reference list
+export const MERGE_FIELDS = [
+  { field: "agentName", description: "Agent the action is about" },
+  { field: "nsfCount", description: "NSF policies behind the action" },
+  { field: "policyCount", description: "Number of policies listed" },
+  { field: "totalPremium", description: "Premium at risk (use currency)" },
+  { field: "dueDate", description: "Action due date (use date)" },
+  { field: "state", description: "Issue state" },
+  { field: "product", description: "Product line" },
+  { field: "season", description: "Seasonal risk period" },
+  {
+    field: "topPolicies",
+    description: `First ${TOP_POLICY_COUNT} policies: policyNumber, premium, product, daysSinceLapse`,
+  },
+  { field: "morePolicyCount", description: "Policies beyond topPolicies" },
+  {
+    field: "estimatedRecovery",
+    description: "Premium a recovery campaign can expect to win back",
+  },
+  { field: "policies", description: "Every policy, same fields" },
+  { field: "dashboardUrl", description: "Link to the dashboard" },
+];
+
+const invalidTemplate = (message) => {
+  const error = new Error(message);
+  error.code = "invalid_template";
+  return error;
+};
+
+const TAG = /\{\{\{\s*([^}]*?)\s*\}\}\}|\{\{\s*([^}]*?)\s*\}\}/g;
+const PATH = /^(this|@index|[A-Za-z_$][\w$]*)(\.[A-Za-z_$][\w$]*)*$/;
+
+const parseValue = (expression, raw) => {
+  const parts = expression.split(/\s+/);
+  if (parts.length > 2) {
+    throw invalidTemplate(`Unexpected tag {{${expression}}}`);
+  }
+  const [helper, path] = parts.length === 2 ? parts : [null, parts[0]];
+  if (helper && !HELPERS[helper]) {
+    throw invalidTemplate(`Unknown helper "${helper}" in {{${expression}}}`);
+  }
+  if (!PATH.test(path)) {
+    throw invalidTemplate(`Invalid merge field {{${expression}}}`);
+  }
+  return { kind: "value", helper, path, raw };
+};
+
+/**
+ * Parse a template into a tree of text, value, each and if nodes
+ * @throws {Error} code "invalid_template" for malformed or unbalanced tags
+ */
+const parse = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  let last = 0;
+
+  for (const match of String(source || "").matchAll(TAG)) {
+    if (match.index > last) {
+      current().children.push({
+        kind: "text",
+        value: source.slice(last, match.index),
+      });
+    }
+    last = match.index + match[0].length;
+
+    if (match[1] !== undefined) {
+      current().children.push(parseValue(match[1], true));
+      continue;
+    }
+
+    const tag = match[2];
+    const block = tag.match(/^#(each|if)\s+(\S+)$/);
+    if (block) {
+      if (!PATH.test(block[2])) {
+        throw invalidTemplate(`Invalid merge field {{${tag}}}`);
+      }
+      // children is the branch tags are added to; {{else}} switches it
+      const node = { kind: block[1], path: block[2], children: [] };
+      if (node.kind === "if") node.then = node.children;
+      current().children.push(node);
+      stack.push(node);
+    } else if (tag === "else") {
+      const node = current();
+      if (node.kind !== "if" || node.otherwise) {
+        throw invalidTemplate("{{else}} outside an {{#if}} block");
+      }
+      node.otherwise = [];
+      node.children = node.otherwise;
+    } else if (/^\/(each|if)$/.test(tag)) {
+      const node = current();
+      if (node.kind !== tag.slice(1)) {
+        throw invalidTemplate(`Unexpected {{${tag}}}`);
+      }
+      stack.pop();
+    } else {
+      current().children.push(parseValue(tag, false));
+    }
+  }
+
+  if (stack.length > 1) {
+    throw invalidTemplate(`Unclosed {{#${current().kind} ${current().path}}}`);
+  }
+  if (last < String(source || "").length) {
+    root.children.push({ kind: "text", value: source.slice(last) });
+  }
+  return root.children;
+};
+
+// Look a path up in the innermost scope that has its first segment
+const lookup = (path, scopes) => {
+  const [head, ...rest] = path.split(".");
+  let value;
+  for (let i = scopes.length - 1; i >= 0; i -= 1) {
+    const scope = scopes[i];
+    if (head === "this" || head === "@index") {
+      value = scope[head];
+      break;
+    }
+    if (scope.data && typeof scope.data === "object" && head in scope.data) {
+      value = scope.data[head];
+      break;
+    }
+  }
+  return rest.reduce(
+    (object, key) => (object == null ? undefined : object[key]),
+    value
+  );
+};
+
+const isSet = (value) =>
+  Array.isArray(value)
+    ? value.length > 0
+    : value !== undefined && value !== null && value !== "" && value !== false;
+
+const renderNodes = (nodes, scopes, escape) =>
+  nodes
+    .map((node) => {
+      if (node.kind === "text") return node.value;
+
+      const value = lookup(node.path, scopes);
+      if (node.kind === "each") {
+        return (Array.isArray(value) ? value : [])
+          .map((item, index) =>
+            renderNodes(
+              node.children,
+              [...scopes, { data: item, this: item, "@index": index }],
+              escape
+            )
+          )
+          .join("");
+      }
+      if (node.kind === "if") {
+        const branch = isSet(value) ? node.then : node.otherwise;
+        return renderNodes(branch || [], scopes, escape);
+      }
+
+      let text;
+      if (node.helper) {
+        text =
+          value === undefined || value === null
+            ? ""
+            : HELPERS[node.helper](value);
+      } else if (value === undefined || value === null) {
+        text = "";
+      } else if (Array.isArray(value)) {
+        text = value.filter((item) => typeof item !== "object").join(", ");
+      } else if (typeof value === "object") {
+        text = "";
+      } else {
+        text = String(value);
+      }
+      return escape && !node.raw ? escapeHtml(text) : text;
+    })
+    .join("");
+
+/**
+ * Check a template's tags without rendering it
+ * @throws {Error} code "invalid_template" describing the first problem
+ */
+export const validateTemplate = (source) => {
+  parse(source);
+};
+
+/**
+ * Fill a template's merge fields
+ * @param {string} source - Template text
+ * @param {Object} data - Merge data, usually from buildMergeData
+ * @param {Object} [options] - escape: HTML-escape values (for html parts)
+ * @returns {string}
+ */
+export const renderTemplate = (source, data, { escape = false } = {}) =>
+  renderNodes(parse(source), [{ data, this: data }], escape);
+
+/**
+ * Merge data for an action (or the data sent with an email): the action's
+ * own fields plus the names templates use, whatever the action type called
+ * them
+ * @param {Object} data - Action or email data
+ * @param {Object} [options] - dashboardUrl for {{dashboardUrl}}
+ */
+export const buildMergeData = (data = {}, { dashboardUrl = "" } = {}) => {
+  const policies = (Array.isArray(data.policies) ? data.policies : []).map(
+    (policy) =>
+      policy && typeof policy === "object" ? policy : { policyNumber: policy }
+  );
+
+  return {
+    ...data,
+    agentName: data.agentName || data.agent,
+    nsfCount: data.nsfCount ?? data.count,
+    count: data.count ?? data.nsfCount,
+    totalPremium: data.totalPremium ?? data.totalPremiumAtRisk,
+    season: data.season || data.period,
+    expectedIncrease:
+      data.expectedIncrease ??
+      (typeof data.variance === "number"
+        ? Math.round(data.variance * 100)
+        : undefined),
+    policies,
+    policyCount: data.policyCount ?? policies.length,
+    topPolicies: policies.slice(0, TOP_POLICY_COUNT),
+    morePolicyCount: Math.max(0, policies.length - TOP_POLICY_COUNT),
+    estimatedRecovery:
+      (Number(data.totalPremium ?? data.totalPremiumAtRisk) || 0) *
+      RECOVERY_RATE,
+    dashboardUrl,
+  };
+};
@@ -0,0 +1,82 @@
+/**
+ * n8n workflows the tracker can trigger
+ * The dashboard validates payloads against requiredFields and the server
+ * posts each type to N8N_WEBHOOK_BASE_URL + "/" + path. Types not listed
+ * here (such as action types sent by POST /api/actions/:id/execute) use
+ * their own name as the path.
+ */
+
+export const WORKFLOWS = {
+  policy_recovery: {
+    path: "policy-recovery",
+    description: "Automated policy recovery workflow",
+    requiredFields: ["policyNumber", "premium", "agent", "reason"],
+    priority: "high",
+  },
+
+  agent_performance_review: {
+    path: "agent-performance",
+    description: "Agent performance analysis and training workflow",
+    requiredFields: ["agent", "nsfCount", "avgDuration", "totalPremium"],
+    priority: "medium",
+  },
+
+  product_analysis: {
+    path: "product-analysis",
+    description: "Product performance analysis workflow",
+    requiredFields: ["product", "nsfCount", "topReason"],
+    priority: "medium",
+  },
+
+  high_value_alert: {
+    path: "high-value-alert",
+    description: "High-value policy immediate attention workflow",
+    requiredFields: ["policyNumber", "premium", "duration", "agent"],
+    priority: "critical",
+  },
+
+  seasonal_risk: {
+    path: "seasonal-risk",
+    description: "Seasonal risk pattern mitigation workflow",
+    requiredFields: ["season", "riskLevel", "affectedProducts"],
+    priority: "medium",
+  },
+
+  batch_training: {
+    path: "batch-training",
+    description: "Batch agent training initiation workflow",
+    requiredFields: ["agents", "trainingType", "metrics"],
+    priority: "low",
+  },
+
+  underwriting_review: {
+    path: "underwriting-review",
+    description: "Underwriting process review workflow",
+    requiredFields: ["criteria", "policies", "recommendations"],
+    priority: "high",
+  },
+
+  customer_outreach: {
+    path: "customer-outreach",
+    description: "Automated customer retention outreach",
+    requiredFields: ["customers", "outreachType", "timeline"],
+    priority: "medium",
+  },
+};
+
+// Webhook path for a workflow type
+export const getWorkflowPath = (workflowType) =>
+  WORKFLOWS[workflowType]?.path || workflowType;
+
+// Execution statuses: queued (waiting in the outbound job queue), triggered
+// (sent to n8n), running (progress reported), then succeeded or failed
+export const EXECUTION_STATUSES = [
+  "queued",
+  "triggered",
+  "running",
+  "succeeded",
+  "failed",
+];
+
+// Runs still waiting on n8n
+export const ACTIVE_EXECUTION_STATUSES = ["queued", "triggered", "running"];
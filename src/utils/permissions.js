@@ -0,0 +1,84 @@
+/**
+ * Roles and permissions for Policy Persistency Tracker
+ * The server checks these on every protected route and the dashboard uses
+ * the same table to hide what a user can't do, so the two never disagree.
+ */
+
+export const ROLES = {
+  ADMIN: "admin",
+  RETENTION_MANAGER: "retention_manager",
+  RETENTION_SPECIALIST: "retention_specialist",
+  EXEC: "exec",
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: "Admin",
+  [ROLES.RETENTION_MANAGER]: "Retention Manager",
+  [ROLES.RETENTION_SPECIALIST]: "Retention Specialist",
+  [ROLES.EXEC]: "Executive (read-only)",
+};
+
+const ALL_ROLES = Object.values(ROLES);
+const MANAGERS = [ROLES.ADMIN, ROLES.RETENTION_MANAGER];
+const STAFF = [...MANAGERS, ROLES.RETENTION_SPECIALIST];
+
+// Roles granted each permission
+export const PERMISSIONS = {
+  "actions:read": ALL_ROLES,
+  "actions:create": MANAGERS,
+  "actions:update": STAFF,
+  "actions:assign": MANAGERS,
+  "actions:execute": STAFF,
+  "actions:delete": MANAGERS,
+  "tasks:update": STAFF,
+  "tasks:manage": MANAGERS,
+  "tasks:report": [...MANAGERS, ROLES.EXEC],
+  "email:send": MANAGERS,
+  // The log spans every action, task and digest, so not for specialists
+  "email:read": [...MANAGERS, ROLES.EXEC],
+  "sms:send": STAFF,
+  "sms:read": ALL_ROLES,
+  "contacts:read": ALL_ROLES,
+  "contacts:manage": MANAGERS,
+  "templates:manage": MANAGERS,
+  "digests:manage": MANAGERS,
+  "workflows:trigger": MANAGERS,
+  "workflows:read": [...MANAGERS, ROLES.EXEC],
+  "uploads:write": MANAGERS,
+  "data:clear": [ROLES.ADMIN],
+  "settings:manage": [ROLES.ADMIN],
+  "users:manage": [ROLES.ADMIN],
+  "jobs:manage": [ROLES.ADMIN],
+};
+
+export const isValidRole = (role) => ALL_ROLES.includes(role);
+
+/**
+ * Whether a user holds a permission
+ * @param {Object} user - { role }
+ * @param {string} permission - Key of PERMISSIONS
+ */
+export const can = (user, permission) =>
+  Boolean(user) && (PERMISSIONS[permission] || []).includes(user.role);
+
+// Specialists only see and work the actions assigned to them
+export const isLimitedToOwnWork = (user) =>
+  Boolean(user) && user.role === ROLES.RETENTION_SPECIALIST;
+
+/**
+ * Whether a user may work on an action (update or execute it); anyone
+ * limited to their own work needs it assigned to them by display name
+ */
+export const canWorkOnAction = (user, action) =>
+  can(user, "actions:update") &&
+  (!isLimitedToOwnWork(user) ||
+    (Boolean(action?.assignedTo) && action.assignedTo === user.displayName));
+
+/**
+ * Whether a user may work on a retention task (update it or text the
+ * customer); like actions, specialists need it assigned to them
+ */
+export const canWorkOnTask = (user, task) =>
+  can(user, "tasks:update") &&
+  (!isLimitedToOwnWork(user) ||
+    (Boolean(task?.assignedTo) && task.assignedTo === user.displayName));
@@ -0,0 +1,94 @@
+/**
+ * Policy Recovery for Policy Persistency Tracker
+ * Matches reinstatement/payment feed rows to lapsed (NSF or cancelled)
+ * policies, so recovered business leaves the lapse list and task queue.
+ */
+
+import { getEventDate, toDateKey } from "./policyUpsert.js";
+
+// Policy sources a payment can recover
+export const LAPSE_SOURCES = ["nsf", "cancellation"];
+
+/**
+ * Check whether a policy row has been marked recovered
+ */
+export const isRecovered = (policy) => Boolean(policy?.recovered_at);
+
+/**
+ * Match payments to the lapsed policies they recover. A payment recovers a
+ * policy with the same number when it is dated on or after the lapse event;
+ * each policy takes its earliest qualifying payment.
+ * @param {Array} policies - Policy rows (recovered and non-lapse rows are skipped)
+ * @param {Array} payments - Payment rows with policy_nbr and payment_date
+ * @returns {Array} [{ policy, payment }]
+ */
+export const matchRecoveries = (policies, payments) => {
+  const paymentsByPolicy = new Map();
+  payments
+    .filter((payment) => payment.policy_nbr && payment.payment_date)
+    .forEach((payment) => {
+      const policyNumber = payment.policy_nbr.toString().trim();
+      const list = paymentsByPolicy.get(policyNumber) || [];
+      list.push({ ...payment, payment_date: toDateKey(payment.payment_date) });
+      paymentsByPolicy.set(policyNumber, list);
+    });
+  paymentsByPolicy.forEach((list) =>
+    list.sort((a, b) => a.payment_date.localeCompare(b.payment_date))
+  );
+
+  return policies
+    .filter(
+      (policy) => LAPSE_SOURCES.includes(policy.source) && !isRecovered(policy)
+    )
+    .map((policy) => {
+      const lapseDate = toDateKey(policy.event_date) || getEventDate(policy);
+      const payment = (
+        paymentsByPolicy.get(policy.policy_nbr?.toString().trim()) || []
+      ).find((p) => !lapseDate || p.payment_date >= lapseDate);
+      return payment ? { policy, payment } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Summarize recoveries across a set of policies
+ * @param {Array} policies - Policy rows, recovered or not
+ * @returns {Object} Recovered counts, premium and rates (percent of lapsed)
+ */
+export const getRecoveryStats = (policies) => {
+  const lapsed = policies.filter((policy) =>
+    LAPSE_SOURCES.includes(policy.source)
+  );
+  const recovered = lapsed.filter(isRecovered);
+  const rate = (part, total) => (total > 0 ? (part / total) * 100 : 0);
+  const sumPremium = (rows) =>
+    rows.reduce((sum, policy) => sum + (Number(policy.annual_premium) || 0), 0);
+
+  const bySource = Object.fromEntries(
+    LAPSE_SOURCES.map((source) => {
+      const sourceLapsed = lapsed.filter((p) => p.source === source);
+      const sourceRecovered = sourceLapsed.filter(isRecovered);
+      return [
+        source,
+        {
+          lapsed: sourceLapsed.length,
+          recovered: sourceRecovered.length,
+          recoveryRate: rate(sourceRecovered.length, sourceLapsed.length),
+        },
+      ];
+    })
+  );
+
+  const lapsedPremium = sumPremium(lapsed);
+  const recoveredPremium = sumPremium(recovered);
+
+  return {
+    lapsedCount: lapsed.length,
+    recoveredCount: recovered.length,
+    recoveryRate: rate(recovered.length, lapsed.length),
+    lapsedPremium,
+    recoveredPremium,
+    premiumRecoveryRate: rate(recoveredPremium, lapsedPremium),
+    bySource,
+  };
+};
@@ -0,0 +1,165 @@
+/**
+ * Policy Upsert Planning for Policy Persistency Tracker
+ * Policies are keyed on (source, policy number, event date) so that
+ * re-uploading a file updates existing rows instead of duplicating them.
+ */
+
+// Columns compared to decide whether an existing policy row changed
+export const POLICY_COMPARE_FIELDS = [
+  "termination_type",
+  "annual_premium",
+  "issue_date",
+  "paid_to_date",
+  "app_recvd_date",
+  "contract_date",
+  "duration",
+  "agent_name",
+  "issue_state",
+  "product",
+  "termination_reason",
+  "mga_name",
+  "agent_level_03",
+  "contract_code",
+  "policy_status",
+];
+
+const DATE_FIELDS = [
+  "issue_date",
+  "paid_to_date",
+  "app_recvd_date",
+  "contract_date",
+  "event_date",
+];
+
+/**
+ * Format a Date or date string as YYYY-MM-DD
+ */
+export const toDateKey = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().split("T")[0];
+  }
+  return value.toString().slice(0, 10);
+};
+
+/**
+ * Get the date of the event a policy row records: the NSF paid-to date,
+ * the cancellation date, or the issue date when neither is known
+ */
+export const getEventDate = (policy) => {
+  const eventDate =
+    policy.source === "cancellation"
+      ? policy.contract_date
+      : policy.paid_to_date;
+  return toDateKey(eventDate) || toDateKey(policy.issue_date);
+};
+
+/**
+ * Build the unique key for a policy row
+ */
+export const getPolicyKey = (policy) =>
+  [
+    policy.source,
+    policy.policy_nbr?.toString().trim(),
+    policy.event_date !== undefined
+      ? toDateKey(policy.event_date)
+      : getEventDate(policy),
+  ].join("|");
+
+/**
+ * Build the database row for a normalized NSF or cancellation policy
+ */
+export const toPolicyRecord = (policy) => ({
+  policy_nbr: policy.policy_nbr,
+  source: policy.source,
+  termination_type: policy.termination_type,
+  annual_premium: policy.annual_premium,
+  issue_date: toDateKey(policy.issue_date),
+  paid_to_date: toDateKey(policy.paid_to_date),
+  app_recvd_date: toDateKey(policy.app_recvd_date),
+  contract_date: toDateKey(policy.contract_date),
+  duration: policy.duration,
+  agent_name: policy.agent_name,
+  issue_state: policy.issue_state,
+  product: policy.product,
+  termination_reason: policy.termination_reason,
+  mga_name: policy.mga_name || null,
+  agent_level_03: policy.agent_level_03 || null,
+  contract_code: policy.contract_code || null,
+  event_date: getEventDate(policy),
+  date_formats: policy.date_formats || null,
+});
+
+/**
+ * Build the database row for a normalized in-force book policy
+ */
+export const toInforceRecord = (policy) => ({
+  policy_nbr: policy.policy_nbr,
+  annual_premium: policy.annual_premium,
+  issue_date: toDateKey(policy.issue_date),
+  paid_to_date: toDateKey(policy.paid_to_date),
+  agent_name: policy.agent_name,
+  issue_state: policy.issue_state,
+  product: policy.product,
+  policy_status: policy.policy_status,
+  date_formats: policy.date_formats || null,
+});
+
+const normalizeValue = (field, value) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (DATE_FIELDS.includes(field)) return toDateKey(value);
+  if (typeof value === "number") return value;
+  const number = Number(value);
+  return value.toString().trim() !== "" && !isNaN(number)
+    ? number
+    : value.toString().trim();
+};
+
+/**
+ * Check whether an incoming row differs from the stored one
+ */
+export const hasPolicyChanged = (incoming, existing) =>
+  POLICY_COMPARE_FIELDS.some(
+    (field) =>
+      normalizeValue(field, incoming[field]) !==
+      normalizeValue(field, existing[field])
+  );
+
+/**
+ * Split incoming rows into new, updated and unchanged against stored rows
+ * @param {Array} incoming - Rows about to be saved
+ * @param {Array} existingRows - Stored rows sharing the same source and policy numbers
+ * @returns {Object} { newRows, updatedRows, unchangedRows }
+ */
+export const planPolicyUpsert = (incoming, existingRows) => {
+  const existingByKey = new Map(
+    existingRows.map((row) => [getPolicyKey(row), row])
+  );
+  const newRows = [];
+  const updatedRows = [];
+  const unchangedRows = [];
+
+  incoming.forEach((row) => {
+    const existing = existingByKey.get(getPolicyKey(row));
+    if (!existing) {
+      newRows.push(row);
+    } else if (hasPolicyChanged(row, existing)) {
+      updatedRows.push(row);
+    } else {
+      unchangedRows.push(row);
+    }
+  });
+
+  return { newRows, updatedRows, unchangedRows };
+};
+
+/**
+ * Merge rows into an in-memory dataset, replacing rows with the same key
+ */
+export const mergePolicies = (current, incoming) => {
+  const incomingKeys = new Set(incoming.map(getPolicyKey));
+  return [
+    ...current.filter((row) => !incomingKeys.has(getPolicyKey(row))),
+    ...incoming,
+  ];
+};
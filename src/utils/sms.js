@@ -0,0 +1,167 @@
+/**
+ * Text message rules for Policy Persistency Tracker
+ * Shared by the server, which enforces them on every send, and the task
+ * view, which warns before a text would be refused: phone number
+ * normalization, opt-out keywords and quiet hours by issue state.
+ */
+
+// Carriers cap a concatenated text at this many characters
+export const MAX_SMS_LENGTH = 1600;
+
+// No texts from 9 PM until 8 AM in the recipient's time zone
+export const QUIET_HOURS = { start: 21, end: 8 };
+
+// Replies that opt a number out of texts, and back in (CTIA keywords)
+export const OPT_OUT_KEYWORDS = [
+  "STOP",
+  "STOPALL",
+  "UNSUBSCRIBE",
+  "CANCEL",
+  "END",
+  "QUIT",
+  "REVOKE",
+  "OPTOUT",
+];
+export const OPT_IN_KEYWORDS = ["START", "UNSTOP", "YES"];
+
+const EASTERN = "America/New_York";
+const CENTRAL = "America/Chicago";
+const MOUNTAIN = "America/Denver";
+const PACIFIC = "America/Los_Angeles";
+
+// Every time zone each issue state spans, so a text is only sent when it
+// is outside quiet hours across the whole state
+export const STATE_TIME_ZONES = {
+  AL: [CENTRAL],
+  AK: ["America/Anchorage", "America/Adak"],
+  AZ: ["America/Phoenix"],
+  AR: [CENTRAL],
+  CA: [PACIFIC],
+  CO: [MOUNTAIN],
+  CT: [EASTERN],
+  DE: [EASTERN],
+  FL: [EASTERN, CENTRAL],
+  GA: [EASTERN],
+  HI: ["Pacific/Honolulu"],
+  ID: ["America/Boise", PACIFIC],
+  IL: [CENTRAL],
+  IN: ["America/Indiana/Indianapolis", CENTRAL],
+  IA: [CENTRAL],
+  KS: [CENTRAL, MOUNTAIN],
+  KY: [EASTERN, CENTRAL],
+  LA: [CENTRAL],
+  ME: [EASTERN],
+  MD: [EASTERN],
+  MA: [EASTERN],
+  MI: ["America/Detroit", CENTRAL],
+  MN: [CENTRAL],
+  MS: [CENTRAL],
+  MO: [CENTRAL],
+  MT: [MOUNTAIN],
+  NE: [CENTRAL, MOUNTAIN],
+  NV: [PACIFIC],
+  NH: [EASTERN],
+  NJ: [EASTERN],
+  NM: [MOUNTAIN],
+  NY: [EASTERN],
+  NC: [EASTERN],
+  ND: [CENTRAL, MOUNTAIN],
+  OH: [EASTERN],
+  OK: [CENTRAL],
+  OR: [PACIFIC, "America/Boise"],
+  PA: [EASTERN],
+  RI: [EASTERN],
+  SC: [EASTERN],
+  SD: [CENTRAL, MOUNTAIN],
+  TN: [CENTRAL, EASTERN],
+  TX: [CENTRAL, MOUNTAIN],
+  UT: [MOUNTAIN],
+  VT: [EASTERN],
+  VA: [EASTERN],
+  WA: [PACIFIC],
+  WV: [EASTERN],
+  WI: [CENTRAL],
+  WY: [MOUNTAIN],
+  DC: [EASTERN],
+  PR: ["America/Puerto_Rico"],
+  VI: ["America/St_Thomas"],
+  GU: ["Pacific/Guam"],
+  AS: ["Pacific/Pago_Pago"],
+  MP: ["Pacific/Saipan"],
+};
+
+// Policies with a missing or unknown state get the mainland's widest span
+const UNKNOWN_STATE_TIME_ZONES = [EASTERN, PACIFIC];
+
+/**
+ * A phone number in E.164 form; ten-digit numbers are taken as US numbers
+ * @param {string} value - As typed, e.g. "(555) 010-1234"
+ * @returns {string|null} e.g. "+15550101234", or null when it isn't one
+ */
+export const normalizePhone = (value) => {
+  const text = String(value || "").trim();
+  const digits = text.replace(/\D/g, "");
+  if (text.startsWith("+")) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return null;
+};
+
+// The keyword a reply consists of, e.g. "Stop." -> "STOP"
+const toKeyword = (body) =>
+  String(body || "")
+    .trim()
+    .toUpperCase()
+    .replace(/[^A-Z]/g, "");
+
+export const isOptOutReply = (body) =>
+  OPT_OUT_KEYWORDS.includes(toKeyword(body));
+
+export const isOptInReply = (body) => OPT_IN_KEYWORDS.includes(toKeyword(body));
+
+export const getStateTimeZones = (state) =>
+  STATE_TIME_ZONES[
+    String(state || "")
+      .trim()
+      .toUpperCase()
+  ] || UNKNOWN_STATE_TIME_ZONES;
+
+const getLocalTime = (timeZone, now) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "numeric",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(now);
+  const part = (type) => Number(parts.find((p) => p.type === type).value);
+  return { hour: part("hour"), minute: part("minute") };
+};
+
+// "9:05 PM"
+const formatTime = (hour, minute = 0) =>
+  `${hour % 12 || 12}:${String(minute).padStart(2, "0")} ${
+    hour < 12 ? "AM" : "PM"
+  }`;
+
+// "9:00 PM to 8:00 AM"
+export const describeQuietHours = () =>
+  `${formatTime(QUIET_HOURS.start)} to ${formatTime(QUIET_HOURS.end)}`;
+
+/**
+ * Whether a policy's issue state is in quiet hours
+ * @param {string} state - Issue state code, e.g. "CA"
+ * @param {Date} [now]
+ * @returns {Object|null} { timeZone, localTime } for the first of the
+ *   state's time zones in quiet hours, or null when a text may go out
+ */
+export const findQuietHours = (state, now = new Date()) => {
+  for (const timeZone of getStateTimeZones(state)) {
+    const { hour, minute } = getLocalTime(timeZone, now);
+    if (hour >= QUIET_HOURS.start || hour < QUIET_HOURS.end) {
+      return { timeZone, localTime: formatTime(hour, minute) };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,87 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * CSV Parser Worker for Policy Persistency Tracker
+ * Parses uploaded CSVs off the main thread in chunks, reporting progress
+ * as it goes so large files don't freeze the tab. The parsed rows stay here:
+ * validation and normalization run in the worker too, and the main thread
+ * only receives the review report and then one batch of records at a time.
+ */
+
+import Papa from "papaparse";
+import { CSV_PARSE_OPTIONS, createImportSession } from "../utils/ingestion";
+
+// Bytes read per chunk
+const CHUNK_SIZE = 1024 * 1024;
+
+let session = null;
+
+const parseFile = (file) => {
+  const data = [];
+  const errors = [];
+  let fields = null;
+
+  Papa.parse(file, {
+    ...CSV_PARSE_OPTIONS,
+    chunkSize: CHUNK_SIZE,
+    chunk: (results) => {
+      // Error rows are relative to the chunk; make them relative to the file
+      const offset = data.length;
+      results.errors.forEach((error) => {
+        errors.push({
+          ...error,
+          row: error.row !== undefined ? error.row + offset : error.row,
+        });
+      });
+
+      results.data.forEach((row) => data.push(row));
+      fields = fields || results.meta.fields;
+
+      self.postMessage({
+        type: "progress",
+        percent: Math.min(
+          99,
+          Math.round((results.meta.cursor / Math.max(file.size, 1)) * 100)
+        ),
+        rows: data.length,
+      });
+    },
+    complete: () => {
+      session = createImportSession(
+        { data, errors, meta: { fields: fields || [] } },
+        file.name
+      );
+      self.postMessage({
+        type: "parsed",
+        headers: session.headers,
+        sampleRow: session.sampleRow,
+        totalRows: session.totalRows,
+      });
+    },
+    error: (error) => {
+      self.postMessage({ type: "error", message: error.message });
+    },
+  });
+};
+
+// Requests against the parsed file answer with the same id
+const handleRequest = ({ id, type, ...params }) => {
+  try {
+    const result =
+      type === "validate"
+        ? session.validate(params.profile, params.dateOverrides)
+        : session.readRecords(params.start, params.end);
+    self.postMessage({ type: "result", id, result });
+  } catch (error) {
+    self.postMessage({ type: "error", id, message: error.message });
+  }
+};
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === "parse") {
+    parseFile(message.file);
+  } else {
+    handleRequest(message);
+  }
+};